@@ -11,6 +11,7 @@ export class CameraController {
     this.phi = 0; // Horizontal rotation (azimuth)
     this.theta = Math.PI / 6; // Vertical rotation (polar angle)
     this.radius = 25;
+    this.preset = null; // Last one picked with setPreset()
 
     // Camera constraints
     this.minRadius = 5;
@@ -409,6 +410,10 @@ export class CameraController {
         this.followOffset.set(-8, 8, 18);
         this.followSmoothness = 0.08;
         break;
+      case "trebuchet":
+        this.followOffset.set(-10, 12, 24);
+        this.followSmoothness = 0.08;
+        break;
       case "soldier":
       case "archer":
         this.followOffset.set(0, 3, 8);
@@ -536,10 +541,38 @@ export class CameraController {
         break;
     }
 
+    this.preset = presetName;
     this.updateCameraPosition();
     console.log(`📷 Camera preset: ${presetName}`);
   }
 
+  // Orbit and preset, for a save
+  getState() {
+    return {
+      preset: this.preset,
+      target: this.target.toArray(),
+      phi: this.phi,
+      theta: this.theta,
+      radius: this.radius,
+    };
+  }
+
+  setState(state) {
+    if (this.isFollowing) {
+      this.stopFollow();
+    }
+    this.preset = state.preset ?? null;
+    this.target.fromArray(state.target);
+    this.phi = state.phi;
+    this.theta = Utils.clamp(
+      state.theta,
+      this.minPolarAngle,
+      this.maxPolarAngle
+    );
+    this.radius = Utils.clamp(state.radius, this.minRadius, this.maxRadius);
+    this.updateCameraPosition();
+  }
+
   reset() {
     // Follow modunu durdur
     if (this.isFollowing) {
@@ -550,6 +583,7 @@ export class CameraController {
     this.phi = 0;
     this.theta = Math.PI / 6;
     this.radius = 25;
+    this.preset = null;
     this.isFollowing = false;
     this.followTarget = null;
     this.shakeIntensity = 0;
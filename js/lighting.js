@@ -1,4 +1,84 @@
 import * as THREE from "three";
+import { TimeOfDay } from "./timeOfDay.js";
+import { SeededRandom } from "./simulation/SeededRandom.js";
+
+// How each preset lights the scene. A null sky is the HDR environment.
+const PRESETS = {
+  default: {
+    ambient: 0.1,
+    ambientColor: 0x101020,
+    directional: 0.8,
+    sky: null,
+  },
+  day: {
+    ambient: 0.6,
+    ambientColor: 0x101020,
+    directional: 1.2,
+    sky: 0x87ceeb,
+  },
+  night: {
+    ambient: 0.2,
+    ambientColor: 0x101020,
+    directional: 0.3,
+    sky: 0x191970,
+  },
+  dramatic: {
+    ambient: 0.3,
+    ambientColor: 0x101020,
+    directional: 2.0,
+    sky: 0x2f2f2f,
+  },
+  mystical: {
+    ambient: 0.4,
+    ambientColor: 0x6a5acd,
+    directional: 0.8,
+    sky: 0x483d8b,
+  },
+};
+const NIGHT_FOG = 0x0a0a0f; // Fog under the HDR sky
+
+// The time of day blends the presets by the sun's height in degrees: night,
+// the blue hour, the glow around sunset and sunrise, and full day. Under
+// "default" its own night, with the HDR sky, stands in for "night".
+const SKY_KEYFRAMES = [
+  { elevation: -15, preset: "night" },
+  { elevation: -5, preset: "mystical" },
+  { elevation: 5, preset: "dramatic" },
+  { elevation: 25, preset: "day" },
+];
+
+// Where setPreset() sets the clock: the evening hours put the sun at the
+// dramatic and mystical keyframes
+const PRESET_HOURS = {
+  default: 0,
+  night: 0,
+  day: 12,
+  dramatic: 17.6,
+  mystical: 18.4,
+};
+
+// The directional light is the sun by day and the moon by night. Each
+// fades in over its first degrees above the horizon, so the swap at
+// sunset isn't seen.
+const LIGHT_DISTANCE = 120; // From the origin, inside the shadow camera
+const HORIZON_FADE = 8;
+const SUN_COLOR = 0xffffff;
+const LOW_SUN_COLOR = 0xff9955;
+const MOON_COLOR = 0x9fb4ff;
+
+const SKY_RADIUS = 400;
+const STAR_COUNT = 1500;
+const STAR_SEED = 7; // The same stars every night
+const MOON_SIZE = 12;
+
+// Torches at noon, as a share of their brightness after dark
+const DAYTIME_TORCHES = 0.35;
+
+// Point lights that shine at once, the towers' included. Past this many
+// the ones furthest from the camera are switched off.
+const MAX_POINT_LIGHTS = 8;
+
+const smoothstep = THREE.MathUtils.smoothstep;
 
 export class LightingSystem {
   constructor(scene) {
@@ -6,6 +86,13 @@ export class LightingSystem {
     this.ambientLight = null;
     this.directionalLight = null;
     this.pointLights = [];
+    this.torchLights = []; // Placed torches', see addTorchLight()
+    this.stars = null;
+    this.moon = null;
+    this.preset = "default"; // See setPreset()
+    this.timeOfDay = new TimeOfDay();
+    this.torchBrightness = 1; // See getTorchBrightness()
+    this.skyColor = new THREE.Color();
 
     this.init();
   }
@@ -14,6 +101,8 @@ export class LightingSystem {
     this.createAmbientLight();
     this.createDirectionalLight();
     this.createAtmosphericLights();
+    this.createNightSky();
+    this.setPreset("default");
   }
   createAmbientLight() {
     // Very low ambient light for night scene
@@ -74,15 +163,61 @@ export class LightingSystem {
     this.pointLights.push(mysticalLight);
   }
 
+  // Stars and a moon, far out and untouched by the fog; they show as the
+  // sky darkens
+  createNightSky() {
+    const random = new SeededRandom(STAR_SEED);
+    const positions = [];
+    const direction = new THREE.Vector3();
+    for (let i = 0; i < STAR_COUNT; i++) {
+      // Upper half only: the ground hides the rest
+      direction
+        .set(random.range(-1, 1), random.range(0, 1), random.range(-1, 1))
+        .normalize()
+        .multiplyScalar(SKY_RADIUS);
+      positions.push(direction.x, direction.y, direction.z);
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute(positions, 3)
+    );
+    this.stars = new THREE.Points(
+      geometry,
+      new THREE.PointsMaterial({
+        color: 0xffffff,
+        size: 1.5,
+        sizeAttenuation: false,
+        transparent: true,
+        depthWrite: false,
+        fog: false,
+      })
+    );
+    this.scene.add(this.stars);
+
+    this.moon = new THREE.Mesh(
+      new THREE.SphereGeometry(MOON_SIZE, 24, 16),
+      new THREE.MeshBasicMaterial({
+        color: 0xf4f1e0,
+        transparent: true,
+        fog: false,
+      })
+    );
+    this.scene.add(this.moon);
+  }
+
   // Dynamic lighting effects
   update(deltaTime) {
     const time = Date.now() * 0.001;
 
+    this.timeOfDay.update(deltaTime);
+    this.applyTimeOfDay();
+
     // Animate torch lights (flickering effect)
     this.pointLights.forEach((light, index) => {
       if (index < 4) {
-        // Tower torches
-        const baseIntensity = 0.8;
+        // Tower torches, brighter after dark
+        const baseIntensity = 0.8 * this.torchBrightness;
         const flickerAmount = 0.3;
         light.intensity =
           baseIntensity + Math.sin(time * 8 + index * 2) * flickerAmount * 0.1;
@@ -103,34 +238,87 @@ export class LightingSystem {
       const hue = (time * 0.1) % 1;
       mysticalLight.color.setHSL(hue * 0.3 + 0.6, 0.8, 0.6);
     }
-
-    // Day/night cycle simulation (optional)
-    this.updateDayNightCycle(time);
   }
-  updateDayNightCycle(time) {
-    // Simulate day/night cycle over 60 seconds
-    const cycleTime = (time * 0.1) % (Math.PI * 2);
-    const dayFactor = (Math.sin(cycleTime) + 1) * 0.5; // 0 to 1
-
-    // Adjust ambient light more subtly since we have HDR lighting
-    const minAmbient = 0.1;
-    const maxAmbient = 0.3;
-    this.ambientLight.intensity =
-      minAmbient + (maxAmbient - minAmbient) * dayFactor;
 
-    // Adjust directional light more subtly
-    const minDirectional = 0.2;
-    const maxDirectional = 0.8;
-    this.directionalLight.intensity =
-      minDirectional + (maxDirectional - minDirectional) * dayFactor;
+  // Lights, sky and torches for the clock's hour
+  applyTimeOfDay() {
+    const elevation = this.timeOfDay.getSunElevation();
+    const look = this.getLook(elevation);
+    this.ambientLight.intensity = look.ambient;
+    this.ambientLight.color.copy(look.ambientColor);
 
-    // Skip background color changes since we're using HDR environment map
+    const light = this.directionalLight;
+    const isDay = elevation >= 0;
+    const direction = isDay
+      ? this.timeOfDay.getSunDirection()
+      : this.timeOfDay.getMoonDirection();
+    const height = THREE.MathUtils.radToDeg(Math.asin(direction.y));
+    light.position.copy(direction).multiplyScalar(LIGHT_DISTANCE);
+    light.intensity = look.directional * smoothstep(height, 0, HORIZON_FADE);
+    if (isDay) {
+      // Warm near the horizon
+      light.color
+        .setHex(LOW_SUN_COLOR)
+        .lerp(new THREE.Color(SUN_COLOR), smoothstep(height, 0, 25));
+    } else {
+      light.color.setHex(MOON_COLOR);
+    }
 
-    // Update fog to be more subtle and match the HDR atmosphere
-    if (scene.fog) {
-      scene.fog.color.setRGB(0.53, 0.81, 0.92);
-      scene.fog.density = 0.02 + (1 - dayFactor) * 0.03;
+    if (look.sky === null && this.scene.environment) {
+      this.scene.background = this.scene.environment;
+      if (this.scene.fog) this.scene.fog.color.setHex(NIGHT_FOG);
+    } else {
+      this.skyColor.copy(look.sky || new THREE.Color(NIGHT_FOG));
+      this.scene.background = this.skyColor;
+      if (this.scene.fog) this.scene.fog.color.copy(this.skyColor);
     }
+
+    const darkness = 1 - smoothstep(elevation, -12, -2);
+    this.stars.material.opacity = darkness;
+    this.stars.visible = darkness > 0;
+    const moonDirection = this.timeOfDay.getMoonDirection();
+    this.moon.position.copy(moonDirection).multiplyScalar(SKY_RADIUS * 0.9);
+    this.moon.material.opacity = 1 - smoothstep(elevation, -6, 6);
+    this.moon.visible =
+      this.moon.material.opacity > 0 && moonDirection.y > -0.1;
+
+    this.torchBrightness = THREE.MathUtils.lerp(
+      1,
+      DAYTIME_TORCHES,
+      smoothstep(elevation, -6, 6)
+    );
+  }
+
+  // The presets either side of the sun's height, blended. sky is a colour,
+  // or null while it is wholly the HDR night.
+  getLook(elevation) {
+    const lookOf = (preset) =>
+      PRESETS[
+        preset === "night" && this.preset === "default" ? "default" : preset
+      ];
+    const keys = SKY_KEYFRAMES;
+    const next = keys.findIndex((key) => elevation < key.elevation);
+    const to = keys[next === -1 ? keys.length - 1 : next];
+    const from = next > 0 ? keys[next - 1] : to;
+    const t =
+      from === to ? 0 : smoothstep(elevation, from.elevation, to.elevation);
+    const a = lookOf(from.preset);
+    const b = lookOf(to.preset);
+    const color = (look) => new THREE.Color(look.sky ?? NIGHT_FOG);
+    return {
+      ambient: THREE.MathUtils.lerp(a.ambient, b.ambient, t),
+      ambientColor: new THREE.Color(a.ambientColor).lerp(
+        new THREE.Color(b.ambientColor),
+        t
+      ),
+      directional: THREE.MathUtils.lerp(a.directional, b.directional, t),
+      sky: a.sky === null && t === 0 ? null : color(a).lerp(color(b), t),
+    };
+  }
+
+  // Multiplier for torch light, 1 after dark
+  getTorchBrightness() {
+    return this.torchBrightness;
   }
 
   // Utility methods
@@ -167,43 +355,44 @@ export class LightingSystem {
     }
   }
 
-  // Lighting presets
+  // Torches keep their own lights; these only count them in the budget
+  addTorchLight(light) {
+    if (!this.torchLights.includes(light)) this.torchLights.push(light);
+  }
+
+  removeTorchLight(light) {
+    const index = this.torchLights.indexOf(light);
+    if (index > -1) this.torchLights.splice(index, 1);
+  }
+
+  // Only the MAX_POINT_LIGHTS nearest the camera shine
+  updateLightBudget(cameraPosition) {
+    const position = new THREE.Vector3();
+    [...this.pointLights, ...this.torchLights]
+      .map((light) => ({
+        light: light,
+        distance: light
+          .getWorldPosition(position)
+          .distanceToSquared(cameraPosition),
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .forEach(({ light }, index) => {
+        light.visible = index < MAX_POINT_LIGHTS;
+      });
+  }
+
+  // Lighting presets set the clock to their hour; from there the time of
+  // day blends on into the others. "default" is the night the scene
+  // starts with, under the HDR sky once it has loaded.
   setPreset(preset) {
-    switch (preset) {
-      case "day":
-        this.ambientLight.intensity = 0.6;
-        this.directionalLight.intensity = 1.2;
-        this.scene.background.setHex(0x87ceeb);
-        break;
-      case "night":
-        this.ambientLight.intensity = 0.2;
-        this.directionalLight.intensity = 0.3;
-        this.scene.background.setHex(0x191970);
-        break;
-      case "dramatic":
-        this.ambientLight.intensity = 0.3;
-        this.directionalLight.intensity = 2.0;
-        this.scene.background.setHex(0x2f2f2f);
-        break;
-      case "mystical":
-        this.ambientLight.intensity = 0.4;
-        this.ambientLight.color.setHex(0x6a5acd);
-        this.directionalLight.intensity = 0.8;
-        this.scene.background.setHex(0x483d8b);
-        break;
-    }
+    this.preset = PRESETS[preset] ? preset : "default";
+    this.timeOfDay.setHour(PRESET_HOURS[this.preset]);
+    this.applyTimeOfDay();
   }
 
   reset() {
-    // Reset to default lighting
-    this.ambientLight.intensity = 0.6;
-    this.ambientLight.color.setHex(0x404040);
-    this.directionalLight.intensity = 1.2;
-    this.directionalLight.color.setHex(0xffffff);
-    this.scene.background.setHex(0x87ceeb);
-
-    if (this.scene.fog) {
-      this.scene.fog.color.setHex(0x87ceeb);
-    }
+    // Reset to default lighting, with the clock running
+    this.timeOfDay.setState({ speed: 1, paused: false });
+    this.setPreset("default");
   }
 }
@@ -1,24 +1,51 @@
 import { CameraController } from "/js/camera.js";
-import { Catapult } from "/js/objects/catapult.js";
-import { Ammunition } from "/js/objects/ammunition.js";
-import { SiegeTower } from "/js/objects/siegeTower.js";
 import { LightingSystem } from "/js/lighting.js";
-import { PhysicsEngine } from "/js/physics.js";
 import { Utils } from "/js/utils.js";
 import { EffectsManager } from "/js/managers/EffectsManager.js";
-import { CollisionManager } from "/js/managers/CollisionManager.js";
-import { SceneManager } from "/js/managers/SceneManager.js";
+import { WeatherEffects } from "/js/managers/effects/WeatherEffects.js";
 import { UIManager } from "/js/managers/UIManager.js";
+import { ReplayManager } from "/js/managers/ReplayManager.js";
+import { SaveManager } from "/js/managers/SaveManager.js";
+import { ScenarioManager } from "/js/managers/ScenarioManager.js";
+import { EditorManager } from "/js/managers/EditorManager.js";
+import { ScoreManager } from "/js/managers/ScoreManager.js";
+import { HotSeatManager } from "/js/managers/HotSeatManager.js";
+import { NetworkManager } from "/js/managers/NetworkManager.js";
+import { TorchManager } from "/js/managers/TorchManager.js";
+import { SiegeWorld } from "/js/simulation/SiegeWorld.js";
+import { SimulationClock } from "/js/simulation/SimulationClock.js";
+import { TrajectoryPreview } from "/js/objects/trajectoryPreview.js";
 import { materials } from "/js/materials.js";
 import * as THREE from "three";
 import { RGBELoader } from "three/addons/loaders/RGBELoader.js";
 
+// Save browser thumbnails, in pixels
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 90;
+
+// Slots kept before the oldest are pruned, until the save browser's
+// Kayıt Sınırı slider says otherwise
+const MAX_SAVE_SLOTS = 10;
+
+// Milliseconds without a destruction before it is autosaved, so a whole
+// barrel chain (its blasts are staggered by distance) makes one save
+const AUTOSAVE_QUIET_TIME = 1000;
+
+// Seconds armed barrels took to go off in recordings from before fuses
+const LEGACY_FUSE = 0.2;
+
+// What the attacker may pick up in a two-player match
+const ENGINE_TYPES = ["catapult", "trebuchet", "siegeTower"];
+
 class MedievalSiegeSimulator {
   constructor() {
     this.scene = null;
     this.camera = null;
     this.renderer = null;
 
+    // Simulation (scene graph, physics, collision, siege engines)
+    this.world = null;
+
     // Core systems
     this.cameraController = null;
     this.lightingSystem = null;
@@ -26,17 +53,25 @@ class MedievalSiegeSimulator {
 
     // Managers
     this.effectsManager = null;
+    this.weatherEffects = null;
+    this.torches = null;
     this.collisionManager = null;
     this.sceneManager = null;
     this.uiManager = null;
+    this.replayManager = null;
+    this.saveManager = null;
+    this.scenarioManager = null;
+    this.editor = null;
+    this.scoreManager = null;
+    this.hotSeat = null;
+    this.network = null;
 
-    // Game objects
-    this.catapult = null;
+    // Game objects. The throwers live in world.engines; activeEngine is
+    // the one picked last, see getActiveEngine()
+    this.activeEngine = null;
     this.ammunition = null;
     this.siegeTower = null;
-    this.torch = null;
-    this.torchLight = null;
-    this.fireObject = null;
+    this.trajectoryPreview = null;
 
     // Game state
     this.selectedObject = null;
@@ -45,6 +80,8 @@ class MedievalSiegeSimulator {
     this.lastTime = 0;
     this.fps = 60;
     this.keys = {}; // Stores the state of currently pressed keys
+    // The guest attacker's keys and pick, when hosting as the defender
+    this.remoteInput = { keys: {}, selectedObject: null };
     // this.genericRotationSpeed = Math.PI / 180 * 2; // Removed, replaced by cameraViewRotationSpeed
     this.cameraViewRotationSpeed = Math.PI / 2; // Radians per second (90 degrees/sec) for new camera controls
 
@@ -67,6 +104,7 @@ class MedievalSiegeSimulator {
     this.setupCollisionTargets();
     this.initEventListeners();
     this.animate(0);
+    this.initScenarios();
 
     console.log("🏰 Medieval Siege Simulator başlatıldı!");
     console.log("🎯 Collision system initialized and ready!");
@@ -105,7 +143,8 @@ class MedievalSiegeSimulator {
         hdrTexture.mapping = THREE.EquirectangularReflectionMapping;
         const envMap = pmremGenerator.fromEquirectangular(hdrTexture).texture;
         this.scene.environment = envMap;
-        this.scene.background = envMap;
+        // A scenario may already have put up a plain sky
+        if (!this.scene.background) this.scene.background = envMap;
         pmremGenerator.dispose();
       },
       (xhr) => {
@@ -121,50 +160,422 @@ class MedievalSiegeSimulator {
 
     this.cameraController = new CameraController(this.camera);
     this.lightingSystem = new LightingSystem(this.scene);
-    this.physicsEngine = new PhysicsEngine(this.scene);
   }
 
   initManagers() {
     this.effectsManager = new EffectsManager(this.scene);
-    this.collisionManager = new CollisionManager(
-      this.scene,
-      this.effectsManager
-    );
+    // The world runs on its own fixed-step clock and seeded random streams,
+    // which is what lets a recorded session be replayed exactly
+    this.world = new SiegeWorld({
+      scene: this.scene,
+      effectsManager: this.effectsManager,
+      clock: new SimulationClock(),
+      seed: this.createSeed(),
+    });
+    this.effectsManager.setWind(this.world.wind);
+    this.weatherEffects = new WeatherEffects(this.scene, this.world.weather);
+    this.physicsEngine = this.world.physicsEngine;
+    this.collisionManager = this.world.collisionManager;
     //this.collisionManager.setDebugMode(true);
-    this.sceneManager = new SceneManager(this.scene);
+    this.sceneManager = this.world.sceneManager;
     this.uiManager = new UIManager();
+    this.replayManager = new ReplayManager(this.world, (event) =>
+      this.applyReplayEvent(event)
+    );
+    this.replayManager.onPlaybackEnd = () =>
+      this.uiManager.setReplayState("idle", true);
+    this.saveManager = new SaveManager(this.world, {
+      maxSlots: MAX_SAVE_SLOTS,
+    });
+    this.uiManager.setSaveLimit(this.saveManager.maxSlots);
+    this.showSaveSlots();
+    // Every destruction is kept, once things have gone quiet again.
+    // Barrels only announce barrelExploded, however they went off.
+    this.autosaveDueAt = null;
+    ["targetDestroyed", "barrelExploded"].forEach((type) =>
+      this.world.eventTarget.addEventListener(
+        type,
+        () => (this.autosaveDueAt = Date.now() + AUTOSAVE_QUIET_TIME)
+      )
+    );
+    // Torches carried past barrels arm them
+    this.world.eventTarget.addEventListener("barrelArmed", (event) => {
+      this.paintBarrel(event.detail.mesh);
+      Utils.playSound("sounds/effects/arm_explosive", 0.8);
+    });
+    this.scenarioManager = new ScenarioManager(this.world);
+    this.editor = new EditorManager(this.world);
+    this.editor.onChange = () => this.handleEditorChange();
+    this.scoreManager = new ScoreManager();
+    this.hotSeat = new HotSeatManager(this.world);
+    this.hotSeat.onChange = () => this.handleHotSeatChange();
+    this.network = new NetworkManager(this.world, this.effectsManager);
+    this.network.onStatusChange = () => this.handleNetworkChange();
+    this.network.onPeerJoined = () => this.startNewRound();
+    this.network.onSync = (sync) => this.restoreWorld(sync.state);
+    this.network.onCommand = (command) => this.applyRemoteCommand(command);
+    this.network.onEnd = (wasGuest) => {
+      // Back to a world of its own
+      if (wasGuest) this.startNewRound();
+    };
+    this.network.reader.onRoundEnd = (summary) => this.handleRoundEnd(summary);
+    this.world.gameMode.onRoundEnd = (summary) => this.handleRoundEnd(summary);
     this.sceneManager.createGround();
     this.sceneManager.createMedievalSquare();
-    const { torch, light, ambientLight, fire } =
-      this.sceneManager.createTorch();
-    this.torch = torch;
-    this.torchLight = light;
-    this.torchAmbientLight = ambientLight;
-    this.fireObject = fire;
+    this.world.defenderManager.populate();
+    this.torches = new TorchManager(
+      this.scene,
+      this.effectsManager,
+      this.lightingSystem
+    );
+    this.torches.place();
     this.uiManager.setVolumeControlsEnabled(false);
   }
 
+  // Until the bundled scenarios arrive the built-in castle stands in
+  async initScenarios() {
+    const scenarios = await this.scenarioManager.loadBundled();
+    this.uiManager.setScenarioList(scenarios);
+    if (scenarios.length > 0) {
+      this.selectScenario(scenarios[0]);
+    } else {
+      this.applyScenario(null);
+    }
+  }
+
+  // A new scenario starts a fresh round, so like a reset it ends any
+  // recording or playback
+  selectScenario(scenario) {
+    if (!scenario) return;
+    if (this.replayManager.isRecording) this.toggleRecording();
+    this.replayManager.stopPlayback();
+    if (this.applyScenario(scenario)) {
+      this.resetScene({ rebuildCastle: true });
+    }
+  }
+
+  async loadScenarioFile(file) {
+    const { scenario, errors } = await this.scenarioManager.loadScenarioFile(
+      file
+    );
+    if (!scenario) {
+      console.warn("⚠️ Scenario rejected:", errors);
+      this.uiManager.showScenarioError(errors);
+      return;
+    }
+    this.selectScenario(scenario);
+  }
+
+  // Castle, barrels and start positions follow on the next rebuilding
+  // reset; lighting and the panel change now. Returns false if rejected.
+  applyScenario(scenario) {
+    const errors = this.scenarioManager.apply(scenario);
+    if (errors.length > 0) {
+      console.warn("⚠️ Scenario rejected:", errors);
+      this.uiManager.showScenarioError(errors);
+      return false;
+    }
+    this.lightingSystem.setPreset(scenario?.lighting);
+    this.uiManager.setWindLocked(this.world.wind.locked);
+    this.uiManager.showScenario(
+      scenario,
+      ScenarioManager.describeWinConditions(scenario)
+    );
+    return true;
+  }
+
+  // The editor works on a freshly built copy of the scenario in play. The
+  // simulation stands still while editing; leaving the editor loads the
+  // edited layout as the scenario.
+  toggleEditor() {
+    if (this.hotSeat.active || this.network.active) return;
+    if (this.editor.active) {
+      const scenario = this.editor.toScenario();
+      if (!this.applyScenario(scenario)) return; // Stay and fix it
+      this.editor.stop();
+      this.uiManager.setEditorState(false);
+      this.resetScene({ rebuildCastle: true });
+      return;
+    }
+    if (this.replayManager.isRecording) this.toggleRecording();
+    this.replayManager.stopPlayback();
+    this.resetScene({ rebuildCastle: true });
+    this.keys = {};
+    this.editor.start(this.scenarioManager.current);
+    this.uiManager.setEditorState(true);
+  }
+
+  // Palette pieces go where the camera is looking
+  spawnEditorObject(type) {
+    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+    const ground = this.scene.getObjectByName("ground");
+    const hit = ground ? this.raycaster.intersectObject(ground)[0] : null;
+    const point = hit ? hit.point : new THREE.Vector3();
+    this.editor.spawn(type, point.x, point.z);
+  }
+
+  async importEditorFile(file) {
+    const { scenario, errors } = await this.scenarioManager.loadScenarioFile(
+      file
+    );
+    if (!scenario) {
+      console.warn("⚠️ Scenario rejected:", errors);
+      this.uiManager.showScenarioError(errors);
+      return;
+    }
+    this.editor.load(scenario);
+    this.lightingSystem.setPreset(scenario.lighting);
+  }
+
+  exportEditorScenario() {
+    const scenario = this.editor.toScenario();
+    Utils.downloadJSON(`${scenario.id}.json`, scenario);
+  }
+
+  handleEditorChange() {
+    this.setSelectedObject(this.editor.selected);
+    this.uiManager.setEditorHistory(
+      this.editor.history.canUndo(),
+      this.editor.history.canRedo()
+    );
+  }
+
+  // Returns true if the key was an editor command
+  handleEditorKey(event) {
+    const command = event.ctrlKey || event.metaKey;
+    if (command && event.code === "KeyZ") {
+      if (event.shiftKey) this.editor.redo();
+      else this.editor.undo();
+    } else if (command && event.code === "KeyY") {
+      this.editor.redo();
+    } else if (event.code === "Comma") {
+      this.editor.rotateSelected(-1);
+    } else if (event.code === "Period") {
+      this.editor.rotateSelected(1);
+    } else if (event.code === "Equal" || event.code === "NumpadAdd") {
+      this.editor.scaleSelected(1);
+    } else if (event.code === "Minus" || event.code === "NumpadSubtract") {
+      this.editor.scaleSelected(-1);
+    } else if (event.code === "Backspace") {
+      this.editor.deleteSelected();
+    } else {
+      return false;
+    }
+    event.preventDefault();
+    return true;
+  }
+
+  // A replayed round shows its summary but doesn't score again, and nor
+  // does the host's round on the guest's screen. A hot-seat match has its
+  // own end screen.
+  handleRoundEnd(summary) {
+    if (this.hotSeat.active) return;
+    const rank =
+      this.replayManager.isPlaying || this.network.isGuest
+        ? -1
+        : this.scoreManager.submit(summary);
+    console.log(
+      `${summary.won ? "🏆" : "💀"} Round over: ${summary.score} points`
+    );
+    this.uiManager.showRoundSummary(
+      summary,
+      this.describeObjectives(summary.objectives),
+      this.scoreManager.getHighScores(summary.scenarioId),
+      rank
+    );
+  }
+
+  describeObjectives(objectives) {
+    return objectives.map((objective) =>
+      ScenarioManager.describeCondition(objective)
+    );
+  }
+
+  // Two players at one machine, on a freshly built castle. Replays can't
+  // follow a match, so it ends any recording or playback.
+  toggleHotSeat() {
+    if (this.hotSeat.active) {
+      this.hotSeat.stop();
+      return;
+    }
+    if (this.editor.active || this.network.active) return;
+    if (this.replayManager.isRecording) this.toggleRecording();
+    this.replayManager.stopPlayback();
+    this.resetScene({ rebuildCastle: true });
+    this.hotSeat.start();
+  }
+
+  // Who drives the engines: in a hot-seat match only the attacker on
+  // their turn, in a networked one only the attacker's browser
+  canAttack() {
+    if (this.hotSeat.active) return this.hotSeat.isAttackerTurn();
+    if (this.network.active) return this.network.role === "attacker";
+    return true;
+  }
+
+  isDefending() {
+    if (this.hotSeat.active) return this.hotSeat.isDefenderTurn();
+    return this.network.active && this.network.role === "defender";
+  }
+
+  // The engines answer to the guest when this browser hosts as the
+  // defender
+  getEngineInput() {
+    if (this.network.isHost && this.network.role === "defender") {
+      return this.remoteInput;
+    }
+    return { keys: this.keys, selectedObject: this.selectedObject };
+  }
+
+  // The relay serves the page too (tools/relay-server.mjs); ?relay=
+  // points elsewhere
+  getRelayUrl() {
+    const relay = new URLSearchParams(location.search).get("relay");
+    if (relay) return relay;
+    const protocol = location.protocol === "https:" ? "wss:" : "ws:";
+    return `${protocol}//${location.host}/relay`;
+  }
+
+  // Attacker and defender in two browsers. Like a hot-seat match, it ends
+  // any recording or playback.
+  toggleNetwork(room, role) {
+    if (this.network.active) {
+      this.network.leave();
+      return;
+    }
+    if (this.editor.active || this.hotSeat.active) return;
+    if (this.replayManager.isRecording) this.toggleRecording();
+    this.replayManager.stopPlayback();
+    this.network.connect(this.getRelayUrl(), room || "default", role);
+  }
+
+  handleNetworkChange() {
+    this.keys = {};
+    this.isDragging = false;
+    this.setSelectedObject(null);
+    this.uiManager.setNetworkState(this.network.getStatus());
+  }
+
+  // Host: the guest attacker's input, carried out as if it were local
+  applyRemoteCommand(command) {
+    const input = this.remoteInput;
+    switch (command.type) {
+      case "keydown":
+        input.keys[command.code] = true;
+        break;
+      case "keyup":
+        input.keys[command.code] = false;
+        break;
+      case "fire": {
+        const engine = this.world.getEngine(
+          this.network.resolveObject(command.engine)
+        );
+        if (engine) this.fireEngine(command.tension, engine);
+        break;
+      }
+      case "select": {
+        if (input.selectedObject) {
+          input.selectedObject.userData.isDragging = false;
+        }
+        const object = this.network.resolveObject(command.target);
+        input.selectedObject = ENGINE_TYPES.includes(object?.userData.type)
+          ? object
+          : null;
+        if (input.selectedObject) {
+          input.selectedObject.userData.isDragging = Boolean(command.dragging);
+        }
+        break;
+      }
+      case "drag":
+        if (
+          input.selectedObject?.userData.isDragging &&
+          Array.isArray(command.position)
+        ) {
+          this.placeDragged(
+            input.selectedObject,
+            new THREE.Vector3().fromArray(command.position)
+          );
+        }
+        break;
+      case "release":
+        if (input.selectedObject) {
+          input.selectedObject.userData.isDragging = false;
+        }
+        break;
+      case "ammo":
+        this.world
+          .getEngine(this.network.resolveObject(command.engine))
+          ?.setAmmoType(command.ammoType);
+        this.updateAmmoDisplay();
+        break;
+      case "armExplosive": {
+        const barrel = this.network.resolveObject(command.target);
+        if (barrel?.userData.type === "barrel") this.toggleExplosive(barrel);
+        break;
+      }
+    }
+  }
+
+  // A new turn starts with nothing held or picked up from the last one
+  handleHotSeatChange() {
+    this.keys = {};
+    this.isDragging = false;
+    this.setSelectedObject(null);
+    this.uiManager.setHotSeatState(this.hotSeat.getStatus());
+  }
+
+  // The defender, on their turn or in their browser: left click posts an
+  // archer on a wall or tower, right click patches it up
+  handleDefenderClick(event) {
+    if (event.target !== this.renderer.domElement) return; // The panel
+    this.raycaster.setFromCamera(this.mousePos, this.camera);
+    const intersects = this.raycaster.intersectObjects(
+      this.scene.children,
+      true
+    );
+    for (const intersect of intersects) {
+      let host = intersect.object;
+      while (host && !["wall", "tower"].includes(host.userData?.type)) {
+        host = host.parent;
+      }
+      if (!host) continue;
+      const defense = this.hotSeat.active ? this.hotSeat : this.network;
+      if (event.button === 0) {
+        defense.postDefender(host, intersect.point);
+      } else if (event.button === 2) {
+        defense.repair(host);
+      }
+      return;
+    }
+  }
+
+  // Same as a reset, but the castle is rebuilt for a fresh round
+  startNewRound() {
+    if (this.network.isGuest) return; // The host starts them
+    if (this.replayManager.isRecording) this.toggleRecording();
+    this.replayManager.stopPlayback();
+    this.resetScene({ rebuildCastle: true });
+  }
+
+  createSeed() {
+    return Math.floor(Math.random() * 0xffffffff);
+  }
+
   initObjects() {
-    this.catapult = new Catapult(this.scene);
-    this.ammunition = new Ammunition(this.scene);
-    this.siegeTower = new SiegeTower(this.scene);
-    this.scene.collisionManager = this.collisionManager;
+    this.world.createSiegeEngines();
+    this.ammunition = this.world.ammunition;
+    this.siegeTower = this.world.siegeTower;
+    this.trajectoryPreview = new TrajectoryPreview(
+      this.scene,
+      this.collisionManager.collisionDetector,
+      { terrain: this.world.terrain }
+    );
+    this.updateAmmoDisplay();
   }
 
   setupCollisionTargets() {
     console.log("🎯 Setting up collision targets...");
-    this.scene.traverse((object) => {
-      if (object.name === "ground") {
-        object.userData.type = "ground";
-      }
-      if (
-        object.name &&
-        (object.name.includes("wall") || object.name.includes("tower")) &&
-        !object.userData.type
-      ) {
-        object.userData.type = object.name;
-      }
-    });
+    this.world.setupCollisionTargets();
   }
 
   createTestBarrels() {
@@ -178,17 +589,77 @@ class MedievalSiegeSimulator {
     document.addEventListener("mouseup", (e) => this.handleMouseUp(e));
     document.addEventListener("contextmenu", (e) => e.preventDefault());
 
-    this.uiManager.onFireButtonClick = () => this.fireCatapult();
-    this.uiManager.onResetButtonClick = () => this.resetScene();
-    this.uiManager.onTorchSliderChange = (value) => {
-      if (this.torchLight) {
-        if (this.effectsManager && this.effectsManager.updateFireEffect) {
-          // updateFireEffect in EffectsManager will handle intensity based on slider
-        } else if (this.torchLight.isPointLight) {
-          this.torchLight.intensity = Utils.map(value, 0, 100, 0, 5);
-        }
+    this.uiManager.onFireButtonClick = () => {
+      if (!this.replayManager.isPlaying && this.canAttack()) {
+        this.fireEngine();
       }
     };
+    this.uiManager.onResetButtonClick = () => {
+      // A reset can't be replayed, so it ends any recording or playback
+      if (this.replayManager.isRecording) this.toggleRecording();
+      this.replayManager.stopPlayback();
+      this.resetScene();
+    };
+    this.uiManager.onAmmoCycleClick = () => {
+      if (!this.replayManager.isPlaying) this.cycleAmmoType();
+    };
+    this.uiManager.onWindLockChange = (locked) =>
+      this.world.wind.setLocked(locked);
+    this.uiManager.onWindRandomizeClick = () => this.randomizeWind();
+    this.uiManager.onWeatherChange = (type) => this.setWeather(type);
+    this.uiManager.onRecordButtonClick = () => this.toggleRecording();
+    this.uiManager.onExportReplayClick = () =>
+      this.replayManager.exportReplay();
+    this.uiManager.onReplayFileSelected = (file) => this.loadReplay(file);
+    this.uiManager.onSaveGameClick = (name) => this.saveGame(name);
+    this.uiManager.onLoadGameClick = (name) =>
+      this.loadGame(this.saveManager.getSlot(name));
+    this.uiManager.onDeleteSaveClick = (name) => {
+      this.saveManager.deleteSlot(name);
+      this.showSaveSlots();
+    };
+    this.uiManager.onSaveLimitChange = (count) => {
+      this.saveManager.setMaxSlots(count);
+      this.showSaveSlots();
+    };
+    this.uiManager.onExportSaveClick = (name) =>
+      this.saveManager.exportSave(name, this.getViewState());
+    this.uiManager.onSaveFileSelected = (file) => this.loadSaveFile(file);
+    this.uiManager.onScenarioSelect = (id) =>
+      this.selectScenario(this.scenarioManager.getScenario(id));
+    this.uiManager.onScenarioFileSelected = (file) =>
+      this.loadScenarioFile(file);
+    this.uiManager.onNewRoundClick = () => this.startNewRound();
+    this.uiManager.onHotSeatToggle = () => this.toggleHotSeat();
+    this.uiManager.onEndTurnClick = () => this.hotSeat.endTurn();
+    this.uiManager.onHandoffReady = () => this.hotSeat.ready();
+    this.uiManager.onNetworkToggle = (room, role) =>
+      this.toggleNetwork(room, role);
+    this.uiManager.onEditorToggle = () => this.toggleEditor();
+    this.uiManager.onEditorSpawn = (type) => this.spawnEditorObject(type);
+    this.uiManager.onEditorRotate = (direction) =>
+      this.editor.rotateSelected(direction);
+    this.uiManager.onEditorScale = (direction) =>
+      this.editor.scaleSelected(direction);
+    this.uiManager.onEditorDelete = () => this.editor.deleteSelected();
+    this.uiManager.onEditorUndo = () => this.editor.undo();
+    this.uiManager.onEditorRedo = () => this.editor.redo();
+    this.uiManager.onGridChange = (enabled, size) =>
+      this.editor.setGrid(enabled, size);
+    this.uiManager.onEditorExport = () => this.exportEditorScenario();
+    this.uiManager.onEditorFileSelected = (file) => this.importEditorFile(file);
+    this.uiManager.onFuseTimeChange = (seconds) =>
+      this.world.fuseManager.setFuseTime(seconds);
+    this.uiManager.onPlaceTorchClick = () => this.placeTorch();
+    this.uiManager.onTorchToggleClick = () => {
+      const torch = this.torches.getTorch(this.selectedObject);
+      if (torch) this.setTorchLit(torch, !torch.isLit());
+    };
+    const timeOfDay = this.lightingSystem.timeOfDay;
+    this.uiManager.onTimeOfDayChange = (hour) => timeOfDay.setHour(hour);
+    this.uiManager.onTimePauseToggle = () =>
+      timeOfDay.setPaused(!timeOfDay.paused);
+    this.uiManager.onTimeSpeedChange = (speed) => timeOfDay.setSpeed(speed);
     this.uiManager.onWindowResize = () => {
       this.camera.aspect = window.innerWidth / window.innerHeight;
       this.camera.updateProjectionMatrix();
@@ -197,14 +668,49 @@ class MedievalSiegeSimulator {
   }
 
   handleKeyDown(event) {
+    // Typing a save name doesn't drive the engines
+    if (event.target?.type === "text") return;
+    if (this.editor.active) {
+      // The camera keys still work while editing
+      if (!this.handleEditorKey(event)) this.keys[event.code] = true;
+      return;
+    }
+    if (this.replayManager.isPlaying) {
+      // Input comes from the replay; Escape hands control back
+      if (event.code === "Escape") this.replayManager.stopPlayback();
+      return;
+    }
+    // Only the attacker drives the engines; the camera keys work for both
+    // players, and Enter takes the seat on the handoff screen
+    if (!this.canAttack()) {
+      if (event.code === "Enter" && this.hotSeat.active) this.hotSeat.ready();
+      else this.keys[event.code] = true;
+      return;
+    }
+    if (!this.keys[event.code]) {
+      this.replayManager.record({ type: "keydown", code: event.code });
+      if (this.network.isGuest) {
+        this.network.sendCommand({ type: "keydown", code: event.code });
+      }
+    }
     this.keys[event.code] = true;
     if (event.code === "Space") {
       event.preventDefault();
-      this.fireCatapult();
+      this.fireEngine();
+    }
+    if (event.code === "KeyM") {
+      this.cycleAmmoType();
     }
   }
 
   handleKeyUp(event) {
+    if (this.replayManager.isPlaying) return;
+    if (this.keys[event.code]) {
+      this.replayManager.record({ type: "keyup", code: event.code });
+      if (this.network.isGuest) {
+        this.network.sendCommand({ type: "keyup", code: event.code });
+      }
+    }
     this.keys[event.code] = false;
   }
 
@@ -214,8 +720,8 @@ class MedievalSiegeSimulator {
 
     if (
       this.isDragging &&
-      this.selectedObject &&
-      this.selectedObject.userData.draggable
+      this.canDrag(this.selectedObject) &&
+      !this.replayManager.isPlaying
     ) {
       this.raycaster.setFromCamera(this.mousePos, this.camera);
       const ground = this.scene.getObjectByName("ground");
@@ -226,43 +732,82 @@ class MedievalSiegeSimulator {
       if (intersects.length > 0) {
         this.lastIntersectionPoint.copy(intersects[0].point);
       }
-      this.selectedObject.position.x = this.lastIntersectionPoint.x;
-      this.selectedObject.position.z = this.lastIntersectionPoint.z;
-      switch (this.selectedObject.userData.type) {
-        case "barrel":
-          this.selectedObject.position.y = 1.0;
-          break;
-        case "torch":
-          this.selectedObject.position.y = 0.0;
-          break;
-        case "catapult":
-          this.selectedObject.position.y = 0.0;
-          break;
-        case "siegeTower":
-          this.selectedObject.position.y = 0.0;
-          break;
-        case "stone":
-          this.selectedObject.position.y =
-            this.selectedObject.geometry.parameters.radius || 0.3;
-          break;
-        default:
-          this.selectedObject.position.y = 0;
+      const point = this.editor.active
+        ? this.editor.snapPoint(this.lastIntersectionPoint)
+        : this.lastIntersectionPoint;
+      // The guest's engines move in the host's world
+      if (this.network.isGuest) {
+        this.network.sendCommand({
+          type: "drag",
+          target: this.network.getObjectId(this.selectedObject),
+          position: point.toArray(),
+        });
+        return;
       }
+      if (!this.placeDragged(this.selectedObject, point)) return;
+      this.replayManager.record({
+        type: "drag",
+        target: ReplayManager.getObjectId(this.scene, this.selectedObject),
+        position: this.selectedObject.position.toArray(),
+      });
     } else {
       if (this.cameraController && this.cameraController.handleMouseMove) {
         this.cameraController.handleMouseMove(event, this.mousePos);
       }
     }
   }
+  // Stands object at point on the ground. Returns false if it can't go
+  // there: dragged or driven, the siege tower doesn't go through walls.
+  placeDragged(object, point) {
+    if (
+      !this.editor.active &&
+      object === this.siegeTower.mesh &&
+      this.siegeTower.isBlocked(object.position, point)
+    ) {
+      return false;
+    }
+    object.position.x = point.x;
+    object.position.z = point.z;
+    const groundHeight = this.world.terrain.getHeight(point.x, point.z);
+    switch (object.userData.type) {
+      case "barrel":
+        object.position.y = groundHeight + 1.0;
+        break;
+      case "torch":
+        object.position.y = groundHeight;
+        break;
+      case "catapult":
+      case "trebuchet":
+        this.world.getEngine(object)?.settle(); // On its wheels
+        break;
+      case "siegeTower":
+        this.siegeTower.settle();
+        break;
+      case "stone":
+        object.position.y =
+          groundHeight + (object.geometry.parameters.radius || 0.3);
+        break;
+      default:
+        object.position.y = groundHeight;
+    }
+    return true;
+  }
+
   handleMouseDown(event) {
     if (this.cameraController && this.cameraController.handleMouseDown) {
       this.cameraController.handleMouseDown(event);
     }
+    if (this.replayManager.isPlaying) return;
+    if (this.isDefending()) {
+      this.handleDefenderClick(event);
+      return;
+    }
     if (event.button === 0) {
       this.selectObject(event);
-      if (this.selectedObject && this.selectedObject.userData.draggable) {
+      if (this.canDrag(this.selectedObject)) {
         this.isDragging = true;
         this.selectedObject.userData.isDragging = true;
+        if (this.editor.active) this.editor.beginMove(this.selectedObject);
         this.raycaster.setFromCamera(this.mousePos, this.camera);
         const ground = this.scene.getObjectByName("ground");
         if (ground) {
@@ -272,7 +817,24 @@ class MedievalSiegeSimulator {
           }
         }
       }
-    } else if (event.button === 2) {
+      this.replayManager.record({
+        type: "select",
+        target: ReplayManager.getObjectId(this.scene, this.selectedObject),
+        dragging: this.isDragging,
+      });
+      if (this.network.isGuest) {
+        this.network.sendCommand({
+          type: "select",
+          target: this.network.getObjectId(this.selectedObject),
+          dragging: this.isDragging,
+        });
+      }
+    } else if (
+      event.button === 2 &&
+      !this.editor.active &&
+      !this.hotSeat.active &&
+      this.canAttack()
+    ) {
       this.armExplosive(event);
     }
   }
@@ -280,6 +842,12 @@ class MedievalSiegeSimulator {
     if (this.cameraController && this.cameraController.handleMouseUp) {
       this.cameraController.handleMouseUp(event);
     }
+    if (this.replayManager.isPlaying) return;
+    if (this.isDragging) {
+      this.replayManager.record({ type: "release" });
+      if (this.network.isGuest) this.network.sendCommand({ type: "release" });
+      if (this.editor.active) this.editor.endMove();
+    }
     this.isDragging = false;
     if (this.selectedObject) {
       this.selectedObject.userData.isDragging = false;
@@ -295,14 +863,30 @@ class MedievalSiegeSimulator {
     let newSelectedObj = null;
     for (const intersect of intersects) {
       let obj = intersect.object;
-      while (obj.parent && !obj.userData.draggable) {
+      while (obj.parent && !this.canDrag(obj)) {
         obj = obj.parent;
       }
-      if (obj.userData.draggable) {
+      if (this.canDrag(obj)) {
         newSelectedObj = obj;
         break;
       }
     }
+    this.setSelectedObject(newSelectedObj);
+  }
+
+  // In the editor the castle pieces can be picked up too, and only the
+  // things a scenario places. In a two-player match only the attacker
+  // picks anything up, and only their own engines.
+  canDrag(object) {
+    if (!object) return false;
+    if (this.editor.active) return EditorManager.isEditable(object);
+    if (this.hotSeat.active || this.network.active) {
+      return this.canAttack() && ENGINE_TYPES.includes(object.userData.type);
+    }
+    return Boolean(object.userData.draggable);
+  }
+
+  setSelectedObject(newSelectedObj) {
     if (this.selectedObject && this.selectedObject !== newSelectedObj) {
       if (this.selectedObject.userData.originalMaterialEmissive !== undefined) {
         if (
@@ -336,6 +920,13 @@ class MedievalSiegeSimulator {
       }
     }
     this.selectedObject = newSelectedObj;
+    if (this.editor.active) this.editor.select(newSelectedObj);
+    // Picking a thrower makes it the one that fires
+    const engine = this.world.getEngine(newSelectedObj);
+    if (engine && engine !== this.activeEngine) {
+      this.activeEngine = engine;
+      this.updateAmmoDisplay();
+    }
     if (this.selectedObject) {
       if (!this.selectedObject.material) {
         this.uiManager.setSelectedObject(this.selectedObject);
@@ -399,95 +990,169 @@ class MedievalSiegeSimulator {
         break;
       }
     }
-    if (barrelToArm) {
-      barrelToArm.userData.explosive = !barrelToArm.userData.explosive;
-      const targetColor = barrelToArm.userData.explosive
-        ? 0xff4444
-        : barrelToArm.userData.originalMaterialBaseColorHex !== undefined
-        ? barrelToArm.userData.originalMaterialBaseColorHex
-        : 0x8b4513;
-      if (
-        !barrelToArm.userData.hasClonedMaterialForDamageState &&
-        !barrelToArm.userData.clonedMaterialForSelection
-      ) {
-        let isSharedGlobalMaterial = false;
-        for (const key in materials) {
-          if (
-            materials.hasOwnProperty(key) &&
-            typeof materials[key] === "object" &&
-            materials[key] &&
-            materials[key].isMaterial
-          ) {
-            if (barrelToArm.material === materials[key]) {
-              isSharedGlobalMaterial = true;
-              break;
-            }
-          }
-        }
+    if (barrelToArm && this.network.isGuest) {
+      this.network.sendCommand({
+        type: "armExplosive",
+        target: this.network.getObjectId(barrelToArm),
+      });
+    } else if (barrelToArm) {
+      this.replayManager.record({
+        type: "armExplosive",
+        target: ReplayManager.getObjectId(this.scene, barrelToArm),
+        fuse: this.world.fuseManager.fuseTime,
+      });
+      this.toggleExplosive(barrelToArm);
+    }
+  }
+
+  // Arming lights the barrel's fuse, fuse seconds long; toggling it again
+  // before it runs out puts the fuse out
+  toggleExplosive(barrelToArm, fuse = this.world.fuseManager.fuseTime) {
+    barrelToArm.userData.explosive = !barrelToArm.userData.explosive;
+    this.paintBarrel(barrelToArm);
+    Utils.playSound(
+      barrelToArm.userData.explosive
+        ? "sounds/effects/arm_explosive"
+        : "sounds/effects/disarm_explosive",
+      0.8
+    );
+    if (barrelToArm.userData.explosive) {
+      this.cameraController.shake(3, 500);
+      this.world.fuseManager.light(barrelToArm, fuse);
+    } else {
+      this.cameraController.shake(1, 300);
+      this.world.fuseManager.snuff(barrelToArm);
+    }
+  }
+
+  // Red while armed, its own colour otherwise
+  paintBarrel(barrel) {
+    const targetColor = barrel.userData.explosive
+      ? 0xff4444
+      : barrel.userData.originalMaterialBaseColorHex !== undefined
+      ? barrel.userData.originalMaterialBaseColorHex
+      : 0x8b4513;
+    if (
+      !barrel.userData.hasClonedMaterialForDamageState &&
+      !barrel.userData.clonedMaterialForSelection
+    ) {
+      let isSharedGlobalMaterial = false;
+      for (const key in materials) {
         if (
-          isSharedGlobalMaterial ||
-          (barrelToArm.material.users && barrelToArm.material.users > 1)
+          materials.hasOwnProperty(key) &&
+          typeof materials[key] === "object" &&
+          materials[key] &&
+          materials[key].isMaterial
         ) {
-          if (barrelToArm.userData.originalMaterialBaseColorHex === undefined) {
-            barrelToArm.userData.originalMaterialBaseColorHex =
-              barrelToArm.material.color.getHex();
+          if (barrel.material === materials[key]) {
+            isSharedGlobalMaterial = true;
+            break;
           }
-          barrelToArm.material = barrelToArm.material.clone();
         }
       }
-      barrelToArm.material.color.setHex(targetColor);
-      Utils.playSound(
-        barrelToArm.userData.explosive
-          ? "sounds/effects/arm_explosive"
-          : "sounds/effects/disarm_explosive",
-        0.8
-      );
-      if (barrelToArm.userData.explosive) {
-        this.cameraController.shake(3, 500);
-        setTimeout(() => {
-          if (
-            barrelToArm &&
-            barrelToArm.parent &&
-            !barrelToArm.userData.isExploding
-          ) {
-            barrelToArm.userData.isExploding = true;
-            const dummyTargetWrapper = {
-              mesh: barrelToArm,
-              type: "barrel",
-              explosive: true,
-              position: barrelToArm.position.clone(),
-            };
-            this.collisionManager.triggerBarrelExplosion(
-              dummyTargetWrapper,
-              barrelToArm.position.clone()
-            );
-            if (this.selectedObject === barrelToArm) {
-              this.selectedObject = null;
-              this.uiManager.setSelectedObject(null);
-            }
-          }
-        }, 200);
-      } else {
-        this.cameraController.shake(1, 300);
+      if (
+        isSharedGlobalMaterial ||
+        (barrel.material.users && barrel.material.users > 1)
+      ) {
+        if (barrel.userData.originalMaterialBaseColorHex === undefined) {
+          barrel.userData.originalMaterialBaseColorHex =
+            barrel.material.color.getHex();
+        }
+        barrel.material = barrel.material.clone();
       }
     }
+    barrel.material.color.setHex(targetColor);
+  }
+
+  randomizeWind() {
+    if (this.replayManager.isPlaying) return;
+    this.world.wind.randomize();
+    this.replayManager.record({
+      type: "wind",
+      settings: this.world.wind.getSettings(),
+    });
+  }
+
+  // Blends in over the next half minute. A guest's weather is the host's.
+  setWeather(type) {
+    if (this.replayManager.isPlaying || this.network.isGuest) return;
+    this.world.weather.setType(type);
+    this.replayManager.record({ type: "weather", weather: type });
+  }
+
+  // A new torch on the ground in the middle of the view, selected so it
+  // can be put out straight away
+  placeTorch() {
+    if (this.replayManager.isPlaying) return;
+    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+    const ground = this.scene.getObjectByName("ground");
+    const hit = ground && this.raycaster.intersectObject(ground)[0];
+    const position = (hit ? hit.point : this.cameraController.target).clone();
+    position.y = this.world.terrain.getHeight(position.x, position.z);
+    const torch = this.torches.place(position);
+    this.replayManager.record({
+      type: "placeTorch",
+      position: torch.group.position.toArray(),
+    });
+    this.setSelectedObject(torch.group);
+    this.replayManager.record({
+      type: "select",
+      target: ReplayManager.getObjectId(this.scene, torch.group),
+      dragging: false,
+    });
+  }
+
+  setTorchLit(torch, lit) {
+    if (this.replayManager.isPlaying) return;
+    this.torches.setLit(torch, lit);
+    this.replayManager.record({
+      type: "torchLit",
+      target: ReplayManager.getObjectId(this.scene, torch.group),
+      lit: lit,
+    });
+  }
+
+  // The thrower shots and ammo changes go to: the one picked last, or the
+  // first of the scenario's
+  getActiveEngine() {
+    const engines = this.world.engines;
+    return engines.includes(this.activeEngine)
+      ? this.activeEngine
+      : engines[0] || null;
   }
-  fireCatapult() {
-    if (!this.catapult || !this.catapult.mesh) return;
-    if (!this.catapult.isReadyToFire()) {
+
+  // Tension defaults to the slider and the engine to the active one;
+  // replays and the guest attacker pass their own
+  fireEngine(tension = null, engine = this.getActiveEngine()) {
+    if (!engine || !engine.mesh || this.editor.active) return;
+    if (tension === null) {
+      const tensionSlider = document.getElementById("tensionSlider");
+      tension = tensionSlider ? parseInt(tensionSlider.value) : 50;
+    }
+    if (this.network.isGuest) {
+      this.network.sendCommand({
+        type: "fire",
+        tension: tension,
+        engine: this.network.getObjectId(engine.mesh),
+      });
       return;
     }
-    const tensionSlider = document.getElementById("tensionSlider");
-    const tension = tensionSlider ? parseInt(tensionSlider.value) : 50;
+    if (!engine.isReadyToFire() || !this.world.gameMode.canFire()) {
+      return;
+    }
+    if (this.hotSeat.active && !this.hotSeat.canFire()) return;
+    this.replayManager.record({
+      type: "fire",
+      tension: tension,
+      engine: ReplayManager.getObjectId(this.scene, engine.mesh),
+    });
     if (Utils.playSound) {
       Utils.playSound(
         "sounds/effects/catapult_fire",
         Utils.map ? Utils.map(tension, 10, 100, 0.5, 1.0) : 0.8
       );
     }
-    if (this.catapult.fire) {
-      this.catapult.fire(tension);
-    }
+    this.world.fireEngine(engine, tension);
     setTimeout(() => {
       const activeProjectiles = this.getActiveProjectiles();
       if (activeProjectiles.length > 0) {
@@ -501,6 +1166,36 @@ class MedievalSiegeSimulator {
     }, 100);
   }
 
+  // The loaded ammo type stays with the engine across resets
+  cycleAmmoType() {
+    const engine = this.getActiveEngine();
+    if (!engine || !this.canAttack()) return;
+    const previous = engine.ammoType;
+    const ammoType = engine.cycleAmmoType();
+    if (ammoType !== previous) {
+      this.replayManager.record({
+        type: "ammo",
+        ammoType: ammoType,
+        engine: ReplayManager.getObjectId(this.scene, engine.mesh),
+      });
+      if (this.network.isGuest) {
+        this.network.sendCommand({
+          type: "ammo",
+          ammoType: ammoType,
+          engine: this.network.getObjectId(engine.mesh),
+        });
+      }
+    }
+    this.updateAmmoDisplay();
+  }
+
+  updateAmmoDisplay() {
+    const engine = this.getActiveEngine();
+    if (engine) {
+      this.uiManager.updateAmmo(engine.getAmmoType().name);
+    }
+  }
+
   logCollision(type, data, projectile) {
     this.collisionCount++;
     const currentTime = Date.now();
@@ -512,31 +1207,30 @@ class MedievalSiegeSimulator {
     }
   }
 
-  resetScene() {
+  // Options are passed on to SiegeWorld.reset()
+  resetScene(options = {}) {
+    // A round with shots in it is kept before it goes
+    if (this.world.gameMode.shotsFired > 0) this.autosave();
     console.log("🔄 Resetting scene...");
     this.collisionCount = 0;
     this.lastCollisionTime = 0;
-    this.physicsEngine.reset();
-    this.scene.traverse((child) => {
-      if (child.userData && child.userData.isProjectile) {
-        if (child.material) child.material.dispose();
-        if (child.geometry) child.geometry.dispose();
-        this.scene.remove(child);
-      }
-    });
-    if (this.catapult) this.catapult.reset();
-    if (this.ammunition) this.ammunition.reset();
-    if (this.siegeTower) this.siegeTower.reset();
-    if (this.torch) {
-      this.torch.position.set(0, 0, 0);
-      if (
-        this.torch.material &&
-        this.torch.userData.hasClonedMaterialForDamageState
-      ) {
-        this.torch.material.dispose();
-        delete this.torch.userData.hasClonedMaterialForDamageState;
-      }
+    this.world.reset(options);
+    this.resetControls();
+    // A fresh round is a fresh match
+    if (this.hotSeat.active) this.hotSeat.start();
+    this.network.sendSync();
+    if (Utils.playSound) {
+      Utils.playSound("sounds/effects/reset", 0.7);
     }
+    console.log("✅ Scene reset complete");
+  }
+
+  // Torches, selection, camera and sliders back to how a fresh scene has
+  // them: the one torch, lit, in the middle
+  resetControls() {
+    this.uiManager.hideRoundSummary();
+    this.torches.clear();
+    this.torches.place();
     if (
       this.selectedObject &&
       this.selectedObject.userData.clonedMaterialForSelection
@@ -557,17 +1251,239 @@ class MedievalSiegeSimulator {
     }
     this.cameraController.reset();
     this.selectedObject = null;
+    this.isDragging = false;
+    this.remoteInput = { keys: {}, selectedObject: null };
     const torchSlider = document.getElementById("torchSlider");
     if (torchSlider) torchSlider.value = 75;
     const tensionSlider = document.getElementById("tensionSlider");
     if (tensionSlider) tensionSlider.value = 50;
     const selectedObjectUI = document.getElementById("selectedObject");
     if (selectedObjectUI) selectedObjectUI.textContent = "Hiçbiri";
-    this.collisionManager.clearCache();
-    if (Utils.playSound) {
-      Utils.playSound("sounds/effects/reset", 0.7);
+    // A new scenario may have brought other engines
+    this.updateAmmoDisplay();
+  }
+
+  // What a save keeps besides the world
+  getViewState() {
+    const torchSlider = document.getElementById("torchSlider");
+    return {
+      torch: torchSlider ? parseInt(torchSlider.value) : 75,
+      torches: this.torches.getState(),
+      camera: this.cameraController.getState(),
+      lighting: this.lightingSystem.preset,
+      timeOfDay: this.lightingSystem.timeOfDay.getState(),
+    };
+  }
+
+  saveGame(name) {
+    this.saveManager.saveSlot(
+      name,
+      this.getViewState(),
+      this.captureThumbnail()
+    );
+    this.showSaveSlots();
+    this.uiManager.showSaveStatus(`💾 ${name}`);
+  }
+
+  // Replays can be watched again and the editor has its own files, so
+  // neither autosaves
+  autosave() {
+    this.autosaveDueAt = null;
+    if (this.replayManager.isPlaying || this.editor.active) return;
+    this.saveManager.autosave(this.getViewState(), this.captureThumbnail());
+    this.showSaveSlots();
+  }
+
+  showSaveSlots() {
+    this.uiManager.setSaveSlots(
+      this.saveManager.getSlots(),
+      this.saveManager.persistent
+    );
+  }
+
+  // Small JPEG of what the camera sees. The canvas is only readable right
+  // after a render, so it renders first.
+  captureThumbnail() {
+    try {
+      this.renderer.render(this.scene, this.camera);
+      const canvas = document.createElement("canvas");
+      canvas.width = THUMBNAIL_WIDTH;
+      canvas.height = THUMBNAIL_HEIGHT;
+      canvas
+        .getContext("2d")
+        .drawImage(
+          this.renderer.domElement,
+          0,
+          0,
+          THUMBNAIL_WIDTH,
+          THUMBNAIL_HEIGHT
+        );
+      return canvas.toDataURL("image/jpeg", 0.7);
+    } catch (error) {
+      console.warn("⚠️ Could not capture a thumbnail:", error);
+      return null;
+    }
+  }
+
+  async loadSaveFile(file) {
+    const { save, errors } = await this.saveManager.loadSaveFile(file);
+    if (!save) {
+      console.warn("⚠️ Save rejected:", errors);
+      this.uiManager.showSaveError(errors);
+      return;
+    }
+    this.loadGame(save);
+  }
+
+  // Like a new scenario, a save ends any recording or playback
+  async loadGame(save) {
+    const errors = save ? SaveManager.validate(save) : ["No such save"];
+    if (errors.length > 0) {
+      console.warn("⚠️ Save rejected:", errors);
+      this.uiManager.showSaveError(errors);
+      return;
+    }
+    if (this.replayManager.isRecording) this.toggleRecording();
+    this.replayManager.stopPlayback();
+    if (this.hotSeat.active) this.hotSeat.stop();
+
+    if (!(await this.restoreWorld(save.world))) return;
+
+    const view = save.view || {};
+    if (view.camera) this.cameraController.setState(view.camera);
+    if (view.lighting) this.lightingSystem.setPreset(view.lighting);
+    if (view.timeOfDay) this.lightingSystem.timeOfDay.setState(view.timeOfDay);
+    const torchSlider = document.getElementById("torchSlider");
+    if (torchSlider && view.torch !== undefined) torchSlider.value = view.torch;
+    if (Array.isArray(view.torches)) this.torches.setState(view.torches);
+
+    this.uiManager.showSaveStatus(`📂 ${save.name}`);
+    console.log(`📂 Loaded save "${save.name}"`);
+    this.network.sendSync();
+  }
+
+  // The world as SiegeWorld.getState() left it, with the controls reset.
+  // Armed barrels are painted red again; the world has relit their fuses.
+  // Returns false if the scenario is rejected.
+  async restoreWorld(state) {
+    const scenario = state.scenario;
+    if (scenario) await this.scenarioManager.loadHeightmap(scenario);
+    if (!this.applyScenario(scenario)) return false;
+    this.world.setState(state);
+    this.resetControls();
+    this.keys = {};
+
+    this.ammunition.barrels
+      .filter((barrel) => barrel.userData.explosive)
+      .forEach((barrel) => this.paintBarrel(barrel));
+    this.uiManager.setWindLocked(this.world.wind.locked);
+    this.updateAmmoDisplay();
+    return true;
+  }
+
+  // Recordings always start from a rebuilt castle on a fresh seed, the
+  // same state playback resets to
+  toggleRecording() {
+    if (this.replayManager.isRecording) {
+      this.replayManager.stopRecording();
+      this.uiManager.setReplayState("idle", true);
+      return;
+    }
+    if (this.replayManager.isPlaying) return;
+
+    const seed = this.createSeed();
+    this.resetScene({ seed: seed, rebuildCastle: true });
+    this.keys = {};
+    this.replayManager.startRecording(seed);
+    this.uiManager.setReplayState("recording");
+  }
+
+  async loadReplay(file) {
+    const { replay, errors } = await this.replayManager.loadReplayFile(file);
+    if (!replay) {
+      console.warn("⚠️ Replay rejected:", errors);
+      this.uiManager.showReplayError(errors);
+      return;
+    }
+    if (this.replayManager.isRecording) this.replayManager.stopRecording();
+    this.replayManager.stopPlayback();
+
+    // Recordings from before scenarios were shot at the built-in castle
+    if (!this.applyScenario(replay.initialState?.scenario ?? null)) return;
+    this.resetScene({ seed: replay.seed, rebuildCastle: true });
+    this.keys = {};
+    this.replayManager.startPlayback(replay);
+    this.updateAmmoDisplay();
+    this.uiManager.setReplayState("playing");
+  }
+
+  // Recordings from before there were several engines fired the catapult
+  getReplayEngine(event) {
+    if (!event.engine) return this.world.catapult;
+    return this.world.getEngine(
+      ReplayManager.resolveObject(this.scene, event.engine)
+    );
+  }
+
+  applyReplayEvent(event) {
+    switch (event.type) {
+      case "keydown":
+        this.keys[event.code] = true;
+        break;
+      case "keyup":
+        this.keys[event.code] = false;
+        break;
+      case "fire":
+        this.fireEngine(event.tension, this.getReplayEngine(event));
+        break;
+      case "select":
+        this.setSelectedObject(
+          ReplayManager.resolveObject(this.scene, event.target)
+        );
+        this.isDragging = Boolean(event.dragging && this.selectedObject);
+        if (this.selectedObject) {
+          this.selectedObject.userData.isDragging = this.isDragging;
+        }
+        break;
+      case "drag": {
+        const object = ReplayManager.resolveObject(this.scene, event.target);
+        if (object) object.position.fromArray(event.position);
+        break;
+      }
+      case "release":
+        this.isDragging = false;
+        if (this.selectedObject) {
+          this.selectedObject.userData.isDragging = false;
+        }
+        break;
+      case "wind":
+        this.world.wind.setSettings(event.settings);
+        break;
+      case "weather":
+        this.world.weather.setType(event.weather);
+        break;
+      case "placeTorch":
+        this.torches.place(new THREE.Vector3().fromArray(event.position));
+        break;
+      case "torchLit": {
+        const torch = this.torches.getTorch(
+          ReplayManager.resolveObject(this.scene, event.target)
+        );
+        if (torch) this.torches.setLit(torch, Boolean(event.lit));
+        break;
+      }
+      case "ammo":
+        this.getReplayEngine(event)?.setAmmoType(event.ammoType);
+        this.updateAmmoDisplay();
+        break;
+      case "armExplosive": {
+        const barrel = ReplayManager.resolveObject(this.scene, event.target);
+        // Recordings from before fuses had barrels go off almost at once
+        const fuse = Number.isFinite(event.fuse) ? event.fuse : LEGACY_FUSE;
+        if (barrel) this.toggleExplosive(barrel, fuse);
+        break;
+      }
     }
-    console.log("✅ Scene reset complete");
   }
 
   animate(currentTime) {
@@ -613,16 +1529,50 @@ class MedievalSiegeSimulator {
     }
     // --- END OF MODIFIED SECTION FOR CAMERA ROTATION (PITCH/YAW) ---
 
-    const activeProjectiles = this.getActiveProjectiles();
-    if (activeProjectiles.length > 0) {
-      const collisionTargets =
-        this.collisionManager.collisionDetector.getCollisionTargets(this.scene);
-      this.collisionManager.checkCollisions(
-        activeProjectiles,
-        collisionTargets
-      );
+    // Collision, physics and siege engines run at the world's fixed step
+    // The world also stands still between hot-seat attacks, and a guest's
+    // only follows the host's
+    if (this.editor.active) {
+      this.editor.update();
+    } else if (this.network.isGuest) {
+      this.network.update(deltaTime);
+    } else if (!this.hotSeat.isPaused()) {
+      const { keys, selectedObject } = this.getEngineInput();
+      this.world.advance(deltaTime, keys, selectedObject);
+      this.hotSeat.update(deltaTime);
+      this.network.update(deltaTime);
     }
 
+    const tensionSlider = document.getElementById("tensionSlider");
+    const tension = tensionSlider ? parseInt(tensionSlider.value) : 50;
+    const engine = this.getActiveEngine();
+    this.trajectoryPreview.update(
+      engine,
+      tension,
+      this.world.fixedTimeStep,
+      this.world.wind
+    );
+    this.uiManager.updateEngine(
+      engine && {
+        type: engine.type,
+        counterweight:
+          engine.type === "trebuchet"
+            ? engine.getCounterweightMass(tension)
+            : undefined,
+        releaseAngle: engine.releaseAngle,
+      }
+    );
+    this.updateWindIndicator();
+    this.lightingSystem.update(deltaTime);
+    this.weatherEffects.update(
+      deltaTime,
+      this.camera.position,
+      this.world.wind.getVector(),
+      this.sceneManager.ground
+    );
+    this.uiManager.setWeather(this.world.weather.type);
+    this.uiManager.updateTimeOfDay(this.lightingSystem.timeOfDay);
+
     // Camera controller update MUST happen before direct roll manipulation if roll is applied to camera.rotation.z
     this.cameraController.update(deltaTime, this.keys, this.selectedObject);
 
@@ -644,29 +1594,19 @@ class MedievalSiegeSimulator {
     }
     // --- END APPLY CAMERA ROLL ---
 
-    this.physicsEngine.update(deltaTime);
-    if (
-      this.effectsManager &&
-      this.effectsManager.updateFireEffect &&
-      this.fireObject &&
-      this.torchLight
-    ) {
-      const torchSlider = document.getElementById("torchSlider");
-      const torchSliderValue = torchSlider ? parseInt(torchSlider.value) : 75;
-      this.effectsManager.updateFireEffect(
-        this.fireObject,
-        this.torchLight,
-        torchSliderValue
-      );
-    }
-    if (this.torch && this.torch.update) {
-      this.torch.update(deltaTime);
+    const torchSlider = document.getElementById("torchSlider");
+    const torchSliderValue = torchSlider ? parseInt(torchSlider.value) : 75;
+    // Torches burn brighter after dark
+    this.torches.update(
+      deltaTime,
+      torchSliderValue * this.lightingSystem.getTorchBrightness()
+    );
+    this.lightingSystem.updateLightBudget(this.camera.position);
+    this.uiManager.setTorchState(this.torches.getTorch(this.selectedObject));
+    // A barrel that went off while picked is picked no longer
+    if (this.selectedObject?.userData.isExploding) {
+      this.setSelectedObject(null);
     }
-    if (this.catapult)
-      this.catapult.update(deltaTime, this.keys, this.selectedObject);
-    if (this.ammunition) this.ammunition.update(deltaTime);
-    if (this.siegeTower)
-      this.siegeTower.update(deltaTime, this.keys, this.selectedObject);
     if (deltaTime > 0) {
       const currentFps = 1 / deltaTime;
       this.fps = Utils.lerp
@@ -674,25 +1614,60 @@ class MedievalSiegeSimulator {
         : currentFps;
     }
     const cameraPos = this.cameraController.getPosition();
-    const torchSlider = document.getElementById("torchSlider");
-    const torchValue = torchSlider ? parseInt(torchSlider.value) : 75;
-    this.uiManager.updateUI(cameraPos, torchValue);
+    this.uiManager.updateUI(cameraPos, torchSliderValue);
+    // A guest shows the host's round
+    const stats =
+      (this.network.isGuest && this.network.reader.summary) ||
+      this.world.gameMode.getStats();
+    this.uiManager.updateScoreboard(
+      stats,
+      this.describeObjectives(stats.objectives)
+    );
+    this.uiManager.updateCrews({
+      defenders: this.world.defenderManager.getDefenderCount(),
+      catapult: this.getCrew("catapult"),
+      trebuchet: this.getCrew("trebuchet"),
+      siegeTower: [this.siegeTower.getCrew(), this.siegeTower.soldiers.length],
+    });
+    if (this.hotSeat.active) {
+      this.uiManager.setHotSeatState(this.hotSeat.getStatus());
+    }
     this.uiManager.updateFPS(this.fps);
     this.renderer.render(this.scene, this.camera);
+    if (this.autosaveDueAt !== null && Date.now() >= this.autosaveDueAt) {
+      this.autosave();
+    }
   }
 
   getActiveProjectiles() {
-    const projectiles = [];
-    this.scene.traverse((object) => {
-      if (
-        object.userData?.isProjectile &&
-        object.userData.active &&
-        !object.userData.hasCollided
-      ) {
-        projectiles.push(object);
-      }
-    });
-    return projectiles;
+    return this.world.getActiveProjectiles();
+  }
+
+  // [crew, full crew] of all the engines of a type, null without one
+  getCrew(type) {
+    const engines = this.world.engines.filter((engine) => engine.type === type);
+    if (engines.length === 0) return null;
+    return [
+      engines.reduce((sum, engine) => sum + engine.crew, 0),
+      engines.reduce((sum, engine) => sum + engine.maxCrew, 0),
+    ];
+  }
+
+  // Points the panel arrow the way the wind blows as seen from the camera
+  updateWindIndicator() {
+    const wind = this.world.wind.getVector();
+    const forward = new THREE.Vector3();
+    this.camera.getWorldDirection(forward);
+    forward.y = 0;
+    if (forward.lengthSq() === 0) forward.set(0, 0, -1);
+    forward.normalize();
+
+    const along = wind.x * forward.x + wind.z * forward.z;
+    const across = wind.z * forward.x - wind.x * forward.z;
+    this.uiManager.updateWind(
+      this.world.wind.currentStrength,
+      Math.atan2(-along, across)
+    );
   }
   async initializeAudio() {
     if (this.isAudioInitialized) {
@@ -2,20 +2,67 @@ import * as THREE from "three";
 import { Utils } from "../utils.js";
 import { CollisionDetector } from "./collision/CollisionDetector.js";
 import { DamageHandler } from "./damage/DamageHandler.js";
+import { StructuralDamage } from "./damage/StructuralDamage.js";
 import { ImpactEffects } from "./effects/ImpactEffects.js";
+import { RealTimeClock } from "../simulation/SimulationClock.js";
+import { Ammunition } from "../objects/ammunition.js";
+import { SHRAPNEL } from "../objects/ammoTypes.js";
+
+// Holes dug in the terrain, see digCrater()
+const CRATER_RADIUS_PER_FORCE = 1.2;
+const MAX_CRATER_RADIUS = 5;
+const CRATER_DEPTH_RATIO = 0.25; // Depth in the middle per metre across
+
+// Barrels and barrel bombs going off
+const BLAST_CRATER_FORCE = 3;
+const BLAST_RADIUS = 8;
+const BLAST_DAMAGE = 150; // At the middle, less further out
+const BLAST_IMPULSE = 60; // Rubble right beside it flies off at 15 m/s
+// Barrels in the blast go off once it reaches them, so chains ripple
+// outward; the jitter keeps a row of them from going off in step
+const CHAIN_DELAY_PER_METRE = 40; // ms
+const CHAIN_DELAY_JITTER = 50;
+const SHRAPNEL_COUNT = 8;
+const SHRAPNEL_SPEED = { min: 8, max: 16 };
 
 export class CollisionManager {
-  constructor(scene, effectsManager) {
+  constructor(scene, effectsManager, options = {}) {
     this.scene = scene;
     this.effectsManager = effectsManager;
-    this.collisionDetector = new CollisionDetector();
-    this.damageHandler = new DamageHandler(scene, effectsManager);
+    // Timers and destruction events go through these so a headless
+    // simulation can drive them from a virtual clock without a window.
+    this.clock = options.clock || new RealTimeClock();
+    this.eventTarget =
+      options.eventTarget || (typeof window !== "undefined" ? window : null);
+    // Gameplay rolls (chain reaction delays) use their own stream so that
+    // cosmetic effects drawing from Utils.random() can't shift them.
+    this.random = options.random || (() => Utils.random());
+    this.verbose = options.verbose !== false;
+    this.fireManager = null; // Set by SiegeWorld; incendiary hits heat targets
+    this.terrain = options.terrain || null; // Flat ground at 0 without it
+    this.collisionDetector = new CollisionDetector({
+      clock: this.clock,
+      verbose: this.verbose,
+    });
+    // Blasts push its loose bodies (rubble) about
+    this.physicsEngine = options.physicsEngine || null;
+    // Segmented walls break up block by block; the chunks go to physics
+    this.structuralDamage = new StructuralDamage(
+      scene,
+      this.physicsEngine,
+      effectsManager
+    );
+    this.damageHandler = new DamageHandler(
+      scene,
+      effectsManager,
+      this.structuralDamage
+    );
     this.impactEffects = new ImpactEffects(effectsManager);
     this.debugMode = false; // Toggle for visualization
   }
   checkCollisions(projectiles, targets) {
     if (!projectiles || projectiles.length === 0) {
-      console.log("🚫 No projectiles to check");
+      if (this.verbose) console.log("🚫 No projectiles to check");
       return;
     }
 
@@ -86,10 +133,14 @@ export class CollisionManager {
   checkGroundCollision(projectile, position) {
     const projectileRadius = projectile.userData?.radius || 0.3;
     const groundThreshold = Math.max(projectileRadius * 1.5, 0.5);
+    const ground = this.terrain
+      ? this.terrain.getHeight(position.x, position.z)
+      : 0;
 
-    if (position.y <= groundThreshold) {
+    if (position.y - ground <= groundThreshold) {
       const bounceCount = projectile.userData?.bounces || 0;
-      const isFinalBounce = bounceCount >= 3;
+      const isFinalBounce =
+        bounceCount >= (projectile.userData?.maxBounces ?? 3);
 
       this.handleGroundCollision(projectile, position, {
         velocity: projectile.userData.velocity,
@@ -111,9 +162,18 @@ export class CollisionManager {
       collisionData?.force || (velocity ? velocity.length() / 10 : 0);
     const isFinalCollision = collisionData?.final || false;
 
+    // Retire the stone before any await so the next step doesn't see it again
+    if (isFinalCollision) {
+      this.deactivateProjectile(projectile);
+    }
+
     if (impactSpeed > 0.3 || isFinalCollision) {
       const impactForce = Math.min(impactSpeed * 1.5, 2.0);
 
+      if (isFinalCollision) {
+        this.handleAmmoImpact(projectile, position, impactForce);
+      }
+
       if (this.effectsManager) {
         // Create dust effect for significant impacts
         if (impactForce > 0.8) {
@@ -134,19 +194,30 @@ export class CollisionManager {
             });
           }
         }
+      }
 
-        // Create crater for strong impacts or final stop
-        if (impactForce > 1.2 || isFinalCollision) {
-          // Lower threshold and ensure final gets a crater
-          const craterScale = isFinalCollision ? 1.0 : 0.6; // Smaller craters for bounces
-          const effectiveForce = isFinalCollision
-            ? Math.max(impactForce, 1.5)
-            : impactForce; // Ensure final stop has minimum force
-          this.effectsManager.createCraterEffect(
-            position,
-            effectiveForce * craterScale
-          );
-        }
+      // Create crater for strong impacts or final stop, one per bounce: a
+      // stone skimming the ground is seen here for several steps running
+      const bounceCount = collisionData?.bounceCount || 0;
+      if (
+        (impactForce > 1.2 || isFinalCollision) &&
+        projectile.userData.cratering !== 0 &&
+        projectile.userData.crateredOnBounce !== bounceCount
+      ) {
+        projectile.userData.crateredOnBounce = bounceCount;
+        // Lower threshold and ensure final gets a crater
+        const craterScale = isFinalCollision ? 1.0 : 0.6; // Smaller craters for bounces
+        const effectiveForce = isFinalCollision
+          ? Math.max(impactForce, 1.5)
+          : impactForce; // Ensure final stop has minimum force
+        const craterFloor = this.digCrater(
+          position,
+          effectiveForce * craterScale * (projectile.userData.cratering ?? 1)
+        );
+        this.effectsManager?.createCraterEffect(
+          craterFloor,
+          effectiveForce * craterScale
+        );
       }
 
       // Handle sound effects
@@ -165,10 +236,6 @@ export class CollisionManager {
         console.warn("Failed to play impact sound:", error);
       }
     }
-
-    if (isFinalCollision) {
-      this.deactivateProjectile(projectile);
-    }
   }
   async handleTargetCollision(projectile, target) {
     if (
@@ -184,49 +251,115 @@ export class CollisionManager {
 
     // Calculate damage based on impact force and projectile properties
     const baseDamage = this.calculateDamage(projectile, impactForce);
-    const damageDealt = this.applyDamage(target, baseDamage);
+    const damageDealt = this.applyDamage(
+      target,
+      baseDamage,
+      impactPoint,
+      projectile.userData.velocity
+    );
 
     // Log collision event
-    console.log(`💥 Impact on ${target.type}:`, {
-      force: impactForce.toFixed(2),
-      velocity: impactVelocity.toFixed(2),
-      damage: damageDealt.toFixed(2),
-      remainingHealth: target.mesh.userData.health?.toFixed(2) || 0,
-      position: impactPoint.toArray().map((v) => v.toFixed(2)),
-    });
+    if (this.verbose) {
+      console.log(`💥 Impact on ${target.type}:`, {
+        force: impactForce.toFixed(2),
+        velocity: impactVelocity.toFixed(2),
+        damage: damageDealt.toFixed(2),
+        remainingHealth: target.mesh.userData.health?.toFixed(2) || 0,
+        position: impactPoint.toArray().map((v) => v.toFixed(2)),
+      });
+    }
+
+    // Resolve the hit within this step. Nothing below waits on audio, so a
+    // replayed session destroys the same things on the same frame.
+    this.deactivateProjectile(projectile);
 
     // Handle visual and sound effects
-    await this.handleImpactEffects(target, impactPoint, impactForce);
+    this.handleImpactEffects(target, impactPoint, impactForce, projectile);
 
     // Check if target should be destroyed
     if (this.shouldDestroyTarget(target)) {
-      await this.destroyTarget(target, target.mesh.position);
+      this.destroyTarget(target, target.mesh.position);
     } else {
       // Show damage indication if target survives
       this.showDamageIndication(target, damageDealt);
     }
 
-    this.deactivateProjectile(projectile);
+    this.handleAmmoImpact(projectile, impactPoint, impactForce, target.mesh);
+  }
+
+  // Whatever the load does on top of the hit itself: fire pots burst into
+  // flame and set wood alight, barrel bombs blow up and set off barrels
+  // around them, and so on
+  handleAmmoImpact(projectile, position, impactForce, hitMesh = null) {
+    const { impactEffect, explosive, incendiary } = projectile.userData;
+    if (this.effectsManager && impactEffect) {
+      this.effectsManager.createAmmoImpactEffect(
+        impactEffect,
+        position,
+        impactForce
+      );
+    }
+    if (explosive) {
+      this.handleChainReaction({ mesh: projectile }, position.clone());
+    }
+    if (incendiary && this.fireManager) {
+      this.fireManager.applyHeat(position, 3, 2, hitMesh);
+    }
+  }
+
+  // Sink a crater sized by force into the terrain, if whatever hit or blew
+  // up was on or near the ground. Returns the middle of the crater's floor.
+  digCrater(position, force) {
+    const floor = new THREE.Vector3(position.x, 0, position.z);
+    if (!this.terrain) return floor;
+
+    const radius = Math.min(force * CRATER_RADIUS_PER_FORCE, MAX_CRATER_RADIUS);
+    const ground = this.terrain.getHeight(position.x, position.z);
+    if (radius > 0 && position.y - ground <= radius) {
+      this.terrain.addCrater(
+        position.x,
+        position.z,
+        radius,
+        radius * CRATER_DEPTH_RATIO
+      );
+    }
+    return floor.setY(this.terrain.getHeight(position.x, position.z));
   }
 
   calculateDamage(projectile, impactForce) {
     const baseProjectileDamage = projectile.userData.damage || 50;
     const forceMultiplier = Math.pow(impactForce, 1.5); // Exponential damage scaling with force
-    return baseProjectileDamage * forceMultiplier;
+    const ammoMultiplier = projectile.userData.damageMultiplier ?? 1; // Per ammo type
+    return baseProjectileDamage * forceMultiplier * ammoMultiplier;
   }
 
-  applyDamage(target, damage) {
+  // point and direction place the hit on segmented walls; without them
+  // the damage goes to the wall's base
+  applyDamage(target, damage, point = null, direction = null) {
+    const resistance = this.getTargetResistance(target);
+    const actualDamage = damage * (1 - resistance);
+
+    if (this.structuralDamage.isSegmented(target.mesh)) {
+      const dealt = this.structuralDamage.damageAt(
+        target.mesh,
+        point,
+        actualDamage,
+        direction,
+        target.hitPart
+      );
+      this.dispatchDamageEvent(target, dealt);
+      return dealt;
+    }
+
     if (!target.mesh.userData.health) {
       this.initializeTargetHealth(target);
     }
 
-    const resistance = this.getTargetResistance(target);
-    const actualDamage = damage * (1 - resistance);
-
     target.mesh.userData.health = Math.max(
       0,
       target.mesh.userData.health - actualDamage
     );
+    this.dispatchDamageEvent(target, actualDamage);
     return actualDamage;
   }
 
@@ -255,6 +388,7 @@ export class CollisionManager {
     const resistances = {
       wall: 0.3, // 30% damage reduction
       tower: 0.4, // 40% damage reduction
+      rock: 0.5, // 50% damage reduction
       siegeTower: 0.2, // 20% damage reduction
       barrel: 0, // No damage reduction
     };
@@ -277,7 +411,13 @@ export class CollisionManager {
     const meshesToChange = [];
     const originalColors = [];
 
-    if (target.mesh.type === "Group") {
+    if (target.hitPart) {
+      // Segmented wall: only the block that was hit, if it still stands
+      if (target.hitPart.parent === target.mesh && target.hitPart.material) {
+        meshesToChange.push(target.hitPart);
+        originalColors.push(target.hitPart.material.color.clone());
+      }
+    } else if (target.mesh.type === "Group") {
       // If it's a group, find all meshes with materials
       target.mesh.traverse((child) => {
         if (child.isMesh && child.material && child.material.color) {
@@ -299,13 +439,16 @@ export class CollisionManager {
     });
 
     // Create damage number particle
+    const origin = target.hitPart
+      ? target.hitPart.getWorldPosition(new THREE.Vector3())
+      : target.mesh.position.clone();
     this.effectsManager.createDamageParticles(
-      target.mesh.position.clone().add(new THREE.Vector3(0, 2, 0)),
+      origin.add(new THREE.Vector3(0, 2, 0)),
       damage
     );
 
     // Reset colors after a short delay
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       meshesToChange.forEach((mesh, index) => {
         if (mesh.material && mesh.material.color) {
           mesh.material.color.copy(originalColors[index]);
@@ -320,18 +463,25 @@ export class CollisionManager {
     return 0xff0000; // Bright red
   }
 
-  handleImpactEffects(target, impactPoint, impactForce) {
+  handleImpactEffects(target, impactPoint, impactForce, projectile = null) {
     switch (target.type) {
       case "barrel":
-        // Always treat as explosive and handle consistently
+        // Always treat as explosive and handle consistently. Shrapnel from
+        // another barrel carries its chain on.
         this.triggerBarrelExplosion(
-          { mesh: target.mesh, type: "barrel", explosive: true },
+          {
+            mesh: target.mesh,
+            type: "barrel",
+            explosive: true,
+            chained: Boolean(projectile?.userData.isShrapnel),
+          },
           target.mesh.position
         );
         break;
 
       case "wall":
       case "tower":
+      case "rock":
         this.handleStructureImpact(target, impactPoint, impactForce);
         break;
 
@@ -374,7 +524,7 @@ export class CollisionManager {
     projectile.userData.active = false;
     projectile.userData.hasCollided = true;
 
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       if (projectile.parent) {
         projectile.parent.remove(projectile);
       }
@@ -383,22 +533,24 @@ export class CollisionManager {
   async destroyTarget(target, position) {
     if (!target || !target.mesh) return;
 
-    // Create destruction effects before removing from scene
+    // Create destruction effects before removing from scene. Their sounds
+    // finish loading in the background.
     switch (target.type) {
       case "wall":
       case "tower":
-        await this.impactEffects.createStoneDestructionEffect(position);
+      case "rock":
+        this.impactEffects.createStoneDestructionEffect(position);
         this.createDestructionDebris(target, position, "stone");
         break;
       case "siegeTower":
-        await this.impactEffects.createMetalDestructionEffect(position);
+        this.impactEffects.createMetalDestructionEffect(position);
         this.createDestructionDebris(target, position, "metal");
         break;
       case "barrel":
         if (target.explosive) {
-          await this.triggerBarrelExplosion(target, position);
+          this.triggerBarrelExplosion(target, position);
         } else {
-          await this.impactEffects.createWoodDestructionEffect(position);
+          this.impactEffects.createWoodDestructionEffect(position);
           this.createDestructionDebris(target, position, "wood");
         }
         break;
@@ -472,6 +624,8 @@ export class CollisionManager {
   }
 
   dispatchDestructionEvent(target) {
+    if (!this.eventTarget || typeof CustomEvent === "undefined") return;
+
     const event = new CustomEvent("targetDestroyed", {
       detail: {
         type: target.type,
@@ -479,8 +633,36 @@ export class CollisionManager {
         userData: target.mesh.userData,
       },
     });
-    window.dispatchEvent(event);
+    this.eventTarget.dispatchEvent(event);
   }
+  // Every hit, blast and fire tick that does damage, for scoring
+  dispatchDamageEvent(target, amount) {
+    if (!this.eventTarget || typeof CustomEvent === "undefined") return;
+    if (!(amount > 0)) return;
+
+    const event = new CustomEvent("targetDamaged", {
+      detail: {
+        type: target.type,
+        amount: amount,
+        mesh: target.mesh,
+      },
+    });
+    this.eventTarget.dispatchEvent(event);
+  }
+
+  // barrel.chained marks barrels set off by another explosion
+  dispatchBarrelEvent(barrel, position) {
+    if (!this.eventTarget || typeof CustomEvent === "undefined") return;
+
+    const event = new CustomEvent("barrelExploded", {
+      detail: {
+        position: position.clone(),
+        chained: Boolean(barrel.chained),
+      },
+    });
+    this.eventTarget.dispatchEvent(event);
+  }
+
   async triggerBarrelExplosion(barrel, position) {
     if (!barrel.mesh || !barrel.mesh.parent || barrel.mesh.userData?.isDragging)
       return;
@@ -492,6 +674,7 @@ export class CollisionManager {
 
     barrel.mesh.userData.isExploding = true;
     barrel.mesh.userData.explosive = true;
+    this.dispatchBarrelEvent(barrel, position);
 
     this.handleChainReaction(barrel, position);
 
@@ -499,24 +682,25 @@ export class CollisionManager {
       this.effectsManager.createExplosionEffect?.(position, 3.0);
     }
 
-    try {
-      await Utils.playSound("sounds/effects/explosion", 1.0);
-    } catch (error) {
-      console.warn("Failed to play explosion sound:", error);
-    }
-
     if (this.scene) {
       this.scene.remove(barrel.mesh);
     }
-  }
-  async handleChainReaction(barrel, position) {
-    const chainReactionRadius = 8;
 
     try {
-      await Utils.playSound("sounds/effects/chain_reaction", 0.8);
+      await Utils.playSound("sounds/effects/explosion", 1.0);
     } catch (error) {
-      console.warn("Failed to play chain reaction sound:", error);
+      console.warn("Failed to play explosion sound:", error);
     }
+  }
+  // The blast itself: crater, push, shrapnel, barrels around it set off and
+  // damage to everything in reach
+  handleChainReaction(barrel, position) {
+    // Don't hold the chain up while the sound loads
+    Utils.playSound("sounds/effects/chain_reaction", 0.8).catch((error) =>
+      console.warn("Failed to play chain reaction sound:", error)
+    );
+
+    this.digCrater(position, BLAST_CRATER_FORCE);
 
     if (this.effectsManager) {
       this.effectsManager.createDustEffect(position, 2.0);
@@ -540,14 +724,16 @@ export class CollisionManager {
         child.parent === this.scene
       ) {
         const distance = position.distanceTo(child.position);
-        if (distance < chainReactionRadius) {
+        if (distance < BLAST_RADIUS) {
           child.userData.isExploding = true;
 
-          const delay = 100 + Math.random() * 200;
-          setTimeout(() => {
+          const delay =
+            distance * CHAIN_DELAY_PER_METRE +
+            this.random() * CHAIN_DELAY_JITTER;
+          this.clock.setTimeout(() => {
             if (child.parent === this.scene) {
               this.triggerBarrelExplosion(
-                { mesh: child, type: "barrel", explosive: true },
+                { mesh: child, type: "barrel", explosive: true, chained: true },
                 child.position
               );
             }
@@ -556,21 +742,75 @@ export class CollisionManager {
       }
     });
 
+    this.physicsEngine?.createExplosion(position, BLAST_IMPULSE, BLAST_RADIUS);
+    this.spawnShrapnel(position);
+
     const targets = this.collisionDetector.getCollisionTargets(this.scene);
     const damagedTargets = this.damageHandler.explosionDamage(
       position,
-      chainReactionRadius,
-      150,
+      BLAST_RADIUS,
+      BLAST_DAMAGE,
       targets
     );
 
-    damagedTargets?.forEach(({ target, destroyed }) => {
-      if (destroyed) {
+    damagedTargets?.forEach(({ target, destroyed, damage }) => {
+      this.dispatchDamageEvent(target, damage);
+      // Barrels the blast set off above go up when it reaches them
+      if (destroyed && !target.mesh.userData.isExploding) {
         this.destroyTarget(target, target.position);
       }
     });
   }
 
+  // Shards flung out and up from the blast. They are projectiles like any
+  // other: the world steps them, and what they hit takes damage, barrels
+  // included. Their directions are gameplay rolls.
+  spawnShrapnel(position) {
+    for (let i = 0; i < SHRAPNEL_COUNT; i++) {
+      const heading = ((i + this.random()) / SHRAPNEL_COUNT) * Math.PI * 2;
+      const elevation = THREE.MathUtils.lerp(0.15, 1, this.random());
+      const speed = THREE.MathUtils.lerp(
+        SHRAPNEL_SPEED.min,
+        SHRAPNEL_SPEED.max,
+        this.random()
+      );
+
+      const shard = Ammunition.createProjectileMesh(SHRAPNEL);
+      shard.position.copy(position).add(new THREE.Vector3(0, 1, 0));
+      shard.rotation.set(0, -heading, elevation); // Lengthwise along its path
+      shard.userData = {
+        type: "projectile",
+        isProjectile: true,
+        isShrapnel: true,
+        active: true,
+        hasCollided: false,
+        ammoType: SHRAPNEL.id,
+        radius: SHRAPNEL.radius,
+        velocity: new THREE.Vector3(
+          Math.cos(heading) * Math.cos(elevation),
+          Math.sin(elevation),
+          Math.sin(heading) * Math.cos(elevation)
+        ).multiplyScalar(speed),
+        mass: SHRAPNEL.mass,
+        drag: SHRAPNEL.drag,
+        bounces: 0,
+        maxBounces: SHRAPNEL.maxBounces,
+        gravity: -9.81,
+        damage: 50,
+        damageMultiplier: SHRAPNEL.damageMultiplier,
+        cratering: SHRAPNEL.cratering,
+        impactEffect: SHRAPNEL.impactEffect,
+        explosive: false,
+        incendiary: false,
+        // Landing in the physics step's ground check rather than ours
+        onCollision: (type, data) => {
+          if (data.final) this.deactivateProjectile(shard);
+        },
+      };
+      this.scene.add(shard);
+    }
+  }
+
   visualizeCollisionPoint(point) {
     const geometry = new THREE.SphereGeometry(0.2, 8, 8);
     const material = new THREE.MeshBasicMaterial({
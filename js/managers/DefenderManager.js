@@ -0,0 +1,385 @@
+import * as THREE from "three";
+import { Utils } from "../utils.js";
+import { materials } from "../materials.js";
+import { Ammunition } from "../objects/ammunition.js";
+
+const WALL_DEFENDERS = 2; // Per wall, spread along it between battlements
+const TOWER_DEFENDERS = 2;
+const MAX_TOWER_DEFENDERS = 4; // Room on a tower top for ones posted by hand
+const TOWER_POST_RADIUS = 4.2;
+
+const VOLLEY_INTERVAL = 6; // Seconds between one defender's shots
+const RETRY_INTERVAL = 1; // Looking again when nothing is in range
+const RANGE = 70;
+const ARROW_SPEED = 28;
+const GRAVITY = 9.8;
+const AIM_SPREAD = 0.12; // Missed by up to this share of the distance
+const STUCK_TIME = 4; // Seconds a spent arrow stays in the ground
+const REPAIR_RATE = 4; // Health per second each defender patches up
+
+// What the defenders shoot at, by type: where they aim, the box an arrow
+// has to land in, and how often a hit costs the engine a crew member
+const ENGINE_TARGETS = {
+  catapult: { aimHeight: 1.5, halfWidth: 2.5, height: 4, crewHitChance: 0.08 },
+  trebuchet: { aimHeight: 2.5, halfWidth: 3, height: 7, crewHitChance: 0.06 },
+  siegeTower: { aimHeight: 6, halfWidth: 3.5, height: 16, crewHitChance: 0.05 },
+};
+
+// Archers on the castle's towers and battlements. Each one looses an arrow
+// at the nearest siege engine in range every few seconds and spends the
+// time between volleys patching up the wall or tower it stands on. Arrows
+// that hit can kill some of the engine's crew, which slows the catapult's
+// and trebuchet's reload and the siege tower's pace.
+//
+// Defenders are children of the structure they stand on and fall with it:
+// a wall defender is lost once the top block under them is knocked out.
+// Everything runs on the world's fixed step and its random stream, so
+// replays see the same volleys.
+export class DefenderManager {
+  constructor(scene, collisionManager, options = {}) {
+    this.scene = scene;
+    this.collisionManager = collisionManager;
+    this.random = options.random || Math.random;
+    this.terrain = options.terrain || null; // Where spent arrows stick
+    this.enabled = true;
+    this.defenders = [];
+    this.arrows = [];
+
+    // Shared by every defender, so rebuilding the castle doesn't leak
+    this.geometries = {
+      body: new THREE.CylinderGeometry(0.3, 0.4, 1.5, 8),
+      head: new THREE.SphereGeometry(0.25, 8, 6),
+      bow: new THREE.TorusGeometry(0.6, 0.03, 4, 12, Math.PI),
+    };
+    this.materials = {
+      body: new THREE.MeshStandardMaterial({ color: 0x8b0000, roughness: 0.7 }),
+      head: new THREE.MeshStandardMaterial({ color: 0xfdbcb4, roughness: 0.5 }),
+      bow: new THREE.MeshStandardMaterial({ color: 0x5c3a1e, roughness: 0.8 }),
+    };
+  }
+
+  // Scenarios can leave the castle unmanned; takes effect on populate()
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  // Man every wall and tower in the scene. Called whenever the castle has
+  // been (re)built.
+  populate() {
+    this.clear();
+    if (!this.enabled) return;
+
+    this.scene.children.forEach((child) => {
+      if (child.userData?.type === "wall" && child.userData.segmented) {
+        this.getWallPosts(child).forEach((post) =>
+          this.addDefender(child, post)
+        );
+      } else if (child.userData?.type === "tower") {
+        for (let i = 0; i < TOWER_DEFENDERS; i++) {
+          const angle = Math.PI / 4 + (i * Math.PI * 2) / TOWER_DEFENDERS;
+          this.addDefender(child, {
+            position: new THREE.Vector3(
+              Math.cos(angle) * TOWER_POST_RADIUS,
+              15,
+              Math.sin(angle) * TOWER_POST_RADIUS
+            ),
+          });
+        }
+      }
+    });
+  }
+
+  // Gaps between the battlements (see SceneManager.createWall), spread out
+  // along the wall. Short walls with a single battlement get nobody.
+  getWallPosts(wall) {
+    const { length, columns } = wall.userData;
+    const battlements = Math.floor(Math.max(length - 4, 0) / 8) + 1;
+    const gaps = [];
+    for (let j = 0; j < battlements - 1; j++) {
+      gaps.push((j - (battlements - 2) / 2) * 8);
+    }
+
+    const count = Math.min(WALL_DEFENDERS, gaps.length);
+    const blockWidth = length / columns;
+    return Array.from({ length: count }, (_, k) => {
+      const offset = gaps[Math.floor(((k + 0.5) * gaps.length) / count)];
+      return {
+        position: new THREE.Vector3(offset, 10, 0),
+        column: Math.round(offset / blockWidth + (columns - 1) / 2),
+      };
+    });
+  }
+
+  // Post one more defender on a wall or tower, where it's nearest to point
+  // (world space): on the wall walk above the column under it, or on the
+  // tower's rim. Returns false when there's no footing there, or no room.
+  postDefender(host, point) {
+    const local = host.worldToLocal(point.clone());
+    const posted = this.defenders.filter((defender) => defender.host === host);
+
+    if (host.userData.type === "tower") {
+      if (posted.length >= MAX_TOWER_DEFENDERS) return false;
+      const angle = Math.atan2(local.z, local.x);
+      this.addDefender(host, {
+        position: new THREE.Vector3(
+          Math.cos(angle) * TOWER_POST_RADIUS,
+          15,
+          Math.sin(angle) * TOWER_POST_RADIUS
+        ),
+      });
+      return true;
+    }
+
+    if (host.userData.type !== "wall" || !host.userData.segmented) {
+      return false;
+    }
+    const { length, columns, rows } = host.userData;
+    const blockWidth = length / columns;
+    const column = THREE.MathUtils.clamp(
+      Math.round(local.x / blockWidth + (columns - 1) / 2),
+      0,
+      columns - 1
+    );
+    if (
+      posted.some((defender) => defender.column === column) ||
+      !this.collisionManager.structuralDamage.getPartAt(host, column, rows - 1)
+    ) {
+      return false;
+    }
+    this.addDefender(host, {
+      position: new THREE.Vector3(
+        (column - (columns - 1) / 2) * blockWidth,
+        10,
+        0
+      ),
+      column: column,
+    });
+    return true;
+  }
+
+  addDefender(host, { position, column = null }) {
+    const mesh = new THREE.Group();
+    const body = new THREE.Mesh(this.geometries.body, this.materials.body);
+    body.position.y = 0.75;
+    const head = new THREE.Mesh(this.geometries.head, this.materials.head);
+    head.position.y = 1.75;
+    const bow = new THREE.Mesh(this.geometries.bow, this.materials.bow);
+    bow.position.set(0.45, 1.1, 0);
+    bow.rotation.z = -Math.PI / 2;
+    mesh.add(body, head, bow);
+    mesh.position.copy(position);
+    mesh.scale.setScalar(0.8);
+    mesh.traverse((child) => (child.castShadow = true));
+
+    // No userData.type: defenders are not collision targets of their own
+    mesh.userData = { defender: true };
+    host.add(mesh);
+
+    this.defenders.push({
+      mesh: mesh,
+      host: host,
+      column: column,
+      // Staggered, so they don't all loose at once
+      cooldown: this.random() * VOLLEY_INTERVAL,
+    });
+  }
+
+  getDefenderCount() {
+    return this.defenders.length;
+  }
+
+  // targets: the siege engines (catapult, trebuchet, siege tower) to
+  // shoot at
+  update(deltaTime, targets = []) {
+    this.defenders = this.defenders.filter((defender) => {
+      if (this.isStanding(defender)) return true;
+      if (defender.mesh.parent) defender.mesh.parent.remove(defender.mesh);
+      return false;
+    });
+
+    this.defenders.forEach((defender) => {
+      defender.cooldown -= deltaTime;
+      if (defender.cooldown > 0) {
+        this.repair(defender.host, REPAIR_RATE * deltaTime);
+        return;
+      }
+
+      const origin = defender.mesh.localToWorld(new THREE.Vector3(0, 1.5, 0));
+      const target = this.findTarget(origin, targets);
+      if (target) {
+        this.shoot(origin, target);
+        defender.cooldown = VOLLEY_INTERVAL * (0.8 + this.random() * 0.4);
+      } else {
+        defender.cooldown = RETRY_INTERVAL;
+      }
+    });
+
+    this.updateArrows(deltaTime, targets);
+  }
+
+  isStanding(defender) {
+    const { host, column } = defender;
+    if (!host.parent || defender.mesh.parent !== host) return false;
+    if (column === null) return true;
+    return Boolean(
+      this.collisionManager.structuralDamage.getPartAt(
+        host,
+        column,
+        host.userData.rows - 1
+      )
+    );
+  }
+
+  // Walls are patched a part at a time; towers get their health back.
+  // Returns the health restored.
+  repair(host, amount) {
+    const structuralDamage = this.collisionManager.structuralDamage;
+    if (structuralDamage.isSegmented(host)) {
+      return structuralDamage.repair(host, amount);
+    }
+    if (host.userData.health === undefined) return 0;
+    const restored = Math.max(
+      Math.min(amount, host.userData.maxHealth - host.userData.health),
+      0
+    );
+    host.userData.health += restored;
+    return restored;
+  }
+
+  // Nearest engine in range, or null
+  findTarget(origin, targets) {
+    let nearest = null;
+    let nearestDistance = RANGE;
+    targets.forEach((engine) => {
+      if (!engine?.mesh?.parent || !ENGINE_TARGETS[engine.mesh.userData.type])
+        return;
+      const distance = Math.hypot(
+        engine.mesh.position.x - origin.x,
+        engine.mesh.position.z - origin.z
+      );
+      if (distance < nearestDistance) {
+        nearest = engine;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // Flat shot (the lower of the two angles) that drops onto the aim point
+  // from the defender's height, a little off to one side or the other
+  shoot(origin, engine) {
+    const { aimHeight } = ENGINE_TARGETS[engine.mesh.userData.type];
+    const aim = engine.mesh.position.clone();
+    const dx = aim.x - origin.x;
+    const dz = aim.z - origin.z;
+    const distance = Math.hypot(dx, dz);
+    const miss = distance * AIM_SPREAD;
+    aim.x += (this.random() * 2 - 1) * miss;
+    aim.z += (this.random() * 2 - 1) * miss;
+
+    const range = Math.hypot(aim.x - origin.x, aim.z - origin.z);
+    const drop = aim.y + aimHeight - origin.y;
+    const v2 = ARROW_SPEED * ARROW_SPEED;
+    const root = v2 * v2 - GRAVITY * (GRAVITY * range * range + 2 * drop * v2);
+    if (root < 0 || range < 0.001) return;
+    const angle = Math.atan((v2 - Math.sqrt(root)) / (GRAVITY * range));
+
+    const { initialVelocityX, initialVelocityY } = Utils.calculateTrajectory(
+      ARROW_SPEED,
+      angle,
+      GRAVITY
+    );
+    const velocity = new THREE.Vector3(
+      ((aim.x - origin.x) / range) * initialVelocityX,
+      initialVelocityY,
+      ((aim.z - origin.z) / range) * initialVelocityX
+    );
+
+    const mesh = Ammunition.createArrowMesh();
+    mesh.position.copy(origin);
+    mesh.userData = { isArrow: true };
+    this.pointAlong(mesh, velocity);
+    this.scene.add(mesh);
+    this.arrows.push({ mesh: mesh, velocity: velocity, stuckTime: null });
+  }
+
+  pointAlong(mesh, velocity) {
+    mesh.quaternion.setFromUnitVectors(
+      new THREE.Vector3(0, 1, 0),
+      velocity.clone().normalize()
+    );
+  }
+
+  updateArrows(deltaTime, targets) {
+    this.arrows = this.arrows.filter((arrow) => {
+      if (arrow.stuckTime !== null) {
+        arrow.stuckTime += deltaTime;
+        if (arrow.stuckTime < STUCK_TIME) return true;
+        this.removeArrow(arrow);
+        return false;
+      }
+
+      arrow.velocity.y -= GRAVITY * deltaTime;
+      arrow.mesh.position.addScaledVector(arrow.velocity, deltaTime);
+      this.pointAlong(arrow.mesh, arrow.velocity);
+
+      const engine = targets.find((engine) => this.hits(arrow, engine));
+      if (engine) {
+        const { crewHitChance } = ENGINE_TARGETS[engine.mesh.userData.type];
+        if (this.random() < crewHitChance) engine.loseCrewMember();
+        this.removeArrow(arrow);
+        return false;
+      }
+
+      const position = arrow.mesh.position;
+      const ground = this.terrain
+        ? this.terrain.getHeight(position.x, position.z)
+        : 0;
+      if (position.y <= ground) {
+        position.y = ground;
+        arrow.stuckTime = 0;
+      }
+      return true;
+    });
+  }
+
+  hits(arrow, engine) {
+    const target = ENGINE_TARGETS[engine?.mesh?.userData.type];
+    if (!target || !engine.mesh.parent) return false;
+    const position = arrow.mesh.position;
+    const base = engine.mesh.position;
+    return (
+      Math.abs(position.x - base.x) <= target.halfWidth &&
+      Math.abs(position.z - base.z) <= target.halfWidth &&
+      position.y >= base.y &&
+      position.y <= base.y + target.height
+    );
+  }
+
+  removeArrow(arrow) {
+    if (arrow.mesh.parent) arrow.mesh.parent.remove(arrow.mesh);
+    // Shared materials are left alone, only the arrow's own are freed
+    const sharedMaterials = Object.values(materials);
+    arrow.mesh.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material && !sharedMaterials.includes(child.material)) {
+        child.material.dispose();
+      }
+    });
+  }
+
+  // Arrows in the air or in the ground; the defenders themselves go with
+  // the castle
+  clearArrows() {
+    this.arrows.forEach((arrow) => this.removeArrow(arrow));
+    this.arrows = [];
+  }
+
+  clear() {
+    this.clearArrows();
+    this.defenders.forEach(({ mesh }) => {
+      if (mesh.parent) mesh.parent.remove(mesh);
+    });
+    this.defenders = [];
+  }
+}
@@ -0,0 +1,335 @@
+import * as THREE from "three";
+import { Utils } from "../utils.js";
+import { SCENARIO_FORMAT_VERSION } from "../validation.js";
+import { EditHistory } from "./editor/EditHistory.js";
+import { DEFAULT_TERRAIN } from "../simulation/Terrain.js";
+
+// What the editor can pick up. The siege engines can be moved and turned
+// but not scaled or deleted.
+const EDITABLE_TYPES = [
+  "wall",
+  "tower",
+  "gate",
+  "barrel",
+  "rock",
+  "catapult",
+  "trebuchet",
+  "siegeTower",
+];
+const SCALABLE_TYPES = ["tower", "gate", "rock"];
+const FIXED_TYPES = ["catapult", "trebuchet", "siegeTower"];
+
+const ROTATION_STEP = 15; // Degrees
+const SCALE_STEP = 0.25;
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3;
+const WALL_LENGTH_STEP = 4; // One block
+const MIN_WALL_LENGTH = 4;
+const MAX_WALL_LENGTH = 120;
+const NEW_WALL_LENGTH = 24;
+
+// Name and id for a layout that didn't start from a scenario file; it keeps
+// the built-in castle's terrain
+const UNTITLED_SCENARIO = {
+  id: "custom",
+  name: "Özel Kuşatma",
+  terrain: DEFAULT_TERRAIN,
+};
+
+// Level editor. It edits the castle in the world directly, through the
+// same SceneManager and Ammunition builders a scenario is loaded with, and
+// reads the layout back out of the scene as a scenario (toScenario), so
+// what the editor shows is exactly what the exported file builds.
+export class EditorManager {
+  constructor(world) {
+    this.world = world;
+    this.scene = world.scene;
+    this.history = new EditHistory();
+    this.active = false;
+
+    // Scenario the layout started from; supplies everything that isn't
+    // placed in the scene (name, lighting, wind, goals)
+    this.base = UNTITLED_SCENARIO;
+
+    this.selected = null;
+    this.pendingMove = null;
+    this.snapToGrid = true;
+    this.gridSize = 2;
+
+    this.selectionBox = new THREE.BoxHelper(undefined, 0xffd700);
+    this.selectionBox.visible = false;
+
+    // Called after every edit, undo and redo
+    this.onChange = null;
+  }
+
+  static isEditable(object) {
+    return EDITABLE_TYPES.includes(object?.userData?.type);
+  }
+
+  // The world should have just been rebuilt from scenario (or the
+  // built-in castle when it is null)
+  start(scenario = null) {
+    this.active = true;
+    this.base = scenario || UNTITLED_SCENARIO;
+    this.history.clear();
+    this.scene.add(this.selectionBox);
+    this.notify();
+  }
+
+  stop() {
+    this.select(null);
+    this.scene.remove(this.selectionBox);
+    this.pendingMove = null;
+    this.active = false;
+  }
+
+  setGrid(enabled, size = this.gridSize) {
+    this.snapToGrid = enabled;
+    this.gridSize = size > 0 ? size : this.gridSize;
+  }
+
+  snap(value) {
+    return this.snapToGrid
+      ? Math.round(value / this.gridSize) * this.gridSize
+      : value;
+  }
+
+  snapPoint(point) {
+    return new THREE.Vector3(this.snap(point.x), point.y, this.snap(point.z));
+  }
+
+  select(object) {
+    this.selected =
+      object && EditorManager.isEditable(object) && object.parent
+        ? object
+        : null;
+    this.selectionBox.visible = Boolean(this.selected);
+    if (this.selected) this.selectionBox.setFromObject(this.selected);
+  }
+
+  // Keeps the selection box on the object while it is dragged
+  update() {
+    if (this.selected && !this.selected.parent) this.select(null);
+    if (this.selected) this.selectionBox.setFromObject(this.selected);
+  }
+
+  // Palette: a new piece at (x, z), selected. Returns it.
+  spawn(type, x, z) {
+    const sceneManager = this.world.sceneManager;
+    const builders = {
+      wall: (x, z) => sceneManager.createWall(x, z, 0, NEW_WALL_LENGTH),
+      tower: (x, z) => sceneManager.createTower(x, z),
+      gate: (x, z) => sceneManager.createGateAt(x, z, 0),
+      barrel: (x, z) => this.world.ammunition.createBarrel(x, z),
+      rock: (x, z) => sceneManager.createRock(x, z),
+    };
+    if (!builders[type]) {
+      console.warn(`⚠️ Editor can't place a ${type}`);
+      return null;
+    }
+
+    this.record();
+    const object = builders[type](this.snap(x), this.snap(z));
+    this.world.setupCollisionTargets();
+    this.select(object);
+    this.notify();
+    return object;
+  }
+
+  // direction: 1 clockwise seen from above, -1 anticlockwise. Turns snap
+  // to whole steps.
+  rotateSelected(direction) {
+    const object = this.selected;
+    if (!object || object.userData.type === "barrel") return false;
+    this.record();
+    const step = Utils.degToRad(ROTATION_STEP);
+    object.rotation.y =
+      Math.round(object.rotation.y / step) * step - direction * step;
+    this.select(object);
+    this.notify();
+    return true;
+  }
+
+  // Walls grow and shrink a block at a time; towers, gates and rocks scale
+  scaleSelected(direction) {
+    const object = this.selected;
+    if (!object) return false;
+    const type = object.userData.type;
+
+    if (type === "wall") {
+      const length = Utils.clamp(
+        object.userData.length + direction * WALL_LENGTH_STEP,
+        MIN_WALL_LENGTH,
+        MAX_WALL_LENGTH
+      );
+      if (length === object.userData.length) return false;
+      this.record();
+      this.removeObject(object);
+      this.select(
+        this.world.sceneManager.createWall(
+          object.position.x,
+          object.position.z,
+          object.rotation.y,
+          length
+        )
+      );
+    } else if (SCALABLE_TYPES.includes(type)) {
+      const scale = Utils.clamp(
+        object.scale.x + direction * SCALE_STEP,
+        MIN_SCALE,
+        MAX_SCALE
+      );
+      if (scale === object.scale.x) return false;
+      this.record();
+      object.scale.setScalar(scale);
+      this.select(object);
+    } else {
+      return false;
+    }
+    this.notify();
+    return true;
+  }
+
+  deleteSelected() {
+    const object = this.selected;
+    if (!object || FIXED_TYPES.includes(object.userData.type)) return false;
+    this.record();
+    this.removeObject(object);
+    this.select(null);
+    this.notify();
+    return true;
+  }
+
+  removeObject(object) {
+    if (object.parent) object.parent.remove(object);
+    const ammunition = this.world.ammunition;
+    if (ammunition) {
+      ammunition.barrels = ammunition.barrels.filter(
+        (barrel) => barrel !== object
+      );
+    }
+  }
+
+  // Dragging goes through the app's own drag handling; the editor only
+  // takes a snapshot when it starts and keeps it if the object moved
+  beginMove(object) {
+    this.pendingMove = {
+      object: object,
+      from: object.position.clone(),
+      snapshot: this.toScenario(),
+    };
+  }
+
+  endMove() {
+    const move = this.pendingMove;
+    this.pendingMove = null;
+    if (!move || move.object.position.distanceTo(move.from) < 0.001) return;
+    this.history.push(move.snapshot);
+    this.notify();
+  }
+
+  undo() {
+    const layout = this.history.undo(this.toScenario());
+    if (!layout) return false;
+    this.restore(layout);
+    this.notify();
+    return true;
+  }
+
+  redo() {
+    const layout = this.history.redo(this.toScenario());
+    if (!layout) return false;
+    this.restore(layout);
+    this.notify();
+    return true;
+  }
+
+  // Replace the layout with an imported scenario; can be undone like any
+  // other edit. Returns the validation errors, empty on success.
+  load(scenario) {
+    const current = this.toScenario();
+    const errors = this.restore(scenario);
+    if (errors.length === 0) this.history.push(current);
+    this.notify();
+    return errors;
+  }
+
+  restore(scenario) {
+    const errors = this.world.loadScenario(scenario);
+    if (errors.length > 0) return errors;
+    this.world.reset({ rebuildCastle: true });
+    this.base = scenario;
+    this.select(null);
+    return [];
+  }
+
+  record() {
+    this.history.push(this.toScenario());
+  }
+
+  notify() {
+    this.onChange?.();
+  }
+
+  // The layout in the scene as a scenario (see Validation.validateScenario).
+  // Barrels are written one per cluster so they come back where they stand.
+  toScenario() {
+    const round = (value, digits = 2) => Number(value.toFixed(digits));
+    const point = (object) => [
+      round(object.position.x),
+      round(object.position.z),
+    ];
+    const degrees = (radians) =>
+      round(((Utils.radToDeg(radians) % 360) + 360) % 360, 1);
+    const withScale = (entry, object) =>
+      object.scale.x !== 1 ? { ...entry, scale: round(object.scale.x) } : entry;
+    const ofType = (type) =>
+      this.scene.children.filter((child) => child.userData?.type === type);
+    const start = (engine) =>
+      engine?.mesh
+        ? {
+            position: point(engine.mesh),
+            rotation: degrees(engine.mesh.rotation.y),
+          }
+        : undefined;
+
+    return {
+      ...this.base,
+      version: SCENARIO_FORMAT_VERSION,
+      walls: ofType("wall").map((wall) => ({
+        position: point(wall),
+        rotation: degrees(wall.rotation.y),
+        length: wall.userData.length,
+      })),
+      towers: ofType("tower").map((tower) =>
+        withScale({ position: point(tower) }, tower)
+      ),
+      // Gates are modelled turned 90 degrees (see createGateAt)
+      gates: ofType("gate").map((gate) =>
+        withScale(
+          {
+            position: point(gate),
+            rotation: degrees(gate.rotation.y + Math.PI / 2),
+          },
+          gate
+        )
+      ),
+      barrels: (this.world.ammunition?.barrels || [])
+        .filter((barrel) => barrel.parent)
+        .map((barrel) => ({ center: point(barrel), count: 1, spread: 0 })),
+      rocks: ofType("rock").map((rock) =>
+        withScale(
+          { position: point(rock), rotation: degrees(rock.rotation.y) },
+          rock
+        )
+      ),
+      catapult: undefined, // The engines list has it
+      engines: this.world.engines.map((engine) => ({
+        type: engine.type,
+        ...start(engine),
+      })),
+      siegeTower: start(this.world.siegeTower),
+    };
+  }
+}
@@ -2,6 +2,13 @@ import { Utils } from "../utils.js";
 import * as THREE from "three";
 import { Validation } from "../validation.js"; // Assuming Validation might be useful
 import { materials } from "../materials.js";
+import { TorchParticles } from "../objects/particles/TorchParticles.js";
+
+// A lit fuse: sparks spitting from the top of the barrel, and its
+// countdown floating above
+const FUSE_SPARKS = 40;
+const FUSE_TIP = new THREE.Vector3(0, 1.1, 0); // Above the barrel's centre
+const FUSE_LABEL_HEIGHT = 2.4;
 
 // Texture Loader for smoke particle
 const textureLoader = new THREE.TextureLoader();
@@ -24,7 +31,7 @@ textureLoader.load(
 export class EffectsManager {
   constructor(scene) {
     this.scene = scene;
-    this.animationTime = 0; // General timer for effects if needed
+    this.wind = null; // WindSystem that bends flames and carries smoke/dust
 
     // Throttling for frequent effects
     this.lastDustPosition = new THREE.Vector3();
@@ -37,6 +44,14 @@ export class EffectsManager {
     this.MIN_CRATER_INTERVAL = 700;
   }
 
+  setWind(wind) {
+    this.wind = wind;
+  }
+
+  getWindVector() {
+    return this.wind ? this.wind.getVector() : new THREE.Vector3();
+  }
+
   async createExplosionEffect(position, scale = 1.0) {
     try {
       const explosionVolume = Utils.clamp(0.6 + scale * 0.4, 0.5, 1.0);
@@ -198,8 +213,9 @@ export class EffectsManager {
           smokeParticleData,
           deltaTime,
           -0.15 * scale,
-          0.95
-        ); // Smoke rises faster, more drag
+          0.95,
+          1.2
+        ); // Smoke rises faster, more drag, drifts downwind
         smoke.material.opacity = Math.max(0, (1 - progress) * 0.5); // Texture will help with visual density
         const smokeScale =
           Utils.easeOutQuad(Math.min(progress * 1.2, 1)) * (1 + progress * 2.0);
@@ -247,11 +263,11 @@ export class EffectsManager {
     const positions = particleSystem.geometry.attributes.position;
     const velocities = [];
     for (let i = 0; i < positions.count; i++) {
-      const speed = Math.random() * initialSpeedRange;
+      const speed = Utils.random() * initialSpeedRange;
       const velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 2 * spreadFactor,
-        (Math.random() - 0.5) * 2 * spreadFactor + upwardBias,
-        (Math.random() - 0.5) * 2 * spreadFactor
+        (Utils.random() - 0.5) * 2 * spreadFactor,
+        (Utils.random() - 0.5) * 2 * spreadFactor + upwardBias,
+        (Utils.random() - 0.5) * 2 * spreadFactor
       )
         .normalize()
         .multiplyScalar(speed);
@@ -265,7 +281,8 @@ export class EffectsManager {
     velocities,
     deltaTime,
     gravityY,
-    dragFactor
+    dragFactor,
+    windInfluence = 0
   ) {
     if (
       !particleSystem ||
@@ -279,9 +296,15 @@ export class EffectsManager {
     if (positions.count !== velocities.length) {
       return;
     }
+    // Wind accelerates particles until drag balances it
+    const wind = windInfluence > 0 ? this.getWindVector() : null;
     for (let i = 0; i < positions.count; i++) {
       if (!velocities[i]) continue;
       velocities[i].y -= gravityY * deltaTime;
+      if (wind) {
+        velocities[i].x += wind.x * windInfluence * deltaTime;
+        velocities[i].z += wind.z * windInfluence * deltaTime;
+      }
       velocities[i].multiplyScalar(dragFactor);
 
       positions.setXYZ(
@@ -324,7 +347,7 @@ export class EffectsManager {
     ); // Use smoke texture
     if (!dust || !dust.material) return;
 
-    dust.material.color.setHSL(0.1, 0.15, 0.6 + Math.random() * 0.1); // More greyish-brown
+    dust.material.color.setHSL(0.1, 0.15, 0.6 + Utils.random() * 0.1); // More greyish-brown
     dust.material.opacity = 0.0;
     dust.material.transparent = true;
     dust.material.depthWrite = false;
@@ -352,8 +375,9 @@ export class EffectsManager {
         particleData,
         deltaTime,
         0.25 * force,
-        0.96
-      ); // Slightly more gravity
+        0.96,
+        0.8
+      ); // Slightly more gravity, drifts downwind
 
       if (progress < 0.4) {
         dust.material.opacity = Utils.easeOutQuad(progress / 0.4) * 0.5; // Max opacity 0.5
@@ -405,16 +429,16 @@ export class EffectsManager {
     }
     if (debrisMaterial) {
       // Check if material was successfully created/cloned
-      debrisMaterial.color.multiplyScalar(0.8 + Math.random() * 0.2);
+      debrisMaterial.color.multiplyScalar(0.8 + Utils.random() * 0.2);
     } else {
       // Fallback if cloning failed for some reason
       debrisMaterial = new THREE.MeshStandardMaterial({ color: 0x555555 });
     }
 
     for (let i = 0; i < count; i++) {
-      const size = baseSize * (0.5 + Math.random() * 0.8);
+      const size = baseSize * (0.5 + Utils.random() * 0.8);
       let debrisGeo;
-      const type = Math.random();
+      const type = Utils.random();
       if (type < 0.5) debrisGeo = new THREE.BoxGeometry(size, size, size);
       else if (type < 0.8)
         debrisGeo = new THREE.DodecahedronGeometry(size / 1.5, 0);
@@ -426,33 +450,33 @@ export class EffectsManager {
       debris.position.copy(position);
       debris.position.add(
         new THREE.Vector3(
-          (Math.random() - 0.5) * 0.5 * scale,
-          Math.random() * 0.5 * scale,
-          (Math.random() - 0.5) * 0.5 * scale
+          (Utils.random() - 0.5) * 0.5 * scale,
+          Utils.random() * 0.5 * scale,
+          (Utils.random() - 0.5) * 0.5 * scale
         )
       );
 
       debris.rotation.set(
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2
+        Utils.random() * Math.PI * 2,
+        Utils.random() * Math.PI * 2,
+        Utils.random() * Math.PI * 2
       );
       Utils.enableShadows(debris);
       this.scene.add(debris);
 
       this.animateDebris(debris, {
         initialVelocity: {
-          x: (Math.random() - 0.5) * 5 * scale, // Reduced velocity
-          y: Math.random() * 4 * scale + 1.5 * scale,
-          z: (Math.random() - 0.5) * 5 * scale,
+          x: (Utils.random() - 0.5) * 5 * scale, // Reduced velocity
+          y: Utils.random() * 4 * scale + 1.5 * scale,
+          z: (Utils.random() - 0.5) * 5 * scale,
         },
         rotationSpeed: {
-          x: (Math.random() - 0.5) * Math.PI * 1.5,
-          y: (Math.random() - 0.5) * Math.PI * 1.5,
-          z: (Math.random() - 0.5) * Math.PI * 1.5,
+          x: (Utils.random() - 0.5) * Math.PI * 1.5,
+          y: (Utils.random() - 0.5) * Math.PI * 1.5,
+          z: (Utils.random() - 0.5) * Math.PI * 1.5,
         },
-        bounce: 0.25 + Math.random() * 0.15, // Less bounce
-        life: 2500 + Math.random() * 1500, // Shorter life
+        bounce: 0.25 + Utils.random() * 0.15, // Less bounce
+        life: 2500 + Utils.random() * 1500, // Shorter life
       });
     }
   }
@@ -475,7 +499,7 @@ export class EffectsManager {
   async createWoodDebrisEffect(position) {
     const debrisCount = Utils.randomInt(5, 8); // Reduced count
     for (let i = 0; i < debrisCount; i++) {
-      const isSplinter = Math.random() > 0.5;
+      const isSplinter = Utils.random() > 0.5;
       const length = Utils.randomRange(0.25, 0.7);
       const width = isSplinter
         ? Utils.randomRange(0.04, 0.08)
@@ -487,7 +511,7 @@ export class EffectsManager {
       const debris = Utils.createBox(width, length, depth, 0x8b4513);
       if (materials.wood && materials.initialized) {
         debris.material = materials.wood.clone();
-        debris.material.color.multiplyScalar(0.7 + Math.random() * 0.3);
+        debris.material.color.multiplyScalar(0.7 + Utils.random() * 0.3);
       }
 
       debris.position.copy(position);
@@ -495,24 +519,24 @@ export class EffectsManager {
       debris.position.y += Utils.randomRange(0.25, 1.2);
       debris.position.z += Utils.randomRange(-0.7, 0.7);
 
-      debris.rotation.x = Math.random() * Math.PI;
-      debris.rotation.y = Math.random() * Math.PI;
-      debris.rotation.z = Math.random() * Math.PI;
+      debris.rotation.x = Utils.random() * Math.PI;
+      debris.rotation.y = Utils.random() * Math.PI;
+      debris.rotation.z = Utils.random() * Math.PI;
 
       Utils.enableShadows(debris);
       this.scene.add(debris);
       this.animateDebris(debris, {
         bounce: 0.15,
-        life: 2000 + Math.random() * 1000, // Shorter life
+        life: 2000 + Utils.random() * 1000, // Shorter life
         initialVelocity: {
-          x: (Math.random() - 0.5) * 3.5,
-          y: Math.random() * 3.5 + 1.5,
-          z: (Math.random() - 0.5) * 3.5,
+          x: (Utils.random() - 0.5) * 3.5,
+          y: Utils.random() * 3.5 + 1.5,
+          z: (Utils.random() - 0.5) * 3.5,
         },
         rotationSpeed: {
-          x: (Math.random() - 0.5) * Math.PI * 2.5,
-          y: (Math.random() - 0.5) * Math.PI * 2.5,
-          z: (Math.random() - 0.5) * Math.PI * 2.5,
+          x: (Utils.random() - 0.5) * Math.PI * 2.5,
+          y: (Utils.random() - 0.5) * Math.PI * 2.5,
+          z: (Utils.random() - 0.5) * Math.PI * 2.5,
         },
       });
     }
@@ -537,7 +561,7 @@ export class EffectsManager {
 
     const particleData = this.initParticleVelocities(sparks, 4, 0.4, 1.2); // Reduced speed
     let time = 0;
-    const duration = 500 + Math.random() * 300; // Shorter duration
+    const duration = 500 + Utils.random() * 300; // Shorter duration
 
     const animateSparks = () => {
       time += 16.67;
@@ -557,6 +581,100 @@ export class EffectsManager {
     animateSparks();
   }
 
+  // Landing effect for each ammo type, see AMMO_TYPES.impactEffect
+  createAmmoImpactEffect(effect, position, force = 1.0) {
+    const posVec =
+      position instanceof THREE.Vector3
+        ? position.clone()
+        : new THREE.Vector3(position.x, position.y, position.z);
+
+    switch (effect) {
+      case "fire":
+        this.createFireBurstEffect(posVec, force);
+        break;
+      case "chain":
+        this.createSiegeHitEffect(posVec);
+        this.createGenericDebrisEffect(posVec, 3, 0.6, "metal");
+        break;
+      case "explosion":
+        this.createExplosionEffect(posVec, 1.5 + force * 0.5);
+        break;
+      case "pebbles":
+        this.createGenericDebrisEffect(posVec, 3, 0.4, "stone");
+        break;
+      case "stone":
+      default:
+        // Plain stones make do with the usual dust and craters
+        break;
+    }
+  }
+
+  async createFireBurstEffect(position, force = 1.0) {
+    try {
+      await Utils.playSound("sounds/effects/wood_break", 0.7); // Pot shattering
+    } catch (error) {
+      console.warn("Failed to play fire burst sound:", error);
+    }
+
+    const scale = Utils.clamp(force, 0.6, 2.0);
+    const glow = new THREE.PointLight(0xff7a1a, 3 * scale, 12 * scale, 2);
+    glow.position.copy(position);
+    glow.position.y += 0.5;
+    this.scene.add(glow);
+
+    const flameCount = Math.floor(Utils.clamp(25 * scale, 15, 45));
+    const flames = Utils.createParticleSystem(flameCount, null, 0.35 * scale);
+    if (!flames || !flames.material) {
+      this.scene.remove(glow);
+      return;
+    }
+    flames.material.color.setHex(0xff6a00);
+    flames.material.blending = THREE.AdditiveBlending;
+    flames.material.transparent = true;
+    flames.material.depthWrite = false;
+    flames.position.copy(position);
+    this.scene.add(flames);
+
+    const particleData = this.initParticleVelocities(
+      flames,
+      2.5 * scale,
+      1.5,
+      0.8
+    );
+    let time = 0;
+    const duration = 900 + scale * 400;
+
+    const animateFlames = () => {
+      time += 16.67;
+      const deltaTime = 0.01667;
+      const progress = Math.min(time / duration, 1);
+
+      // Negative gravity: flames rise, and lean with the wind like smoke
+      this.updateAnimatedParticles(
+        flames,
+        particleData,
+        deltaTime,
+        -1.5,
+        0.93,
+        1.0
+      );
+      flames.material.opacity = 1 - Utils.easeInQuad(progress);
+      // Starts tight around the shattered pot and billows out
+      flames.scale.setScalar(
+        (0.05 + Utils.easeOutQuad(progress) * 0.1) * scale
+      );
+      glow.intensity = 3 * scale * (1 - Utils.easeOutQuad(progress));
+
+      if (progress >= 1) {
+        if (flames.parent) this.scene.remove(flames);
+        if (glow.parent) this.scene.remove(glow);
+        return;
+      }
+      requestAnimationFrame(animateFlames);
+    };
+    animateFlames();
+  }
+
   async createCraterEffect(position, force) {
     const posVec =
       position instanceof THREE.Vector3
@@ -598,7 +716,7 @@ export class EffectsManager {
     const depression = new THREE.Mesh(depressionGeo, depressionMat);
     depression.rotation.x = -Math.PI / 2;
     depression.position.copy(posVec);
-    depression.position.y = 0.01;
+    depression.position.y = posVec.y + 0.01; // On the crater's floor
     this.scene.add(depression);
 
     const rimGeo = new THREE.RingGeometry(
@@ -616,7 +734,7 @@ export class EffectsManager {
     const rim = new THREE.Mesh(rimGeo, rimMat);
     rim.rotation.x = -Math.PI / 2;
     rim.position.copy(posVec);
-    rim.position.y = 0.015 + craterDepth * 0.15; // Lower rim
+    rim.position.y = posVec.y + 0.015 + craterDepth * 0.15; // Lower rim
     this.scene.add(rim);
 
     // Reduced debris for crater
@@ -763,7 +881,7 @@ export class EffectsManager {
 
     const particleData = this.initParticleVelocities(hitSparks, 1.5, 0.3); // Reduced speed
     let time = 0;
-    const duration = 300 + Math.random() * 200; // Shorter duration
+    const duration = 300 + Utils.random() * 200; // Shorter duration
 
     const animateHit = () => {
       time += 16.67;
@@ -788,11 +906,13 @@ export class EffectsManager {
     animateHit();
   }
 
+  // Each fire keeps its own flicker clock, so several burning at once don't
+  // speed each other up
   updateFireEffect(fireObject, torchLight, torchSliderValue) {
-    this.animationTime += 0.01667;
+    fireObject.flickerTime = (fireObject.flickerTime || 0) + 0.01667;
 
     if (fireObject && fireObject.particles && fireObject.particles.update) {
-      fireObject.particles.update(0.01667);
+      fireObject.particles.update(0.01667, this.getWindVector());
 
       const torchGroup = torchLight.parent;
       if (!torchGroup) return;
@@ -805,10 +925,10 @@ export class EffectsManager {
         lights.forEach((light, index) => {
           const timeOffset = index * 0.77;
           let flicker =
-            Math.sin((this.animationTime * 5 + timeOffset) * 2.1) * 0.15;
+            Math.sin((fireObject.flickerTime * 5 + timeOffset) * 2.1) * 0.15;
           flicker +=
-            Math.sin((this.animationTime * 2 + timeOffset) * 1.3) * 0.25;
-          flicker += (Math.random() - 0.5) * 0.1;
+            Math.sin((fireObject.flickerTime * 2 + timeOffset) * 1.3) * 0.25;
+          flicker += (Utils.random() - 0.5) * 0.1;
 
           let currentIntensity;
           if (light === torchLight) {
@@ -840,4 +960,170 @@ export class EffectsManager {
       }
     }
   }
+
+  // Flames on a burning object, made of torch particles and a flickering
+  // light. Long walls get a few emitters side by side. The returned handle
+  // goes to updateBurningEffect() every step and removeBurningEffect() at
+  // the end.
+  createBurningEffect(object, scale = 1.0) {
+    const bounds = new THREE.Box3().setFromObject(object);
+    const size = bounds.getSize(new THREE.Vector3());
+    const offset = bounds.getCenter(new THREE.Vector3()).sub(object.position);
+    offset.y += size.y * 0.1;
+
+    const group = new THREE.Group();
+    group.position.copy(object.position).add(offset);
+    group.scale.setScalar(scale * 2);
+    this.scene.add(group);
+
+    const emitterCount = Utils.clamp(
+      Math.round(Math.max(size.x, size.z) / 3),
+      1,
+      4
+    );
+    const alongX = size.x >= size.z;
+    const span = (alongX ? size.x : size.z) * 0.3;
+    const emitters = [];
+    for (let i = 0; i < emitterCount; i++) {
+      const t = emitterCount === 1 ? 0 : i / (emitterCount - 1) - 0.5;
+      const position = alongX
+        ? new THREE.Vector3((t * span * 2) / group.scale.x, 0, 0)
+        : new THREE.Vector3(0, 0, (t * span * 2) / group.scale.x);
+      const emitter = new TorchParticles(group, position);
+      emitter.particleSize = 0.3;
+      emitters.push(emitter);
+    }
+
+    const light = new THREE.PointLight(0xff7a1a, 0, 12 * scale, 2);
+    light.position.y = 0.5;
+    group.add(light);
+
+    return {
+      object: object,
+      offset: offset,
+      group: group,
+      emitters: emitters,
+      light: light,
+      particles: {
+        update: (deltaTime, wind) =>
+          emitters.forEach((emitter) => emitter.update(deltaTime, wind)),
+      },
+    };
+  }
+
+  // intensity 0-1; the light follows updateFireEffect()'s torch flicker
+  updateBurningEffect(burning, intensity) {
+    burning.group.position.copy(burning.object.position).add(burning.offset);
+    this.updateFireEffect(burning, burning.light, intensity * 100);
+  }
+
+  // Sparks, a hissing loop and a countdown over the barrel, following it
+  // wherever it is carried until removeFuseEffect()
+  createFuseEffect(barrel) {
+    const group = new THREE.Group();
+    group.position.copy(barrel.position);
+    this.scene.add(group);
+
+    const sparks = Utils.createParticleSystem(FUSE_SPARKS, null, 0.12);
+    sparks.material.vertexColors = false;
+    sparks.material.color.setHex(0xffcc55);
+    sparks.material.blending = THREE.AdditiveBlending;
+    sparks.material.depthWrite = false;
+    group.add(sparks);
+    const particles = Array.from({ length: FUSE_SPARKS }, () => ({
+      velocity: new THREE.Vector3(),
+      life: 0, // Seconds left; respawns at the tip at 0
+    }));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = 128;
+    canvas.height = 64;
+    const texture = new THREE.CanvasTexture(canvas);
+    const label = new THREE.Sprite(
+      new THREE.SpriteMaterial({ map: texture, depthTest: false })
+    );
+    label.scale.set(2, 1, 1);
+    label.position.y = FUSE_LABEL_HEIGHT;
+    label.renderOrder = 10;
+    group.add(label);
+
+    const fuse = {
+      barrel: barrel,
+      group: group,
+      sparks: sparks,
+      label: label,
+      canvas: canvas,
+      texture: texture,
+      shown: null, // Text on the label
+      active: true,
+      sound: Utils.playSound("sounds/effects/fuse_hiss", 0.4, true),
+    };
+
+    const positions = sparks.geometry.attributes.position;
+    const animateSparks = () => {
+      if (!fuse.active) return;
+      const deltaTime = 0.01667;
+      group.position.copy(barrel.position);
+      particles.forEach((particle, i) => {
+        particle.life -= deltaTime;
+        if (particle.life <= 0) {
+          particle.life = 0.2 + Utils.random() * 0.3;
+          particle.velocity.set(
+            (Utils.random() - 0.5) * 3,
+            1 + Utils.random() * 2,
+            (Utils.random() - 0.5) * 3
+          );
+          positions.setXYZ(i, FUSE_TIP.x, FUSE_TIP.y, FUSE_TIP.z);
+          return;
+        }
+        particle.velocity.y -= 9.81 * deltaTime;
+        positions.setXYZ(
+          i,
+          positions.getX(i) + particle.velocity.x * deltaTime,
+          positions.getY(i) + particle.velocity.y * deltaTime,
+          positions.getZ(i) + particle.velocity.z * deltaTime
+        );
+      });
+      positions.needsUpdate = true;
+      requestAnimationFrame(animateSparks);
+    };
+    animateSparks();
+    return fuse;
+  }
+
+  // seconds: what is left of the fuse
+  updateFuseEffect(fuse, seconds) {
+    const text = seconds.toFixed(1);
+    if (text === fuse.shown) return;
+    fuse.shown = text;
+    const context = fuse.canvas.getContext("2d");
+    context.clearRect(0, 0, fuse.canvas.width, fuse.canvas.height);
+    context.font = "bold 40px sans-serif";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.lineWidth = 6;
+    context.strokeStyle = "black";
+    context.fillStyle = seconds < 2 ? "#ff4444" : "#ffdd66";
+    context.strokeText(text, 64, 32);
+    context.fillText(text, 64, 32);
+    fuse.texture.needsUpdate = true;
+  }
+
+  removeFuseEffect(fuse) {
+    fuse.active = false;
+    if (fuse.group.parent) this.scene.remove(fuse.group);
+    fuse.sparks.geometry.dispose();
+    fuse.sparks.material.dispose();
+    fuse.label.material.dispose();
+    fuse.texture.dispose();
+    fuse.sound.then((source) => source?.stop());
+  }
+
+  removeBurningEffect(burning) {
+    if (burning.group.parent) this.scene.remove(burning.group);
+    burning.emitters.forEach((emitter) => {
+      emitter.particleSystem.geometry.dispose();
+      emitter.particleSystem.material.dispose();
+    });
+  }
 }
@@ -0,0 +1,272 @@
+// Types that can catch fire. Wood catches easily; stone only smoulders on
+// its hoardings and beams, and resists in proportion to getTargetResistance.
+const WOODEN_TYPES = ["siegeTower", "gate", "barrel"];
+const STONE_TYPES = ["wall", "tower"];
+
+const DAMAGE_TICK = 0.5; // Seconds between damage-over-time ticks
+const SPREAD_RADIUS = 6;
+const COOLING_RATE = 0.25; // Heat lost per second by things not on fire
+const BARREL_FUSE = 3; // Seconds a barrel burns before it goes up
+
+// A lit torch carried this close to a barrel arms it and lights its fuse
+const TORCH_REACH = 2;
+
+// Heat is what sets things alight: an incendiary hit or standing next to a
+// fire. Things ignite once their heat reaches their threshold (1 for wood,
+// much more for stone) and cool back down otherwise. Rain and wet ground raise the thresholds and
+// weaken the heat a fire spreads (see WeatherSystem.getFireFactor). There
+// is no randomness and everything runs on the world's fixed step, so fires
+// replay exactly.
+export class FireManager {
+  constructor(scene, collisionManager, effectsManager = null, options = {}) {
+    this.scene = scene;
+    this.collisionManager = collisionManager;
+    this.effectsManager = effectsManager;
+    this.weather = options.weather || null;
+    this.fuseManager = null; // Set by SiegeWorld; carried torches light fuses
+    this.fires = new Map(); // mesh -> fire state
+    this.heat = new Map(); // mesh -> accumulated heat
+    this.burningProjectiles = new Map(); // mesh -> visual
+  }
+
+  isFlammable(type) {
+    return WOODEN_TYPES.includes(type) || STONE_TYPES.includes(type);
+  }
+
+  isBurning(mesh) {
+    return this.fires.has(mesh);
+  }
+
+  getIgnitionThreshold(type) {
+    const resistance = this.collisionManager.getTargetResistance({ type });
+    const base = WOODEN_TYPES.includes(type) ? 1 : 4;
+    return base / Math.max(1 - resistance, 0.05) / this.getFireFactor();
+  }
+
+  // Heat every flammable target within radius, the closest ones most.
+  // A directly hit target gets the full amount.
+  applyHeat(position, radius, amount, directTarget = null) {
+    this.getFlammableTargets().forEach((mesh) => {
+      if (mesh === directTarget) {
+        this.addHeat(mesh, amount);
+        return;
+      }
+      const distance = position.distanceTo(mesh.position);
+      if (distance < radius) {
+        this.addHeat(mesh, amount * (1 - distance / radius));
+      }
+    });
+  }
+
+  addHeat(mesh, amount) {
+    const type = mesh.userData?.type;
+    if (!this.isFlammable(type) || this.isBurning(mesh) || amount <= 0) return;
+
+    const heat = (this.heat.get(mesh) || 0) + amount;
+    if (heat >= this.getIgnitionThreshold(type)) {
+      this.heat.delete(mesh);
+      this.ignite(mesh);
+    } else {
+      this.heat.set(mesh, heat);
+    }
+  }
+
+  ignite(mesh) {
+    if (!mesh.parent || this.isBurning(mesh)) return;
+    const type = mesh.userData.type;
+    const wooden = WOODEN_TYPES.includes(type);
+    const resistance = this.collisionManager.getTargetResistance({ type });
+
+    const fire = {
+      target: { mesh: mesh, type: type },
+      intensity: wooden ? 1 : 1 - resistance,
+      timeLeft: wooden ? 20 : 6, // Seconds until it burns itself out
+      damagePerSecond: wooden ? 12 : 5,
+      tickTimer: 0,
+      fuse: type === "barrel" ? BARREL_FUSE : null,
+      visual: this.effectsManager?.createBurningEffect(mesh) || null,
+    };
+    mesh.userData.isBurning = true;
+    this.fires.set(mesh, fire);
+  }
+
+  extinguish(mesh) {
+    const fire = this.fires.get(mesh);
+    if (!fire) return;
+    if (fire.visual) this.effectsManager?.removeBurningEffect(fire.visual);
+    delete mesh.userData.isBurning;
+    this.fires.delete(mesh);
+  }
+
+  update(deltaTime) {
+    this.updateBurningProjectiles();
+    this.coolDown(deltaTime);
+    this.updateCarriedTorches();
+
+    // Copy: burning out, detonating or spreading changes the map
+    [...this.fires].forEach(([mesh, fire]) => {
+      if (!mesh.parent) {
+        this.extinguish(mesh);
+        return;
+      }
+
+      if (fire.fuse !== null) {
+        fire.fuse -= deltaTime;
+        if (fire.fuse <= 0) {
+          this.extinguish(mesh);
+          this.collisionManager.triggerBarrelExplosion(
+            { mesh: mesh, type: "barrel", explosive: true },
+            mesh.position.clone()
+          );
+          return;
+        }
+      }
+
+      fire.timeLeft -= deltaTime;
+      fire.tickTimer += deltaTime;
+      if (fire.tickTimer >= DAMAGE_TICK) {
+        fire.tickTimer -= DAMAGE_TICK;
+        this.applyFireDamage(fire);
+        if (!this.isBurning(mesh)) return;
+        this.spread(mesh, fire);
+      }
+
+      if (fire.timeLeft <= 0) {
+        this.extinguish(mesh);
+      } else if (fire.visual) {
+        // Flames die down over the last few seconds
+        const fade = Math.min(fire.timeLeft / 4, 1);
+        this.effectsManager.updateBurningEffect(
+          fire.visual,
+          fire.intensity * fade
+        );
+      }
+    });
+  }
+
+  applyFireDamage(fire) {
+    const { target } = fire;
+    const damage = fire.damagePerSecond * fire.intensity * DAMAGE_TICK;
+    const dealt = this.collisionManager.applyDamage(target, damage);
+    this.collisionManager.damageHandler.applyDamageVisuals(target, dealt);
+
+    if (this.collisionManager.shouldDestroyTarget(target)) {
+      this.extinguish(target.mesh);
+      if (target.type === "barrel") {
+        this.collisionManager.triggerBarrelExplosion(
+          { mesh: target.mesh, type: "barrel", explosive: true },
+          target.mesh.position.clone()
+        );
+      } else {
+        this.collisionManager.destroyTarget(target, target.mesh.position);
+      }
+    }
+  }
+
+  // 1 in dry weather, less in the wet
+  getFireFactor() {
+    return this.weather ? this.weather.getFireFactor() : 1;
+  }
+
+  spread(mesh, fire) {
+    const heat = fire.intensity * DAMAGE_TICK * this.getFireFactor();
+    this.getFlammableTargets().forEach((other) => {
+      if (other === mesh) return;
+      const distance = mesh.position.distanceTo(other.position);
+      if (distance < SPREAD_RADIUS) {
+        this.addHeat(other, heat * (1 - distance / SPREAD_RADIUS));
+      }
+    });
+  }
+
+  coolDown(deltaTime) {
+    [...this.heat].forEach(([mesh, heat]) => {
+      const cooled = heat - COOLING_RATE * deltaTime;
+      if (cooled <= 0 || !mesh.parent) {
+        this.heat.delete(mesh);
+      } else {
+        this.heat.set(mesh, cooled);
+      }
+    });
+  }
+
+  // Torches are moved by drag events, which replays record, so this too
+  // comes out the same on every run. A torch arms the barrels it passes
+  // and lights their fuses, which then burn down like any other: a fuse
+  // already burning keeps the time it has left.
+  updateCarriedTorches() {
+    if (!this.fuseManager) return;
+    const torches = this.scene.children.filter(
+      (child) =>
+        child.userData?.type === "torch" &&
+        child.userData.lit &&
+        child.userData.isDragging
+    );
+    if (torches.length === 0) return;
+    this.scene.children
+      .filter(
+        (child) =>
+          child.userData?.type === "barrel" &&
+          !child.userData.isDragging &&
+          !child.userData.isExploding &&
+          !this.fuseManager.isLit(child)
+      )
+      .forEach((barrel) => {
+        const near = torches.some(
+          (torch) =>
+            Math.hypot(
+              torch.position.x - barrel.position.x,
+              torch.position.z - barrel.position.z
+            ) < TORCH_REACH
+        );
+        if (near) this.fuseManager.arm(barrel);
+      });
+  }
+
+  // Incendiary shots trail flames while in the air. Purely visual.
+  updateBurningProjectiles() {
+    if (!this.effectsManager) return;
+
+    this.scene.children.forEach((child) => {
+      if (
+        child.userData?.incendiary &&
+        child.userData.active &&
+        !this.burningProjectiles.has(child)
+      ) {
+        this.burningProjectiles.set(
+          child,
+          this.effectsManager.createBurningEffect(child, 0.4)
+        );
+      }
+    });
+
+    [...this.burningProjectiles].forEach(([projectile, visual]) => {
+      if (!projectile.parent || !projectile.userData.active) {
+        this.effectsManager.removeBurningEffect(visual);
+        this.burningProjectiles.delete(projectile);
+      } else {
+        this.effectsManager.updateBurningEffect(visual, 0.6);
+      }
+    });
+  }
+
+  getFlammableTargets() {
+    return this.scene.children.filter(
+      (child) =>
+        this.isFlammable(child.userData?.type) && !child.userData.isDragging
+    );
+  }
+
+  getBurningCount() {
+    return this.fires.size;
+  }
+
+  clear() {
+    [...this.fires.keys()].forEach((mesh) => this.extinguish(mesh));
+    [...this.burningProjectiles.values()].forEach((visual) =>
+      this.effectsManager?.removeBurningEffect(visual)
+    );
+    this.burningProjectiles.clear();
+    this.heat.clear();
+  }
+}
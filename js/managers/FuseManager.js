@@ -0,0 +1,103 @@
+import { Utils } from "../utils.js";
+
+export const DEFAULT_FUSE = 5; // Seconds
+export const MIN_FUSE = 1;
+export const MAX_FUSE = 15;
+
+// Fuses on armed barrels. A lit fuse burns down on the world's fixed step,
+// wherever the barrel is carried, and sets the barrel off when it runs
+// out; snuffing it first (disarming) saves the barrel. A barrel still
+// being dragged goes off the moment it is put down.
+//
+// What is left of a fuse is kept in userData.fuse, so saves carry it. The
+// sparks, hiss and countdown come from the EffectsManager, when there is
+// one.
+export class FuseManager {
+  constructor(scene, collisionManager, effectsManager = null) {
+    this.scene = scene;
+    this.collisionManager = collisionManager;
+    this.effectsManager = effectsManager;
+    this.fuseTime = DEFAULT_FUSE; // What light() gives a fuse
+    this.visuals = new Map(); // barrel -> visual
+  }
+
+  setFuseTime(seconds) {
+    this.fuseTime = Utils.clamp(seconds, MIN_FUSE, MAX_FUSE);
+  }
+
+  isLit(barrel) {
+    return barrel.userData.fuse !== undefined;
+  }
+
+  // Lights the fuse, or sets how long a lit one has left
+  light(barrel, seconds = this.fuseTime) {
+    barrel.userData.fuse = Math.max(seconds, 0);
+    if (this.effectsManager && !this.visuals.has(barrel)) {
+      this.visuals.set(barrel, this.effectsManager.createFuseEffect(barrel));
+    }
+    this.updateVisual(barrel);
+  }
+
+  // Arms the barrel and lights its fuse, as a torch does. The app hears of
+  // it through a barrelArmed event, to paint the barrel.
+  arm(barrel, seconds = this.fuseTime) {
+    barrel.userData.explosive = true;
+    this.light(barrel, seconds);
+    this.dispatchArmedEvent(barrel);
+  }
+
+  dispatchArmedEvent(barrel) {
+    const eventTarget = this.collisionManager.eventTarget;
+    if (!eventTarget || typeof CustomEvent === "undefined") return;
+    eventTarget.dispatchEvent(
+      new CustomEvent("barrelArmed", { detail: { mesh: barrel } })
+    );
+  }
+
+  snuff(barrel) {
+    delete barrel.userData.fuse;
+    const visual = this.visuals.get(barrel);
+    if (!visual) return;
+    this.effectsManager.removeFuseEffect(visual);
+    this.visuals.delete(barrel);
+  }
+
+  update(deltaTime) {
+    this.scene.children
+      .filter((child) => child.userData?.fuse !== undefined)
+      .forEach((barrel) => {
+        if (barrel.userData.isExploding) {
+          this.snuff(barrel);
+          return;
+        }
+        barrel.userData.fuse = Math.max(barrel.userData.fuse - deltaTime, 0);
+        this.updateVisual(barrel);
+        if (barrel.userData.fuse > 0 || barrel.userData.isDragging) return;
+
+        this.snuff(barrel);
+        this.collisionManager.triggerBarrelExplosion(
+          { mesh: barrel, type: "barrel", explosive: true },
+          barrel.position.clone()
+        );
+      });
+
+    // Blown up or cleared away by something else
+    [...this.visuals.keys()]
+      .filter((barrel) => !barrel.parent)
+      .forEach((barrel) => this.snuff(barrel));
+  }
+
+  updateVisual(barrel) {
+    const visual = this.visuals.get(barrel);
+    if (visual) {
+      this.effectsManager.updateFuseEffect(visual, barrel.userData.fuse);
+    }
+  }
+
+  clear() {
+    this.scene.children
+      .filter((child) => child.userData?.fuse !== undefined)
+      .forEach((barrel) => this.snuff(barrel));
+    [...this.visuals.keys()].forEach((barrel) => this.snuff(barrel));
+  }
+}
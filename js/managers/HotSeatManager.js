@@ -0,0 +1,202 @@
+const DEFAULT_SETTINGS = {
+  shotsPerTurn: 3,
+  shotLimit: 12, // For the whole match, unless the scenario has its own
+  postsPerTurn: 2, // Defenders player B can post each turn
+  repairPerTurn: 150, // Health player B can patch back each turn
+  repairStep: 50, // Per click on a wall or tower
+};
+
+const SETTLE_TIME = 2; // Seconds left for the turn's last shot to play out
+
+// Two players taking turns at one machine. Player A, the attacker, drives
+// the catapult and siege tower and gets a few shots a turn; player B, the
+// defender, then posts archers and patches the walls while the siege
+// stands still. Between turns a handoff screen hides the field until the
+// next player is ready.
+//
+// phase is "attack", "defend", "handoff" (with nextPhase the one it leads
+// to) or "over" once there's a winner. The attacker wins on the scenario's
+// goals, or on the first breached wall when it has none; the defender wins
+// when the shots run out first.
+export class HotSeatManager {
+  constructor(world, options = {}) {
+    this.world = world;
+    this.settings = { ...DEFAULT_SETTINGS, ...options };
+    this.active = false;
+    this.phase = null;
+    this.nextPhase = null;
+    this.turn = 0;
+    this.winner = null; // "attacker" or "defender"
+
+    // Called whenever the phase or what's left of a turn changes
+    this.onChange = null;
+  }
+
+  // A new match on the world's current round; the attacker goes first
+  start() {
+    this.active = true;
+    this.turn = 1;
+    this.winner = null;
+    this.startTurn("attack");
+    this.handOff("attack");
+  }
+
+  stop() {
+    this.active = false;
+    this.phase = null;
+    this.nextPhase = null;
+    this.onChange?.();
+  }
+
+  isAttackerTurn() {
+    return this.active && this.phase === "attack";
+  }
+
+  isDefenderTurn() {
+    return this.active && this.phase === "defend";
+  }
+
+  // The world only runs on the attacker's turn
+  isPaused() {
+    return this.active && this.phase !== "attack";
+  }
+
+  getShotLimit() {
+    return this.world.gameMode.shotLimit ?? this.settings.shotLimit;
+  }
+
+  getShotsLeft() {
+    return Math.max(0, this.getShotLimit() - this.world.gameMode.shotsFired);
+  }
+
+  getTurnShotsLeft() {
+    const fired = this.world.gameMode.shotsFired - this.turnStartShots;
+    return Math.min(this.settings.shotsPerTurn - fired, this.getShotsLeft());
+  }
+
+  canFire() {
+    return this.isAttackerTurn() && this.getTurnShotsLeft() > 0;
+  }
+
+  startTurn(phase) {
+    this.phase = phase;
+    this.nextPhase = null;
+    this.settleTimer = null;
+    if (phase === "attack") {
+      this.turnStartShots = this.world.gameMode.shotsFired;
+    } else {
+      this.postsLeft = this.settings.postsPerTurn;
+      this.repairLeft = this.settings.repairPerTurn;
+    }
+    this.onChange?.();
+  }
+
+  handOff(nextPhase) {
+    this.phase = "handoff";
+    this.nextPhase = nextPhase;
+    this.onChange?.();
+  }
+
+  // The next player has taken the seat
+  ready() {
+    if (this.phase === "handoff") this.startTurn(this.nextPhase);
+  }
+
+  // Hand over early; the attacker's shots in the air play out first
+  endTurn() {
+    if (this.phase === "attack") {
+      if (this.isBusy()) return false;
+      this.handOff("defend");
+    } else if (this.phase === "defend") {
+      this.turn++;
+      this.handOff("attack");
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  isBusy() {
+    return (
+      this.world.isSwinging() || this.world.getActiveProjectiles().length > 0
+    );
+  }
+
+  // Called after each world step on the attacker's turn
+  update(deltaTime) {
+    if (!this.isAttackerTurn()) return;
+
+    const gameMode = this.world.gameMode;
+    if (gameMode.isOver) {
+      this.finish(gameMode.won ? "attacker" : "defender");
+      return;
+    }
+    if (gameMode.conditions.length === 0 && gameMode.breachedWalls.size > 0) {
+      this.finish("attacker");
+      return;
+    }
+
+    if (this.getTurnShotsLeft() > 0) return;
+    if (this.isBusy()) {
+      this.settleTimer = null;
+      return;
+    }
+    this.settleTimer = (this.settleTimer ?? SETTLE_TIME) - deltaTime;
+    if (this.settleTimer > 0) return;
+
+    if (this.getShotsLeft() === 0) {
+      this.finish("defender");
+    } else {
+      this.handOff("defend");
+    }
+  }
+
+  finish(winner) {
+    this.winner = winner;
+    this.phase = "over";
+    console.log(`🏁 Hot-seat match over: ${winner} wins`);
+    this.onChange?.();
+  }
+
+  // Defender's turn: an archer on host, near point (world space)
+  postDefender(host, point) {
+    if (!this.isDefenderTurn() || this.postsLeft <= 0) return false;
+    if (!this.world.defenderManager.postDefender(host, point)) return false;
+    this.postsLeft--;
+    this.onChange?.();
+    return true;
+  }
+
+  // Defender's turn: patch host up by a step of the turn's repairs.
+  // Returns the health restored.
+  repair(host) {
+    if (!this.isDefenderTurn()) return 0;
+    let restored = 0;
+    let step = Math.min(this.settings.repairStep, this.repairLeft);
+    while (step > 0) {
+      // A wall is patched a part at a time
+      const amount = this.world.defenderManager.repair(host, step);
+      if (amount <= 0) break;
+      restored += amount;
+      step -= amount;
+    }
+    this.repairLeft -= restored;
+    if (restored > 0) this.onChange?.();
+    return restored;
+  }
+
+  // For the panel and handoff screen
+  getStatus() {
+    return {
+      active: this.active,
+      phase: this.phase,
+      nextPhase: this.nextPhase,
+      turn: this.turn,
+      winner: this.winner,
+      shotsLeft: this.active ? this.getShotsLeft() : 0,
+      turnShotsLeft: this.isAttackerTurn() ? this.getTurnShotsLeft() : 0,
+      postsLeft: this.isDefenderTurn() ? this.postsLeft : 0,
+      repairLeft: this.isDefenderTurn() ? Math.round(this.repairLeft) : 0,
+    };
+  }
+}
@@ -0,0 +1,264 @@
+import * as THREE from "three";
+import {
+  RelayConnection,
+  NETWORK_PROTOCOL_VERSION,
+} from "./network/RelayConnection.js";
+import { SnapshotWriter } from "./network/SnapshotWriter.js";
+import { SnapshotReader } from "./network/SnapshotReader.js";
+
+const SNAPSHOT_INTERVAL = 0.1; // Seconds of world time between snapshots
+
+// What the guest may ask of the host's world, by the role they play
+const ATTACKER_COMMANDS = [
+  "keydown",
+  "keyup",
+  "select",
+  "drag",
+  "release",
+  "fire",
+  "ammo",
+  "armExplosive",
+];
+const DEFENDER_COMMANDS = ["post", "repair"];
+
+// The defender's limits, as there are no turns to share them out
+const MAX_POSTED_DEFENDERS = 6; // Per round
+const REPAIR_STEP = 50; // Per click on a wall or tower
+const REPAIR_COOLDOWN = 2; // Seconds of world time between repairs
+
+// Attacker and defender in two browsers, through the relay in
+// tools/relay-server.mjs. The first to join a room hosts: its world is the
+// only one that runs, and the guest's follows it from snapshots. The guest
+// sends its commands over instead of acting on its own world; the host
+// checks they belong to the guest's role before carrying them out.
+//
+// The host picks its role; the guest plays the other one.
+export class NetworkManager {
+  constructor(world, effectsManager = null) {
+    this.world = world;
+    this.connection = new RelayConnection();
+    this.writer = new SnapshotWriter(world);
+    this.reader = new SnapshotReader(world, effectsManager);
+
+    this.active = false;
+    this.isHost = false;
+    this.role = null; // "attacker" or "defender", this browser's
+    this.preferredRole = "attacker";
+    this.peerConnected = false;
+    this.peerSynced = false;
+    this.syncing = false;
+    this.syncCount = 0;
+    this.message = null; // Why the last match ended
+
+    this.onPeerJoined = null; // Host: start a match for the new guest
+    this.onSync = null; // Guest: rebuild the world from a sync's state
+    this.onCommand = null; // Host: carry out an attacker's command
+    this.onStatusChange = null;
+    this.onEnd = null; // Called with whether this browser was the guest
+
+    this.connection.onWelcome = (isHost) => this.handleWelcome(isHost);
+    this.connection.onMessage = (message) => this.handleMessage(message);
+    this.connection.onClose = (reason) => this.handleClose(reason);
+  }
+
+  get isGuest() {
+    return this.active && !this.isHost;
+  }
+
+  connect(url, room, preferredRole) {
+    this.preferredRole = preferredRole;
+    this.message = null;
+    this.active = true;
+    this.isHost = false;
+    this.role = null;
+    this.connection.connect(url, room);
+    this.onStatusChange?.();
+  }
+
+  leave() {
+    if (!this.active) return;
+    this.connection.close();
+    this.handleClose(null);
+  }
+
+  handleWelcome(isHost) {
+    this.isHost = isHost;
+    // The guest learns its role from the host's sync
+    if (isHost) this.role = this.preferredRole;
+    console.log(`🌐 Joined the room as ${isHost ? "host" : "guest"}`);
+    this.onStatusChange?.();
+  }
+
+  handleClose(reason) {
+    if (!this.active) return;
+    const wasGuest = this.isGuest;
+    this.active = false;
+    this.isHost = false;
+    this.role = null;
+    this.peerConnected = false;
+    this.peerSynced = false;
+    this.syncing = false;
+    this.writer.recording = false;
+    this.reader.reset();
+    this.message = reason;
+    if (reason) console.warn(`⚠️ Network match ended: ${reason}`);
+    this.onStatusChange?.();
+    this.onEnd?.(wasGuest);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case "peerJoined":
+        this.peerConnected = true;
+        this.onStatusChange?.();
+        if (this.isHost) this.onPeerJoined?.();
+        break;
+      case "peerLeft":
+        this.peerConnected = false;
+        this.peerSynced = false;
+        this.writer.recording = false;
+        this.onStatusChange?.();
+        break;
+      case "sync":
+        if (!this.isHost) this.handleSync(message);
+        break;
+      case "snapshot":
+        if (!this.isHost) this.reader.push(message);
+        break;
+      case "command":
+        if (this.isHost) this.handleCommand(message.command);
+        break;
+    }
+  }
+
+  async handleSync(sync) {
+    if (sync.version !== NETWORK_PROTOCOL_VERSION) {
+      this.connection.close();
+      this.handleClose("Sürümler uyuşmuyor");
+      return;
+    }
+    this.role = sync.role;
+    this.peerConnected = true;
+    this.syncing = true;
+    this.reader.reset();
+    // A later sync may overtake this one while the scenario loads
+    const count = ++this.syncCount;
+    await this.onSync?.(sync);
+    if (count !== this.syncCount || !this.active) return;
+    this.reader.matchBodies(sync.barrels);
+    this.syncing = false;
+    this.onStatusChange?.();
+  }
+
+  // Host: after the guest joins and every reset, the whole world again
+  sendSync() {
+    if (!this.isHost || !this.peerConnected) return;
+    const guestRole = this.role === "attacker" ? "defender" : "attacker";
+    this.connection.send(this.writer.createSync(guestRole));
+    this.peerSynced = true;
+    this.lastSnapshotTime = -Infinity;
+    this.postedDefenders = 0;
+    this.nextRepairTime = 0;
+  }
+
+  sendCommand(command) {
+    this.connection.send({ type: "command", command: command });
+  }
+
+  handleCommand(command) {
+    const allowed =
+      this.role === "attacker" ? DEFENDER_COMMANDS : ATTACKER_COMMANDS;
+    if (!command || !allowed.includes(command.type)) {
+      console.warn("⚠️ Command not allowed for the guest:", command?.type);
+      return;
+    }
+    const host = this.resolveObject(command.target);
+    switch (command.type) {
+      case "post":
+        if (host && Array.isArray(command.point)) {
+          this.postDefender(host, new THREE.Vector3().fromArray(command.point));
+        }
+        break;
+      case "repair":
+        if (host) this.repair(host);
+        break;
+      default:
+        this.onCommand?.(command);
+    }
+  }
+
+  // Called each frame: the host's world has just stepped, the guest's
+  // follows the snapshots
+  update(deltaTime) {
+    if (this.isHost && this.peerSynced) {
+      const time = this.world.elapsedTime;
+      if (time - this.lastSnapshotTime >= SNAPSHOT_INTERVAL) {
+        this.lastSnapshotTime = time;
+        this.connection.send(this.writer.createSnapshot());
+      }
+    } else if (this.isGuest && !this.syncing) {
+      this.reader.update(deltaTime);
+    }
+  }
+
+  // The defender's archer on host, near point (world space)
+  postDefender(host, point) {
+    if (this.isGuest) {
+      this.sendCommand({
+        type: "post",
+        target: SnapshotWriter.getObjectId(host),
+        point: point.toArray(),
+      });
+      return true;
+    }
+    if (this.postedDefenders >= MAX_POSTED_DEFENDERS) return false;
+    if (!this.world.defenderManager.postDefender(host, point)) return false;
+    this.postedDefenders++;
+    return true;
+  }
+
+  // The defender patches host up a step; a wall a part at a time
+  repair(host) {
+    if (this.isGuest) {
+      this.sendCommand({
+        type: "repair",
+        target: SnapshotWriter.getObjectId(host),
+      });
+      return 0;
+    }
+    if (this.world.elapsedTime < this.nextRepairTime) return 0;
+    let restored = 0;
+    while (restored < REPAIR_STEP) {
+      const amount = this.world.defenderManager.repair(
+        host,
+        REPAIR_STEP - restored
+      );
+      if (amount <= 0) break;
+      restored += amount;
+    }
+    if (restored > 0) {
+      this.nextRepairTime = this.world.elapsedTime + REPAIR_COOLDOWN;
+    }
+    return restored;
+  }
+
+  resolveObject(id) {
+    return SnapshotWriter.resolveObject(this.world.scene, id);
+  }
+
+  getObjectId(object) {
+    return SnapshotWriter.getObjectId(object);
+  }
+
+  // For the panel
+  getStatus() {
+    return {
+      active: this.active,
+      connected: this.connection.state === "open",
+      isHost: this.isHost,
+      role: this.role,
+      peerConnected: this.peerConnected,
+      message: this.message,
+    };
+  }
+}
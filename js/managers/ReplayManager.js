@@ -0,0 +1,154 @@
+import { Utils } from "../utils.js";
+import { ReplayRecorder } from "./replay/ReplayRecorder.js";
+import { ReplayPlayer } from "./replay/ReplayPlayer.js";
+
+// Records player input against the world's fixed-step frame counter and
+// plays it back on the same frames. Together with the world seed this is
+// enough to reproduce a whole session, chain reactions included.
+export class ReplayManager {
+  constructor(world, applyEvent) {
+    this.world = world;
+    this.recorder = new ReplayRecorder();
+    this.player = new ReplayPlayer(applyEvent);
+    this.lastReplay = null;
+    this.savedFixedTimeStep = null;
+    this.onPlaybackEnd = null;
+
+    this.world.onBeforeStep = (frame) => this.handleBeforeStep(frame);
+  }
+
+  get isRecording() {
+    return this.recorder.isRecording;
+  }
+
+  get isPlaying() {
+    return this.player.isPlaying;
+  }
+
+  // Call right after resetting the world with `seed`
+  startRecording(seed) {
+    if (this.isPlaying) return false;
+    this.recorder.start(seed, this.world.frame, this.world.fixedTimeStep, {
+      wind: this.world.wind.getSettings(),
+      weather: this.world.weather.getSettings(),
+      ammo: this.world.catapult?.ammoType,
+      engines: this.world.engines.map((engine) => engine.getSettings()),
+      scenario: this.world.scenario,
+    });
+    console.log(`⏺️ Replay recording started (seed ${seed})`);
+    return true;
+  }
+
+  stopRecording() {
+    const replay = this.recorder.stop(this.world.frame);
+    if (replay) {
+      this.lastReplay = replay;
+      console.log(
+        `⏹️ Replay recorded: ${replay.events.length} events, ${replay.frameCount} frames`
+      );
+    }
+    return replay;
+  }
+
+  record(event) {
+    this.recorder.record(this.world.frame, event);
+  }
+
+  validate(replay) {
+    return ReplayPlayer.validate(replay);
+  }
+
+  // Call right after resetting the world with replay.seed
+  startPlayback(replay) {
+    if (this.isRecording) this.stopRecording();
+
+    if (replay.initialState?.wind) {
+      this.world.wind.setSettings(replay.initialState.wind);
+    }
+    if (replay.initialState?.weather) {
+      this.world.weather.setSettings(replay.initialState.weather);
+    }
+    // Older recordings were all shot with stones, from the catapult alone
+    this.world.catapult?.setAmmoType(replay.initialState?.ammo || "stone");
+    const engines = replay.initialState?.engines;
+    if (Array.isArray(engines)) {
+      engines.forEach((settings, index) => {
+        if (settings) this.world.engines[index]?.setSettings(settings);
+      });
+    }
+    this.savedFixedTimeStep = this.world.fixedTimeStep;
+    this.world.fixedTimeStep = replay.fixedTimeStep;
+    this.world.accumulator = 0;
+    this.player.start(replay, this.world.frame);
+    this.lastReplay = replay;
+    console.log(`▶️ Replay playback started (seed ${replay.seed})`);
+  }
+
+  stopPlayback() {
+    if (!this.isPlaying) return;
+    this.player.stop();
+    this.finishPlayback();
+  }
+
+  finishPlayback() {
+    if (this.savedFixedTimeStep !== null) {
+      this.world.fixedTimeStep = this.savedFixedTimeStep;
+      this.savedFixedTimeStep = null;
+    }
+    console.log("⏹️ Replay playback finished");
+    if (this.onPlaybackEnd) {
+      this.onPlaybackEnd();
+    }
+  }
+
+  handleBeforeStep(frame) {
+    if (this.isPlaying && !this.player.update(frame)) {
+      this.finishPlayback();
+    }
+  }
+
+  getPlaybackProgress() {
+    return this.player.getProgress(this.world.frame);
+  }
+
+  exportReplay() {
+    if (!this.lastReplay) return false;
+    Utils.downloadJSON(
+      `siege-replay-${this.lastReplay.seed}.json`,
+      this.lastReplay
+    );
+    return true;
+  }
+
+  // Resolves with { replay, errors }; replay is null when errors is non-empty
+  async loadReplayFile(file) {
+    let replay = null;
+    try {
+      replay = JSON.parse(await Utils.readFileAsText(file));
+    } catch (error) {
+      return { replay: null, errors: [`Could not read replay: ${error}`] };
+    }
+    const errors = this.validate(replay);
+    return { replay: errors.length === 0 ? replay : null, errors: errors };
+  }
+
+  // Replays refer to objects by type and order among the scene's children
+  // of that type ("barrel:2"). Resets rebuild them in the same order.
+  static getObjectId(scene, object) {
+    const type = object?.userData?.type;
+    if (!type) return null;
+    const index = scene.children
+      .filter((child) => child.userData?.type === type)
+      .indexOf(object);
+    return index === -1 ? null : `${type}:${index}`;
+  }
+
+  static resolveObject(scene, id) {
+    if (typeof id !== "string") return null;
+    const [type, index] = id.split(":");
+    const matches = scene.children.filter(
+      (child) => child.userData?.type === type
+    );
+    return matches[parseInt(index)] || null;
+  }
+}
@@ -0,0 +1,215 @@
+import { Utils } from "../utils.js";
+import { Validation } from "../validation.js";
+
+export const SAVE_FORMAT_VERSION = 1;
+const STORAGE_KEY = "medievalSiege.saves";
+const MAX_SLOTS_KEY = "medievalSiege.maxSlots";
+export const DEFAULT_MAX_SLOTS = 10;
+export const MIN_MAX_SLOTS = 3;
+export const MAX_MAX_SLOTS = 30;
+
+// Saved sieges: named slots kept in local storage through Utils (memory
+// only where storage is off or full), and save files to take elsewhere. A
+// save is the world's state (SiegeWorld.getState) plus the view around it
+// that only the app knows: the torches, camera, lighting and time of day.
+// Slots also keep a thumbnail for the save browser; files don't.
+//
+// Past maxSlots the oldest slots are pruned, autosaves before the ones the
+// player named. The count is set from the save browser and kept in storage
+// next to the slots; options.maxSlots is only the starting value.
+export class SaveManager {
+  constructor(world, options = {}) {
+    this.world = world;
+    this.maxSlots = Utils.clamp(
+      Utils.loadFromStorage(MAX_SLOTS_KEY, null) ||
+        options.maxSlots ||
+        DEFAULT_MAX_SLOTS,
+      MIN_MAX_SLOTS,
+      MAX_MAX_SLOTS
+    );
+    this.slots = Utils.loadFromStorage(STORAGE_KEY, {}) || {}; // name -> save
+    this.persistent = true; // False once a write fell back to memory
+  }
+
+  // view: whatever the app wants back on load, or null
+  createSave(name, view = null) {
+    return {
+      version: SAVE_FORMAT_VERSION,
+      name: name,
+      savedAt: new Date().toISOString(),
+      world: this.world.getState(),
+      view: view,
+    };
+  }
+
+  // What the save browser shows of each slot, newest first
+  getSlots() {
+    return Object.values(this.slots)
+      .map((save) => ({
+        name: save.name,
+        savedAt: save.savedAt,
+        auto: Boolean(save.auto),
+        thumbnail: save.thumbnail || null,
+        scenarioName: save.world.scenario?.name || "Yerleşik kale",
+        shotsFired: save.world.round?.shotsFired || 0,
+      }))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  getSlot(name) {
+    return this.slots[name] || null;
+  }
+
+  // Overwrites any slot with the same name. thumbnail: an image data URL
+  saveSlot(name, view = null, thumbnail = null, auto = false) {
+    const save = {
+      ...this.createSave(name, view),
+      thumbnail: thumbnail,
+      auto: auto,
+    };
+    this.slots[name] = save;
+    this.prune();
+    this.store();
+    console.log(`💾 Saved "${name}"`);
+    return save;
+  }
+
+  // A slot of its own, named after the time it was taken
+  autosave(view = null, thumbnail = null) {
+    const name = `Otomatik ${new Date().toLocaleString("tr-TR")}`;
+    return this.saveSlot(name, view, thumbnail, true);
+  }
+
+  deleteSlot(name) {
+    if (!this.slots[name]) return false;
+    delete this.slots[name];
+    this.store();
+    return true;
+  }
+
+  // Prunes straight away when the new count is lower
+  setMaxSlots(count) {
+    this.maxSlots = Utils.clamp(count, MIN_MAX_SLOTS, MAX_MAX_SLOTS);
+    Utils.saveToStorage(MAX_SLOTS_KEY, this.maxSlots);
+    this.prune();
+    this.store();
+  }
+
+  prune() {
+    const oldestFirst = Object.values(this.slots).sort((a, b) =>
+      a.savedAt.localeCompare(b.savedAt)
+    );
+    const pruned = [
+      ...oldestFirst.filter((save) => save.auto),
+      ...oldestFirst.filter((save) => !save.auto),
+    ].slice(0, Math.max(oldestFirst.length - this.maxSlots, 0));
+    pruned.forEach((save) => delete this.slots[save.name]);
+  }
+
+  store() {
+    this.persistent = Utils.saveToStorage(STORAGE_KEY, this.slots);
+  }
+
+  exportSave(name, view = null) {
+    const save = this.createSave(name, view);
+    const fileName = name.replace(/[^\w-]+/g, "-").toLowerCase() || "save";
+    Utils.downloadJSON(`siege-save-${fileName}.json`, save);
+    return save;
+  }
+
+  // Resolves with { save, errors }; save is null when errors is non-empty
+  async loadSaveFile(file) {
+    let save = null;
+    try {
+      save = JSON.parse(await Utils.readFileAsText(file));
+    } catch (error) {
+      return { save: null, errors: [`Could not read save: ${error}`] };
+    }
+    const errors = SaveManager.validate(save);
+    return { save: errors.length === 0 ? save : null, errors: errors };
+  }
+
+  // Returns a list of problems; empty when the save can be loaded
+  static validate(data) {
+    if (!data || typeof data !== "object") {
+      return ["Save is not a JSON object"];
+    }
+    const errors = [];
+    if (data.version !== SAVE_FORMAT_VERSION) {
+      errors.push(`Unsupported save version: ${data.version}`);
+    }
+    const world = data.world;
+    if (!world || typeof world !== "object") {
+      errors.push("Missing world state");
+      return errors;
+    }
+    if (world.scenario) {
+      Validation.validateScenario(world.scenario).forEach((error) =>
+        errors.push(`Scenario: ${error}`)
+      );
+    }
+
+    const isNumbers = (value, length) =>
+      Array.isArray(value) &&
+      value.length === length &&
+      value.every((v) => Validation.isValidNumber(v));
+    const checkList = (key, checkItem) => {
+      if (!Array.isArray(world[key])) {
+        errors.push(`Missing ${key} list`);
+        return;
+      }
+      world[key].forEach((item, index) => {
+        if (!item || !isNumbers(item.position, 2)) {
+          errors.push(`${key}[${index}]: position must be [x, z]`);
+        } else {
+          checkItem?.(item, `${key}[${index}]`);
+        }
+      });
+    };
+    checkList("castle", (piece, label) => {
+      if (typeof piece.type !== "string") {
+        errors.push(`${label}: missing type`);
+      }
+      if (
+        piece.parts !== undefined &&
+        (!Array.isArray(piece.parts) || !Array.isArray(piece.rubble))
+      ) {
+        errors.push(`${label}: invalid wall parts`);
+      }
+    });
+    checkList("barrels");
+    if (!Array.isArray(world.craters)) {
+      errors.push("Missing craters list");
+    }
+
+    const checkEngine = (engine, label) => {
+      if (
+        !engine ||
+        !isNumbers(engine.position, 3) ||
+        !Validation.isValidNumber(engine.rotation)
+      ) {
+        errors.push(`${label}: invalid position or rotation`);
+      }
+    };
+    // Older saves have the one catapult instead of the engines list
+    if (world.engines !== undefined) {
+      if (!Array.isArray(world.engines)) {
+        errors.push("Missing engines list");
+      } else {
+        world.engines.forEach((engine, index) =>
+          checkEngine(engine, `engines[${index}]`)
+        );
+      }
+    } else if (world.catapult !== null) {
+      checkEngine(world.catapult, "catapult");
+    }
+    if (world.siegeTower !== null) checkEngine(world.siegeTower, "siegeTower");
+    if (!Array.isArray(world.siegeTower?.soldiers ?? [])) {
+      errors.push("siegeTower: invalid soldiers list");
+    }
+    if (!world.round || typeof world.round !== "object") {
+      errors.push("Missing round state");
+    }
+    return errors;
+  }
+}
@@ -0,0 +1,138 @@
+import * as THREE from "three";
+import { Utils } from "../utils.js";
+import { Validation } from "../validation.js";
+import { Terrain } from "../simulation/Terrain.js";
+
+const SCENARIO_DIRECTORY = "scenarios/";
+
+// The bundled scenarios (scenarios/index.json lists their files) and the
+// one in play. Scenarios that fail Validation.validateScenario are left out
+// of the list with a warning rather than stopping the others loading.
+// Heightmap images the scenarios' terrain names (paths under scenarios/)
+// are loaded with them and handed to the world's terrain.
+export class ScenarioManager {
+  constructor(world) {
+    this.world = world;
+    this.scenarios = [];
+    this.current = null;
+  }
+
+  async loadBundled() {
+    let files = [];
+    try {
+      files = await this.fetchJSON(`${SCENARIO_DIRECTORY}index.json`);
+    } catch (error) {
+      console.warn("⚠️ Could not load the scenario list:", error);
+      return this.scenarios;
+    }
+
+    for (const file of files) {
+      try {
+        const scenario = await this.fetchJSON(`${SCENARIO_DIRECTORY}${file}`);
+        const errors = Validation.validateScenario(scenario);
+        if (errors.length > 0) {
+          console.warn(`⚠️ Scenario ${file} rejected:`, errors);
+        } else {
+          await this.loadHeightmap(scenario);
+          this.scenarios.push(scenario);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not load scenario ${file}:`, error);
+      }
+    }
+    console.log(`🗺️ ${this.scenarios.length} scenarios loaded`);
+    return this.scenarios;
+  }
+
+  async fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Without it the terrain falls back to noise hills, with a warning
+  async loadHeightmap(scenario) {
+    const name = scenario.terrain?.heightmap;
+    const terrain = this.world.terrain;
+    if (!name || terrain.heightmaps.has(name)) return;
+    try {
+      const image = await new THREE.ImageLoader().loadAsync(
+        `${SCENARIO_DIRECTORY}${name}`
+      );
+      terrain.addHeightmap(name, Terrain.sourceFromImage(image));
+    } catch (error) {
+      console.warn(`⚠️ Could not load heightmap ${name}:`, error);
+    }
+  }
+
+  getScenario(id) {
+    return this.scenarios.find((scenario) => scenario.id === id) || null;
+  }
+
+  // Hands the scenario to the world; the caller resets with rebuildCastle
+  // to build it. Scenarios from files and the editor join the list, in
+  // place of any with the same id. Returns the validation errors, empty on
+  // success.
+  apply(scenario) {
+    const errors = this.world.loadScenario(scenario);
+    if (errors.length === 0) {
+      if (scenario) {
+        const index = this.scenarios.findIndex((s) => s.id === scenario.id);
+        if (index >= 0) this.scenarios[index] = scenario;
+        else this.scenarios.push(scenario);
+      }
+      this.current = scenario;
+      console.log(`🗺️ Scenario: ${scenario?.name || "built-in castle"}`);
+    }
+    return errors;
+  }
+
+  // Resolves with { scenario, errors }; scenario is null when errors is
+  // non-empty
+  async loadScenarioFile(file) {
+    let scenario = null;
+    try {
+      scenario = JSON.parse(await Utils.readFileAsText(file));
+    } catch (error) {
+      return { scenario: null, errors: [`Could not read scenario: ${error}`] };
+    }
+    const errors = Validation.validateScenario(scenario);
+    if (errors.length === 0) await this.loadHeightmap(scenario);
+    return {
+      scenario: errors.length === 0 ? scenario : null,
+      errors: errors,
+    };
+  }
+
+  // Plain-language summary of what a scenario asks for, for the panel
+  static describeWinConditions(scenario) {
+    const parts = (scenario?.winConditions || []).map((condition) =>
+      this.describeCondition(condition)
+    );
+    if (scenario?.shotLimit) {
+      parts.push(`${scenario.shotLimit} atış`);
+    }
+    return parts.length > 0 ? parts.join(", ") : "Serbest atış";
+  }
+
+  static describeCondition(condition) {
+    const names = {
+      wall: "sur",
+      tower: "kule",
+      gate: "kapı",
+      barrel: "fıçı",
+      rock: "kaya",
+      siegeTower: "kuşatma kulesi",
+    };
+    if (condition.type === "bridgeOnWall") {
+      return "Köprüyü sura indir";
+    }
+    const count = condition.count || 1;
+    if (condition.type === "takeWall") {
+      return `Suru ele geçir: ${count} asker`;
+    }
+    return `${count > 1 ? `${count} ` : ""}${names[condition.target]} yık`;
+  }
+}
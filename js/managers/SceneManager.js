@@ -1,12 +1,27 @@
 import { Utils } from "../utils.js";
 import * as THREE from "three";
 import { materials } from "../materials.js";
-import { Torch } from "../objects/torch.js";
+import {
+  WALL_BLOCK_HEALTH,
+  BATTLEMENT_HEALTH,
+} from "./damage/StructuralDamage.js";
+import { Terrain, SEA_LEVEL } from "../simulation/Terrain.js";
 
 export class SceneManager {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene;
     this.noiseTexture = this.createNoiseTexture();
+    // The ground is shaped from it; hills come from the noise texture
+    this.terrain = options.terrain || null;
+    this.terrain?.setNoiseSource(Terrain.sourceFromTexture(this.noiseTexture));
+    this.ground = null;
+    this.moatWater = null;
+    this.islandRocks = [];
+  }
+
+  // Height of the ground under (x, z); structures stand on it
+  groundAt(x, z) {
+    return this.terrain ? this.terrain.getHeight(x, z) : 0;
   }
 
   createNoiseTexture() {
@@ -33,7 +48,7 @@ export class SceneManager {
           amplitude *= 0.5;
         }
 
-        noise = (noise + 1) * 0.5; // Normalize to 0-1
+        noise = (noise / 1.875 + 1) * 0.5; // Normalize to 0-1 (octave amplitudes add up to 1.875)
 
         const index = (i * size + j) * 4;
         data[index] = noise * 255; // R
@@ -49,8 +64,16 @@ export class SceneManager {
   }
 
   createGround() {
-    // Create simple flat ground first
-    const groundGeometry = new THREE.PlaneGeometry(200, 200);
+    // One vertex per terrain sample, lifted to the terrain's heights in
+    // updateGround()
+    const size = this.terrain?.size ?? 200;
+    const segments = this.terrain?.segments ?? 1;
+    const groundGeometry = new THREE.PlaneGeometry(
+      size,
+      size,
+      segments,
+      segments
+    );
     const ground = new THREE.Mesh(groundGeometry, materials.dirt);
     ground.geometry.setAttribute(
       "uv2",
@@ -60,12 +83,72 @@ export class SceneManager {
     ground.receiveShadow = true;
     ground.name = "ground";
     this.scene.add(ground);
+    this.ground = ground;
 
     // Create infinite sea
     this.createInfiniteSea();
 
     // Add enhanced rock decorations
     this.addIslandRocks();
+
+    this.updateGround();
+    this.createMoatWater();
+  }
+
+  // Follow the terrain after it has been reshaped or cratered: the ground
+  // and the decorative rocks. Castle pieces are rebuilt on it separately.
+  updateGround() {
+    if (!this.ground || !this.terrain) return;
+
+    // The plane lies in its local x-y; turned flat, local z is height and
+    // local y runs along -z
+    const positions = this.ground.geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+      positions.setZ(
+        i,
+        this.terrain.getHeight(positions.getX(i), -positions.getY(i))
+      );
+    }
+    positions.needsUpdate = true;
+    this.ground.geometry.computeVertexNormals();
+    this.ground.geometry.computeBoundingBox();
+    this.ground.geometry.computeBoundingSphere();
+
+    this.islandRocks.forEach((rock) => {
+      rock.position.y = this.groundAt(rock.position.x, rock.position.z) + 0.05;
+    });
+  }
+
+  // A square ring of still water over the moat, if the terrain has one.
+  // Call again when the terrain's settings change.
+  createMoatWater() {
+    if (this.moatWater) {
+      this.scene.remove(this.moatWater);
+      this.moatWater.geometry.dispose();
+      this.moatWater = null;
+    }
+    const moat = this.terrain?.settings.moat;
+    if (!moat) return;
+
+    const square = (half) =>
+      [
+        [-half, -half],
+        [half, -half],
+        [half, half],
+        [-half, half],
+      ].map(([x, y]) => new THREE.Vector2(x, y));
+    const shape = new THREE.Shape(square(moat.size + moat.width));
+    shape.holes.push(new THREE.Path(square(moat.size).reverse()));
+
+    this.moatWater = new THREE.Mesh(
+      new THREE.ShapeGeometry(shape),
+      new THREE.MeshLambertMaterial({ color: 0x2f5d62 })
+    );
+    this.moatWater.rotation.x = -Math.PI / 2;
+    this.moatWater.position.y = moat.waterLevel;
+    this.moatWater.receiveShadow = true;
+    this.moatWater.name = "moatWater";
+    this.scene.add(this.moatWater);
   }
 
   createInfiniteSea() {
@@ -79,7 +162,7 @@ export class SceneManager {
 
     const sea = new THREE.Mesh(seaGeometry, seaMaterial);
     sea.rotation.x = -Math.PI / 2;
-    sea.position.y = -0.1; // Just below ground level
+    sea.position.y = SEA_LEVEL; // The island's shore slopes down into it
     sea.receiveShadow = true;
 
     this.scene.add(sea);
@@ -89,7 +172,7 @@ export class SceneManager {
     // Add varied rock formations
     for (let i = 0; i < 40; i++) {
       // Create more complex rock shapes
-      const rockType = Math.random();
+      const rockType = Utils.random();
       let rockGeometry;
 
       if (rockType < 0.4) {
@@ -114,11 +197,11 @@ export class SceneManager {
       const rock = new THREE.Mesh(rockGeometry, materials.groundRock);
 
       // Position rocks within island bounds but avoid center
-      const angle = Math.random() * Math.PI * 2;
+      const angle = Utils.random() * Math.PI * 2;
       const distance = Utils.randomRange(20, 80);
       rock.position.x = Math.cos(angle) * distance;
       rock.position.z = Math.sin(angle) * distance;
-      rock.position.y = 0.05;
+      rock.position.y = 0.05; // Seated on the terrain in updateGround()
 
       // Random rotations for natural look
       rock.rotation.x = Utils.randomRange(-0.2, 0.2);
@@ -127,6 +210,7 @@ export class SceneManager {
 
       Utils.enableShadows(rock, true, true);
       this.scene.add(rock);
+      this.islandRocks.push(rock);
     }
   }
 
@@ -142,43 +226,122 @@ export class SceneManager {
     }
   }
 
+  // Walls, towers and gates of a scenario (see Validation.validateScenario).
+  // Positions are [x, z] on the ground, rotations in degrees.
+  createCastle(scenario) {
+    scenario.walls.forEach((wall) =>
+      this.createWall(
+        wall.position[0],
+        wall.position[1],
+        Utils.degToRad(wall.rotation || 0),
+        wall.length
+      )
+    );
+    scenario.towers.forEach((tower) =>
+      this.createTower(tower.position[0], tower.position[1], tower.scale)
+    );
+    (scenario.gates || []).forEach((gate) =>
+      this.createGateAt(
+        gate.position[0],
+        gate.position[1],
+        Utils.degToRad(gate.rotation || 0),
+        gate.scale
+      )
+    );
+    (scenario.rocks || []).forEach((rock) =>
+      this.createRock(
+        rock.position[0],
+        rock.position[1],
+        Utils.degToRad(rock.rotation || 0),
+        rock.scale
+      )
+    );
+  }
+
   createDetailedWall(index, offset_x = 0, offset_z = 0) {
     const angle = Utils.degToRad(index * 90);
     const wallX = Math.sin(angle) * 30 + offset_x;
     const wallZ = Math.cos(angle) * 30 + offset_z;
 
+    this.createWall(wallX, wallZ, angle);
+
+    // Create gate for one wall
+    if (index === 1) {
+      this.createGate(1, offset_x, offset_z);
+    }
+  }
+
+  // A wall of the given length centred on (x, z), running along its local
+  // x axis before the rotation
+  createWall(x, z, angle = 0, length = 52) {
     // Create a group to hold the wall and its decorations
     const wallGroup = new THREE.Group();
-    wallGroup.position.set(wallX, 0, wallZ);
+    wallGroup.position.set(x, this.groundAt(x, z), z);
     wallGroup.rotation.y = angle;
-    wallGroup.userData = { type: "wall" };
 
-    // Main wall
-    const wallGeometry = new THREE.BoxGeometry(52, 10, 3);
-    const wall = new THREE.Mesh(wallGeometry, materials.stoneWall);
-    wall.position.set(0, 5, 0);
-    Utils.enableShadows(wall, true, true);
-    wallGroup.add(wall);
+    // Main wall, laid in blocks that break and fall out one at a time
+    // (see StructuralDamage). The wall's health is what its parts have left.
+    const columns = Math.max(1, Math.round(length / 4));
+    const rows = 3;
+    const blockWidth = length / columns;
+    const blockHeight = 10 / rows;
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const block = new THREE.Mesh(
+          new THREE.BoxGeometry(blockWidth, blockHeight, 3),
+          materials.stoneWall
+        );
+        block.position.set(
+          (column - (columns - 1) / 2) * blockWidth,
+          (row + 0.5) * blockHeight,
+          0
+        );
+        block.userData = {
+          part: "block",
+          column: column,
+          row: row,
+          health: WALL_BLOCK_HEALTH,
+          maxHealth: WALL_BLOCK_HEALTH,
+        };
+        Utils.enableShadows(block, true, true);
+        wallGroup.add(block);
+      }
+    }
 
-    // Battlements
-    for (let j = 0; j < 7; j++) {
+    // Battlements every 8 m, each resting on the top block of its column
+    const battlements = Math.floor(Math.max(length - 4, 0) / 8) + 1;
+    for (let j = 0; j < battlements; j++) {
       const battlement = new THREE.Mesh(
         new THREE.BoxGeometry(3, 2, 2.5),
         materials.stoneWall
       );
 
-      const offset = (j - 3) * 8;
+      const offset = (j - (battlements - 1) / 2) * 8;
       battlement.position.set(offset, 11, 0);
+      battlement.userData = {
+        part: "battlement",
+        column: Math.round(offset / blockWidth + (columns - 1) / 2),
+        health: BATTLEMENT_HEALTH,
+        maxHealth: BATTLEMENT_HEALTH,
+      };
       Utils.enableShadows(battlement, true, true);
       wallGroup.add(battlement);
     }
 
-    this.scene.add(wallGroup);
+    const health =
+      columns * rows * WALL_BLOCK_HEALTH + battlements * BATTLEMENT_HEALTH;
+    wallGroup.userData = {
+      type: "wall",
+      segmented: true,
+      rows: rows,
+      columns: columns,
+      length: length,
+      health: health,
+      maxHealth: health,
+    };
 
-    // Create gate for one wall
-    if (index === 1) {
-      this.createGate(1, offset_x, offset_z);
-    }
+    this.scene.add(wallGroup);
+    return wallGroup;
   }
 
   createDetailedTower(index, offset_x = 0, offset_z = 0) {
@@ -186,9 +349,14 @@ export class SceneManager {
     const towerX = Math.cos(angle) * 42 + offset_x;
     const towerZ = Math.sin(angle) * 42 + offset_z;
 
+    this.createTower(towerX, towerZ);
+  }
+
+  createTower(towerX, towerZ, scale = 1) {
     // Create a group to hold the tower and its decorations
     const towerGroup = new THREE.Group();
-    towerGroup.position.set(towerX, 0, towerZ);
+    towerGroup.position.set(towerX, this.groundAt(towerX, towerZ), towerZ);
+    towerGroup.scale.setScalar(scale);
     towerGroup.userData = { type: "tower" };
 
     // Main tower
@@ -243,6 +411,7 @@ export class SceneManager {
     }
 
     this.scene.add(towerGroup);
+    return towerGroup;
   }
 
   createGate(index, offset_x = 0, offset_z = 0) {
@@ -250,9 +419,17 @@ export class SceneManager {
     const wallX = Math.sin(angle) * 30 + offset_x;
     const wallZ = Math.cos(angle) * 30 + offset_z;
 
+    this.createGateAt(wallX, wallZ, angle);
+  }
+
+  // angle is that of the wall the gate sits in. The gate is modelled for
+  // a wall turned 90 degrees, hence the offset.
+  createGateAt(wallX, wallZ, angle = Math.PI / 2, scale = 1) {
     // Create a group to hold the gate and its parts
     const gateGroup = new THREE.Group();
-    gateGroup.position.set(wallX, 0, wallZ);
+    gateGroup.position.set(wallX, this.groundAt(wallX, wallZ), wallZ);
+    gateGroup.rotation.y = angle - Math.PI / 2;
+    gateGroup.scale.setScalar(scale);
     gateGroup.userData = { type: "gate" };
 
     // Create main gate structure
@@ -277,19 +454,28 @@ export class SceneManager {
     gateGroup.add(door2);
 
     this.scene.add(gateGroup);
+    return gateGroup;
   }
 
-  createTorch() {
-    const torch = new Torch(this.scene);
-    const lights = torch.getLights();
-    const fireEffects = torch.getFireEffects();
+  // A boulder in the field. Shots stop on it as they do on a wall.
+  createRock(x, z, angle = 0, scale = 1) {
+    const rockGroup = new THREE.Group();
+    rockGroup.position.set(x, this.groundAt(x, z), z);
+    rockGroup.rotation.y = angle;
+    rockGroup.scale.setScalar(scale);
+    rockGroup.userData = { type: "rock" };
+
+    const rock = new THREE.Mesh(
+      new THREE.DodecahedronGeometry(2, 0),
+      materials.groundRock
+    );
+    rock.scale.set(1.3, 0.8, 1);
+    rock.position.set(0, 1.2, 0);
+    Utils.enableShadows(rock, true, true);
+    rockGroup.add(rock);
 
-    return {
-      torch: torch.getMesh(),
-      light: lights.main,
-      ambientLight: lights.ambient,
-      fire: fireEffects,
-    };
+    this.scene.add(rockGroup);
+    return rockGroup;
   }
 
   // Animation update method - removed sea animation
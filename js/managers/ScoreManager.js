@@ -0,0 +1,35 @@
+import { Utils } from "../utils.js";
+
+const STORAGE_KEY = "medievalSiege.highScores";
+const MAX_ENTRIES = 5;
+const BUILT_IN_CASTLE = "builtin"; // Key for rounds without a scenario
+
+// Best rounds per scenario, kept in local storage through Utils
+export class ScoreManager {
+  constructor() {
+    this.highScores = Utils.loadFromStorage(STORAGE_KEY, {}) || {};
+  }
+
+  getHighScores(scenarioId) {
+    return this.highScores[scenarioId ?? BUILT_IN_CASTLE] || [];
+  }
+
+  // Adds a finished round (a GameMode summary). Returns its place in the
+  // table from 0, or -1 if it didn't make it.
+  submit(summary) {
+    const key = summary.scenarioId ?? BUILT_IN_CASTLE;
+    const entry = {
+      score: summary.score,
+      won: summary.won,
+      shots: summary.shotsFired,
+      time: Math.round(summary.time),
+      date: new Date().toISOString(),
+    };
+    const table = [...this.getHighScores(key), entry]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_ENTRIES);
+    this.highScores[key] = table;
+    Utils.saveToStorage(STORAGE_KEY, this.highScores);
+    return table.indexOf(entry);
+  }
+}
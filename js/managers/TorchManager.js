@@ -0,0 +1,81 @@
+import * as THREE from "three";
+import { Torch } from "../objects/torch.js";
+
+// Every torch in the scene. They are placed from the panel, dragged about
+// like anything else, and put out and lit again; each brings its own
+// flames and light. Lit torches' lights join LightingSystem's light budget,
+// so with many about only the nearest shine.
+export class TorchManager {
+  constructor(scene, effectsManager, lightingSystem) {
+    this.scene = scene;
+    this.effectsManager = effectsManager;
+    this.lightingSystem = lightingSystem;
+    this.torches = [];
+  }
+
+  place(position = new THREE.Vector3(), lit = true) {
+    const torch = new Torch(this.scene, { position: position, lit: lit });
+    this.torches.push(torch);
+    if (lit) this.lightingSystem.addTorchLight(torch.light);
+    return torch;
+  }
+
+  remove(torch) {
+    const index = this.torches.indexOf(torch);
+    if (index === -1) return;
+    this.torches.splice(index, 1);
+    this.lightingSystem.removeTorchLight(torch.light);
+    torch.dispose();
+  }
+
+  clear() {
+    [...this.torches].forEach((torch) => this.remove(torch));
+  }
+
+  // The torch a scene object belongs to, or null
+  getTorch(object) {
+    return this.torches.find((torch) => torch.group === object) || null;
+  }
+
+  setLit(torch, lit) {
+    torch.setLit(lit);
+    if (lit) {
+      this.lightingSystem.addTorchLight(torch.light);
+    } else {
+      this.lightingSystem.removeTorchLight(torch.light);
+    }
+  }
+
+  // brightness: the torch slider's 0-100, scaled for the time of day
+  update(deltaTime, brightness) {
+    this.torches.forEach((torch) => {
+      if (!torch.isLit()) return;
+      this.effectsManager.updateFireEffect(torch.fire, torch.light, brightness);
+      torch.update(deltaTime);
+    });
+  }
+
+  // [{ position: [x, y, z], lit }] for saves
+  getState() {
+    return this.torches.map((torch) => ({
+      position: torch.group.position.toArray(),
+      lit: torch.isLit(),
+    }));
+  }
+
+  // Entries without a usable position are left out
+  setState(state) {
+    this.clear();
+    state.forEach((entry) => {
+      const position = entry?.position;
+      if (
+        !Array.isArray(position) ||
+        position.length !== 3 ||
+        !position.every(Number.isFinite)
+      ) {
+        return;
+      }
+      this.place(new THREE.Vector3().fromArray(position), entry.lit !== false);
+    });
+  }
+}
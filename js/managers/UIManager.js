@@ -1,8 +1,34 @@
 import { Utils } from "../utils.js";
 
+const STRUCTURE_NAMES = {
+  wall: "Sur",
+  tower: "Kule",
+  gate: "Kapı",
+  barrel: "Fıçı",
+  rock: "Kaya",
+  siegeTower: "Kuşatma kulesi",
+};
+
+const PLAYER_NAMES = {
+  attack: "Saldıran (A)",
+  defend: "Savunan (B)",
+};
+
+const ROLE_NAMES = {
+  attacker: "Saldıran",
+  defender: "Savunan",
+};
+
+const ENGINE_NAMES = {
+  catapult: "Mancınık",
+  trebuchet: "Trebüşe",
+};
+
 export class UIManager {
   constructor() {
     this.fps = 60;
+    this.editorActive = false; // Saves can't be loaded while editing
+    this.networkGuest = false; // Nor while following a host's world
     this.initEventListeners();
     this.createVolumeControls();
     this.setVolumeControlsEnabled(false); // Ensure controls start disabled
@@ -24,11 +50,206 @@ export class UIManager {
       }
     });
 
+    document
+      .getElementById("timeSlider")
+      .addEventListener("input", (e) =>
+        this.onTimeOfDayChange?.(parseFloat(e.target.value))
+      );
+    document
+      .getElementById("timePauseButton")
+      .addEventListener("click", () => this.onTimePauseToggle?.());
+    document
+      .getElementById("timeSpeedSelect")
+      .addEventListener("change", (e) =>
+        this.onTimeSpeedChange?.(parseFloat(e.target.value))
+      );
+
     document.getElementById("tensionSlider").addEventListener("input", (e) => {
       document.getElementById("tensionValue").textContent =
         e.target.value + "%";
     });
 
+    document
+      .getElementById("ammoCycleButton")
+      .addEventListener("click", () => this.onAmmoCycleClick?.());
+
+    document
+      .getElementById("windLockCheckbox")
+      .addEventListener("change", (e) =>
+        this.onWindLockChange?.(e.target.checked)
+      );
+    document
+      .getElementById("windRandomizeButton")
+      .addEventListener("click", () => this.onWindRandomizeClick?.());
+    document.getElementById("fuseSlider").addEventListener("input", (e) => {
+      document.getElementById("fuseValue").textContent = `${e.target.value} sn`;
+      this.onFuseTimeChange?.(parseInt(e.target.value));
+    });
+    document
+      .getElementById("placeTorchButton")
+      .addEventListener("click", () => this.onPlaceTorchClick?.());
+    document
+      .getElementById("torchToggleButton")
+      .addEventListener("click", () => this.onTorchToggleClick?.());
+    document
+      .getElementById("weatherSelect")
+      .addEventListener("change", (e) =>
+        this.onWeatherChange?.(e.target.value)
+      );
+
+    document
+      .getElementById("recordButton")
+      .addEventListener("click", () => this.onRecordButtonClick?.());
+    document
+      .getElementById("exportReplayButton")
+      .addEventListener("click", () => this.onExportReplayClick?.());
+
+    const replayFileInput = document.getElementById("replayFileInput");
+    document
+      .getElementById("loadReplayButton")
+      .addEventListener("click", () => replayFileInput.click());
+    replayFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file && this.onReplayFileSelected) {
+        this.onReplayFileSelected(file);
+      }
+      // Allow the same file to be picked again
+      e.target.value = "";
+    });
+
+    // Saves are named in the box, or after the time they were made
+    const saveName = () =>
+      document.getElementById("saveNameInput").value.trim() ||
+      `Kayıt ${new Date().toLocaleString("tr-TR")}`;
+    document
+      .getElementById("saveGameButton")
+      .addEventListener("click", () => this.onSaveGameClick?.(saveName()));
+    // Each slot in the browser has its own load and delete buttons
+    document.getElementById("saveSlotList").addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+      const slot = button.closest("[data-slot]").dataset.slot;
+      if (button.dataset.action === "load") {
+        this.onLoadGameClick?.(slot);
+      } else {
+        this.onDeleteSaveClick?.(slot);
+      }
+    });
+    // Lowering the limit prunes slots for good, so it only applies once
+    // the slider is let go
+    const saveLimitSlider = document.getElementById("saveLimitSlider");
+    saveLimitSlider.addEventListener("input", (e) => {
+      document.getElementById("saveLimitValue").textContent = e.target.value;
+    });
+    saveLimitSlider.addEventListener("change", (e) =>
+      this.onSaveLimitChange?.(parseInt(e.target.value))
+    );
+    document
+      .getElementById("exportSaveButton")
+      .addEventListener("click", () => this.onExportSaveClick?.(saveName()));
+    const saveFileInput = document.getElementById("saveFileInput");
+    document
+      .getElementById("importSaveButton")
+      .addEventListener("click", () => saveFileInput.click());
+    saveFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file && this.onSaveFileSelected) {
+        this.onSaveFileSelected(file);
+      }
+      e.target.value = "";
+    });
+
+    document
+      .getElementById("scenarioSelect")
+      .addEventListener("change", (e) =>
+        this.onScenarioSelect?.(e.target.value)
+      );
+    const scenarioFileInput = document.getElementById("scenarioFileInput");
+    document
+      .getElementById("loadScenarioButton")
+      .addEventListener("click", () => scenarioFileInput.click());
+    scenarioFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file && this.onScenarioFileSelected) {
+        this.onScenarioFileSelected(file);
+      }
+      e.target.value = "";
+    });
+
+    document
+      .getElementById("editorToggleButton")
+      .addEventListener("click", () => this.onEditorToggle?.());
+    document
+      .querySelectorAll("[data-spawn]")
+      .forEach((button) =>
+        button.addEventListener("click", () =>
+          this.onEditorSpawn?.(button.dataset.spawn)
+        )
+      );
+    const editorButtons = {
+      editorRotateLeftButton: () => this.onEditorRotate?.(-1),
+      editorRotateRightButton: () => this.onEditorRotate?.(1),
+      editorScaleUpButton: () => this.onEditorScale?.(1),
+      editorScaleDownButton: () => this.onEditorScale?.(-1),
+      editorDeleteButton: () => this.onEditorDelete?.(),
+      editorUndoButton: () => this.onEditorUndo?.(),
+      editorRedoButton: () => this.onEditorRedo?.(),
+      editorExportButton: () => this.onEditorExport?.(),
+    };
+    Object.entries(editorButtons).forEach(([id, handler]) =>
+      document.getElementById(id).addEventListener("click", handler)
+    );
+    const gridSnapCheckbox = document.getElementById("gridSnapCheckbox");
+    const gridSizeSelect = document.getElementById("gridSizeSelect");
+    const onGridChange = () =>
+      this.onGridChange?.(
+        gridSnapCheckbox.checked,
+        parseFloat(gridSizeSelect.value)
+      );
+    gridSnapCheckbox.addEventListener("change", onGridChange);
+    gridSizeSelect.addEventListener("change", onGridChange);
+    const editorFileInput = document.getElementById("editorFileInput");
+    document
+      .getElementById("editorImportButton")
+      .addEventListener("click", () => editorFileInput.click());
+    editorFileInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (file && this.onEditorFileSelected) {
+        this.onEditorFileSelected(file);
+      }
+      e.target.value = "";
+    });
+
+    document
+      .getElementById("newRoundButton")
+      .addEventListener("click", () => this.onNewRoundClick?.());
+    document
+      .getElementById("hotSeatButton")
+      .addEventListener("click", () => this.onHotSeatToggle?.());
+    document
+      .getElementById("endTurnButton")
+      .addEventListener("click", () => this.onEndTurnClick?.());
+    document
+      .getElementById("handoffReadyButton")
+      .addEventListener("click", () => this.onHandoffReady?.());
+    document
+      .getElementById("rematchButton")
+      .addEventListener("click", () => this.onNewRoundClick?.());
+    document
+      .getElementById("handoffQuitButton")
+      .addEventListener("click", () => this.onHotSeatToggle?.());
+    document
+      .getElementById("networkButton")
+      .addEventListener("click", () =>
+        this.onNetworkToggle?.(
+          document.getElementById("networkRoomInput").value.trim(),
+          document.getElementById("networkRoleSelect").value
+        )
+      );
+    document
+      .getElementById("closeSummaryButton")
+      .addEventListener("click", () => this.hideRoundSummary());
+
     window.addEventListener(
       "resize",
       Utils.debounce(() => {
@@ -167,11 +388,463 @@ export class UIManager {
     }
   }
 
+  // screenAngle: radians, 0 = towards the right edge of the screen,
+  // clockwise positive (CSS rotation)
+  updateWind(strength, screenAngle) {
+    document.getElementById("windValue").textContent = `${Utils.formatNumber(
+      strength,
+      1
+    )} m/s`;
+    const arrow = document.getElementById("windArrow");
+    arrow.style.transform = `rotate(${screenAngle}rad)`;
+    // Fade the arrow out in near calm
+    arrow.style.opacity = Utils.clamp(0.3 + strength / 10, 0.3, 1).toString();
+  }
+
+  updateAmmo(name) {
+    document.getElementById("ammoType").textContent = name;
+  }
+
   setSelectedObject(object) {
     const name = object ? object.userData.type : "Hiçbiri";
     document.getElementById("selectedObject").textContent = name;
   }
 
+  // state: "idle", "recording" or "playing"
+  setReplayState(state, hasReplay = false) {
+    const labels = {
+      idle: "Hazır",
+      recording: "⏺️ Kaydediliyor",
+      playing: "▶️ Oynatılıyor (Esc: Durdur)",
+    };
+    const status = document.getElementById("replayStatus");
+    status.textContent = labels[state] || labels.idle;
+    status.title = "";
+
+    const recordButton = document.getElementById("recordButton");
+    recordButton.textContent =
+      state === "recording" ? "⏹️ Durdur" : "⏺️ Kaydet";
+    recordButton.disabled = state === "playing";
+
+    document.getElementById("exportReplayButton").disabled =
+      state !== "idle" || !hasReplay;
+  }
+
+  showReplayError(errors) {
+    const status = document.getElementById("replayStatus");
+    status.textContent = "❌ Geçersiz dosya";
+    status.title = errors.join("\n");
+  }
+
+  // count: how many slots are kept before the oldest are pruned
+  setSaveLimit(count) {
+    document.getElementById("saveLimitSlider").value = count;
+    document.getElementById("saveLimitValue").textContent = count;
+  }
+
+  // slots: SaveManager.getSlots(); persistent: false when they only last
+  // until the page closes
+  setSaveSlots(slots, persistent = true) {
+    const list = document.getElementById("saveSlotList");
+    list.innerHTML = "";
+    slots.forEach((slot) => {
+      const item = document.createElement("li");
+      item.className = "save-slot";
+      item.dataset.slot = slot.name;
+
+      const thumbnail = document.createElement(slot.thumbnail ? "img" : "div");
+      thumbnail.className = "save-thumbnail";
+      if (slot.thumbnail) {
+        thumbnail.src = slot.thumbnail;
+        thumbnail.alt = slot.name;
+      }
+      item.appendChild(thumbnail);
+
+      const details = document.createElement("div");
+      details.className = "save-details";
+      const name = document.createElement("strong");
+      name.textContent = `${slot.auto ? "🔁 " : ""}${slot.name}`;
+      const time = document.createElement("div");
+      time.textContent = new Date(slot.savedAt).toLocaleString("tr-TR");
+      const round = document.createElement("div");
+      round.textContent = `${slot.scenarioName} · ${slot.shotsFired} atış`;
+      details.append(name, time, round);
+      item.appendChild(details);
+
+      [
+        ["load", "📂", "Yükle"],
+        ["delete", "🗑️", "Sil"],
+      ].forEach(([action, icon, title]) => {
+        const button = document.createElement("button");
+        button.className = "small-button";
+        button.dataset.action = action;
+        button.textContent = icon;
+        button.title = title;
+        button.disabled =
+          this.editorActive || (this.networkGuest && action === "load");
+        item.appendChild(button);
+      });
+      list.appendChild(item);
+    });
+
+    const note = document.getElementById("saveStorageNote");
+    note.hidden = persistent;
+  }
+
+  showSaveStatus(text) {
+    const status = document.getElementById("saveStatus");
+    status.textContent = text;
+    status.title = "";
+  }
+
+  showSaveError(errors) {
+    const status = document.getElementById("saveStatus");
+    status.textContent = "❌ Geçersiz kayıt";
+    status.title = errors.join("\n");
+  }
+
+  // scenarios: [{ id, name }]
+  setScenarioList(scenarios) {
+    const select = document.getElementById("scenarioSelect");
+    select.innerHTML = "";
+    scenarios.forEach((scenario) => {
+      const option = document.createElement("option");
+      option.value = scenario.id;
+      option.textContent = scenario.name;
+      select.appendChild(option);
+    });
+  }
+
+  // goal: what the scenario asks of the player, in words
+  showScenario(scenario, goal) {
+    const select = document.getElementById("scenarioSelect");
+    if (scenario) {
+      // Scenarios from a file or the editor may not be listed yet
+      let option = [...select.options].find((o) => o.value === scenario.id);
+      if (!option) {
+        option = document.createElement("option");
+        option.value = scenario.id;
+        select.appendChild(option);
+      }
+      option.textContent = scenario.name;
+    }
+    select.value = scenario ? scenario.id : "";
+
+    const info = document.getElementById("scenarioInfo");
+    info.textContent = scenario?.description || "";
+    info.title = "";
+    const goalLine = document.createElement("div");
+    goalLine.className = "scenario-goal";
+    goalLine.textContent = `🎯 ${goal}`;
+    info.appendChild(goalLine);
+  }
+
+  showScenarioError(errors) {
+    const info = document.getElementById("scenarioInfo");
+    info.textContent = "❌ Geçersiz senaryo";
+    info.title = errors.join("\n");
+  }
+
+  // Play controls are off while editing; the editor tools are only shown then
+  setEditorState(active) {
+    document.getElementById("editorPanel").hidden = !active;
+    document.getElementById("editorToggleButton").textContent = active
+      ? "▶️ Düzenlemeyi Bitir"
+      : "🛠️ Seviye Editörü";
+    [
+      "scenarioSelect",
+      "loadScenarioButton",
+      "ammoCycleButton",
+      "fireButton",
+      "resetButton",
+      "recordButton",
+      "loadReplayButton",
+      "saveGameButton",
+      "importSaveButton",
+    ].forEach((id) => {
+      document.getElementById(id).disabled = active;
+    });
+    document.getElementById("hotSeatButton").disabled = active;
+    this.editorActive = active;
+    document
+      .querySelectorAll("#saveSlotList button")
+      .forEach((button) => (button.disabled = active));
+  }
+
+  // status: HotSeatManager.getStatus(). The handoff screen covers the
+  // field between turns and once the match is over.
+  setHotSeatState(status) {
+    const { active, phase } = status;
+    document.getElementById("hotSeatPanel").hidden = !active;
+    document.getElementById("hotSeatButton").textContent = active
+      ? "✖️ İki Oyunculu Modu Bitir"
+      : "👥 İki Oyunculu Mod";
+    ["editorToggleButton", "recordButton", "loadReplayButton"].forEach(
+      (id) => (document.getElementById(id).disabled = active)
+    );
+
+    const screen = document.getElementById("handoffScreen");
+    screen.hidden = !active || (phase !== "handoff" && phase !== "over");
+    if (!active) return;
+
+    const player = PLAYER_NAMES[phase] || PLAYER_NAMES[status.nextPhase];
+    document.getElementById("hotSeatTurn").textContent = status.turn;
+    document.getElementById("hotSeatPlayer").textContent =
+      phase === "over" ? "Maç bitti" : player;
+    const info = {
+      attack: `Bu tur ${status.turnShotsLeft} atış, toplam ${status.shotsLeft}`,
+      defend: `${status.postsLeft} okçu, ${status.repairLeft} onarım kaldı`,
+    };
+    document.getElementById("hotSeatInfo").textContent = info[phase] || "";
+    document.getElementById("endTurnButton").disabled =
+      phase !== "attack" && phase !== "defend";
+
+    const over = phase === "over";
+    document.getElementById("handoffTitle").textContent = over
+      ? status.winner === "attacker"
+        ? "🏆 Saldıran (A) kazandı!"
+        : "🛡️ Savunan (B) kazandı!"
+      : `Sıra: ${player}`;
+    document.getElementById("handoffInfo").textContent = over
+      ? `${status.turn}. turda bitti`
+      : status.nextPhase === "attack"
+      ? `Tur ${status.turn}: mancınığı ve kuşatma kulesini sür, atışını yap`
+      : `Tur ${status.turn}: sol tık surlara okçu yerleştirir, sağ tık onarır`;
+    document.getElementById("handoffReadyButton").hidden = over;
+    document.getElementById("rematchButton").hidden = !over;
+  }
+
+  setEditorHistory(canUndo, canRedo) {
+    document.getElementById("editorUndoButton").disabled = !canUndo;
+    document.getElementById("editorRedoButton").disabled = !canRedo;
+  }
+
+  // status: NetworkManager.getStatus(). A guest's world only follows the
+  // host's, so nothing that would change it on its own is left on.
+  setNetworkState(status) {
+    const { active, isHost, role } = status;
+    const guest = active && !isHost;
+    document.getElementById("networkButton").textContent = active
+      ? "✖️ Ayrıl"
+      : "🌐 Bağlan";
+    document.getElementById("networkStatus").textContent =
+      this.describeNetworkStatus(status);
+    ["networkRoomInput", "networkRoleSelect"].forEach(
+      (id) => (document.getElementById(id).disabled = active)
+    );
+    [
+      "editorToggleButton",
+      "hotSeatButton",
+      "recordButton",
+      "loadReplayButton",
+    ].forEach((id) => (document.getElementById(id).disabled = active));
+    [
+      "scenarioSelect",
+      "loadScenarioButton",
+      "resetButton",
+      "newRoundButton",
+      "windLockCheckbox",
+      "windRandomizeButton",
+      "importSaveButton",
+    ].forEach((id) => (document.getElementById(id).disabled = guest));
+    ["fireButton", "ammoCycleButton"].forEach(
+      (id) =>
+        (document.getElementById(id).disabled = active && role !== "attacker")
+    );
+    this.networkGuest = guest;
+    document
+      .querySelectorAll('#saveSlotList button[data-action="load"]')
+      .forEach((button) => (button.disabled = this.editorActive || guest));
+  }
+
+  describeNetworkStatus({
+    active,
+    connected,
+    isHost,
+    role,
+    peerConnected,
+    message,
+  }) {
+    if (!active) return message ? `⚠️ ${message}` : "Bağlı değil";
+    if (!connected) return "Bağlanıyor…";
+    const seat = `${isHost ? "Ev sahibi" : "Misafir"} · ${
+      ROLE_NAMES[role] || "…"
+    }`;
+    return peerConnected
+      ? `${seat} · rakip bağlı`
+      : `${seat} · rakip bekleniyor`;
+  }
+
+  setWindLocked(locked) {
+    document.getElementById("windLockCheckbox").checked = locked;
+  }
+
+  // type: the weather it is turning to, see SCENARIO_WEATHER
+  setWeather(type) {
+    const select = document.getElementById("weatherSelect");
+    if (select.value !== type) select.value = type;
+  }
+
+  // stats: GameMode.getStats(); labels: what each objective asks, in words
+  updateScoreboard(stats, labels) {
+    document.getElementById("scoreValue").textContent = stats.score;
+    document.getElementById("shotsValue").textContent = this.formatShots(stats);
+    document.getElementById("roundTime").textContent = Utils.formatTime(
+      stats.time
+    );
+    document.getElementById("chainedBarrels").textContent =
+      stats.barrelsChained;
+    document.getElementById("gateBreachTime").textContent =
+      stats.gateBreachTime === null
+        ? "-"
+        : Utils.formatTime(stats.gateBreachTime);
+    document.getElementById("soldiersOnWall").textContent =
+      stats.soldiersOnWall;
+
+    // The lists only change on hits; rebuild them only then
+    const key = JSON.stringify([
+      stats.damageByType,
+      stats.objectives.map((objective) => objective.progress),
+      labels,
+    ]);
+    if (key === this.scoreboardKey) return;
+    this.scoreboardKey = key;
+    this.fillList("damageList", this.describeDamage(stats.damageByType));
+    this.fillList("objectiveList", this.describeObjectives(stats, labels));
+  }
+
+  // crews: defenders left, and [crew, full crew] of each kind of siege
+  // engine, null when there is none
+  updateCrews(crews) {
+    document.getElementById("defenderCount").textContent = crews.defenders;
+    ["catapult", "trebuchet", "siegeTower"].forEach((type) => {
+      document.getElementById(`${type}Crew`).textContent =
+        crews[type]?.join(" / ") ?? "-";
+    });
+  }
+
+  // timeOfDay: the lighting's TimeOfDay
+  updateTimeOfDay(timeOfDay) {
+    const time = timeOfDay.format();
+    const key = JSON.stringify([time, timeOfDay.speed, timeOfDay.paused]);
+    if (key === this.timeOfDayKey) return;
+    this.timeOfDayKey = key;
+    document.getElementById("timeValue").textContent = time;
+    document.getElementById("timeSlider").value = timeOfDay.hour;
+    document.getElementById("timePauseButton").textContent = timeOfDay.paused
+      ? "▶️ Devam"
+      : "⏸️ Durdur";
+    document.getElementById("timeSpeedSelect").value = timeOfDay.speed;
+  }
+
+  // torch: the selected one, or null; the button puts it out or lights it
+  setTorchState(torch) {
+    const key = torch ? torch.isLit() : null;
+    if (key === this.torchKey) return;
+    this.torchKey = key;
+    const button = document.getElementById("torchToggleButton");
+    button.disabled = !torch;
+    button.textContent = key === false ? "🔥 Yak" : "💧 Söndür";
+  }
+
+  // engine: { type, counterweight, releaseAngle } of the thrower that
+  // fires, the last two for a trebuchet only
+  updateEngine(engine) {
+    const key = JSON.stringify(engine);
+    if (key === this.engineKey) return;
+    this.engineKey = key;
+    document.getElementById("activeEngine").textContent = engine
+      ? ENGINE_NAMES[engine.type] || engine.type
+      : "-";
+    const detail = document.getElementById("engineDetail");
+    detail.hidden = engine?.releaseAngle === undefined;
+    if (!detail.hidden) {
+      detail.textContent = `Karşı ağırlık: ${Math.round(
+        engine.counterweight
+      )} kg · Bırakma açısı: ${Math.round(engine.releaseAngle)}°`;
+    }
+  }
+
+  formatShots(stats) {
+    return stats.shotLimit === null
+      ? `${stats.shotsFired}`
+      : `${stats.shotsFired} / ${stats.shotLimit}`;
+  }
+
+  describeDamage(damageByType) {
+    return Object.entries(damageByType).map(([type, amount]) => ({
+      text: `${STRUCTURE_NAMES[type] || type}: ${Math.round(amount)} hasar`,
+    }));
+  }
+
+  describeObjectives(stats, labels) {
+    return stats.objectives.map((objective, index) => {
+      const done = objective.progress >= objective.count;
+      return {
+        text: `${done ? "✅" : "⬜"} ${labels[index]} (${objective.progress}/${
+          objective.count
+        })`,
+        className: done ? "done" : "",
+      };
+    });
+  }
+
+  // items: [{ text, className }]
+  fillList(id, items) {
+    const list = document.getElementById(id);
+    list.innerHTML = "";
+    items.forEach(({ text, className }) => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      if (className) item.className = className;
+      list.appendChild(item);
+    });
+  }
+
+  // summary: GameMode.getSummary(); rank: the round's place in highScores,
+  // -1 if it isn't there
+  showRoundSummary(summary, labels, highScores, rank) {
+    document.getElementById("roundSummaryTitle").textContent = summary.won
+      ? "🏆 Kuşatma Başarılı!"
+      : "💀 Atışlar Tükendi";
+
+    const stats = [
+      { text: `Skor: ${summary.score}` },
+      { text: `Atış: ${this.formatShots(summary)}` },
+      { text: `Süre: ${Utils.formatTime(summary.time)}` },
+      {
+        text: `Kapı yıkıldı: ${
+          summary.gateBreachTime === null
+            ? "-"
+            : Utils.formatTime(summary.gateBreachTime)
+        }`,
+      },
+      { text: `Yarılan sur: ${summary.wallsBreached}` },
+      { text: `Surdaki asker: ${summary.soldiersOnWall}` },
+      {
+        text: `Patlayan fıçı: ${summary.barrelsExploded} (zincirleme ${summary.barrelsChained})`,
+      },
+      ...this.describeDamage(summary.damageByType),
+      ...this.describeObjectives(summary, labels),
+    ];
+    this.fillList("roundSummaryStats", stats);
+
+    this.fillList(
+      "highScoreList",
+      highScores.map((entry, index) => ({
+        text: `${entry.score} ${entry.won ? "✅" : "❌"} ${
+          entry.shots
+        } atış, ${Utils.formatTime(entry.time)}`,
+        className: index === rank ? "new-score" : "",
+      }))
+    );
+    document.getElementById("roundSummary").hidden = false;
+  }
+
+  hideRoundSummary() {
+    document.getElementById("roundSummary").hidden = true;
+  }
+
   setVolumeControlsEnabled(enabled) {
     const sliders = ["master-volume", "music-volume", "ambient-volume"];
     sliders.forEach((id) => {
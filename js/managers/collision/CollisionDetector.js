@@ -1,9 +1,12 @@
 import * as THREE from "three";
 import { Utils } from "../../utils.js";
 import { Validation } from "../../validation.js";
+import { RealTimeClock } from "../../simulation/SimulationClock.js";
 
 export class CollisionDetector {
-  constructor() {
+  constructor(options = {}) {
+    this.clock = options.clock || new RealTimeClock();
+    this.verbose = options.verbose !== false; // Per-check console logging
     this.boundingBoxCache = new Map();
     this.cacheTimeout = 100; // Cache timeout in ms
     this.lastCacheUpdate = 0;
@@ -11,12 +14,14 @@ export class CollisionDetector {
   }
   getCollisionTargets(scene) {
     const targets = [];
-    console.log("🎯 Scanning scene for collision targets...");
+    if (this.verbose) console.log("🎯 Scanning scene for collision targets...");
 
     scene.traverse((object) => {
       // Skip projectiles entirely - both active and inactive
       if (object.userData?.isProjectile) {
-        console.log("   ⚡ Skipping projectile from collision targets");
+        if (this.verbose) {
+          console.log("   ⚡ Skipping projectile from collision targets");
+        }
         return;
       }
 
@@ -30,10 +35,12 @@ export class CollisionDetector {
         };
 
         targets.push(targetData);
-        console.log(
-          `   ✓ Found collision target: ${object.userData.type} at`,
-          object.position
-        );
+        if (this.verbose) {
+          console.log(
+            `   ✓ Found collision target: ${object.userData.type} at`,
+            object.position
+          );
+        }
       }
 
       // Also check for named objects that should be collision targets
@@ -46,10 +53,12 @@ export class CollisionDetector {
               position: object.position,
               boundingBox: this.getBoundingBox(object),
             });
-            console.log(
-              `   ✓ Found ground collision target at`,
-              object.position
-            );
+            if (this.verbose) {
+              console.log(
+                `   ✓ Found ground collision target at`,
+                object.position
+              );
+            }
             break;
           case "wall":
           case "tower":
@@ -62,17 +71,21 @@ export class CollisionDetector {
                 position: object.position,
                 boundingBox: this.getBoundingBox(object),
               });
-              console.log(
-                `   ✓ Found named collision target: ${object.name} at`,
-                object.position
-              );
+              if (this.verbose) {
+                console.log(
+                  `   ✓ Found named collision target: ${object.name} at`,
+                  object.position
+                );
+              }
             }
             break;
         }
       }
     });
 
-    console.log(`🎯 Total collision targets found: ${targets.length}`);
+    if (this.verbose) {
+      console.log(`🎯 Total collision targets found: ${targets.length}`);
+    }
     return targets;
   }
 
@@ -92,10 +105,22 @@ export class CollisionDetector {
       : 1.0;
     const projectileRadius = baseRadius * velocityScale;
 
-    // For walls and towers, use precise box collision
-    if (target.type === "wall" || target.type === "tower") {
+    // For walls, towers and rocks, use precise box collision
+    if (["wall", "tower", "rock"].includes(target.type)) {
       const box = target.boundingBox || this.getBoundingBox(target.mesh);
-      return this.checkSphereBoxCollision(projectilePos, projectileRadius, box);
+      if (!this.checkSphereBoxCollision(projectilePos, projectileRadius, box)) {
+        return false;
+      }
+      if (!target.mesh.userData?.segmented) return true;
+
+      // Segmented walls: only blocks still standing count, so shots pass
+      // through breaches. Remember which one was hit for the damage.
+      target.hitPart = this.findHitPart(
+        target.mesh,
+        projectilePos,
+        projectileRadius
+      );
+      return Boolean(target.hitPart);
     }
 
     // For other objects, use sphere collision with improved radius calculation
@@ -104,18 +129,38 @@ export class CollisionDetector {
     const totalRadius = collisionRadius + projectileRadius;
 
     // Log collision check for debugging
-    console.log(`🔍 Collision check:`, {
-      projectile: projectilePos,
-      target: targetPos,
-      distance: distance.toFixed(2),
-      totalRadius: totalRadius.toFixed(2),
-      targetType: target.type,
-      collision: distance <= totalRadius,
-    });
+    if (this.verbose) {
+      console.log(`🔍 Collision check:`, {
+        projectile: projectilePos,
+        target: targetPos,
+        distance: distance.toFixed(2),
+        totalRadius: totalRadius.toFixed(2),
+        targetType: target.type,
+        collision: distance <= totalRadius,
+      });
+    }
 
     return distance <= totalRadius;
   }
 
+  // Closest part of a segmented structure the sphere touches
+  findHitPart(structure, position, radius) {
+    let hitPart = null;
+    let closest = Infinity;
+    const point = new THREE.Vector3();
+    structure.children.forEach((part) => {
+      if (!part.userData?.part) return;
+      const box = this.getBoundingBox(part);
+      if (!box) return;
+      const distance = position.distanceTo(box.clampPoint(position, point));
+      if (distance <= radius && distance < closest) {
+        hitPart = part;
+        closest = distance;
+      }
+    });
+    return hitPart;
+  }
+
   getCollisionRadius(targetType) {
     const radii = {
       barrel: 1.0,
@@ -134,7 +179,7 @@ export class CollisionDetector {
 
     // Use cache for performance
     const objectId = object.uuid;
-    const now = Date.now();
+    const now = this.clock.now();
 
     if (
       this.boundingBoxCache.has(objectId) &&
@@ -143,6 +188,9 @@ export class CollisionDetector {
       return this.boundingBoxCache.get(objectId);
     }
 
+    // Parts of a group may be asked for before anything has rendered
+    // (headless runs), so bring the parents' transforms up to date first
+    object.updateWorldMatrix(true, false);
     const box = new THREE.Box3().setFromObject(object);
 
     // Validate box min/max
@@ -217,11 +265,13 @@ export class CollisionDetector {
       const speed = velocity.length();
       const timeToImpact = distance / speed;
 
-      console.log(`🎯 Raycast collision predicted:`, {
-        target: intersection.object.userData?.type || "unknown",
-        distance: distance.toFixed(2),
-        timeToImpact: timeToImpact.toFixed(3),
-      });
+      if (this.verbose) {
+        console.log(`🎯 Raycast collision predicted:`, {
+          target: intersection.object.userData?.type || "unknown",
+          distance: distance.toFixed(2),
+          timeToImpact: timeToImpact.toFixed(3),
+        });
+      }
 
       // Only report collision if it's very close (within next frame)
       if (timeToImpact < 0.1) {
@@ -260,6 +310,6 @@ export class CollisionDetector {
 
   clearCache() {
     this.boundingBoxCache.clear();
-    console.log("🧹 Collision detector cache cleared");
+    if (this.verbose) console.log("🧹 Collision detector cache cleared");
   }
 }
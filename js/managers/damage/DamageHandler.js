@@ -2,9 +2,10 @@ import * as THREE from "three";
 import { materials } from "../../materials.js";
 
 export class DamageHandler {
-  constructor(scene, effectsManager) {
+  constructor(scene, effectsManager, structuralDamage = null) {
     this.scene = scene;
     this.effectsManager = effectsManager;
+    this.structuralDamage = structuralDamage;
   }
 
   applyDamageVisuals(target, damageDealt) {
@@ -110,6 +111,24 @@ export class DamageHandler {
       }
 
       const mesh = targetWrapper.mesh;
+
+      // Segmented walls are long; the blast reaches the blocks near it
+      // however far away the wall's centre is
+      if (this.structuralDamage?.isSegmented(mesh)) {
+        const dealt = this.structuralDamage.applyBlast(
+          mesh,
+          center,
+          radius,
+          maxDamage
+        );
+        damagedTargetsInfo.push({
+          target: targetWrapper,
+          destroyed: dealt > 0 && mesh.userData.health <= 0,
+          damage: dealt,
+        });
+        return;
+      }
+
       const distance = center.distanceTo(mesh.position);
 
       if (distance < radius) {
@@ -137,6 +156,7 @@ export class DamageHandler {
             );
           }
 
+          const dealt = Math.min(Math.max(mesh.userData.health, 0), damage);
           mesh.userData.health -= damage;
           mesh.userData.health = Math.max(0, mesh.userData.health); // Clamp health at 0
 
@@ -144,16 +164,46 @@ export class DamageHandler {
 
           if (mesh.userData.health <= 0) {
             // console.log(`${targetWrapper.type} destroyed by explosion.`);
-            damagedTargetsInfo.push({ target: targetWrapper, destroyed: true });
+            damagedTargetsInfo.push({
+              target: targetWrapper,
+              destroyed: true,
+              damage: dealt,
+            });
             return; // Move to next target
           }
+          damagedTargetsInfo.push({
+            target: targetWrapper,
+            destroyed: false,
+            damage: dealt,
+          });
+          return;
         }
       }
       damagedTargetsInfo.push({ target: targetWrapper, destroyed: false });
     });
+    this.damageSoldiers(center, radius, maxDamage);
     return damagedTargetsInfo;
   }
 
+  // Soldiers caught in the blast are wounded or killed. They aren't
+  // collision targets, so they are looked up here.
+  damageSoldiers(center, radius, maxDamage) {
+    const soldiers = [];
+    this.scene.traverse((object) => {
+      if (object.userData?.isSoldier && object.visible) soldiers.push(object);
+    });
+
+    const position = new THREE.Vector3();
+    soldiers.forEach((soldier) => {
+      const distance = center.distanceTo(soldier.getWorldPosition(position));
+      if (distance >= radius) return;
+      soldier.userData.health -= Math.floor(
+        maxDamage * (1 - distance / radius)
+      );
+      if (soldier.userData.health <= 0) soldier.userData.onKilled?.(soldier);
+    });
+  }
+
   // Helper to get base health for objects damaged by explosions.
   getBaseHealthForExplosion(targetType) {
     switch (targetType) {
@@ -0,0 +1,395 @@
+import * as THREE from "three";
+import { Utils } from "../../utils.js";
+
+// Health of one wall block and one battlement. SceneManager builds segmented
+// walls out of these; the wall's own health is the sum of what is left.
+export const WALL_BLOCK_HEALTH = 80;
+export const BATTLEMENT_HEALTH = 30;
+
+const SPLASH_RATIO = 0.5; // Share of a hit felt by the blocks next to it
+const BATTLEMENT_SUPPORT = 0.6; // Battlements fall when the block below drops under this
+const CHUNK_MASS = 4;
+
+// Damage for walls built out of blocks (userData.segmented). A hit lands on
+// the block it struck and shakes its neighbours; blocks that break, and
+// everything resting on them, fall out of the wall as physics chunks, so
+// breaches open where the stones actually land. The chunks stay on the
+// ground as rubble that the siege tower has to go around.
+export class StructuralDamage {
+  constructor(scene, physicsEngine = null, effectsManager = null) {
+    this.scene = scene;
+    this.physicsEngine = physicsEngine;
+    this.effectsManager = effectsManager;
+    this.rubble = [];
+    this.rubbleOrigins = new Map(); // chunk -> { structure, key } it fell from
+  }
+
+  // Names a part within its wall, the same every time the wall is built
+  static partKey(part) {
+    const { part: kind, column, row } = part.userData;
+    return `${kind}:${column}:${row ?? "-"}`;
+  }
+
+  isSegmented(mesh) {
+    return Boolean(mesh?.userData?.segmented);
+  }
+
+  getParts(structure) {
+    return structure.children.filter((child) => child.userData?.part);
+  }
+
+  getBlocks(structure) {
+    return structure.children.filter(
+      (child) => child.userData?.part === "block"
+    );
+  }
+
+  getPartAt(structure, column, row) {
+    return structure.children.find(
+      (child) =>
+        child.userData?.part === "block" &&
+        child.userData.column === column &&
+        child.userData.row === row
+    );
+  }
+
+  // Part whose centre is closest to point; the lowest middle block when
+  // there is no point (damage that isn't from a hit, such as fire)
+  findNearestPart(structure, point = null) {
+    const parts = this.getParts(structure);
+    if (!point) {
+      const blocks = this.getBlocks(structure);
+      const middle =
+        (Math.max(...blocks.map((b) => b.userData.column)) || 0) / 2;
+      return (
+        blocks.sort(
+          (a, b) =>
+            a.userData.row - b.userData.row ||
+            Math.abs(a.userData.column - middle) -
+              Math.abs(b.userData.column - middle)
+        )[0] || null
+      );
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    const center = new THREE.Vector3();
+    parts.forEach((part) => {
+      const distance = part.getWorldPosition(center).distanceTo(point);
+      if (distance < nearestDistance) {
+        nearest = part;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // A hit on one part of the structure. Returns the damage dealt in total.
+  damageAt(structure, point, damage, direction = null, hitPart = null) {
+    const part =
+      hitPart?.parent === structure
+        ? hitPart
+        : this.findNearestPart(structure, point);
+    if (!part) return 0;
+
+    const hits = [[part, damage]];
+    if (part.userData.part === "block") {
+      const { column, row } = part.userData;
+      [
+        [column - 1, row],
+        [column + 1, row],
+        [column, row - 1],
+        [column, row + 1],
+      ].forEach(([c, r]) => {
+        const neighbour = this.getPartAt(structure, c, r);
+        if (neighbour) hits.push([neighbour, damage * SPLASH_RATIO]);
+      });
+    }
+
+    const push = direction ? direction.clone().normalize() : null;
+    let dealt = 0;
+    hits.forEach(([target, amount]) => {
+      dealt += this.damagePart(structure, target, amount, push);
+    });
+    this.settle(structure, push);
+    return dealt;
+  }
+
+  // Explosion: every part within radius takes damage falling off with
+  // distance, and is thrown away from the blast if it breaks
+  applyBlast(structure, center, radius, maxDamage) {
+    const position = new THREE.Vector3();
+    let dealt = 0;
+    this.getParts(structure).forEach((part) => {
+      part.getWorldPosition(position);
+      const distance = center.distanceTo(position);
+      if (distance >= radius) return;
+      const push = position.clone().sub(center).normalize();
+      dealt += this.damagePart(
+        structure,
+        part,
+        Math.floor(maxDamage * (1 - distance / radius)),
+        push
+      );
+    });
+    this.settle(structure, null, center);
+    return dealt;
+  }
+
+  damagePart(structure, part, damage, push) {
+    if (part.parent !== structure || damage <= 0) return 0;
+    const dealt = Math.min(part.userData.health, damage);
+    part.userData.health -= dealt;
+    if (part.userData.health <= 0) {
+      this.collapse(structure, part, push);
+    } else {
+      this.applyCracks(part);
+    }
+    return dealt;
+  }
+
+  // Unsupported blocks fall with the one below them, and battlements drop
+  // once the top block of their column is gone or badly cracked
+  settle(structure, push = null, blastCenter = null) {
+    const position = new THREE.Vector3();
+    const awayFrom = (part) =>
+      blastCenter
+        ? part.getWorldPosition(position).clone().sub(blastCenter).normalize()
+        : push;
+
+    this.getBlocks(structure)
+      .sort((a, b) => a.userData.row - b.userData.row)
+      .forEach((block) => {
+        const { column, row } = block.userData;
+        if (row > 0 && !this.getPartAt(structure, column, row - 1)) {
+          this.collapse(structure, block, awayFrom(block));
+        }
+      });
+
+    const topRow = structure.userData.rows - 1;
+    this.getParts(structure)
+      .filter((part) => part.userData.part === "battlement")
+      .forEach((battlement) => {
+        const below = this.getPartAt(
+          structure,
+          battlement.userData.column,
+          topRow
+        );
+        if (
+          !below ||
+          below.userData.health < below.userData.maxHealth * BATTLEMENT_SUPPORT
+        ) {
+          this.collapse(structure, battlement, awayFrom(battlement));
+        }
+      });
+
+    this.syncHealth(structure);
+  }
+
+  // Patch up the most damaged part still standing. Parts that have fallen
+  // stay down. Returns the health restored.
+  repair(structure, amount) {
+    const part = this.getParts(structure)
+      .filter((part) => part.userData.health < part.userData.maxHealth)
+      .sort(
+        (a, b) =>
+          a.userData.health / a.userData.maxHealth -
+          b.userData.health / b.userData.maxHealth
+      )[0];
+    if (!part || amount <= 0) return 0;
+
+    const restored = Math.min(
+      amount,
+      part.userData.maxHealth - part.userData.health
+    );
+    part.userData.health += restored;
+    this.applyCracks(part);
+    this.syncHealth(structure);
+    return restored;
+  }
+
+  // A breach is a column with none of its blocks left standing
+  isBreached(structure) {
+    if (!this.isSegmented(structure)) return false;
+    const standing = new Set(
+      this.getBlocks(structure).map((block) => block.userData.column)
+    );
+    return standing.size < structure.userData.columns;
+  }
+
+  syncHealth(structure) {
+    structure.userData.health = this.getParts(structure).reduce(
+      (sum, part) => sum + Math.max(part.userData.health, 0),
+      0
+    );
+    return structure.userData.health;
+  }
+
+  // Darken a damaged block towards soot grey. Parts share the stone
+  // material until their first crack.
+  applyCracks(part) {
+    if (!part.material?.color) return;
+    if (!part.userData.hasOwnMaterial) {
+      part.userData.baseColorHex = part.material.color.getHex();
+      part.material = part.material.clone();
+      part.userData.hasOwnMaterial = true;
+    }
+    const healthPercent = Math.max(
+      0,
+      part.userData.health / part.userData.maxHealth
+    );
+    part.material.color
+      .setHex(part.userData.baseColorHex)
+      .lerp(new THREE.Color(0x2b2622), (1 - healthPercent) * 0.6);
+  }
+
+  // Take the part out of the wall and let physics have it
+  collapse(structure, part, push = null) {
+    if (part.parent !== structure) return;
+    const { column = 0, row = 0 } = part.userData;
+
+    // Pushed the way the hit was going, or just toppling outwards
+    const velocity = push
+      ? push.clone().setY(0).multiplyScalar(3)
+      : new THREE.Vector3();
+    velocity.y += 1 + row * 0.5;
+    const spin = (column % 2 === 0 ? 1 : -1) * (1 + row * 0.5);
+    this.makeRubble(
+      structure,
+      part,
+      velocity,
+      new THREE.Vector3(spin, 0, spin * 0.5)
+    );
+
+    const position = part.position.clone();
+    if (this.effectsManager) {
+      this.effectsManager.createDustEffect(position, 1.5);
+      this.effectsManager.createStoneDebrisEffect?.(position);
+    }
+    Utils.playSound("sounds/effects/stone_impact", 0.6).catch((error) =>
+      console.warn("Failed to play collapse sound:", error)
+    );
+  }
+
+  // Out of the wall and into the scene, where it keeps its place
+  makeRubble(
+    structure,
+    part,
+    velocity = new THREE.Vector3(),
+    angularVelocity = new THREE.Vector3()
+  ) {
+    const key = StructuralDamage.partKey(part);
+    this.scene.attach(part);
+    const size = new THREE.Box3()
+      .setFromObject(part)
+      .getSize(new THREE.Vector3());
+    const radius = (size.x + size.y + size.z) / 6;
+    part.userData = {
+      isRubble: true,
+      rubbleRadius: radius,
+      hasOwnMaterial: part.userData.hasOwnMaterial,
+    };
+
+    if (this.physicsEngine) {
+      this.physicsEngine.addObject(part, {
+        velocity: velocity,
+        angularVelocity: angularVelocity,
+        mass: CHUNK_MASS,
+        radius: radius,
+        restitution: 0.2,
+        friction: 0.5,
+      });
+    }
+    this.rubble.push(part);
+    this.rubbleOrigins.set(part, { structure: structure, key: key });
+  }
+
+  // What is left of a wall, for a save: the health of every part still
+  // standing and where the fallen ones lie
+  getState(structure) {
+    const rubble = [];
+    this.getRubble().forEach((chunk) => {
+      const origin = this.rubbleOrigins.get(chunk);
+      if (origin?.structure !== structure) return;
+      rubble.push({
+        key: origin.key,
+        position: chunk.position.toArray(),
+        quaternion: chunk.quaternion.toArray(),
+      });
+    });
+    return {
+      parts: this.getParts(structure).map((part) => ({
+        key: StructuralDamage.partKey(part),
+        health: part.userData.health,
+      })),
+      rubble: rubble,
+    };
+  }
+
+  // Bring a freshly built wall to a state from getState(). Parts that had
+  // fallen come out of it again, quietly, to lie where they lay; those
+  // cleared away since are just left out.
+  setState(structure, state) {
+    const standing = new Map(state.parts.map((part) => [part.key, part]));
+    const parts = new Map(
+      this.getParts(structure).map((part) => [
+        StructuralDamage.partKey(part),
+        part,
+      ])
+    );
+
+    standing.forEach(({ health }, key) => {
+      const part = parts.get(key);
+      if (!part) return;
+      part.userData.health = Math.min(health, part.userData.maxHealth);
+      if (part.userData.health < part.userData.maxHealth) {
+        this.applyCracks(part);
+      }
+    });
+    state.rubble.forEach((chunk) => {
+      const part = parts.get(chunk.key);
+      if (!part || standing.has(chunk.key)) return;
+      this.makeRubble(structure, part);
+      part.position.fromArray(chunk.position);
+      part.quaternion.fromArray(chunk.quaternion);
+    });
+    // Fallen and since cleared away
+    parts.forEach((part, key) => {
+      if (part.parent === structure && !standing.has(key)) {
+        structure.remove(part);
+      }
+    });
+    this.syncHealth(structure);
+  }
+
+  getRubble() {
+    return this.rubble.filter((chunk) => chunk.parent);
+  }
+
+  // Cleared away with the castle when it is rebuilt
+  clearRubble() {
+    this.rubble.forEach((chunk) => {
+      this.physicsEngine?.removeObject(chunk);
+      if (chunk.parent) chunk.parent.remove(chunk);
+      chunk.geometry?.dispose();
+      if (chunk.userData.hasOwnMaterial) chunk.material?.dispose();
+    });
+    this.rubble = [];
+    this.rubbleOrigins.clear();
+  }
+
+  // Hand the chunks back to a physics engine that has just been reset, so
+  // any still in the air finish falling
+  restoreRubble() {
+    if (!this.physicsEngine) return;
+    this.rubble = this.getRubble();
+    this.rubble.forEach((chunk) =>
+      this.physicsEngine.addObject(chunk, {
+        mass: CHUNK_MASS,
+        radius: chunk.userData.rubbleRadius,
+        restitution: 0.2,
+        friction: 0.5,
+      })
+    );
+  }
+}
@@ -0,0 +1,46 @@
+const MAX_STEPS = 100;
+
+// Undo and redo for the level editor. Every step is a snapshot of the whole
+// layout as a scenario, so undoing is just rebuilding from the snapshot,
+// whatever kind of edit it was.
+export class EditHistory {
+  constructor(limit = MAX_STEPS) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  // The layout as it was before an edit. A new edit drops the redo steps.
+  push(snapshot) {
+    this.undoStack.push(snapshot);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  // current is the layout now, kept for redo. Returns the layout to go
+  // back to, or null when there is nothing to undo.
+  undo(current) {
+    if (!this.canUndo()) return null;
+    this.redoStack.push(current);
+    return this.undoStack.pop();
+  }
+
+  redo(current) {
+    if (!this.canRedo()) return null;
+    this.undoStack.push(current);
+    return this.redoStack.pop();
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
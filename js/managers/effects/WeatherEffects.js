@@ -0,0 +1,175 @@
+import * as THREE from "three";
+import { Utils } from "../../utils.js";
+
+// Utils.createParticleSystem scatters its particles this far around the
+// middle, and as far above as below it
+const AREA_RADIUS = 20;
+const AREA_HEIGHT = 20;
+
+// Each kind of weather has a particle system of its own; amount (0-1)
+// shows that share of its particles
+const PRECIPITATION = {
+  rain: { count: 4000, size: 0.12, color: 0x9fb0c8, fall: 18, drift: 0.4 },
+  snow: { count: 2500, size: 0.25, color: 0xffffff, fall: 1.5, drift: 1 },
+};
+const FOG_BANK = { count: 250, size: 9, color: 0xb0b4ba, height: 4 };
+const FOG_OPACITY = 0.35;
+
+// Dense fog pulls the scene's fog in to this, and breathes as banks of it
+// roll by
+const FOG_NEAR = 2;
+const FOG_FAR = 30;
+const FOG_BANK_PERIOD = 40; // Seconds
+
+const WET_DARKENING = 0.35; // How much darker soaked ground is
+const WET_ROUGHNESS = 0.4;
+const SNOW_COLOR = 0xf2f4f8;
+
+// What the world's WeatherSystem looks like: rain and snow falling around
+// the camera, fog banks drifting low over the ground, the scene's fog drawn
+// in, and the ground darkening as it soaks and whitening under snow.
+// Purely visual; it only reads the weather.
+export class WeatherEffects {
+  constructor(scene, weather) {
+    this.scene = scene;
+    this.weather = weather;
+    this.time = 0;
+    this.groundMaterial = null; // And its own colour, see updateGround()
+    this.groundColor = new THREE.Color();
+    this.groundRoughness = 1;
+    this.fogRange = scene.fog
+      ? { near: scene.fog.near, far: scene.fog.far }
+      : null;
+
+    this.particles = {};
+    Object.entries(PRECIPITATION).forEach(([kind, { count, size, color }]) => {
+      this.particles[kind] = this.createParticles(count, size, color);
+    });
+    this.particles.fog = this.createParticles(
+      FOG_BANK.count,
+      FOG_BANK.size,
+      FOG_BANK.color,
+      new THREE.TextureLoader().load("textures/particles/smokeparticle.png")
+    );
+    // Low over the ground rather than all around the camera
+    const positions = this.particles.fog.geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+      positions.setY(
+        i,
+        (positions.getY(i) / AREA_HEIGHT + 0.5) * FOG_BANK.height
+      );
+    }
+  }
+
+  createParticles(count, size, color, texture = null) {
+    const points = Utils.createParticleSystem(count, texture, size);
+    const colors = points.geometry.attributes.color;
+    const tint = new THREE.Color(color);
+    for (let i = 0; i < count; i++) {
+      colors.setXYZ(i, tint.r, tint.g, tint.b);
+    }
+    points.material.depthWrite = false;
+    points.visible = false;
+    this.scene.add(points);
+    return points;
+  }
+
+  // wind: the wind's velocity (WindSystem.getVector); ground: the ground
+  // mesh, or null
+  update(deltaTime, cameraPosition, wind, ground) {
+    this.time += deltaTime;
+    const conditions = this.weather.getConditions();
+    Object.entries(PRECIPITATION).forEach(([kind, settings]) => {
+      const points = this.particles[kind];
+      if (!this.showParticles(points, conditions[kind], settings.count)) {
+        return;
+      }
+      points.position.copy(cameraPosition);
+      this.moveParticles(points, deltaTime, {
+        x: wind.x * settings.drift,
+        y: -settings.fall,
+        z: wind.z * settings.drift,
+        sway: kind === "snow" ? 0.5 : 0,
+      });
+    });
+
+    // Banks of fog come and go
+    const bank =
+      0.85 + 0.15 * Math.sin((this.time / FOG_BANK_PERIOD) * 2 * Math.PI);
+    const fog = conditions.fog * bank;
+    const fogBank = this.particles.fog;
+    if (this.showParticles(fogBank, fog, FOG_BANK.count)) {
+      fogBank.material.opacity = FOG_OPACITY * fog;
+      fogBank.position.set(cameraPosition.x, 0, cameraPosition.z);
+      this.moveParticles(fogBank, deltaTime, {
+        x: wind.x * 0.5,
+        y: 0,
+        z: wind.z * 0.5,
+        sway: 0,
+      });
+    }
+    if (this.fogRange) {
+      this.scene.fog.near = THREE.MathUtils.lerp(
+        this.fogRange.near,
+        FOG_NEAR,
+        fog
+      );
+      this.scene.fog.far = THREE.MathUtils.lerp(
+        this.fogRange.far,
+        FOG_FAR,
+        fog
+      );
+    }
+
+    if (ground) this.updateGround(ground.material);
+  }
+
+  // Returns whether any of them show
+  showParticles(points, amount, count) {
+    const shown = Math.round(count * amount);
+    points.visible = shown > 0;
+    points.geometry.setDrawRange(0, shown);
+    return points.visible;
+  }
+
+  // Moves the shown particles by velocity, wrapping them round inside
+  // their area as they leave it
+  moveParticles(points, deltaTime, velocity) {
+    const positions = points.geometry.attributes.position;
+    const wrap = (value, half) =>
+      value < -half
+        ? value + 2 * half
+        : value > half
+        ? value - 2 * half
+        : value;
+    for (let i = 0; i < points.geometry.drawRange.count; i++) {
+      const sway = velocity.sway * Math.sin(this.time + i);
+      positions.setXYZ(
+        i,
+        wrap(positions.getX(i) + (velocity.x + sway) * deltaTime, AREA_RADIUS),
+        wrap(positions.getY(i) + velocity.y * deltaTime, AREA_HEIGHT / 2),
+        wrap(positions.getZ(i) + velocity.z * deltaTime, AREA_RADIUS)
+      );
+    }
+    positions.needsUpdate = true;
+  }
+
+  // Soaked ground darkens and shines; snow whitens it as it settles
+  updateGround(material) {
+    if (material !== this.groundMaterial) {
+      this.groundMaterial = material;
+      this.groundColor.copy(material.color);
+      this.groundRoughness = material.roughness;
+    }
+    const { wetness, snowCover } = this.weather;
+    material.color
+      .copy(this.groundColor)
+      .multiplyScalar(1 - WET_DARKENING * wetness)
+      .lerp(new THREE.Color(SNOW_COLOR), snowCover * 0.9);
+    material.roughness = THREE.MathUtils.lerp(
+      this.groundRoughness,
+      WET_ROUGHNESS,
+      wetness * (1 - snowCover)
+    );
+  }
+}
@@ -0,0 +1,87 @@
+// Bumped whenever the message layout changes; both browsers must agree
+export const NETWORK_PROTOCOL_VERSION = 2;
+
+// One browser's WebSocket to the relay (tools/relay-server.mjs), sending
+// and receiving JSON messages. The relay says on joining whether this
+// browser hosts the room.
+//
+// States: "closed", "connecting" and "open".
+export class RelayConnection {
+  constructor() {
+    this.socket = null;
+    this.state = "closed";
+    this.isHost = false;
+
+    this.onWelcome = null; // Called with isHost once the relay has answered
+    this.onMessage = null; // Called with each message from the other side
+    this.onClose = null; // Called with a reason, or null when we hung up
+  }
+
+  // url: the relay's WebSocket address, e.g. ws://127.0.0.1:8080/relay
+  // A malformed address ends the attempt through onClose, like a relay
+  // that can't be reached.
+  connect(url, room) {
+    this.close();
+    this.state = "connecting";
+    this.closeReason = "Sunucuya bağlanılamadı";
+
+    let socket;
+    try {
+      const address = new URL(url);
+      address.searchParams.set("room", room);
+      socket = new WebSocket(address);
+    } catch (error) {
+      console.warn("⚠️ Bad relay address:", error);
+      this.state = "closed";
+      this.onClose?.("Geçersiz sunucu adresi");
+      return;
+    }
+    this.socket = socket;
+    socket.addEventListener("message", (event) =>
+      this.handleMessage(event.data)
+    );
+    socket.addEventListener("close", () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.state = "closed";
+      this.onClose?.(this.closeReason);
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn("⚠️ Unreadable network message:", error);
+      return;
+    }
+    switch (message.type) {
+      case "welcome":
+        this.state = "open";
+        this.isHost = message.host;
+        this.closeReason = "Bağlantı koptu";
+        this.onWelcome?.(this.isHost);
+        break;
+      case "error":
+        this.closeReason = message.message;
+        break;
+      default:
+        this.onMessage?.(message);
+    }
+  }
+
+  send(message) {
+    if (this.state !== "open") return false;
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  close() {
+    const socket = this.socket;
+    this.socket = null;
+    this.state = "closed";
+    this.isHost = false;
+    socket?.close();
+  }
+}
@@ -0,0 +1,319 @@
+import * as THREE from "three";
+import { Utils } from "../../utils.js";
+import { materials } from "../../materials.js";
+import { Ammunition } from "../../objects/ammunition.js";
+import { getAmmoType, SHRAPNEL } from "../../objects/ammoTypes.js";
+import { SnapshotWriter } from "./SnapshotWriter.js";
+
+// Seconds the guest shows the host's world behind the newest snapshot, so
+// there is nearly always a later one to move towards
+const INTERPOLATION_DELAY = 0.2;
+const MAX_LAG = 1; // Further behind than this, it jumps ahead
+const BUFFER_TIME = 2; // Seconds of snapshots kept
+
+// The guest's side of a networked match: its world doesn't step, it shows
+// the host's (see SnapshotWriter). Moving things are drawn a little in the
+// past, between the two snapshots either side of that moment; everything
+// else is applied as each snapshot's moment is reached.
+//
+// Shots, shrapnel and arrows are stand-ins made here: meshes without
+// physics.
+export class SnapshotReader {
+  constructor(world, effectsManager = null) {
+    this.world = world;
+    this.effectsManager = effectsManager;
+    this.onRoundEnd = null; // Called with the host's summary
+
+    this.reset();
+  }
+
+  // After a sync: the world has just been rebuilt from it
+  reset() {
+    this.proxies?.forEach((mesh) => this.removeProxy(mesh));
+    this.buffer = [];
+    this.renderTime = null;
+    this.current = null;
+    this.summary = null;
+    this.proxies = new Map(); // id -> stand-in mesh
+  }
+
+  // The sync's barrels are matched up with this world's by position, the
+  // throwers by their order
+  matchBodies(barrels) {
+    SnapshotWriter.nameEngines(this.world);
+    const free = this.world.scene.children.filter(
+      (child) => child.userData?.type === "barrel"
+    );
+    barrels.forEach(([id, x, z]) => {
+      let nearest = null;
+      let nearestDistance = Infinity;
+      free.forEach((barrel) => {
+        const distance = Math.hypot(
+          barrel.position.x - x,
+          barrel.position.z - z
+        );
+        if (distance < nearestDistance) {
+          nearest = barrel;
+          nearestDistance = distance;
+        }
+      });
+      if (!nearest) return;
+      nearest.userData.netId = id;
+      free.splice(free.indexOf(nearest), 1);
+    });
+  }
+
+  push(snapshot) {
+    snapshot.bodyMap = new Map(snapshot.bodies.map((body) => [body[0], body]));
+    this.buffer.push(snapshot);
+    const oldest = snapshot.time - BUFFER_TIME;
+    this.buffer = this.buffer.filter(
+      (entry) => entry.time >= oldest || entry === this.current
+    );
+  }
+
+  update(deltaTime) {
+    if (this.buffer.length === 0) return;
+    const latest = this.buffer[this.buffer.length - 1].time;
+    this.renderTime =
+      this.renderTime === null
+        ? latest - INTERPOLATION_DELAY
+        : this.renderTime + deltaTime;
+    if (this.renderTime < latest - MAX_LAG) {
+      this.renderTime = latest - INTERPOLATION_DELAY;
+    }
+    this.renderTime = Math.min(this.renderTime, latest);
+
+    // Everything up to now happens in order, so no explosion is missed
+    let next = null;
+    for (const snapshot of this.buffer) {
+      if (snapshot.time > this.renderTime) {
+        next = snapshot;
+        break;
+      }
+      if (!snapshot.applied) this.apply(snapshot);
+    }
+    if (!this.current) return;
+
+    const span = next ? next.time - this.current.time : 0;
+    const t = span > 0 ? (this.renderTime - this.current.time) / span : 0;
+    this.interpolate(this.current, next, t);
+  }
+
+  // The snapshot's changes apart from where things are
+  apply(snapshot) {
+    snapshot.applied = true;
+    this.current = snapshot;
+    const world = this.world;
+
+    if (snapshot.craters) {
+      world.terrain.setCraters(snapshot.craters);
+      world.followTerrain();
+    }
+    if (snapshot.wind) world.wind.setSettings(snapshot.wind);
+    if (snapshot.weather) world.weather.setSettings(snapshot.weather);
+    if (snapshot.fuses) this.applyFuses(snapshot.fuses);
+    snapshot.castle.forEach((entry) => this.applyCastle(entry));
+    if (snapshot.defenders) this.applyDefenders(snapshot.defenders);
+    this.applyEngines(snapshot.engines);
+    this.applyBodies(snapshot);
+    snapshot.events.forEach((event) => this.playEvent(event));
+
+    const wasOver = this.summary?.isOver;
+    this.summary = snapshot.round;
+    if (this.summary.isOver && !wasOver) this.onRoundEnd?.(this.summary);
+  }
+
+  // Seconds left on each lit fuse, by barrel id. The host's world sets the
+  // barrels off; here they only count down.
+  applyFuses(fuses) {
+    const fuseManager = this.world.fuseManager;
+    this.world.scene.children
+      .filter((child) => child.userData?.type === "barrel")
+      .forEach((barrel) => {
+        const seconds = fuses[barrel.userData.netId];
+        if (seconds !== undefined) {
+          fuseManager.light(barrel, seconds);
+        } else if (fuseManager.isLit(barrel)) {
+          fuseManager.snuff(barrel);
+        }
+      });
+  }
+
+  applyCastle(entry) {
+    const world = this.world;
+    const piece = SnapshotWriter.resolveObject(world.scene, entry.id);
+    if (!piece) return;
+    if (entry.removed) {
+      world.scene.remove(piece);
+      return;
+    }
+    const structuralDamage = world.collisionManager.structuralDamage;
+    if (entry.parts && structuralDamage.isSegmented(piece)) {
+      structuralDamage.setState(piece, entry);
+    } else if (entry.health !== null) {
+      piece.userData.health = entry.health;
+      piece.userData.maxHealth = entry.maxHealth;
+    }
+  }
+
+  applyDefenders(defenders) {
+    const defenderManager = this.world.defenderManager;
+    defenderManager.clear();
+    defenders.forEach(([hostId, x, y, z, column]) => {
+      const host = SnapshotWriter.resolveObject(this.world.scene, hostId);
+      if (!host) return;
+      defenderManager.addDefender(host, {
+        position: new THREE.Vector3(x, y, z),
+        column: column,
+      });
+    });
+  }
+
+  applyEngines({ throwers, siegeTower }) {
+    const world = this.world;
+    throwers.forEach((thrower, index) => {
+      const engine = world.engines[index];
+      if (!engine) return;
+      if (thrower.ammoType !== engine.ammoType) {
+        engine.setAmmoType(thrower.ammoType);
+      }
+      if (thrower.releaseAngle !== undefined) {
+        engine.setReleaseAngle(thrower.releaseAngle);
+      }
+      // The load leaves the bucket when the host's shot does
+      if (engine.projectile) engine.projectile.visible = thrower.loaded;
+      engine.crew = thrower.crew;
+    });
+    if (siegeTower && world.siegeTower) {
+      const mesh = world.siegeTower.mesh;
+      if (siegeTower.destroyed && mesh.parent) world.scene.remove(mesh);
+      siegeTower.soldiers.forEach((alive, index) => {
+        const soldier = world.siegeTower.soldiers[index];
+        if (!alive) soldier?.die();
+      });
+    }
+  }
+
+  // Stand-ins for new shots and arrows, and gone what the host no longer
+  // has: exploded barrels, landed arrows, rubble cleared away
+  applyBodies(snapshot) {
+    const scene = this.world.scene;
+    this.proxies.forEach((mesh, id) => {
+      if (snapshot.bodyMap.has(id)) return;
+      this.removeProxy(mesh);
+      this.proxies.delete(id);
+    });
+    scene.children
+      .filter(
+        (child) =>
+          child.userData?.type === "barrel" &&
+          child.userData.netId &&
+          !snapshot.bodyMap.has(child.userData.netId)
+      )
+      .forEach((barrel) => {
+        this.world.fuseManager.snuff(barrel);
+        scene.remove(barrel);
+      });
+
+    snapshot.bodies.forEach(([id, , , , , , , , ammoType]) => {
+      if (this.proxies.has(id)) return;
+      let mesh = null;
+      if (id.startsWith("shot:")) {
+        const ammo =
+          ammoType === SHRAPNEL.id ? SHRAPNEL : getAmmoType(ammoType);
+        mesh = Ammunition.createProjectileMesh(ammo);
+        // Cluster pebbles fly apart, each with an id of its own
+        if (ammo.fragments) mesh.clear();
+      } else if (id.startsWith("arrow:")) {
+        mesh = Ammunition.createArrowMesh();
+      }
+      if (!mesh) return;
+      scene.add(mesh);
+      this.proxies.set(id, mesh);
+    });
+  }
+
+  removeProxy(mesh) {
+    if (mesh.parent) mesh.parent.remove(mesh);
+    const sharedMaterials = Object.values(materials);
+    mesh.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material && !sharedMaterials.includes(child.material)) {
+        child.material.dispose();
+      }
+    });
+  }
+
+  findBody(id) {
+    if (this.proxies.has(id)) return this.proxies.get(id);
+    const world = this.world;
+    if (id.startsWith("soldier:")) {
+      const soldier = world.siegeTower?.soldiers[parseInt(id.slice(8))];
+      if (!soldier) return null;
+      // Off the tower and onto the bridge
+      if (soldier.mesh.parent !== world.scene) world.scene.add(soldier.mesh);
+      return soldier.mesh;
+    }
+    if (id.includes("/")) {
+      const structuralDamage = world.collisionManager.structuralDamage;
+      return (
+        structuralDamage.getRubble().find((chunk) => {
+          const origin = structuralDamage.rubbleOrigins.get(chunk);
+          return (
+            origin &&
+            `${SnapshotWriter.getObjectId(origin.structure)}/${origin.key}` ===
+              id
+          );
+        }) || null
+      );
+    }
+    return SnapshotWriter.resolveObject(world.scene, id);
+  }
+
+  // Between from and to (t from 0 to 1), or at from when there's no later
+  // snapshot yet
+  interpolate(from, to, t) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const target = new THREE.Quaternion();
+    from.bodies.forEach((body) => {
+      const object = this.findBody(body[0]);
+      if (!object) return;
+      const next = to?.bodyMap.get(body[0]);
+      position.fromArray(body, 1);
+      quaternion.fromArray(body, 4);
+      if (next) {
+        position.lerp(new THREE.Vector3().fromArray(next, 1), t);
+        quaternion.slerp(target.fromArray(next, 4), t);
+      }
+      object.position.copy(position);
+      object.quaternion.copy(quaternion);
+    });
+
+    const lerp = (a, b) =>
+      b === undefined ? a : THREE.MathUtils.lerp(a, b, t);
+    const { engines, siegeTower } = this.world;
+    from.engines.throwers.forEach(({ pose }, index) => {
+      const next = to?.engines.throwers[index]?.pose;
+      engines[index]?.setPose(pose.map((value, i) => lerp(value, next?.[i])));
+    });
+    if (from.engines.siegeTower && siegeTower) {
+      siegeTower.bridge.rotation.x = lerp(
+        from.engines.siegeTower.bridge,
+        to?.engines.siegeTower?.bridge
+      );
+    }
+  }
+
+  // Explosions bring their own sound
+  playEvent({ type, position }) {
+    const point = new THREE.Vector3().fromArray(position);
+    if (type === "barrelExploded") {
+      this.effectsManager?.createExplosionEffect(point, 3.0);
+    } else if (type === "targetDestroyed") {
+      this.effectsManager?.createDustEffect(point, 2.0);
+      Utils.playSound("sounds/effects/structure_collapse", 0.8);
+    }
+  }
+}
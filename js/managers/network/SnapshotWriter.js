@@ -0,0 +1,277 @@
+import { NETWORK_PROTOCOL_VERSION } from "./RelayConnection.js";
+
+const CASTLE_TYPES = ["wall", "tower", "gate", "rock"];
+const ENGINE_TYPES = ["siegeTower"];
+
+// World events the other browser plays effects for
+const FORWARDED_EVENTS = ["barrelExploded", "targetDestroyed"];
+
+const round = (value, digits = 3) => Number(value.toFixed(digits));
+
+// The host's side of a networked match: turns its world into messages for
+// the other browser. A sync carries the whole siege (SiegeWorld.getState)
+// and is sent when the guest joins and after every reset; snapshots follow
+// several times a second with where everything that moves is, and only
+// what changed of the rest (castle damage, defenders, craters, wind,
+// weather, fuses).
+//
+// Objects are named the same way in both worlds (see getObjectId): castle
+// pieces by type and position, the siege tower by type, the throwers by
+// their place in world.engines (see nameEngines), and barrels, shots,
+// arrows and rubble by ids handed out here.
+export class SnapshotWriter {
+  constructor(world) {
+    this.world = world;
+    this.nextId = 1;
+    this.recording = false; // Events are kept once a guest is synced
+    this.reset();
+
+    FORWARDED_EVENTS.forEach((type) =>
+      world.eventTarget.addEventListener(type, (event) => {
+        if (!this.recording) return;
+        this.events.push({
+          type: type,
+          position: event.detail.position.toArray().map((v) => round(v, 2)),
+        });
+      })
+    );
+  }
+
+  // Everything is sent afresh after a sync
+  reset() {
+    this.sentCastle = new Map(); // id -> what was last sent of it
+    this.sentDefenders = null;
+    this.sentTerrainVersion = null;
+    this.sentWind = null;
+    this.sentWeather = null;
+    this.sentFuses = null;
+    this.events = [];
+  }
+
+  static getObjectId(object) {
+    const { type, netId } = object?.userData || {};
+    if (netId) return netId;
+    if (ENGINE_TYPES.includes(type)) return type;
+    if (CASTLE_TYPES.includes(type)) {
+      return `${type}@${object.position.x.toFixed(
+        1
+      )},${object.position.z.toFixed(1)}`;
+    }
+    return null;
+  }
+
+  // Castle pieces, engines and barrels; shots, arrows and rubble are only
+  // ever looked up on the guest
+  static resolveObject(scene, id) {
+    if (typeof id !== "string") return null;
+    return (
+      scene.children.find(
+        (child) => SnapshotWriter.getObjectId(child) === id
+      ) || null
+    );
+  }
+
+  // Both worlds build their throwers from the same layout, in order
+  static nameEngines(world) {
+    world.engines.forEach((engine, index) => {
+      engine.mesh.userData.netId = `engine:${index}`;
+    });
+  }
+
+  assignId(object, kind) {
+    if (!object.userData.netId) {
+      object.userData.netId = `${kind}:${this.nextId++}`;
+    }
+    return object.userData.netId;
+  }
+
+  getBarrels() {
+    return this.world.scene.children.filter(
+      (child) => child.userData?.type === "barrel"
+    );
+  }
+
+  // role: the one the guest plays
+  createSync(role) {
+    this.reset();
+    this.recording = true;
+    SnapshotWriter.nameEngines(this.world);
+    return {
+      type: "sync",
+      version: NETWORK_PROTOCOL_VERSION,
+      role: role,
+      state: this.world.getState(),
+      // The guest's barrels are new; it matches these up by position
+      barrels: this.getBarrels().map((barrel) => [
+        this.assignId(barrel, "barrel"),
+        barrel.position.x,
+        barrel.position.z,
+      ]),
+    };
+  }
+
+  createSnapshot() {
+    const world = this.world;
+    const snapshot = {
+      type: "snapshot",
+      time: world.elapsedTime,
+      bodies: this.getBodies(),
+      engines: this.getEngines(),
+      castle: this.getCastleChanges(),
+      round: world.gameMode.getSummary(),
+      events: this.events,
+    };
+    this.events = [];
+
+    const defenders = world.defenderManager.defenders.map((defender) => [
+      SnapshotWriter.getObjectId(defender.host),
+      ...defender.mesh.position.toArray().map((v) => round(v, 2)),
+      defender.column,
+    ]);
+    const defendersJSON = JSON.stringify(defenders);
+    if (defendersJSON !== this.sentDefenders) {
+      snapshot.defenders = defenders;
+      this.sentDefenders = defendersJSON;
+    }
+    if (world.terrain.version !== this.sentTerrainVersion) {
+      snapshot.craters = world.terrain.getCraters();
+      this.sentTerrainVersion = world.terrain.version;
+    }
+    const wind = JSON.stringify(world.wind.getSettings());
+    if (wind !== this.sentWind) {
+      snapshot.wind = world.wind.getSettings();
+      this.sentWind = wind;
+    }
+    // Rounded, so a slow change of weather goes out now and then
+    const weather = JSON.stringify(world.weather.getSettings(), (key, value) =>
+      typeof value === "number" ? round(value, 2) : value
+    );
+    if (weather !== this.sentWeather) {
+      snapshot.weather = JSON.parse(weather);
+      this.sentWeather = weather;
+    }
+    const fuses = {};
+    this.getBarrels()
+      .filter((barrel) => barrel.userData.fuse !== undefined)
+      .forEach((barrel) => {
+        fuses[this.assignId(barrel, "barrel")] = round(barrel.userData.fuse, 1);
+      });
+    const fusesJSON = JSON.stringify(fuses);
+    if (fusesJSON !== this.sentFuses) {
+      snapshot.fuses = fuses;
+      this.sentFuses = fusesJSON;
+    }
+    return snapshot;
+  }
+
+  // [id, x, y, z, qx, qy, qz, qw] for everything that moves, with the
+  // ammo type after shots so the guest can draw them
+  getBodies() {
+    const world = this.world;
+    const bodies = [];
+    const add = (id, object, ...extra) => {
+      bodies.push([
+        id,
+        ...object.position.toArray().map((v) => round(v)),
+        ...object.quaternion.toArray().map((v) => round(v, 4)),
+        ...extra,
+      ]);
+    };
+
+    [...world.engines, world.siegeTower].forEach((engine) => {
+      if (engine?.mesh.parent) {
+        add(SnapshotWriter.getObjectId(engine.mesh), engine.mesh);
+      }
+    });
+    world.siegeTower?.soldiers.forEach((soldier, index) => {
+      // Aboard, they ride along with the tower
+      if (soldier.isAlive() && soldier.state !== "aboard") {
+        add(`soldier:${index}`, soldier.mesh);
+      }
+    });
+    this.getBarrels().forEach((barrel) =>
+      add(this.assignId(barrel, "barrel"), barrel)
+    );
+    world.scene.children.forEach((child) => {
+      if (child.userData?.isProjectile) {
+        add(this.assignId(child, "shot"), child, child.userData.ammoType);
+      } else if (child.userData?.isArrow) {
+        add(this.assignId(child, "arrow"), child);
+      }
+    });
+
+    const structuralDamage = world.collisionManager.structuralDamage;
+    structuralDamage.getRubble().forEach((chunk) => {
+      const origin = structuralDamage.rubbleOrigins.get(chunk);
+      if (!origin) return;
+      const id = `${SnapshotWriter.getObjectId(origin.structure)}/${
+        origin.key
+      }`;
+      add(id, chunk);
+    });
+    return bodies;
+  }
+
+  // The parts of the engines that move on their own, and their crews.
+  // Throwers are listed in world.engines order.
+  getEngines() {
+    const { engines, siegeTower } = this.world;
+    return {
+      throwers: engines.map((engine) => ({
+        pose: engine.getPose().map((value) => round(value)),
+        loaded: engine.isLoaded,
+        crew: engine.crew,
+        ...engine.getSettings(),
+      })),
+      siegeTower: siegeTower && {
+        bridge: round(siegeTower.bridge.rotation.x),
+        destroyed: !siegeTower.mesh.parent,
+        soldiers: siegeTower.soldiers.map((soldier) => soldier.isAlive()),
+      },
+    };
+  }
+
+  // Castle pieces whose health or standing parts changed since the last
+  // snapshot, and the ones that are gone ({ id, removed: true })
+  getCastleChanges() {
+    const structuralDamage = this.world.collisionManager.structuralDamage;
+    const changes = [];
+    const present = new Set();
+
+    this.world.getCastleParts().forEach((piece) => {
+      const id = SnapshotWriter.getObjectId(piece);
+      present.add(id);
+      const health = piece.userData.health;
+      const entry = {
+        id: id,
+        health: health === undefined ? null : Math.round(health),
+        maxHealth: piece.userData.maxHealth ?? null,
+      };
+      if (structuralDamage.isSegmented(piece)) {
+        const { parts, rubble } = structuralDamage.getState(piece);
+        entry.parts = parts.map((part) => ({
+          key: part.key,
+          health: Math.round(part.health),
+        }));
+        entry.rubble = rubble;
+      }
+      // Rubble moves on its own (see getBodies); only new chunks count
+      const key = JSON.stringify({
+        ...entry,
+        rubble: entry.rubble?.map((chunk) => chunk.key),
+      });
+      if (this.sentCastle.get(id) !== key) {
+        this.sentCastle.set(id, key);
+        changes.push(entry);
+      }
+    });
+
+    [...this.sentCastle.keys()]
+      .filter((id) => !present.has(id))
+      .forEach((id) => {
+        this.sentCastle.delete(id);
+        changes.push({ id: id, removed: true });
+      });
+    return changes;
+  }
+}
@@ -0,0 +1,138 @@
+import { Validation } from "../../validation.js";
+import { REPLAY_FORMAT_VERSION } from "./ReplayRecorder.js";
+
+const EVENT_TYPES = [
+  "keydown",
+  "keyup",
+  "fire",
+  "select",
+  "drag",
+  "release",
+  "armExplosive",
+  "wind",
+  "weather",
+  "ammo",
+  "placeTorch",
+  "torchLit",
+];
+
+// Feeds recorded events back in on the frame they were captured on. The
+// caller supplies applyEvent(event), which performs the actual input.
+export class ReplayPlayer {
+  constructor(applyEvent) {
+    this.applyEvent = applyEvent;
+    this.replay = null;
+    this.isPlaying = false;
+    this.startFrame = 0;
+    this.nextEventIndex = 0;
+  }
+
+  // Returns a list of problems; empty when the replay can be played
+  static validate(data) {
+    const errors = [];
+    if (!data || typeof data !== "object") {
+      return ["Replay is not a JSON object"];
+    }
+    if (data.version !== REPLAY_FORMAT_VERSION) {
+      errors.push(`Unsupported replay version: ${data.version}`);
+    }
+    if (!Validation.isValidNumber(data.seed)) {
+      errors.push("Missing or invalid seed");
+    }
+    if (
+      !Validation.isValidNumber(data.fixedTimeStep) ||
+      data.fixedTimeStep <= 0
+    ) {
+      errors.push("Missing or invalid fixedTimeStep");
+    }
+    if (
+      data.initialState !== undefined &&
+      (typeof data.initialState !== "object" || data.initialState === null)
+    ) {
+      errors.push("Invalid initialState");
+    } else if (data.initialState?.scenario) {
+      Validation.validateScenario(data.initialState.scenario).forEach((error) =>
+        errors.push(`Scenario: ${error}`)
+      );
+    }
+    if (!Array.isArray(data.events)) {
+      errors.push("Missing events list");
+      return errors;
+    }
+
+    let previousFrame = 0;
+    data.events.forEach((event, index) => {
+      if (!event || !EVENT_TYPES.includes(event.type)) {
+        errors.push(`Event ${index}: unknown type ${event?.type}`);
+        return;
+      }
+      if (!Validation.isValidNumber(event.frame) || event.frame < 0) {
+        errors.push(`Event ${index}: invalid frame`);
+        return;
+      }
+      if (event.frame < previousFrame) {
+        errors.push(`Event ${index}: frames out of order`);
+      }
+      previousFrame = event.frame;
+      if (
+        (event.type === "drag" || event.type === "placeTorch") &&
+        (!Array.isArray(event.position) ||
+          event.position.length !== 3 ||
+          !event.position.every((v) => Validation.isValidNumber(v)))
+      ) {
+        errors.push(`Event ${index}: invalid ${event.type} position`);
+      }
+      if (
+        event.type === "armExplosive" &&
+        event.fuse !== undefined &&
+        !Validation.isValidNumber(event.fuse)
+      ) {
+        errors.push(`Event ${index}: invalid fuse`);
+      }
+    });
+    return errors;
+  }
+
+  start(replay, startFrame) {
+    this.replay = replay;
+    this.startFrame = startFrame;
+    this.nextEventIndex = 0;
+    this.isPlaying = true;
+  }
+
+  stop() {
+    this.isPlaying = false;
+    this.replay = null;
+  }
+
+  // Apply every event due on this world frame. Returns false once the
+  // replay has run its full length.
+  update(frame) {
+    if (!this.isPlaying) return false;
+
+    const replayFrame = frame - this.startFrame;
+    const events = this.replay.events;
+    while (
+      this.nextEventIndex < events.length &&
+      events[this.nextEventIndex].frame <= replayFrame
+    ) {
+      this.applyEvent(events[this.nextEventIndex]);
+      this.nextEventIndex++;
+    }
+
+    const lastFrame = Math.max(
+      this.replay.frameCount || 0,
+      events.length > 0 ? events[events.length - 1].frame : 0
+    );
+    if (this.nextEventIndex >= events.length && replayFrame >= lastFrame) {
+      this.stop();
+      return false;
+    }
+    return true;
+  }
+
+  getProgress(frame) {
+    if (!this.isPlaying || !this.replay.frameCount) return 0;
+    return Math.min(1, (frame - this.startFrame) / this.replay.frameCount);
+  }
+}
@@ -0,0 +1,44 @@
+// Bumped whenever the event layout changes so old files are rejected cleanly
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Captures input events against world frame numbers. Frames are counted from
+// the moment recording starts, so playback can begin on any world frame.
+export class ReplayRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.replay = null;
+    this.startFrame = 0;
+  }
+
+  // initialState holds world settings the seed alone doesn't reproduce
+  // (e.g. a wind the player locked across rounds, the loaded ammo type)
+  start(seed, startFrame, fixedTimeStep, initialState = {}) {
+    this.startFrame = startFrame;
+    this.replay = {
+      version: REPLAY_FORMAT_VERSION,
+      seed: seed,
+      fixedTimeStep: fixedTimeStep,
+      initialState: initialState,
+      recordedAt: new Date().toISOString(),
+      frameCount: 0,
+      events: [],
+    };
+    this.isRecording = true;
+  }
+
+  // Events arrive between fixed steps; `frame` is the step they precede
+  record(frame, event) {
+    if (!this.isRecording) return;
+    this.replay.events.push({ frame: frame - this.startFrame, ...event });
+  }
+
+  stop(frame) {
+    if (!this.isRecording) return null;
+    this.replay.frameCount = frame - this.startFrame;
+    this.isRecording = false;
+
+    const replay = this.replay;
+    this.replay = null;
+    return replay;
+  }
+}
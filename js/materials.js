@@ -212,4 +212,44 @@ export const materials = {
 
     this.initialized = true;
   },
+
+  // Flat-colored stand-ins for the textured set. Used where textures cannot
+  // be loaded, e.g. headless simulation runs under Node.
+  initializeWithoutTextures() {
+    if (this.initialized) return;
+
+    this.wood = new THREE.MeshStandardMaterial({
+      color: 0x8b4513,
+      roughness: 1.0,
+      metalness: 0.1,
+    });
+    this.stone = new THREE.MeshStandardMaterial({
+      color: 0x808080,
+      roughness: 0.9,
+      metalness: 0.1,
+    });
+    this.metal = new THREE.MeshStandardMaterial({
+      color: 0x9a9a9a,
+      roughness: 0.5,
+      metalness: 0.6,
+    });
+    this.dirt = new THREE.MeshStandardMaterial({
+      color: 0x5b4a36,
+      roughness: 0.8,
+      metalness: 0,
+    });
+    this.stoneWall = this.stone;
+    this.asphalt = new THREE.MeshStandardMaterial({
+      color: 0x333333,
+      roughness: 1.0,
+      metalness: 0,
+    });
+    this.groundRock = new THREE.MeshStandardMaterial({
+      color: 0x556b2f,
+      roughness: 0.85,
+      metalness: 0,
+    });
+
+    this.initialized = true;
+  },
 };
@@ -0,0 +1,100 @@
+// Catapult ammunition. Ballistics are per type: mass slows the launch
+// (speed scales with 1/sqrt(mass)) and dulls the wind, drag bleeds speed in
+// flight, maxBounces is how often it skips before stopping for good.
+// damageMultiplier scales CollisionManager.calculateDamage(), impactEffect
+// picks the EffectsManager effect played where it lands, cratering scales
+// the hole it digs where it hits the ground (CollisionManager.digCrater()).
+export const AMMO_TYPES = {
+  stone: {
+    id: "stone",
+    name: "Taş",
+    mass: 1,
+    radius: 0.4,
+    drag: 0.01,
+    maxBounces: 3,
+    damageMultiplier: 1.0,
+    cratering: 1.0,
+    impactEffect: "stone",
+  },
+  firePot: {
+    id: "firePot",
+    name: "Ateş Çömleği",
+    mass: 0.7,
+    radius: 0.35,
+    drag: 0.02,
+    maxBounces: 0, // Shatters on first contact
+    damageMultiplier: 0.6,
+    cratering: 0.3, // Clay breaks, the ground hardly does
+    impactEffect: "fire",
+    incendiary: true, // Sets wood alight, see FireManager
+  },
+  chainShot: {
+    id: "chainShot",
+    name: "Zincirli Gülle",
+    mass: 1.2,
+    radius: 0.6,
+    drag: 0.08, // Tumbling chain catches the air
+    maxBounces: 1,
+    damageMultiplier: 1.3,
+    cratering: 1.2,
+    impactEffect: "chain",
+  },
+  barrelBomb: {
+    id: "barrelBomb",
+    name: "Fıçı Bomba",
+    mass: 1.6,
+    radius: 0.45,
+    drag: 0.03,
+    maxBounces: 0,
+    damageMultiplier: 0.8,
+    cratering: 0.6, // The blast digs its own crater on top
+    impactEffect: "explosion",
+    explosive: true,
+  },
+  cluster: {
+    id: "cluster",
+    name: "Çakıl Salkımı",
+    mass: 1,
+    radius: 0.45,
+    drag: 0.01,
+    maxBounces: 2,
+    damageMultiplier: 0.35,
+    cratering: 0.3,
+    impactEffect: "pebbles",
+    // Splits into this many pebbles when the arm lets go
+    fragments: {
+      count: 5,
+      radius: 0.15,
+      mass: 0.2,
+      drag: 0.04,
+    },
+  },
+};
+
+// Cycle order for the ammo button
+export const AMMO_ORDER = [
+  "stone",
+  "firePot",
+  "chainShot",
+  "barrelBomb",
+  "cluster",
+];
+
+// Not a load: the splinters and hoop iron a barrel blows apart into (see
+// CollisionManager.spawnShrapnel()). Stops where it first lands and digs
+// no crater of its own.
+export const SHRAPNEL = {
+  id: "shrapnel",
+  name: "Şarapnel",
+  mass: 0.3,
+  radius: 0.12,
+  drag: 0.05,
+  maxBounces: 0,
+  damageMultiplier: 0.15,
+  cratering: 0,
+  impactEffect: null,
+};
+
+export function getAmmoType(id) {
+  return AMMO_TYPES[id] || AMMO_TYPES.stone;
+}
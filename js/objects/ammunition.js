@@ -3,9 +3,15 @@ import { materials } from "../materials.js";
 import { Utils } from "../utils.js";
 import { Validation } from "../validation.js";
 
+// Where barrels go when the scenario doesn't say: five within 10 m of the
+// middle of the castle
+const DEFAULT_BARREL_LAYOUT = [{ center: [0, 0], count: 5, spread: 10 }];
+
 export class Ammunition {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene;
+    this.terrain = options.terrain || null; // Barrels stand on it
+    this.barrelLayout = DEFAULT_BARREL_LAYOUT;
     this.barrels = [];
     this.stones = [];
     this.arrows = [];
@@ -19,64 +25,78 @@ export class Ammunition {
     this.createArrows();
   }
 
+  // Barrel clusters from a scenario; used from the next reset() on
+  setBarrelLayout(layout) {
+    this.barrelLayout = layout || DEFAULT_BARREL_LAYOUT;
+  }
+
   createBarrels() {
-    // Explosive barrels
-    for (let i = 0; i < 5; i++) {
-      const barrelGeometry = new THREE.CylinderGeometry(1, 1.2, 2, 12);
-      Validation.validateGeometry(barrelGeometry);
+    // Explosive barrels, scattered around each cluster's centre
+    this.barrelLayout.forEach(({ center, count, spread = 10 }) => {
+      for (let i = 0; i < count; i++) {
+        this.createBarrel(
+          center[0] + Utils.randomRange(-spread, spread),
+          center[1] + Utils.randomRange(-spread, spread)
+        );
+      }
+    });
+  }
 
-      const barrel = new THREE.Mesh(barrelGeometry, materials.wood);
-      barrel.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(barrel.geometry.attributes.uv.array, 2)
-      );
+  createBarrel(x, z) {
+    const barrelGeometry = new THREE.CylinderGeometry(1, 1.2, 2, 12);
+    Validation.validateGeometry(barrelGeometry);
 
-      // Validate and sanitize position
-      const x = Utils.randomRange(-10, 10);
-      const z = Utils.randomRange(-10, 10);
-      barrel.position.set(x, 1, z);
+    const barrel = new THREE.Mesh(barrelGeometry, materials.wood);
+    barrel.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(barrel.geometry.attributes.uv.array, 2)
+    );
 
-      barrel.position.copy(
-        Validation.sanitizeVector3(barrel.position, new THREE.Vector3(0, 1, 0))
-      );
+    // Validate and sanitize position
+    const ground = this.terrain ? this.terrain.getHeight(x, z) : 0;
+    barrel.position.set(x, ground + 1, z);
 
-      barrel.castShadow = true;
-      barrel.receiveShadow = true;
-      barrel.userData = {
-        type: "barrel",
-        draggable: true,
-        explosive: false,
-        originalColor: 0x8b4513,
-        isExploding: false,
-        onExplode: (barrel) => {
-          if (barrel.parent && !barrel.userData.isExploding) {
-            barrel.userData.isExploding = true;
-            const dummy = { mesh: barrel, type: "barrel", explosive: true };
-            this.scene.collisionManager?.triggerBarrelExplosion(
-              dummy,
-              Validation.sanitizeVector3(barrel.position)
-            );
-          }
-        },
-      }; // Add metal bands
-      for (let j = 0; j < 3; j++) {
-        const bandGeometry = new THREE.TorusGeometry(1.1, 0.05, 8, 16);
-        Validation.validateGeometry(bandGeometry);
-
-        const band = new THREE.Mesh(bandGeometry, materials.metal);
-        band.geometry.setAttribute(
-          "uv2",
-          new THREE.Float32BufferAttribute(band.geometry.attributes.uv.array, 2)
-        );
+    barrel.position.copy(
+      Validation.sanitizeVector3(barrel.position, new THREE.Vector3(0, 1, 0))
+    );
 
-        band.position.y = Validation.sanitizeNumber(-0.6 + j * 0.6, 0);
-        band.rotation.x = Math.PI / 2;
-        barrel.add(band);
-      }
+    barrel.castShadow = true;
+    barrel.receiveShadow = true;
+    barrel.userData = {
+      type: "barrel",
+      draggable: true,
+      explosive: false,
+      originalColor: 0x8b4513,
+      isExploding: false,
+      onExplode: (barrel) => {
+        if (barrel.parent && !barrel.userData.isExploding) {
+          barrel.userData.isExploding = true;
+          const dummy = { mesh: barrel, type: "barrel", explosive: true };
+          this.scene.collisionManager?.triggerBarrelExplosion(
+            dummy,
+            Validation.sanitizeVector3(barrel.position)
+          );
+        }
+      },
+    }; // Add metal bands
+    for (let j = 0; j < 3; j++) {
+      const bandGeometry = new THREE.TorusGeometry(1.1, 0.05, 8, 16);
+      Validation.validateGeometry(bandGeometry);
+
+      const band = new THREE.Mesh(bandGeometry, materials.metal);
+      band.geometry.setAttribute(
+        "uv2",
+        new THREE.Float32BufferAttribute(band.geometry.attributes.uv.array, 2)
+      );
 
-      this.scene.add(barrel);
-      this.barrels.push(barrel);
+      band.position.y = Validation.sanitizeNumber(-0.6 + j * 0.6, 0);
+      band.rotation.x = Math.PI / 2;
+      barrel.add(band);
     }
+
+    this.scene.add(barrel);
+    this.barrels.push(barrel);
+    return barrel;
   }
 
   createStones() {
@@ -85,7 +105,7 @@ export class Ammunition {
     const pileCenterZ = -15;
 
     for (let i = 0; i < 15; i++) {
-      const size = Math.random() * 0.3 + 0.2;
+      const size = Utils.random() * 0.3 + 0.2;
       const stoneGeometry = new THREE.SphereGeometry(size, 8, 6);
       Validation.validateGeometry(stoneGeometry); // It's good practice to validate geometry
 
@@ -97,7 +117,7 @@ export class Ammunition {
 
       // Calculate position for individual stone relative to the pile center
       const angle = (i / 15) * Math.PI * 2;
-      const radiusFromPileCenter = Math.random() * 2 + 1; // How far from the center of the pile
+      const radiusFromPileCenter = Utils.random() * 2 + 1; // How far from the center of the pile
 
       stone.position.set(
         pileCenterX + Math.cos(angle) * radiusFromPileCenter,
@@ -133,40 +153,15 @@ export class Ammunition {
     const arrowGroup = new THREE.Group();
 
     for (let i = 0; i < 20; i++) {
-      const arrow = new THREE.Group(); // Shaft
-      const shaftGeometry = new THREE.CylinderGeometry(0.02, 0.02, 2, 8);
-      const shaft = new THREE.Mesh(shaftGeometry, materials.wood);
-      shaft.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(shaft.geometry.attributes.uv.array, 2)
-      );
-      arrow.add(shaft);
-
-      // Arrowhead
-      const headGeometry = new THREE.ConeGeometry(0.05, 0.2, 6);
-      const head = new THREE.Mesh(headGeometry, materials.metal);
-      head.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(head.geometry.attributes.uv.array, 2)
-      );
-      head.position.y = 1.1;
-      arrow.add(head);
-
-      // Fletching
-      const fletchGeometry = new THREE.ConeGeometry(0.08, 0.3, 4);
-      const fletchMaterial = new THREE.MeshLambertMaterial({ color: 0x228b22 });
-      const fletch = new THREE.Mesh(fletchGeometry, fletchMaterial);
-      fletch.position.y = -0.85;
-      fletch.rotation.y = Math.PI;
-      arrow.add(fletch);
+      const arrow = Ammunition.createArrowMesh();
 
       // Random positioning in bundle
       arrow.position.set(
-        (Math.random() - 0.5) * 0.5,
+        (Utils.random() - 0.5) * 0.5,
         0,
-        (Math.random() - 0.5) * 0.5
+        (Utils.random() - 0.5) * 0.5
       );
-      arrow.rotation.z = (Math.random() - 0.5) * 0.2;
+      arrow.rotation.z = (Utils.random() - 0.5) * 0.2;
 
       arrowGroup.add(arrow);
     }
@@ -176,86 +171,156 @@ export class Ammunition {
     this.scene.add(arrowGroup);
     this.arrows.push(arrowGroup);
   }
-  explodeBarrel(barrel) {
-    if (!barrel) return;
-
-    // Remove barrel from the barrels array first
-    const index = this.barrels.indexOf(barrel);
-    if (index > -1) {
-      this.barrels.splice(index, 1);
-    }
 
-    // Don't remove from scene here - let CollisionManager handle it
-
-    // Create explosion effect
-    const explosionGroup = new THREE.Group();
-
-    // Main explosion sphere
-    const explosionGeometry = new THREE.SphereGeometry(3, 8, 6);
-    const explosionMaterial = new THREE.MeshBasicMaterial({
-      color: 0xff4500,
-      transparent: true,
-      opacity: 0.8,
-    });
-    const explosion = new THREE.Mesh(explosionGeometry, explosionMaterial);
-    explosionGroup.add(explosion);
+  // One arrow along its local y axis, head up. Defenders shoot these too.
+  static createArrowMesh() {
+    const arrow = new THREE.Group(); // Shaft
+    const shaftGeometry = new THREE.CylinderGeometry(0.02, 0.02, 2, 8);
+    const shaft = new THREE.Mesh(shaftGeometry, materials.wood);
+    shaft.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(shaft.geometry.attributes.uv.array, 2)
+    );
+    arrow.add(shaft);
+
+    // Arrowhead
+    const headGeometry = new THREE.ConeGeometry(0.05, 0.2, 6);
+    const head = new THREE.Mesh(headGeometry, materials.metal);
+    head.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(head.geometry.attributes.uv.array, 2)
+    );
+    head.position.y = 1.1;
+    arrow.add(head);
+
+    // Fletching
+    const fletchGeometry = new THREE.ConeGeometry(0.08, 0.3, 4);
+    const fletchMaterial = new THREE.MeshLambertMaterial({ color: 0x228b22 });
+    const fletch = new THREE.Mesh(fletchGeometry, fletchMaterial);
+    fletch.position.y = -0.85;
+    fletch.rotation.y = Math.PI;
+    arrow.add(fletch);
+
+    return arrow;
+  }
 
-    // Particle effects
-    for (let i = 0; i < 20; i++) {
-      const particleGeometry = new THREE.SphereGeometry(0.1, 4, 4);
-      const particleMaterial = new THREE.MeshBasicMaterial({
-        color: Math.random() > 0.5 ? 0xff4500 : 0xffaa00,
-      });
-      const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-
-      particle.position.copy(barrel.position);
-      particle.position.add(
-        new THREE.Vector3(
-          (Math.random() - 0.5) * 6,
-          Math.random() * 3,
-          (Math.random() - 0.5) * 6
-        )
+  // Mesh for one catapult load of the given AMMO_TYPES entry, or a shard of
+  // SHRAPNEL. Whoever throws it fills in the projectile userData. Cluster
+  // loads come back as the centre pebble carrying the others as children,
+  // ready to be split at release.
+  static createProjectileMesh(ammoType) {
+    const part = (geometry, material) => {
+      Validation.validateGeometry(geometry);
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.geometry.setAttribute(
+        "uv2",
+        new THREE.Float32BufferAttribute(mesh.geometry.attributes.uv.array, 2)
       );
+      mesh.castShadow = true;
+      return mesh;
+    };
+
+    switch (ammoType.id) {
+      case "firePot": {
+        const pot = part(
+          new THREE.SphereGeometry(ammoType.radius, 12, 10),
+          new THREE.MeshStandardMaterial({
+            color: 0xa0522d,
+            emissive: 0xff4500,
+            emissiveIntensity: 0.35,
+            roughness: 0.9,
+          })
+        );
+        const wick = part(
+          new THREE.CylinderGeometry(0.06, 0.1, 0.25, 6),
+          new THREE.MeshBasicMaterial({ color: 0xffa040 })
+        );
+        wick.position.y = ammoType.radius;
+        pot.add(wick);
+        return pot;
+      }
 
-      this.scene.add(particle);
-
-      // Animate particle
-      const startPos = particle.position.clone();
-      const velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 10,
-        Math.random() * 8 + 2,
-        (Math.random() - 0.5) * 10
-      );
+      case "chainShot": {
+        const shot = new THREE.Group();
+        const ballRadius = ammoType.radius * 0.4;
+        [-1, 1].forEach((side) => {
+          const ball = part(
+            new THREE.SphereGeometry(ballRadius, 10, 8),
+            materials.metal
+          );
+          ball.position.x = side * (ammoType.radius - ballRadius);
+          shot.add(ball);
+        });
+        const chain = part(
+          new THREE.CylinderGeometry(0.04, 0.04, ammoType.radius * 1.2, 6),
+          materials.metal
+        );
+        chain.rotation.z = Math.PI / 2;
+        shot.add(chain);
+        return shot;
+      }
 
-      const animateParticle = () => {
-        velocity.y -= 0.2; // Gravity
-        particle.position.add(velocity.clone().multiplyScalar(0.016));
+      case "barrelBomb": {
+        const keg = part(
+          new THREE.CylinderGeometry(
+            ammoType.radius * 0.8,
+            ammoType.radius,
+            ammoType.radius * 1.8,
+            10
+          ),
+          materials.wood
+        );
+        const band = part(
+          new THREE.TorusGeometry(ammoType.radius * 0.95, 0.03, 6, 16),
+          materials.metal
+        );
+        band.rotation.x = Math.PI / 2;
+        keg.add(band);
+        return keg;
+      }
 
-        if (particle.position.y > 0) {
-          requestAnimationFrame(animateParticle);
-        } else {
-          this.scene.remove(particle);
+      case "cluster": {
+        const pebbleRadius = ammoType.fragments.radius;
+        const centre = part(
+          new THREE.SphereGeometry(pebbleRadius, 8, 6),
+          materials.stone
+        );
+        for (let i = 1; i < ammoType.fragments.count; i++) {
+          const angle =
+            ((i - 1) / (ammoType.fragments.count - 1)) * Math.PI * 2;
+          const pebble = part(
+            new THREE.SphereGeometry(pebbleRadius, 8, 6),
+            materials.stone
+          );
+          pebble.position.set(
+            Math.cos(angle) * pebbleRadius * 2,
+            0,
+            Math.sin(angle) * pebbleRadius * 2
+          );
+          centre.add(pebble);
         }
-      };
-
-      requestAnimationFrame(animateParticle);
-    }
-
-    explosionGroup.position.copy(barrel.position);
-    this.scene.add(explosionGroup);
+        return centre;
+      }
 
-    // Remove explosion effect after animation
-    setTimeout(() => {
-      this.scene.remove(explosionGroup);
-    }, 1000);
+      case "shrapnel":
+        return part(
+          new THREE.BoxGeometry(
+            ammoType.radius * 2.5,
+            ammoType.radius,
+            ammoType.radius * 0.6
+          ),
+          materials.wood
+        );
 
-    // Remove barrel
-    this.scene.remove(barrel);
-    const barelIndex = this.barrels.indexOf(barrel);
-    if (barelIndex > -1) {
-      this.barrels.splice(barelIndex, 1);
+      case "stone":
+      default:
+        return part(
+          new THREE.SphereGeometry(ammoType.radius, 12, 12),
+          materials.stone
+        );
     }
   }
+
   checkCollisions(projectile) {
     if (!projectile || !projectile.userData.isProjectile) return;
 
@@ -280,14 +345,10 @@ export class Ammunition {
 
         projectile.userData.hasCollided = true; // Mark as collided
 
-        // Trigger barrel explosion through collision manager
-        if (!barrel.userData.isExploding) {
-          barrel.userData.isExploding = true; // Mark immediately to prevent duplicates
-
-          // Ensure consistent state before triggering explosion
-          if (barrel.userData.onExplode) {
-            barrel.userData.onExplode(barrel);
-          }
+        // Trigger barrel explosion through collision manager, which marks
+        // it exploding
+        if (barrel.userData.onExplode) {
+          barrel.userData.onExplode(barrel);
         }
       }
     });
@@ -314,8 +375,7 @@ export class Ammunition {
     });
   }
 
-  reset() {
-    // Remove existing ammunition
+  removeBarrels() {
     this.barrels.forEach((barrel) => {
       if (
         barrel.userData &&
@@ -326,6 +386,44 @@ export class Ammunition {
       }
       this.scene.remove(barrel);
     });
+    this.barrels = [];
+  }
+
+  // Barrels still standing, for a save
+  getState() {
+    return this.barrels
+      .filter((barrel) => barrel.parent)
+      .map((barrel) => ({
+        position: [barrel.position.x, barrel.position.z],
+        health: barrel.userData.health ?? null,
+        maxHealth: barrel.userData.maxHealth ?? null,
+        explosive: Boolean(barrel.userData.explosive),
+        fuse: barrel.userData.fuse ?? null,
+      }));
+  }
+
+  // Put the barrels from getState() back in place of the ones the layout
+  // scattered. Armed barrels come back with the flag set and what was left
+  // of their fuse; lighting it again is up to the world (see FuseManager),
+  // the red paint to the app.
+  setState(barrels) {
+    this.removeBarrels();
+    barrels.forEach((saved) => {
+      const barrel = this.createBarrel(saved.position[0], saved.position[1]);
+      if (saved.health !== null) {
+        barrel.userData.health = saved.health;
+        barrel.userData.maxHealth = saved.maxHealth;
+      }
+      barrel.userData.explosive = saved.explosive;
+      if (saved.explosive && Number.isFinite(saved.fuse)) {
+        barrel.userData.fuse = saved.fuse;
+      }
+    });
+  }
+
+  reset() {
+    // Remove existing ammunition
+    this.removeBarrels();
     // Stones are now individual meshes
     this.stones.forEach((stone) => {
       if (
@@ -351,7 +449,6 @@ export class Ammunition {
     });
 
     // Clear arrays
-    this.barrels = [];
     this.stones = []; // Will store individual stone meshes
     this.arrows = [];
 
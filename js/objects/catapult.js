@@ -1,23 +1,28 @@
 import * as THREE from "three";
 import { Utils } from "../utils.js";
 import { materials } from "../materials.js";
-import { Validation } from "../validation.js";
-
-export class Catapult {
-  constructor(scene) {
-    this.scene = scene;
-    this.mesh = null;
-    this.arm = null;
-    this.bucket = null;
-    this.wheels = [];
-    this.projectile = null;
-    this.isLoaded = false;
-    this.isAnimating = false;
-    this.animationTime = 0;
-    this.isFiringSequence = false; // Flag to manage projectile release during animation
-
-    this.moveSpeed = 4;
-    this.rotationSpeed = 1.2;
+import { SiegeEngine } from "./siegeEngine.js";
+
+const RELOAD_DELAY = 800; // Milliseconds with a full crew
+const CREW_SIZE = 4;
+const WHEEL_POINTS = [
+  [-1.6, -1.0],
+  [1.6, -1.0],
+  [-1.6, 1.0],
+  [1.6, 1.0],
+];
+
+// Torsion catapult: a short, stiff arm whips the bucket up in a fraction
+// of a second, as hard as the tension on its ropes
+export class Catapult extends SiegeEngine {
+  constructor(scene, options = {}) {
+    super(scene, options);
+    this.type = "catapult";
+    this.reloadDelay = RELOAD_DELAY;
+    this.maxCrew = CREW_SIZE;
+    this.crew = CREW_SIZE;
+    this.wheelPoints = WHEEL_POINTS;
+    this.setStartTransform();
 
     // Resting/Cocked position: Arm pulled back, bucket relatively low but not clipping.
     // Positive X rotation on the arm group makes its +Z end (bucket) go down.
@@ -30,10 +35,7 @@ export class Catapult {
     this.create();
   }
 
-  create() {
-    this.mesh = new THREE.Group();
-    this.mesh.userData = { type: "catapult", draggable: true };
-
+  build() {
     const baseGeometry = new THREE.BoxGeometry(4, 1, 3);
     const base = new THREE.Mesh(baseGeometry, materials.wood);
     base.geometry.setAttribute(
@@ -198,268 +200,32 @@ export class Catapult {
     this.mesh.add(this.arm);
 
     this.createWheels();
-    this.mesh.position.set(-15, 0, -15);
-    this.scene.add(this.mesh);
-    this.loadProjectile();
   }
 
-  createWheels() {
-    const wheelRadius = 0.7;
-    const wheelThickness = 0.3;
-    const wheelPositions = [
-      { x: -1.6, z: -1.0, y: wheelRadius },
-      { x: 1.6, z: -1.0, y: wheelRadius },
-      { x: -1.6, z: 1.0, y: wheelRadius },
-      { x: 1.6, z: 1.0, y: wheelRadius },
-    ];
-    wheelPositions.forEach((pos) => {
-      const wheelGeometry = new THREE.CylinderGeometry(
-        wheelRadius,
-        wheelRadius,
-        wheelThickness,
-        16
-      );
-      const wheel = new THREE.Mesh(wheelGeometry, materials.wood);
-      wheel.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(wheel.geometry.attributes.uv.array, 2)
-      );
-      wheel.position.set(pos.x, pos.y, pos.z);
-      wheel.rotation.z = Math.PI / 2;
-      wheel.castShadow = true;
-      const bandGeometry = new THREE.TorusGeometry(
-        wheelRadius * 0.9,
-        0.05,
-        8,
-        32
-      );
-      const band = new THREE.Mesh(bandGeometry, materials.metal);
-      band.rotation.x = Math.PI / 2;
-      wheel.add(band);
-      this.mesh.add(wheel);
-      this.wheels.push(wheel);
-    });
-  }
-
-  loadProjectile() {
-    if (!this.isLoaded && this.bucket) {
-      const geometry = new THREE.SphereGeometry(0.4, 12, 12);
-      Validation.validateGeometry(geometry);
-      this.projectile = new THREE.Mesh(geometry, materials.stone);
-      this.projectile.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(
-          this.projectile.geometry.attributes.uv.array,
-          2
-        )
-      );
-      this.projectile.castShadow = true;
-      this.projectile.userData = {
-        type: "projectile",
-        isProjectile: true,
-        active: false,
-        hasCollided: false,
-        radius: 0.4,
-        velocity: new THREE.Vector3(0, 0, 0),
-        mass: 1,
-        bounces: 0,
-        maxBounces: 3,
-        gravity: -9.81,
-        damage: 50,
-        onCollision: null,
-      };
-      this.projectile.position.set(0, 0.15, 0);
-      this.bucket.add(this.projectile);
-      this.isLoaded = true;
-    }
-  }
-
-  fire(tension) {
-    if (!this.isLoaded || this.isAnimating) {
-      // Only check isLoaded and isAnimating here
-      return;
-    }
-    this.isAnimating = true;
-    this.animationTime = 0;
-    this.isFiringSequence = true; // Set flag to release projectile during animation
-    this.currentTension = tension; // Store tension for use in update
-  }
-
-  update(deltaTime, keys, selectedObject) {
-    if (this.isAnimating) {
-      this.animationTime += deltaTime;
-      const progress = Math.min(this.animationTime / 0.4, 1); // 0.4 second animation
-
-      const currentArmRotation = THREE.MathUtils.lerp(
-        this.originalRotation,
-        this.releaseRotation,
-        this.easeOutQuart(progress)
-      );
-      this.arm.rotation.x = currentArmRotation;
-
-      // Check if it's time to release the projectile
-      // Release slightly before or at the peak of the swing (e.g., progress > 0.7 or when arm angle is near release)
-      if (this.isFiringSequence && this.projectile && progress >= 0.75) {
-        // Adjust progress threshold as needed
-        const worldPos = new THREE.Vector3();
-        const worldQuat = new THREE.Quaternion();
-        this.projectile.getWorldPosition(worldPos);
-        this.projectile.getWorldQuaternion(worldQuat);
-
-        this.bucket.remove(this.projectile);
-        this.scene.add(this.projectile);
-
-        this.projectile.position.copy(worldPos);
-        this.projectile.quaternion.copy(worldQuat);
-
-        const power = Utils.calculateCatapultPower(this.currentTension); // Use stored tension
-        const launchAngle = Math.PI / 4;
-
-        const catapultForward = new THREE.Vector3(0, 0, -1);
-        catapultForward.applyQuaternion(this.mesh.quaternion);
-
-        const catapultRight = new THREE.Vector3(1, 0, 0).applyQuaternion(
-          this.mesh.quaternion
-        );
-        const launchRotation = new THREE.Quaternion().setFromAxisAngle(
-          catapultRight,
-          launchAngle
-        );
-        const finalLaunchDirection = catapultForward
-          .clone()
-          .applyQuaternion(launchRotation);
-
-        this.projectile.userData.velocity =
-          finalLaunchDirection.multiplyScalar(power);
-        this.projectile.userData.active = true;
-        this.projectile.userData.hasCollided = false;
-        this.projectile.userData.bounces = 0;
-
-        this.isLoaded = false; // Projectile is launched
-        this.isFiringSequence = false; // Prevent multiple releases
-      }
-
-      if (progress >= 1) {
-        this.isAnimating = false;
-        setTimeout(() => {
-          this.resetArm();
-          this.loadProjectile();
-        }, 800);
-      }
-    }
-
-    if (selectedObject === this.mesh) {
-      if (keys["KeyI"]) this.move("forward", deltaTime);
-      if (keys["KeyK"]) this.move("backward", deltaTime);
-      if (keys["KeyJ"]) this.move("left", deltaTime);
-      if (keys["KeyL"]) this.move("right", deltaTime);
-      if (keys["KeyU"]) this.rotate(-1, deltaTime);
-      if (keys["KeyO"]) this.rotate(1, deltaTime);
-    }
-  }
-
-  move(direction, deltaTime) {
-    const moveDistance = this.moveSpeed * deltaTime;
-    let actuallyMoved = false;
-    const forward = new THREE.Vector3(0, 0, -1);
-    forward.applyQuaternion(this.mesh.quaternion);
-    forward.y = 0;
-    forward.normalize();
-    const right = new THREE.Vector3(1, 0, 0);
-    right.applyQuaternion(this.mesh.quaternion);
-    right.y = 0;
-    right.normalize();
-
-    switch (direction) {
-      case "forward":
-        this.mesh.position.add(forward.multiplyScalar(moveDistance));
-        actuallyMoved = true;
-        break;
-      case "backward":
-        this.mesh.position.add(forward.multiplyScalar(-moveDistance));
-        actuallyMoved = true;
-        break;
-      case "left":
-        this.mesh.position.add(right.multiplyScalar(-moveDistance));
-        actuallyMoved = true;
-        break;
-      case "right":
-        this.mesh.position.add(right.multiplyScalar(moveDistance));
-        actuallyMoved = true;
-        break;
-    }
-
-    if (actuallyMoved && this.wheels.length > 0) {
-      const wheelRadius = this.wheels[0].geometry.parameters.radiusTop || 0.7;
-      const wheelRotationSpeed = moveDistance / wheelRadius;
-      this.wheels.forEach((wheel) => {
-        let effectiveRotationFactor = 0;
-        if (direction === "forward") effectiveRotationFactor = 1;
-        else if (direction === "backward") effectiveRotationFactor = -1;
-        // For strafing, wheels currently don't have a specific rotation logic here.
-        // You could add a slight roll or keep them static.
-        if (effectiveRotationFactor !== 0) {
-          wheel.rotation.x += wheelRotationSpeed * effectiveRotationFactor;
-        }
-      });
-    }
-  }
-
-  rotate(direction, deltaTime) {
-    const rotateAngle = this.rotationSpeed * deltaTime * direction;
-    this.mesh.rotation.y += rotateAngle;
-  }
-
-  easeOutQuart(t) {
-    return 1 - Math.pow(1 - t, 4);
+  swingTo(progress) {
+    this.arm.rotation.x = THREE.MathUtils.lerp(
+      this.originalRotation,
+      this.releaseRotation,
+      this.easeOutQuart(progress)
+    );
   }
 
-  resetArm() {
-    if (!this.isAnimating) {
-      this.arm.rotation.x = this.originalRotation;
-    }
+  getPose() {
+    return [this.arm.rotation.x];
   }
 
-  reset() {
-    if (this.arm) {
-      this.arm.rotation.x = this.originalRotation;
-    }
-    if (this.projectile) {
-      if (this.projectile.parent === this.bucket) {
-        this.bucket.remove(this.projectile);
-      } else if (this.projectile.parent === this.scene) {
-        this.scene.remove(this.projectile);
-      }
-      if (this.projectile.geometry) this.projectile.geometry.dispose();
-      if (this.projectile.material) this.projectile.material.dispose();
-      this.projectile = null;
-    }
-    this.isLoaded = false;
-    this.isAnimating = false;
-    this.isFiringSequence = false; // Reset this flag too
-    this.animationTime = 0;
-    this.mesh.position.set(-15, 0, -15);
-    this.mesh.rotation.set(0, 0, 0);
-    this.wheels.forEach((wheel) => {
-      if (wheel.geometry.parameters.radiusTop) {
-        wheel.rotation.x = 0;
-      }
-    });
-    this.loadProjectile();
+  setPose([arm]) {
+    this.arm.rotation.x = arm;
   }
 
-  getActiveProjectile() {
-    if (
-      this.projectile &&
-      this.projectile.userData.active &&
-      !this.projectile.userData.hasCollided
-    ) {
-      return this.projectile;
-    }
-    return null;
+  // Heavier loads leave the bucket slower: speed scales with 1/sqrt(mass)
+  getLaunchVelocity(tension, mass = 1) {
+    const power = Utils.calculateCatapultPower(tension) / Math.sqrt(mass);
+    return this.getLaunchDirection(Math.PI / 4).multiplyScalar(power);
   }
 
-  isReadyToFire() {
-    return this.isLoaded && !this.isAnimating;
+  // No arguments puts back the default start
+  setStartTransform(x = -15, z = -15, rotation = 0) {
+    super.setStartTransform(x, z, rotation);
   }
 }
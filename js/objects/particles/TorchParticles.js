@@ -10,6 +10,7 @@ export class TorchParticles {
     this.particlesPerSecond = 100; // Increased for more dense effect
     this.particleDeathAge = 1.0; // Shorter lifetime for faster movement
     this.particleSize = 0.15; // Smaller particles for more detail
+    this.windLean = 0.1; // How far the flame bends per m/s of wind
     this.time = 0;
 
     this.initialize();
@@ -97,7 +98,7 @@ export class TorchParticles {
 
     // Reset particle properties
     const radius = 0.1;
-    const angle = Math.random() * Math.PI * 2;
+    const angle = Utils.random() * Math.PI * 2;
 
     particle.position.set(
       Math.cos(angle) * radius,
@@ -105,24 +106,25 @@ export class TorchParticles {
       Math.sin(angle) * radius
     );
     particle.velocity.set(
-      (Math.random() - 0.5) * 0.15, // Reduced spread
-      0.8 + Math.random() * 0.7, // Faster upward movement
-      (Math.random() - 0.5) * 0.15 // Reduced spread
+      (Utils.random() - 0.5) * 0.15, // Reduced spread
+      0.8 + Utils.random() * 0.7, // Faster upward movement
+      (Utils.random() - 0.5) * 0.15 // Reduced spread
     );
 
     particle.age = 0;
-    particle.size = this.particleSize * (0.3 + Math.random() * 0.4); // Smaller size variation
+    particle.size = this.particleSize * (0.3 + Utils.random() * 0.4); // Smaller size variation
     particle.opacity = 0;
 
     // Start with darker orange color for smoke effect
     particle.color.setHSL(
-      0.07 + Math.random() * 0.03, // Slightly more orange
+      0.07 + Utils.random() * 0.03, // Slightly more orange
       0.8, // Less saturated
-      0.3 + Math.random() * 0.1 // Darker
+      0.3 + Utils.random() * 0.1 // Darker
     );
   }
 
-  update(deltaTime) {
+  // wind: current wind velocity (THREE.Vector3, m/s), optional
+  update(deltaTime, wind = null) {
     this.time += deltaTime;
 
     // Spawn new particles
@@ -150,6 +152,14 @@ export class TorchParticles {
         particle.position.x += swirl * deltaTime;
         particle.position.z += swirl * deltaTime;
 
+        // Lean with the wind, more the higher the particle has risen
+        if (wind) {
+          const lean =
+            (particle.age / this.particleDeathAge) * this.windLean * deltaTime;
+          particle.position.x += wind.x * lean;
+          particle.position.z += wind.z * lean;
+        }
+
         // Update age
         particle.age += deltaTime;
 
@@ -0,0 +1,499 @@
+import * as THREE from "three";
+import { Utils } from "../utils.js";
+import { materials } from "../materials.js";
+import { RealTimeClock } from "../simulation/SimulationClock.js";
+import { Ammunition } from "./ammunition.js";
+import { AMMO_ORDER, getAmmoType } from "./ammoTypes.js";
+
+const MIN_CREW_STRENGTH = 0.25; // Even with nobody left it reloads, slowly
+const LOAD_POSITION = new THREE.Vector3(0, 0.15, 0); // In the bucket
+
+// What every stone-throwing engine shares: loading and swapping ammunition,
+// the swing that releases the load, the crew's reload, driving about on
+// wheels, and its state for saves.
+//
+// Subclasses set type, the crew and swing timing and wheelPoints in their
+// constructor, then call create(). They build the model in build(), which
+// has to set arm, bucket (what the load sits in) and wheels, and give the
+// swing: swingTo(progress) poses the moving parts from 0 (cocked) to 1
+// (swung through), getPose()/setPose() read and restore them, and
+// getLaunchVelocity() says how the load leaves at releaseProgress.
+export class SiegeEngine {
+  constructor(scene, options = {}) {
+    this.scene = scene;
+    this.clock = options.clock || new RealTimeClock(); // Drives the reload delay
+    this.terrain = options.terrain || null; // Flat ground at 0 without it
+    this.weather = options.weather || null; // Wet and snowy ground slips
+    this.type = null; // Also the mesh's userData.type
+    this.mesh = null;
+    this.arm = null;
+    this.bucket = null;
+    this.wheels = [];
+    this.wheelPoints = []; // Where the wheels touch the ground, see settle()
+    this.projectile = null;
+    this.ammoType = "stone"; // Kept across resets, see setAmmoType()
+    // Where reset() puts it back; scenarios move it
+    this.startPosition = new THREE.Vector3();
+    this.startRotation = 0;
+    this.isLoaded = false;
+    this.isAnimating = false;
+    this.animationTime = 0;
+    this.isFiringSequence = false; // Flag to manage projectile release during animation
+
+    this.swingTime = 0.4; // Seconds from cocked to swung through
+    this.releaseProgress = 0.75; // How far into the swing the load leaves
+
+    // Crew lost to defenders' arrows slows the reload
+    this.reloadDelay = 800; // Milliseconds with a full crew
+    this.maxCrew = 4;
+    this.crew = this.maxCrew;
+
+    this.moveSpeed = 4;
+    this.rotationSpeed = 1.2;
+  }
+
+  // Builds the model, stands it at its start and loads it
+  create() {
+    this.mesh = new THREE.Group();
+    this.mesh.userData = { type: this.type, draggable: true };
+    this.build();
+    this.mesh.position.copy(this.startPosition);
+    this.mesh.rotation.y = this.startRotation;
+    this.settle();
+    this.scene.add(this.mesh);
+    this.loadProjectile();
+  }
+
+  build() {}
+
+  createWheels(wheelRadius = 0.7, wheelThickness = 0.3) {
+    this.wheelPoints.forEach(([x, z]) => {
+      const wheelGeometry = new THREE.CylinderGeometry(
+        wheelRadius,
+        wheelRadius,
+        wheelThickness,
+        16
+      );
+      const wheel = new THREE.Mesh(wheelGeometry, materials.wood);
+      wheel.geometry.setAttribute(
+        "uv2",
+        new THREE.Float32BufferAttribute(wheel.geometry.attributes.uv.array, 2)
+      );
+      wheel.position.set(x, wheelRadius, z);
+      wheel.rotation.z = Math.PI / 2;
+      wheel.castShadow = true;
+      const bandGeometry = new THREE.TorusGeometry(
+        wheelRadius * 0.9,
+        0.05,
+        8,
+        32
+      );
+      const band = new THREE.Mesh(bandGeometry, materials.metal);
+      band.rotation.x = Math.PI / 2;
+      wheel.add(band);
+      this.mesh.add(wheel);
+      this.wheels.push(wheel);
+    });
+  }
+
+  loadProjectile() {
+    if (!this.isLoaded && this.bucket) {
+      const ammo = this.getAmmoType();
+      this.projectile = Ammunition.createProjectileMesh(ammo);
+      this.projectile.userData = this.createProjectileData(ammo);
+      this.projectile.position.copy(LOAD_POSITION);
+      this.bucket.add(this.projectile);
+      this.isLoaded = true;
+    }
+  }
+
+  createProjectileData(ammo, ballistics = ammo) {
+    return {
+      type: "projectile",
+      isProjectile: true,
+      active: false,
+      hasCollided: false,
+      ammoType: ammo.id,
+      radius: ballistics.radius,
+      velocity: new THREE.Vector3(0, 0, 0),
+      mass: ballistics.mass,
+      drag: ballistics.drag,
+      bounces: 0,
+      maxBounces: ammo.maxBounces,
+      gravity: -9.81,
+      damage: 50,
+      damageMultiplier: ammo.damageMultiplier,
+      cratering: ammo.cratering,
+      impactEffect: ammo.impactEffect,
+      explosive: Boolean(ammo.explosive),
+      incendiary: Boolean(ammo.incendiary),
+      onCollision: null,
+    };
+  }
+
+  getAmmoType() {
+    return getAmmoType(this.ammoType);
+  }
+
+  // Swaps the load in the bucket straight away; refused mid-swing. Returns
+  // whether the type changed.
+  setAmmoType(id) {
+    const ammo = getAmmoType(id);
+    if (ammo.id !== id || this.isAnimating) return false;
+
+    this.ammoType = id;
+    if (this.isLoaded) {
+      this.removeProjectile();
+      this.isLoaded = false;
+      this.loadProjectile();
+    }
+    return true;
+  }
+
+  cycleAmmoType() {
+    const index = AMMO_ORDER.indexOf(this.ammoType);
+    this.setAmmoType(AMMO_ORDER[(index + 1) % AMMO_ORDER.length]);
+    return this.ammoType;
+  }
+
+  removeProjectile() {
+    if (!this.projectile) return;
+    if (this.projectile.parent) {
+      this.projectile.parent.remove(this.projectile);
+    }
+    // Shared materials are left alone, only per-load ones are freed
+    const sharedMaterials = Object.values(materials);
+    this.projectile.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material && !sharedMaterials.includes(child.material)) {
+        child.material.dispose();
+      }
+    });
+    this.projectile = null;
+  }
+
+  // Cluster loads: the centre pebble flies on as this.projectile, the ones
+  // around it leave on slightly fanned-out paths
+  releaseFragments(ammo, velocity) {
+    const up = new THREE.Vector3(0, 1, 0);
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(
+      this.mesh.quaternion
+    );
+    const pebbles = [...this.projectile.children];
+    this.projectile.updateMatrixWorld(true);
+
+    pebbles.forEach((pebble, i) => {
+      const angle = (i / pebbles.length) * Math.PI * 2;
+      this.scene.attach(pebble);
+      pebble.userData = this.createProjectileData(ammo, ammo.fragments);
+      pebble.userData.velocity = velocity
+        .clone()
+        .applyAxisAngle(up, Math.cos(angle) * 0.05)
+        .applyAxisAngle(right, Math.sin(angle) * 0.04);
+      pebble.userData.active = true;
+    });
+
+    Object.assign(this.projectile.userData, {
+      radius: ammo.fragments.radius,
+      mass: ammo.fragments.mass,
+      drag: ammo.fragments.drag,
+    });
+  }
+
+  fire(tension) {
+    if (!this.isLoaded || this.isAnimating) {
+      // Only check isLoaded and isAnimating here
+      return;
+    }
+    this.isAnimating = true;
+    this.animationTime = 0;
+    this.isFiringSequence = true; // Set flag to release projectile during animation
+    this.currentTension = tension; // Store tension for use in update
+  }
+
+  update(deltaTime, keys, selectedObject) {
+    if (this.isAnimating) {
+      this.animationTime += deltaTime;
+      const progress = Math.min(this.animationTime / this.swingTime, 1);
+      this.swingTo(progress);
+
+      if (
+        this.isFiringSequence &&
+        this.projectile &&
+        progress >= this.releaseProgress
+      ) {
+        const worldPos = new THREE.Vector3();
+        const worldQuat = new THREE.Quaternion();
+        this.projectile.getWorldPosition(worldPos);
+        this.projectile.getWorldQuaternion(worldQuat);
+
+        this.bucket.remove(this.projectile);
+        this.scene.add(this.projectile);
+
+        this.projectile.position.copy(worldPos);
+        this.projectile.quaternion.copy(worldQuat);
+
+        const ammo = getAmmoType(this.projectile.userData.ammoType);
+        this.projectile.userData.velocity = this.getLaunchVelocity(
+          this.currentTension,
+          ammo.mass
+        ); // Use stored tension
+        this.projectile.userData.active = true;
+        this.projectile.userData.hasCollided = false;
+        this.projectile.userData.bounces = 0;
+        if (ammo.fragments) {
+          this.releaseFragments(ammo, this.projectile.userData.velocity);
+        }
+
+        this.isLoaded = false; // Projectile is launched
+        this.isFiringSequence = false; // Prevent multiple releases
+      }
+
+      if (progress >= 1) {
+        this.isAnimating = false;
+        this.clock.setTimeout(() => {
+          this.resetArm();
+          this.loadProjectile();
+        }, this.getReloadDelay());
+      }
+    }
+
+    if (selectedObject === this.mesh) {
+      if (keys["KeyI"]) this.move("forward", deltaTime);
+      if (keys["KeyK"]) this.move("backward", deltaTime);
+      if (keys["KeyJ"]) this.move("left", deltaTime);
+      if (keys["KeyL"]) this.move("right", deltaTime);
+      if (keys["KeyU"]) this.rotate(-1, deltaTime);
+      if (keys["KeyO"]) this.rotate(1, deltaTime);
+    }
+  }
+
+  swingTo(progress) {}
+
+  getPose() {
+    return [];
+  }
+
+  setPose(pose) {}
+
+  // Half the crew takes twice as long
+  getReloadDelay() {
+    return (
+      this.reloadDelay / Math.max(this.crew / this.maxCrew, MIN_CREW_STRENGTH)
+    );
+  }
+
+  // Returns false when there is nobody left to lose
+  loseCrewMember() {
+    if (this.crew <= 0) return false;
+    this.crew--;
+    return true;
+  }
+
+  getLaunchVelocity(tension, mass = 1) {
+    return new THREE.Vector3();
+  }
+
+  // Straight ahead, tipped up by elevation (radians)
+  getLaunchDirection(elevation) {
+    const forward = new THREE.Vector3(0, 0, -1);
+    forward.applyQuaternion(this.mesh.quaternion);
+
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(
+      this.mesh.quaternion
+    );
+    const launchRotation = new THREE.Quaternion().setFromAxisAngle(
+      right,
+      elevation
+    );
+    return forward.clone().applyQuaternion(launchRotation);
+  }
+
+  // Where the load will leave the bucket and how fast, for a shot fired now.
+  // Replays the swing at the given step so the release lands on the same
+  // frame as in update().
+  getReleaseState(tension, stepTime = 1 / 60) {
+    let animationTime = 0;
+    let progress = 0;
+    while (progress < this.releaseProgress) {
+      animationTime += stepTime;
+      progress = Math.min(animationTime / this.swingTime, 1);
+    }
+
+    const restingPose = this.getPose();
+    this.swingTo(progress);
+    this.mesh.updateMatrixWorld(true);
+
+    const position = this.bucket.localToWorld(LOAD_POSITION.clone());
+
+    this.setPose(restingPose);
+    this.mesh.updateMatrixWorld(true);
+
+    // A cluster is tracked by its centre pebble once it splits
+    const ammo = getAmmoType(this.projectile?.userData.ammoType);
+    const ballistics = ammo.fragments || ammo;
+    return {
+      position: position,
+      velocity: this.getLaunchVelocity(tension, ammo.mass),
+      gravity: this.projectile?.userData.gravity ?? -9.81,
+      radius: ballistics.radius,
+      drag: ballistics.drag,
+      mass: ballistics.mass,
+    };
+  }
+
+  move(direction, deltaTime) {
+    const forward = new THREE.Vector3(0, 0, -1);
+    forward.applyQuaternion(this.mesh.quaternion);
+    forward.y = 0;
+    forward.normalize();
+    const right = new THREE.Vector3(1, 0, 0);
+    right.applyQuaternion(this.mesh.quaternion);
+    right.y = 0;
+    right.normalize();
+
+    const heading = {
+      forward: forward,
+      backward: forward.clone().negate(),
+      left: right.clone().negate(),
+      right: right,
+    }[direction];
+    const actuallyMoved = Boolean(heading);
+    // Slopes slow it down and the moat bogs it down
+    const moveDistance = actuallyMoved
+      ? this.moveSpeed * deltaTime * this.getTraction(heading)
+      : 0;
+    if (actuallyMoved) {
+      this.mesh.position.addScaledVector(heading, moveDistance);
+      this.settle();
+    }
+
+    if (actuallyMoved && this.wheels.length > 0) {
+      const wheelRadius = this.wheels[0].geometry.parameters.radiusTop || 0.7;
+      const wheelRotationSpeed = moveDistance / wheelRadius;
+      this.wheels.forEach((wheel) => {
+        let effectiveRotationFactor = 0;
+        if (direction === "forward") effectiveRotationFactor = 1;
+        else if (direction === "backward") effectiveRotationFactor = -1;
+        // For strafing, wheels currently don't have a specific rotation logic here.
+        // You could add a slight roll or keep them static.
+        if (effectiveRotationFactor !== 0) {
+          wheel.rotation.x += wheelRotationSpeed * effectiveRotationFactor;
+        }
+      });
+    }
+  }
+
+  rotate(direction, deltaTime) {
+    const rotateAngle = this.rotationSpeed * deltaTime * direction;
+    this.mesh.rotation.y += rotateAngle;
+    this.settle();
+  }
+
+  getTraction(heading) {
+    const grip = this.weather ? this.weather.getGroundGrip() : 1;
+    if (!this.terrain) return grip;
+    const { x, z } = this.mesh.position;
+    return this.terrain.getTraction(x, z, heading) * grip;
+  }
+
+  // Sit on the ground under the wheels
+  settle() {
+    if (!this.terrain) return;
+    const { x, z } = this.mesh.position;
+    this.mesh.position.y = this.terrain.getHeightUnder(
+      x,
+      z,
+      this.mesh.rotation.y,
+      this.wheelPoints
+    );
+  }
+
+  easeOutQuart(t) {
+    return 1 - Math.pow(1 - t, 4);
+  }
+
+  resetArm() {
+    if (!this.isAnimating) {
+      this.swingTo(0);
+    }
+  }
+
+  reset() {
+    if (this.arm) {
+      this.swingTo(0);
+    }
+    this.removeProjectile();
+    this.isLoaded = false;
+    this.isAnimating = false;
+    this.isFiringSequence = false; // Reset this flag too
+    this.animationTime = 0;
+    this.crew = this.maxCrew;
+    this.mesh.position.copy(this.startPosition);
+    this.mesh.rotation.set(0, this.startRotation, 0);
+    this.settle();
+    this.wheels.forEach((wheel) => {
+      if (wheel.geometry.parameters.radiusTop) {
+        wheel.rotation.x = 0;
+      }
+    });
+    this.loadProjectile();
+  }
+
+  // Takes effect on the next reset(); rotation in radians
+  setStartTransform(x = 0, z = 0, rotation = 0) {
+    this.startPosition.set(x, 0, z);
+    this.startRotation = rotation;
+  }
+
+  // How the crew has set it up to shoot; kept across resets
+  getSettings() {
+    return { ammoType: this.ammoType };
+  }
+
+  setSettings(settings) {
+    this.setAmmoType(settings.ammoType);
+  }
+
+  // Where it stands, how it is set up and who is left to work it, for a
+  // save
+  getState() {
+    return {
+      type: this.type,
+      position: this.mesh.position.toArray(),
+      rotation: this.mesh.rotation.y,
+      crew: this.crew,
+      ...this.getSettings(),
+    };
+  }
+
+  // From getState(), on an engine that has just been reset
+  setState(state) {
+    this.mesh.position.fromArray(state.position);
+    this.mesh.rotation.y = state.rotation;
+    this.crew = Utils.clamp(state.crew, 0, this.maxCrew);
+    this.setSettings(state);
+  }
+
+  // Takes the engine out of the scene for good
+  dispose() {
+    this.removeProjectile();
+    this.isLoaded = false;
+    this.scene.remove(this.mesh);
+  }
+
+  getActiveProjectile() {
+    if (
+      this.projectile &&
+      this.projectile.userData.active &&
+      !this.projectile.userData.hasCollided
+    ) {
+      return this.projectile;
+    }
+    return null;
+  }
+
+  isReadyToFire() {
+    return this.isLoaded && !this.isAnimating;
+  }
+}
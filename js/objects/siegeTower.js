@@ -1,17 +1,53 @@
 import * as THREE from "three";
 import { materials } from "../materials.js";
+import { Utils } from "../utils.js";
+import { Soldier } from "./soldier.js";
+import { CastleNavigation } from "../simulation/CastleNavigation.js";
+
+const MIN_CREW_STRENGTH = 0.2; // Pushed by what is left of the crew
+const DISEMBARK_INTERVAL = 0.8; // Seconds between soldiers onto the bridge
+const LANDING_REACH = 3; // How near the wall walk the bridge has to come down
+
+const BRIDGE_LENGTH = 8;
+const BRIDGE_HALF_THICKNESS = 0.15;
+const WALL_TOP = 10; // Height of the wall walk (see SceneManager.createWall)
+const WALL_HALF_THICKNESS = 1.5;
+const DOCK_ANGLE = Math.PI / 6; // Widest angle to a wall it still squares up to
+
+// Ground footprint against obstacles, see isBlocked()
+const FOOTPRINT = 3; // Half the width of the 6 x 4 base
+const TOWER_RADIUS = 4.5; // Castle tower, before its scale
+const ROCK_RADIUS = 2.6;
+const WHEEL_POINTS = [
+  [-2.5, -1.5],
+  [-2.5, 1.5],
+  [2.5, -1.5],
+  [2.5, 1.5],
+]; // Where the wheels touch the ground, see settle()
 
 export class SiegeTower {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene;
+    this.eventTarget = options.eventTarget || null; // Gets siegeTowerDocked
+    this.terrain = options.terrain || null; // Flat ground at 0 without it
+    this.weather = options.weather || null; // Wet and snowy ground slips
     this.mesh = null;
     this.wheels = [];
     this.bridge = null;
-    this.soldiers = [];
+    this.soldiers = []; // Soldier agents, see updateCrew()
+    this.navigation = new CastleNavigation(scene);
+    this.disembarkTimer = 0;
     this.bridgeExtended = false;
-    this.moveSpeed = 5;
+    this.bridgeAnimation = null; // Stepped in update(), see animateBridge()
+    this.dock = null; // The wall it is docked against, see updateDocking()
+    this.approach = null; // Docking spot in reach last step
+    this.moveSpeed = 5; // With the whole crew pushing, see getMoveSpeed()
     this.rotationSpeed = 1.5; // Radians per second
     this.isPKeyPressed = false; // To handle single press for bridge toggle
+    // Where reset() puts it back; scenarios move it
+    this.startPosition = new THREE.Vector3();
+    this.startRotation = 0;
+    this.setStartTransform();
 
     this.create();
   }
@@ -28,7 +64,9 @@ export class SiegeTower {
     this.createDetails();
 
     // Position the siege tower
-    this.mesh.position.set(20, 0, 0);
+    this.mesh.position.copy(this.startPosition);
+    this.mesh.rotation.y = this.startRotation;
+    this.settle();
     this.mesh.userData = { type: "siegeTower", draggable: true };
     this.scene.add(this.mesh);
   }
@@ -228,99 +266,15 @@ export class SiegeTower {
   }
 
   createSoldiers() {
-    // Simple soldier figures
+    // Two soldiers on each level
     for (let i = 0; i < 6; i++) {
-      const soldier = new THREE.Group();
-
-      // Body
-      const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.4, 1.5, 8);
-      const bodyMaterial = new THREE.MeshStandardMaterial({
-        color: 0x4169e1,
-        roughness: 0.7,
-        metalness: 0.1,
-      });
-      const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-      soldier.add(body);
-
-      // Head
-      const headGeometry = new THREE.SphereGeometry(0.25, 8, 6);
-      const headMaterial = new THREE.MeshStandardMaterial({
-        color: 0xfdbcb4,
-        roughness: 0.5,
-        metalness: 0,
-      });
-      const head = new THREE.Mesh(headGeometry, headMaterial);
-      head.position.y = 1;
-      soldier.add(head);
-
-      // Helmet
-      const helmetGeometry = new THREE.SphereGeometry(0.28, 8, 6);
-      const helmet = new THREE.Mesh(helmetGeometry, materials.metal);
-      helmet.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(helmet.geometry.attributes.uv.array, 2)
-      );
-      helmet.position.y = 1.1;
-      soldier.add(helmet);
-
-      // Shield
-      const shieldGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.1, 8);
-      const shield = new THREE.Mesh(shieldGeometry, materials.wood);
-      shield.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(shield.geometry.attributes.uv.array, 2)
-      );
-      shield.position.set(-0.6, 0.5, 0);
-      shield.rotation.z = Math.PI / 2;
-      soldier.add(shield);
-
-      // Metal shield boss
-      const bossGeometry = new THREE.SphereGeometry(0.15, 8, 8);
-      const boss = new THREE.Mesh(bossGeometry, materials.metal);
-      boss.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(boss.geometry.attributes.uv.array, 2)
-      );
-      boss.position.set(-0.65, 0.5, 0); // Position it slightly in front of the shield
-      soldier.add(boss);
-
-      // Spear shaft
-      const spearShaftGeometry = new THREE.CylinderGeometry(0.02, 0.02, 2.3, 6);
-      const spearShaft = new THREE.Mesh(spearShaftGeometry, materials.wood);
-      spearShaft.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(
-          spearShaft.geometry.attributes.uv.array,
-          2
-        )
-      );
-      spearShaft.position.set(0.6, 1, 0); // Adjusted y for holding spear
-      soldier.add(spearShaft);
-
-      // Spear head
-      const spearHeadGeometry = new THREE.ConeGeometry(0.04, 0.2, 6);
-      const spearHead = new THREE.Mesh(spearHeadGeometry, materials.metal);
-      spearHead.geometry.setAttribute(
-        "uv2",
-        new THREE.Float32BufferAttribute(
-          spearHead.geometry.attributes.uv.array,
-          2
-        )
-      );
-      spearHead.position.set(0.6, 2.2, 0); // Position at the top of the shaft
-      soldier.add(spearHead);
-
-      // Position soldiers on different levels
       const level = Math.floor(i / 2);
-      soldier.position.set(
+      const slot = new THREE.Vector3(
         (i % 2 === 0 ? -1 : 1) * 1.5,
         9 + level * 3 - 0.75, // Adjusted y to stand on the level floor
-        (Math.random() - 0.5) * 2 // Random z positioning on the platform
+        (Utils.random() - 0.5) * 2 // Random z positioning on the platform
       );
-      soldier.scale.set(0.8, 0.8, 0.8);
-
-      this.mesh.add(soldier);
-      this.soldiers.push(soldier);
+      this.soldiers.push(new Soldier(this.mesh, slot));
     }
   }
 
@@ -372,65 +326,63 @@ export class SiegeTower {
     }
   }
 
+  // Only once docked against a wall; the bridge comes down to rest on its
+  // top. Returns false when it stays up.
   extendBridge() {
-    if (!this.bridgeExtended && this.bridge) {
-      this.bridgeExtended = true;
-
-      const startRotation = this.bridge.rotation.x;
-      const endRotation = 0; // Horizontal
-      const duration = 1500; // 1.5 seconds
-      const startTime = Date.now();
-
-      const animateBridge = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        const easedProgress = 1 - Math.pow(1 - progress, 3); // EaseOutCubic
-
-        this.bridge.rotation.x = THREE.MathUtils.lerp(
-          startRotation,
-          endRotation,
-          easedProgress
-        );
-
-        if (progress < 1) {
-          requestAnimationFrame(animateBridge);
-        }
-      };
-      animateBridge();
+    if (this.bridgeExtended || !this.bridge) return false;
+    if (!this.dock) {
+      console.log("🚫 Bridge stays up: dock the siege tower at a wall first");
+      return false;
     }
+    this.bridgeExtended = true;
+    // Down over 1.5 seconds, easing out
+    this.animateBridge(
+      this.dock.bridgeRotation,
+      1.5,
+      (t) => 1 - Math.pow(1 - t, 3)
+    );
+    return true;
   }
 
   retractBridge() {
     if (this.bridgeExtended && this.bridge) {
       this.bridgeExtended = false;
+      // Vertical over 1 second, easing in
+      this.animateBridge(-Math.PI / 2, 1, (t) => t * t);
+    }
+  }
 
-      const startRotation = this.bridge.rotation.x;
-      const endRotation = -Math.PI / 2; // Vertical
-      const duration = 1000; // 1 second
-      const startTime = Date.now();
-
-      const animateBridge = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        const easedProgress = Math.pow(progress, 2); // EaseInQuad
+  // The bridge swings on the world's step, so soldiers leave it at the
+  // same moment in a replay
+  animateBridge(endRotation, duration, easing) {
+    this.bridgeAnimation = {
+      startRotation: this.bridge.rotation.x,
+      endRotation: endRotation,
+      duration: duration,
+      easing: easing,
+      elapsed: 0,
+    };
+  }
 
-        this.bridge.rotation.x = THREE.MathUtils.lerp(
-          startRotation,
-          endRotation,
-          easedProgress
-        );
+  updateBridge(deltaTime) {
+    const animation = this.bridgeAnimation;
+    if (!animation) return;
 
-        if (progress < 1) {
-          requestAnimationFrame(animateBridge);
-        }
-      };
-      animateBridge();
-    }
+    animation.elapsed += deltaTime;
+    const progress = Math.min(animation.elapsed / animation.duration, 1);
+    this.bridge.rotation.x = THREE.MathUtils.lerp(
+      animation.startRotation,
+      animation.endRotation,
+      animation.easing(progress)
+    );
+    if (progress >= 1) this.bridgeAnimation = null;
   }
 
   move(direction, deltaTime) {
-    const moveDistance = this.moveSpeed * deltaTime;
-    let actuallyMoved = false;
+    // Docked with the bridge down, it isn't going anywhere
+    if (this.dock && this.bridgeExtended) return;
+
+    const previousPosition = this.mesh.position.clone();
 
     // Get the tower's forward and right vectors
     const forward = new THREE.Vector3(0, 0, -1); // Default forward in local space
@@ -439,30 +391,34 @@ export class SiegeTower {
     const right = new THREE.Vector3(1, 0, 0); // Default right in local space
     right.applyQuaternion(this.mesh.quaternion); // Transform by tower's rotation
 
-    let moveDirectionFactor = 0;
-
-    switch (direction) {
-      case "forward": // Key I
-        this.mesh.position.add(forward.multiplyScalar(moveDistance));
-        moveDirectionFactor = 1;
-        actuallyMoved = true;
-        break;
-      case "backward": // Key K
-        this.mesh.position.add(forward.multiplyScalar(-moveDistance));
-        moveDirectionFactor = -1;
-        actuallyMoved = true;
-        break;
-      case "left": // Key J (strafe)
-        this.mesh.position.add(right.multiplyScalar(-moveDistance));
-        // For wheel animation during strafe, we can treat it like forward or ignore.
-        // moveDirectionFactor = 1; // Or some other logic for wheel spin on strafe
-        actuallyMoved = true;
-        break;
-      case "right": // Key L (strafe)
-        this.mesh.position.add(right.multiplyScalar(moveDistance));
-        // moveDirectionFactor = 1;
-        actuallyMoved = true;
-        break;
+    // Key I forward, K backward, J and L strafe. Strafing doesn't count
+    // towards the wheel animation's direction.
+    const heading = {
+      forward: forward,
+      backward: forward.clone().negate(),
+      left: right.clone().negate(),
+      right: right,
+    }[direction];
+    const moveDirectionFactor = { forward: 1, backward: -1 }[direction] || 0;
+    const actuallyMoved = Boolean(heading);
+    // Slopes slow it down and the moat bogs it down
+    const moveDistance = actuallyMoved
+      ? this.getMoveSpeed() * deltaTime * this.getTraction(heading)
+      : 0;
+    if (actuallyMoved) {
+      this.mesh.position.addScaledVector(heading, moveDistance);
+      this.settle();
+    }
+
+    // Walls, towers, rocks or fallen chunks are in the way, or it is docked
+    // as close to its wall as it gets; the wheels don't turn either
+    if (
+      actuallyMoved &&
+      (this.isBlocked(previousPosition, this.mesh.position) ||
+        this.isPastDock(this.mesh.position))
+    ) {
+      this.mesh.position.copy(previousPosition);
+      return;
     }
 
     // Rotate wheels if moved forward or backward
@@ -485,9 +441,403 @@ export class SiegeTower {
     }
   }
 
+  // The soldiers on board are the crew; each one shot or sent across
+  // slows the tower
+  getCrew() {
+    return this.soldiers.filter((soldier) => soldier.state === "aboard").length;
+  }
+
+  getMoveSpeed() {
+    const strength = this.getCrew() / Math.max(this.soldiers.length, 1);
+    return this.moveSpeed * Math.max(strength, MIN_CREW_STRENGTH);
+  }
+
+  getTraction(heading) {
+    const grip = this.weather ? this.weather.getGroundGrip() : 1;
+    if (!this.terrain) return grip;
+    const { x, z } = this.mesh.position;
+    return this.terrain.getTraction(x, z, heading) * grip;
+  }
+
+  // Sit on the ground under the wheels
+  settle() {
+    this.mesh.position.y = this.getGroundHeight(
+      this.mesh.position.x,
+      this.mesh.position.z,
+      this.mesh.rotation.y
+    );
+  }
+
+  getGroundHeight(x, z, rotation) {
+    if (!this.terrain) return 0;
+    return this.terrain.getHeightUnder(x, z, rotation, WHEEL_POINTS);
+  }
+
+  // Returns false when there is nobody left to lose
+  loseCrewMember() {
+    const soldier = this.soldiers.find((soldier) => soldier.state === "aboard");
+    if (!soldier) return false;
+    soldier.die();
+    return true;
+  }
+
+  // Soldiers holding a post on the walls: the capture counter
+  getSoldiersOnWall() {
+    return this.soldiers.filter((soldier) => soldier.state === "holding")
+      .length;
+  }
+
+  // Once the lowered bridge rests on a wall the soldiers cross one after
+  // another and spread out along the wall walk, each to the nearest post
+  // nobody else has taken. Those whose way is broken by a breach find
+  // another post; those whose footing goes fall with it.
+  updateCrew(deltaTime) {
+    this.soldiers.forEach((soldier) => soldier.update(deltaTime));
+
+    const wall = this.bridgeAnimation ? null : this.findBridgeWall();
+    this.soldiers.forEach((soldier) => this.checkFooting(soldier, wall));
+
+    if (!wall) {
+      this.disembarkTimer = 0;
+      return;
+    }
+    this.disembarkTimer -= deltaTime;
+    if (this.disembarkTimer > 0) return;
+    this.disembarkTimer = DISEMBARK_INTERVAL;
+
+    const soldier = this.soldiers.find((soldier) => soldier.state === "aboard");
+    if (soldier) this.sendAcross(soldier);
+  }
+
+  sendAcross(soldier) {
+    const navigation = this.navigation.build();
+    const start = navigation.nearestNode(
+      this.getBridgeLanding(),
+      LANDING_REACH
+    );
+    const post = start && this.findFreePost(navigation, start, soldier);
+    if (!post) return false;
+
+    soldier.walk(
+      [
+        this.mesh.localToWorld(new THREE.Vector3(0, 11.15, 1)), // Deck
+        this.bridge.localToWorld(new THREE.Vector3(0, 0.15, 0.5)),
+        this.bridge.localToWorld(new THREE.Vector3(0, 0.15, 7.5)),
+      ],
+      navigation.findPath(start, post)
+    );
+    return true;
+  }
+
+  // Nearest node along the wall walk that no other soldier holds or is
+  // heading for
+  findFreePost(navigation, start, soldier) {
+    const taken = new Set(
+      this.soldiers
+        .filter((other) => other !== soldier && other.post && other.isAlive())
+        .map((other) => other.post.id)
+    );
+    return (
+      navigation.nodesByDistance(start).find((node) => !taken.has(node.id)) ||
+      null
+    );
+  }
+
+  // bridgeWall: the wall the bridge rests on now, or null
+  checkFooting(soldier, bridgeWall) {
+    if (soldier.state !== "crossing" && soldier.state !== "holding") return;
+
+    if (soldier.isOnBridge() && !bridgeWall) {
+      soldier.die(); // The bridge went up or moved away under them
+      return;
+    }
+    if (soldier.lastNode && !this.isNodeStanding(soldier.lastNode)) {
+      soldier.die();
+      return;
+    }
+    if (soldier.route.every((node) => this.isNodeStanding(node))) return;
+
+    // The way ahead is broken: find another post from where they are
+    const navigation = this.navigation.build();
+    const start = soldier.lastNode
+      ? navigation.getNode(soldier.lastNode.id)
+      : navigation.nearestNode(this.getBridgeLanding(), LANDING_REACH);
+    const post = start && this.findFreePost(navigation, start, soldier);
+    if (post) {
+      soldier.reroute(navigation.findPath(start, post));
+    } else if (start) {
+      soldier.reroute([start]);
+    } else {
+      soldier.die();
+    }
+  }
+
+  isNodeStanding(node) {
+    const { wall, column } = node;
+    return (
+      Boolean(wall.parent) &&
+      wall.children.some(
+        (part) =>
+          part.userData?.part === "block" &&
+          part.userData.row === wall.userData.rows - 1 &&
+          part.userData.column === column
+      )
+    );
+  }
+
+  // True if moving from -> to runs the tower into a wall, a castle tower,
+  // a rock or rubble. Moving away from an obstacle it already overlaps is
+  // always allowed, so it can't get stuck.
+  isBlocked(from, to) {
+    return this.scene.children.some((child) => {
+      const after = this.distanceToObstacle(child, to);
+      return after < FOOTPRINT && after < this.distanceToObstacle(child, from);
+    });
+  }
+
+  // Ground distance from point to the edge of object, or Infinity if the
+  // tower can roll through it. Walls are solid only where their bottom row
+  // stands, so a breach is a way in.
+  distanceToObstacle(object, point) {
+    const { type, isRubble, rubbleRadius } = object.userData || {};
+    const centreDistance = () =>
+      Math.hypot(point.x - object.position.x, point.z - object.position.z);
+
+    if (isRubble) return centreDistance() - (rubbleRadius || 1);
+    if (type === "tower") {
+      return centreDistance() - TOWER_RADIUS * object.scale.x;
+    }
+    if (type === "rock") return centreDistance() - ROCK_RADIUS * object.scale.x;
+    if (type !== "wall" || !object.userData.segmented) return Infinity;
+
+    object.updateWorldMatrix(true, false);
+    const local = object.worldToLocal(point.clone());
+    const { length, columns } = object.userData;
+    const blockWidth = length / columns;
+    const across = Math.max(Math.abs(local.z) - WALL_HALF_THICKNESS, 0);
+    return object.children
+      .filter(
+        (part) => part.userData?.part === "block" && part.userData.row === 0
+      )
+      .reduce((nearest, block) => {
+        const along = Math.max(
+          Math.abs(local.x - block.position.x) - blockWidth / 2,
+          0
+        );
+        return Math.min(nearest, Math.hypot(along, across));
+      }, Infinity);
+  }
+
+  // Where the end of the bridge lies once it is down, in world space
+  getBridgeLanding() {
+    this.mesh.updateWorldMatrix(true, true);
+    return this.bridge.localToWorld(new THREE.Vector3(0, 0, 8));
+  }
+
+  // The wall the lowered bridge rests on, or null. The bridge has to come
+  // down on a top block that is still standing.
+  findBridgeWall() {
+    if (!this.dock || !this.bridgeExtended || this.bridgeAnimation) {
+      return null;
+    }
+    const landing = this.getBridgeLanding();
+    const walls = this.scene.children.filter(
+      (child) => child.userData?.type === "wall" && child.userData.segmented
+    );
+    return (
+      walls.find((wall) => {
+        const local = wall.worldToLocal(landing.clone());
+        const { rows, columns, length } = wall.userData;
+        const blockWidth = length / columns;
+        return (
+          Math.abs(local.z) < 2.5 &&
+          Math.abs(local.y - 10) < 2 &&
+          wall.children.some(
+            (part) =>
+              part.userData?.part === "block" &&
+              part.userData.row === rows - 1 &&
+              Math.abs(part.position.x - local.x) <= blockWidth / 2
+          )
+        );
+      }) || null
+    );
+  }
+
+  // Docking: driven to within the bridge's reach of a wall and facing it
+  // (bridge side first), the tower snaps square to the wall with the
+  // bridge over a stretch of wall walk clear of battlements. Moving it off
+  // that spot undocks it, and backing away it doesn't snap back: it docks
+  // only while closing in on the wall.
+  updateDocking() {
+    if (this.dock && !this.isStillDocked()) this.undock();
+    if (this.dock) return;
+
+    const dock = this.findDock();
+    const closingIn =
+      dock &&
+      (dock.wall !== this.approach?.wall || dock.gap < this.approach.gap);
+    this.approach = dock;
+    if (closingIn) this.dockAt(dock);
+  }
+
+  isStillDocked() {
+    return (
+      Boolean(this.dock.wall.parent) &&
+      this.mesh.position.distanceTo(this.dock.position) < 0.001 &&
+      Math.abs(this.mesh.rotation.y - this.dock.rotation) < 0.001
+    );
+  }
+
+  undock() {
+    if (this.bridgeExtended) this.retractBridge(); // Dragged off, or the wall fell
+    this.dock = null;
+  }
+
+  // The docking spot the tower is in reach of, or null. Worked out from
+  // the tower's transform alone, as it runs every step.
+  findDock() {
+    const heading = new THREE.Vector3(
+      Math.sin(this.mesh.rotation.y),
+      0,
+      Math.cos(this.mesh.rotation.y)
+    );
+    const pivot = this.mesh.position
+      .clone()
+      .addScaledVector(heading, this.bridge.position.z)
+      .setY(this.mesh.position.y + this.bridge.position.y);
+
+    let nearest = null;
+    this.scene.children
+      .filter(
+        (child) => child.userData?.type === "wall" && child.userData.segmented
+      )
+      .forEach((wall) => {
+        wall.updateWorldMatrix(true, false);
+        const local = wall.worldToLocal(pivot.clone());
+        const side = Math.sign(local.z) || 1;
+        const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(
+          wall.quaternion
+        );
+        const facing = -side * heading.dot(normal);
+        const gap = Math.abs(local.z) - WALL_HALF_THICKNESS;
+        if (facing < Math.cos(DOCK_ANGLE) || gap < 0 || gap > BRIDGE_LENGTH) {
+          return;
+        }
+        if (nearest && gap >= nearest.gap) return;
+
+        // Where the bridge, as the tower stands, would cross the wall
+        const sideways = new THREE.Vector3(1, 0, 0).applyQuaternion(
+          wall.quaternion
+        );
+        const across =
+          local.x + (heading.dot(sideways) * Math.abs(local.z)) / facing;
+        const landing = this.findLandingBlock(wall, across);
+        if (landing) {
+          nearest = { wall, side, gap, normal, landing };
+        }
+      });
+    return nearest && this.getDockPose(nearest);
+  }
+
+  // Top block nearest to x along the wall, preferring one no battlement
+  // stands on; null when x is off the end of the wall
+  findLandingBlock(wall, x) {
+    const { rows, length } = wall.userData;
+    if (Math.abs(x) > length / 2) return null;
+
+    const crenellated = new Set(
+      wall.children
+        .filter((part) => part.userData?.part === "battlement")
+        .map((part) => part.userData.column)
+    );
+    const score = (block) =>
+      Math.abs(block.position.x - x) +
+      (crenellated.has(block.userData.column) ? length : 0);
+    return (
+      wall.children
+        .filter(
+          (part) =>
+            part.userData?.part === "block" && part.userData.row === rows - 1
+        )
+        .sort((a, b) => score(a) - score(b))[0] || null
+    );
+  }
+
+  // Square to the wall, with the lowered bridge's end over the middle of
+  // the landing block. The bridge tilts down to lie on the wall walk,
+  // which is as high above the ground as the wall stands.
+  getDockPose({ wall, side, gap, normal, landing }) {
+    const heading = normal.clone().multiplyScalar(-side);
+    const rotation = Math.atan2(heading.x, heading.z);
+    const wallWalk = wall.position.y + WALL_TOP;
+
+    // The tilt sets the reach and so where the tower stands, and the
+    // ground there sets the tilt: starting from where it is now, a second
+    // pass is close enough
+    let groundY = this.mesh.position.y;
+    let bridgeRotation, reach, position;
+    for (let pass = 0; pass < 2; pass++) {
+      const pivotY = groundY + this.bridge.position.y;
+      bridgeRotation = Math.asin(
+        THREE.MathUtils.clamp(
+          (pivotY - BRIDGE_HALF_THICKNESS - wallWalk) / BRIDGE_LENGTH,
+          -1,
+          1
+        )
+      );
+      reach = BRIDGE_LENGTH * Math.cos(bridgeRotation);
+      position = wall
+        .localToWorld(new THREE.Vector3(landing.position.x, 0, side * reach))
+        .addScaledVector(heading, -this.bridge.position.z);
+      groundY = this.getGroundHeight(position.x, position.z, rotation);
+      position.setY(groundY);
+    }
+
+    if (this.isBlocked(this.mesh.position, position)) return null;
+    return {
+      wall: wall,
+      gap: gap, // From the bridge pivot to the wall, as it stands
+      dockedGap: reach - WALL_HALF_THICKNESS, // Once snapped
+      column: landing.userData.column,
+      position: position,
+      rotation: rotation,
+      bridgeRotation: bridgeRotation,
+    };
+  }
+
+  isPastDock(position) {
+    if (!this.dock) return false;
+    const wall = this.dock.wall;
+    const distance = (point) => Math.abs(wall.worldToLocal(point.clone()).z);
+    return distance(position) < distance(this.dock.position) - 0.001;
+  }
+
+  dockAt(dock) {
+    this.dock = dock;
+    this.approach = { wall: dock.wall, gap: dock.dockedGap };
+    this.mesh.position.copy(dock.position);
+    this.mesh.rotation.y = dock.rotation;
+    this.dispatchDockedEvent();
+  }
+
+  dispatchDockedEvent() {
+    if (!this.eventTarget || typeof CustomEvent === "undefined") return;
+
+    const event = new CustomEvent("siegeTowerDocked", {
+      detail: {
+        wall: this.dock.wall,
+        column: this.dock.column,
+        position: this.dock.position.clone(),
+      },
+    });
+    this.eventTarget.dispatchEvent(event);
+  }
+
   rotate(direction, deltaTime) {
+    if (this.dock && this.bridgeExtended) return;
     const rotateAngle = this.rotationSpeed * deltaTime * direction;
     this.mesh.rotation.y += rotateAngle;
+    this.settle();
   }
 
   update(deltaTime, keys, selectedObject) {
@@ -514,13 +864,9 @@ export class SiegeTower {
       }
     }
 
-    // Animate soldiers (simple bobbing motion)
-    this.soldiers.forEach((soldier, index) => {
-      const time = Date.now() * 0.001 + index; // Add index for variation
-      soldier.position.y =
-        9 + Math.floor(index / 2) * 3 - 0.75 + Math.sin(time) * 0.05; // Softer bob
-      soldier.rotation.y = Math.sin(time * 0.5) * 0.05; // Softer sway
-    });
+    this.updateDocking();
+    this.updateBridge(deltaTime);
+    this.updateCrew(deltaTime);
 
     // Animate banners
     this.mesh.children.forEach((child) => {
@@ -540,13 +886,62 @@ export class SiegeTower {
     });
   }
 
+  // Takes effect on the next reset(); rotation in radians. No arguments
+  // puts back the default start.
+  setStartTransform(x = 20, z = 0, rotation = 0) {
+    this.startPosition.set(x, 0, z);
+    this.startRotation = rotation;
+  }
+
+  // Where it stands, its health, whether the bridge is down and which of
+  // the crew are alive, for a save
+  getState() {
+    return {
+      position: this.mesh.position.toArray(),
+      rotation: this.mesh.rotation.y,
+      health: this.mesh.userData.health ?? null,
+      maxHealth: this.mesh.userData.maxHealth ?? null,
+      destroyed: !this.mesh.parent,
+      bridgeExtended: this.bridgeExtended,
+      soldiers: this.soldiers.map((soldier) => soldier.isAlive()),
+    };
+  }
+
+  // From getState(), on a tower that has just been reset. Soldiers who
+  // were out on the walls are back aboard; a docked tower docks again and
+  // its bridge is down at once.
+  setState(state) {
+    if (state.destroyed) {
+      this.scene.remove(this.mesh);
+    } else if (!this.mesh.parent) {
+      this.scene.add(this.mesh);
+    }
+    this.mesh.position.fromArray(state.position);
+    this.mesh.rotation.y = state.rotation;
+    if (state.health !== null) {
+      this.mesh.userData.health = state.health;
+      this.mesh.userData.maxHealth = state.maxHealth;
+    }
+    state.soldiers.forEach((alive, index) => {
+      if (!alive) this.soldiers[index]?.die();
+    });
+
+    this.updateDocking();
+    if (state.bridgeExtended && this.dock) {
+      this.bridge.rotation.x = this.dock.bridgeRotation;
+      this.bridgeExtended = true;
+    }
+  }
+
   reset() {
-    this.mesh.position.set(20, 0, 0);
-    this.mesh.rotation.set(0, 0, 0);
+    this.mesh.position.copy(this.startPosition);
+    this.mesh.rotation.set(0, this.startRotation, 0);
+    this.settle();
 
     if (this.bridge) {
       this.bridge.rotation.x = -Math.PI / 2;
       this.bridgeExtended = false;
+      this.bridgeAnimation = null;
     }
 
     this.wheels.forEach((wheel) => {
@@ -556,5 +951,9 @@ export class SiegeTower {
       }
     });
     this.isPKeyPressed = false;
+    this.dock = null;
+    this.approach = null;
+    this.disembarkTimer = 0;
+    this.soldiers.forEach((soldier) => soldier.board());
   }
 }
@@ -0,0 +1,202 @@
+import * as THREE from "three";
+import { materials } from "../materials.js";
+
+const WALK_SPEED = 2.5; // Metres per second
+const FOOT_HEIGHT = 0.6; // From the mesh's origin down to its feet
+const HEALTH = 40;
+
+// Mesh position for a soldier standing on point
+const standingAt = (point) => point.clone().setY(point.y + FOOT_HEIGHT);
+
+// One of the siege tower's crew. Aboard, the soldier rides in the tower at
+// their slot; sent across, they walk a list of world-space waypoints (over
+// the bridge and along the wall walk) and hold the post at the end of it.
+//
+// States: "aboard", "crossing", "holding" and "dead".
+export class Soldier {
+  constructor(tower, slot) {
+    this.tower = tower; // The SiegeTower mesh they ride in
+    this.slot = slot.clone(); // Where they stand aboard, tower-local
+    this.mesh = Soldier.createMesh();
+    this.mesh.userData = {
+      isSoldier: true,
+      health: HEALTH,
+      // Explosions (DamageHandler.explosionDamage) call this
+      onKilled: () => this.die(),
+    };
+    this.time = 0; // Drives the idle bob
+    this.board();
+  }
+
+  static createMesh() {
+    const soldier = new THREE.Group();
+
+    // Body
+    const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.4, 1.5, 8);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+      color: 0x4169e1,
+      roughness: 0.7,
+      metalness: 0.1,
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    soldier.add(body);
+
+    // Head
+    const headGeometry = new THREE.SphereGeometry(0.25, 8, 6);
+    const headMaterial = new THREE.MeshStandardMaterial({
+      color: 0xfdbcb4,
+      roughness: 0.5,
+      metalness: 0,
+    });
+    const head = new THREE.Mesh(headGeometry, headMaterial);
+    head.position.y = 1;
+    soldier.add(head);
+
+    // Helmet
+    const helmetGeometry = new THREE.SphereGeometry(0.28, 8, 6);
+    const helmet = new THREE.Mesh(helmetGeometry, materials.metal);
+    helmet.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(helmet.geometry.attributes.uv.array, 2)
+    );
+    helmet.position.y = 1.1;
+    soldier.add(helmet);
+
+    // Shield
+    const shieldGeometry = new THREE.CylinderGeometry(0.5, 0.5, 0.1, 8);
+    const shield = new THREE.Mesh(shieldGeometry, materials.wood);
+    shield.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(shield.geometry.attributes.uv.array, 2)
+    );
+    shield.position.set(-0.6, 0.5, 0);
+    shield.rotation.z = Math.PI / 2;
+    soldier.add(shield);
+
+    // Metal shield boss
+    const bossGeometry = new THREE.SphereGeometry(0.15, 8, 8);
+    const boss = new THREE.Mesh(bossGeometry, materials.metal);
+    boss.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(boss.geometry.attributes.uv.array, 2)
+    );
+    boss.position.set(-0.65, 0.5, 0); // Position it slightly in front of the shield
+    soldier.add(boss);
+
+    // Spear shaft
+    const spearShaftGeometry = new THREE.CylinderGeometry(0.02, 0.02, 2.3, 6);
+    const spearShaft = new THREE.Mesh(spearShaftGeometry, materials.wood);
+    spearShaft.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(
+        spearShaft.geometry.attributes.uv.array,
+        2
+      )
+    );
+    spearShaft.position.set(0.6, 1, 0); // Adjusted y for holding spear
+    soldier.add(spearShaft);
+
+    // Spear head
+    const spearHeadGeometry = new THREE.ConeGeometry(0.04, 0.2, 6);
+    const spearHead = new THREE.Mesh(spearHeadGeometry, materials.metal);
+    spearHead.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(
+        spearHead.geometry.attributes.uv.array,
+        2
+      )
+    );
+    spearHead.position.set(0.6, 2.2, 0); // Position at the top of the shaft
+    soldier.add(spearHead);
+
+    soldier.scale.set(0.8, 0.8, 0.8);
+    return soldier;
+  }
+
+  isAlive() {
+    return this.state !== "dead";
+  }
+
+  // Back in the tower at their slot, alive and well (tower reset)
+  board() {
+    this.state = "aboard";
+    this.waypoints = [];
+    this.route = [];
+    this.lastNode = null;
+    this.post = null;
+    this.mesh.userData.health = HEALTH;
+    this.mesh.visible = true;
+    this.mesh.rotation.set(0, 0, 0);
+    this.mesh.position.copy(this.slot);
+    this.tower.add(this.mesh);
+  }
+
+  // Walk the bridge points (world space), then the route: a
+  // CastleNavigation path along the wall walk. The last node is the post
+  // they hold.
+  walk(bridgePoints, route) {
+    if (this.state === "aboard") this.tower.parent?.attach(this.mesh);
+    this.waypoints = bridgePoints.map(standingAt);
+    this.route = [];
+    this.reroute(route);
+  }
+
+  // New route along the wall walk; the bridge points still ahead are kept
+  reroute(route) {
+    const bridgeLeft = this.waypoints.length - this.route.length;
+    this.waypoints = [
+      ...this.waypoints.slice(0, bridgeLeft),
+      ...route.map((node) => standingAt(node.position)),
+    ];
+    this.route = [...route];
+    this.post = route[route.length - 1];
+    this.state = "crossing";
+  }
+
+  // Still on the bridge: waypoints left that aren't on the wall walk
+  isOnBridge() {
+    return (
+      this.state === "crossing" && this.waypoints.length > this.route.length
+    );
+  }
+
+  update(deltaTime) {
+    if (this.state === "dead") return;
+    this.time += deltaTime;
+
+    if (this.state === "aboard") {
+      this.mesh.position.y = this.slot.y + Math.sin(this.time) * 0.05;
+      this.mesh.rotation.y = Math.sin(this.time * 0.5) * 0.05;
+      return;
+    }
+    if (this.state !== "crossing") return;
+
+    let step = WALK_SPEED * deltaTime;
+    while (step > 0 && this.waypoints.length > 0) {
+      const target = this.waypoints[0];
+      const offset = target.clone().sub(this.mesh.position);
+      const distance = offset.length();
+      if (distance <= step) {
+        this.mesh.position.copy(target);
+        if (this.waypoints.length === this.route.length) {
+          this.lastNode = this.route.shift();
+        }
+        this.waypoints.shift();
+        step -= distance;
+      } else {
+        this.mesh.position.addScaledVector(offset, step / distance);
+        this.mesh.rotation.y = Math.atan2(offset.x, offset.z);
+        step = 0;
+      }
+    }
+    if (this.waypoints.length === 0) this.state = "holding";
+  }
+
+  die() {
+    if (this.state === "dead") return;
+    this.state = "dead";
+    this.waypoints = [];
+    this.route = [];
+    this.mesh.visible = false;
+  }
+}
@@ -1,17 +1,21 @@
 import * as THREE from "three";
-import { Utils } from "../utils.js";
 import { materials } from "../materials.js";
 import { TorchParticles } from "./particles/TorchParticles.js";
 
+// A torch on a pole, with flames of its own and one flickering light. Put
+// out, both go dark; userData.lit tells the rest of the scene, so a lit
+// torch carried up to a barrel lights its fuse (see FireManager).
 export class Torch {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene;
     this.group = new THREE.Group();
-    this.mainLight = null;
-    this.ambientLight = null;
+    this.light = null;
     this.flameParticles = null;
+    this.fire = null; // Handle for EffectsManager.updateFireEffect()
 
     this.create();
+    if (options.position) this.group.position.copy(options.position);
+    this.setLit(options.lit ?? true);
   }
 
   create() {
@@ -33,44 +37,32 @@ export class Torch {
     this.flameParticles = new TorchParticles(
       this.group,
       new THREE.Vector3(0, 3, 0)
-    ); // Multi-point lighting system for more realistic flame illumination
-    // Main center light
-    this.mainLight = new THREE.PointLight(0xff4500, 2.5, 25);
-    this.mainLight.position.y = 3.1;
-    this.mainLight.castShadow = true;
-    this.mainLight.shadow.mapSize.width = 2048;
-    this.mainLight.shadow.mapSize.height = 2048;
-    this.mainLight.shadow.camera.near = 0.1;
-    this.mainLight.shadow.camera.far = 35;
-    this.mainLight.shadow.radius = 1;
-    this.mainLight.shadow.bias = -0.0001;
-    this.group.add(this.mainLight);
-
-    // Additional flame lights for better distribution
-    this.flameLight1 = new THREE.PointLight(0xff6000, 1.5, 15);
-    this.flameLight1.position.set(0.2, 3.2, 0);
-    this.group.add(this.flameLight1);
-
-    this.flameLight2 = new THREE.PointLight(0xff6000, 1.5, 15);
-    this.flameLight2.position.set(-0.2, 3.2, 0);
-    this.group.add(this.flameLight2);
-
-    this.flameLight3 = new THREE.PointLight(0xff6000, 1.5, 15);
-    this.flameLight3.position.set(0, 3.2, 0.2);
-    this.group.add(this.flameLight3);
-
-    this.flameLight4 = new THREE.PointLight(0xff6000, 1.5, 15);
-    this.flameLight4.position.set(0, 3.2, -0.2);
-    this.group.add(this.flameLight4);
+    );
+    this.fire = { particles: this.flameParticles };
+
+    this.light = new THREE.PointLight(0xff4500, 2.5, 25);
+    this.light.position.y = 3.1;
+    this.light.castShadow = true;
+    this.light.shadow.mapSize.width = 1024;
+    this.light.shadow.mapSize.height = 1024;
+    this.light.shadow.camera.near = 0.1;
+    this.light.shadow.camera.far = 35;
+    this.light.shadow.radius = 1;
+    this.light.shadow.bias = -0.0001;
+    this.group.add(this.light);
+
+    this.group.userData = { type: "torch", draggable: true, lit: true };
+    this.scene.add(this.group);
+  }
 
-    // Upper glow light
-    this.upperLight = new THREE.PointLight(0xff8c00, 1, 10);
-    this.upperLight.position.y = 3.4;
-    this.group.add(this.upperLight);
+  setLit(lit) {
+    this.group.userData.lit = lit;
+    this.flameParticles.particleSystem.visible = lit;
+    this.light.visible = lit;
+  }
 
-    this.group.position.set(0, 0, 0);
-    this.group.userData = { type: "torch", draggable: true };
-    this.scene.add(this.group);
+  isLit() {
+    return this.group.userData.lit;
   }
 
   setPosition(x, y, z) {
@@ -84,26 +76,24 @@ export class Torch {
   getMesh() {
     return this.group;
   }
-  getLights() {
-    return {
-      main: this.mainLight,
-      flameLight1: this.flameLight1,
-      flameLight2: this.flameLight2,
-      flameLight3: this.flameLight3,
-      flameLight4: this.flameLight4,
-      upper: this.upperLight,
-    };
-  }
-
-  getFireEffects() {
-    return {
-      particles: this.flameParticles,
-    };
-  }
 
   update(deltaTime) {
     if (this.flameParticles) {
       this.flameParticles.update(deltaTime);
     }
   }
+
+  dispose() {
+    if (this.group.parent) this.group.parent.remove(this.group);
+    const sharedMaterials = Object.values(materials);
+    this.group.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material && !sharedMaterials.includes(child.material)) {
+        child.material.dispose();
+      }
+    });
+    const { uniforms } = this.flameParticles.particleSystem.material;
+    uniforms.pointTexture.value.dispose();
+    this.light.dispose();
+  }
 }
@@ -0,0 +1,227 @@
+import * as THREE from "three";
+import { Utils } from "../utils.js";
+import { PhysicsEngine } from "../physics.js";
+
+// Must match PhysicsEngine.update(): loads come to rest this far above the
+// ground
+const GROUND_HEIGHT = 0.3;
+const MAX_POINTS = 600;
+
+// Predicted flight arc, landing marker and first wall/tower hit for the
+// load in a siege engine. Only recomputed when the ammo type, tension,
+// the engine's pose and settings, the steady wind, the terrain or the set
+// of walls and towers (or the blocks left standing in them) changes.
+// Gusts can't be known in advance, so real shots scatter around the arc when
+// the wind is gusty. Cluster loads show the path of the centre pebble.
+export class TrajectoryPreview {
+  constructor(scene, collisionDetector, options = {}) {
+    this.scene = scene;
+    this.collisionDetector = collisionDetector;
+    this.terrain = options.terrain || null; // Flat ground at 0 without it
+    this.group = new THREE.Group();
+    this.group.name = "trajectoryPreview";
+    this.arc = null;
+    this.landingMarker = null;
+    this.hitMarker = null;
+    this.lastKey = null;
+    this.prediction = null;
+
+    this.create();
+  }
+
+  create() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(new Float32Array(MAX_POINTS * 3), 3)
+    );
+    geometry.setDrawRange(0, 0);
+    this.arc = new THREE.Line(
+      geometry,
+      new THREE.LineDashedMaterial({
+        color: 0xffd27f,
+        dashSize: 0.6,
+        gapSize: 0.4,
+        transparent: true,
+        opacity: 0.8,
+      })
+    );
+    this.arc.frustumCulled = false; // Bounds change every recompute
+    this.group.add(this.arc);
+
+    this.landingMarker = new THREE.Mesh(
+      new THREE.RingGeometry(0.6, 0.9, 32),
+      new THREE.MeshBasicMaterial({
+        color: 0xffd27f,
+        side: THREE.DoubleSide,
+        transparent: true,
+        opacity: 0.8,
+      })
+    );
+    this.landingMarker.rotation.x = -Math.PI / 2;
+    this.group.add(this.landingMarker);
+
+    this.hitMarker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.6, 16, 12),
+      new THREE.MeshBasicMaterial({
+        color: 0xff3333,
+        transparent: true,
+        opacity: 0.6,
+      })
+    );
+    this.group.add(this.hitMarker);
+
+    this.group.visible = false;
+    this.scene.add(this.group);
+  }
+
+  // Call once per frame with the engine that fires; hides itself while it
+  // is not ready
+  update(engine, tension, stepTime, wind = null) {
+    if (!engine || !engine.mesh || !engine.isReadyToFire()) {
+      this.group.visible = false;
+      this.lastKey = null;
+      return;
+    }
+    this.group.visible = true;
+
+    const obstacles = this.getObstacles();
+    const steadyWind = wind ? wind.getSteadyState() : null;
+    const key = [
+      engine.projectile?.userData.ammoType,
+      ...Object.values(engine.getSettings()),
+      tension,
+      stepTime,
+      steadyWind?.strength,
+      steadyWind?.direction,
+      this.terrain?.version,
+      ...engine.mesh.position.toArray(),
+      ...engine.mesh.quaternion.toArray(),
+      ...obstacles.map((object) => object.uuid),
+    ].join(",");
+    if (key === this.lastKey) return;
+    this.lastKey = key;
+
+    const release = engine.getReleaseState(tension, stepTime);
+    this.prediction = this.predict(
+      release,
+      stepTime,
+      obstacles.map((object) => this.collisionDetector.getBoundingBox(object)),
+      steadyWind
+    );
+    this.draw(this.prediction);
+  }
+
+  // Walls, towers and rocks; segmented walls by the blocks they have left,
+  // so the arc goes through breaches just like the shot will
+  getObstacles() {
+    return this.scene.children.flatMap((child) => {
+      const type = child.userData?.type;
+      if (!["wall", "tower", "rock"].includes(type)) return [];
+      if (!child.userData.segmented) return [child];
+      return child.children.filter((part) => part.userData?.part);
+    });
+  }
+
+  // Steps the flight exactly as PhysicsEngine.update() will, at the same
+  // fixed step, so the arc passes through the points the load will visit
+  predict(release, stepTime, boxes, wind = null) {
+    const gravity = release.gravity;
+    const speed = release.velocity.length();
+    if (speed === 0 || gravity >= 0) return null;
+
+    // Time to come back to launch height plus time to fall from it, with
+    // headroom for a tail wind lifting the stone
+    const { timeOfFlight } = Utils.calculateTrajectory(
+      speed,
+      Math.asin(release.velocity.y / speed),
+      -gravity
+    );
+    const fallTime = Math.sqrt(
+      (2 * Math.max(release.position.y, 0)) / -gravity
+    );
+    const maxSteps = Math.min(
+      Math.ceil((1.5 * (Math.max(timeOfFlight, 0) + fallTime)) / stepTime),
+      MAX_POINTS - 1
+    );
+
+    const position = release.position.clone();
+    const velocity = release.velocity.clone();
+    const points = [position.clone()];
+    let hit = this.findHit(position, velocity, release.radius, boxes);
+    let landing = null;
+
+    for (let n = 1; n <= maxSteps; n++) {
+      PhysicsEngine.integrateProjectile(
+        position,
+        velocity,
+        release,
+        stepTime,
+        wind
+      );
+
+      const groundHeight = this.getGroundHeight(position) + GROUND_HEIGHT;
+      if (position.y <= groundHeight) {
+        position.y = groundHeight;
+        landing = position.clone();
+        points.push(landing);
+        break;
+      }
+      points.push(position.clone());
+
+      if (!hit) {
+        hit = this.findHit(position, velocity, release.radius, boxes);
+      }
+    }
+
+    return { points: points, landing: landing, hit: hit };
+  }
+
+  getGroundHeight(position) {
+    return this.terrain ? this.terrain.getHeight(position.x, position.z) : 0;
+  }
+
+  // Same sphere-vs-box test CollisionManager runs on walls and towers,
+  // including the speed-scaled radius and the near-ground cut-off
+  findHit(position, velocity, radius, boxes) {
+    const aboveGround = position.y - this.getGroundHeight(position);
+    if (aboveGround <= Math.max(radius * 1.5, 0.5)) return null;
+
+    const hitRadius = radius * Math.min(velocity.length() * 0.1, 1.5);
+    for (const box of boxes) {
+      if (
+        box &&
+        this.collisionDetector.checkSphereBoxCollision(position, hitRadius, box)
+      ) {
+        return position.clone();
+      }
+    }
+    return null;
+  }
+
+  draw(prediction) {
+    const geometry = this.arc.geometry;
+    const points = prediction ? prediction.points : [];
+    const positions = geometry.attributes.position;
+    points.forEach((point, i) =>
+      positions.setXYZ(i, point.x, point.y, point.z)
+    );
+    positions.needsUpdate = true;
+    geometry.setDrawRange(0, points.length);
+    this.arc.computeLineDistances();
+
+    this.landingMarker.visible = Boolean(prediction?.landing);
+    if (prediction?.landing) {
+      this.landingMarker.position.set(
+        prediction.landing.x,
+        prediction.landing.y + 0.01,
+        prediction.landing.z
+      );
+    }
+
+    this.hitMarker.visible = Boolean(prediction?.hit);
+    if (prediction?.hit) {
+      this.hitMarker.position.copy(prediction.hit);
+    }
+  }
+}
@@ -0,0 +1,265 @@
+import * as THREE from "three";
+import { Utils } from "../utils.js";
+import { materials } from "../materials.js";
+import { SiegeEngine } from "./siegeEngine.js";
+
+const RELOAD_DELAY = 2500; // Milliseconds with a full crew: winching it down
+const CREW_SIZE = 6;
+const WHEEL_POINTS = [
+  [-1.6, -2.2],
+  [1.6, -2.2],
+  [-1.6, 2.2],
+  [1.6, 2.2],
+];
+const WHEEL_RADIUS = 0.6;
+
+const PIVOT_HEIGHT = 5;
+const LONG_ARM = 6; // Pivot to sling, towards the back
+const SHORT_ARM = 1.8; // Pivot to counterweight, towards the front
+const SLING_LENGTH = 2.5;
+const SWING_TIME = 0.9; // Seconds
+
+// Arm poses, as the catapult's: positive x rotation takes the long end down
+const COCKED_ROTATION = 0.9; // Long end down behind, counterweight up
+const SWUNG_ROTATION = -2; // Long end up and over towards the front
+
+// The counterweight's drop, turned into speed: v = sqrt(2 * e * M * g * h / m)
+const GRAVITY = 9.81;
+const COUNTERWEIGHT_DROP = 2; // Metres the counterweight's centre falls
+const MASS_UNIT = 50; // Kilograms per unit of ammo mass
+const MIN_COUNTERWEIGHT = 1500; // Kilograms, at the lowest tension
+const MAX_COUNTERWEIGHT = 4500;
+const PEAK_EFFICIENCY = 0.18; // Share of the energy that reaches the load
+
+// Degrees above the horizon the sling lets go at. Off 45 degrees the sling
+// opens too early or too late and wastes some of the throw.
+const MIN_RELEASE_ANGLE = 30;
+const MAX_RELEASE_ANGLE = 60;
+const DEFAULT_RELEASE_ANGLE = 45;
+const RELEASE_ANGLE_SPEED = 15; // Degrees per second while N or B is held
+
+// How far to the right of the catapult it stands by default
+export const TREBUCHET_OFFSET = 10;
+
+// Counterweight trebuchet: the weight drops, the long arm swings up and
+// the sling whips round after it. The slider's tension sets how heavy the
+// counterweight is loaded; the release angle (N/B while it is selected)
+// how high it throws, and how much of the drop's energy the load gets.
+export class Trebuchet extends SiegeEngine {
+  constructor(scene, options = {}) {
+    super(scene, options);
+    this.type = "trebuchet";
+    this.reloadDelay = RELOAD_DELAY;
+    this.maxCrew = CREW_SIZE;
+    this.crew = CREW_SIZE;
+    this.wheelPoints = WHEEL_POINTS;
+    this.swingTime = SWING_TIME;
+    this.moveSpeed = 2.5;
+    this.rotationSpeed = 0.8;
+    this.counterweight = null;
+    this.sling = null;
+    this.setStartTransform();
+    this.setReleaseAngle(DEFAULT_RELEASE_ANGLE);
+
+    this.create();
+  }
+
+  createPart(geometry, material) {
+    const part = new THREE.Mesh(geometry, material);
+    part.geometry.setAttribute(
+      "uv2",
+      new THREE.Float32BufferAttribute(part.geometry.attributes.uv.array, 2)
+    );
+    part.castShadow = true;
+    return part;
+  }
+
+  build() {
+    // Two beams along the wheels, tied together front and back
+    for (let i = 0; i < 2; i++) {
+      const sideFactor = i === 0 ? -1 : 1;
+      const beam = this.createPart(
+        new THREE.BoxGeometry(0.4, 0.4, 6),
+        materials.wood
+      );
+      beam.position.set(1.2 * sideFactor, 0.9, 0);
+      beam.receiveShadow = true;
+      this.mesh.add(beam);
+
+      const crossbeam = this.createPart(
+        new THREE.BoxGeometry(2.8, 0.4, 0.4),
+        materials.wood
+      );
+      crossbeam.position.set(0, 0.9, 2.6 * sideFactor);
+      this.mesh.add(crossbeam);
+
+      // An A-frame on each side carries the axle
+      [-1, 1].forEach((end) => {
+        const brace = this.createPart(
+          new THREE.CylinderGeometry(0.15, 0.22, 4.5, 8),
+          materials.wood
+        );
+        brace.position.set(1.2 * sideFactor, 2.95, 0.9 * end);
+        brace.rotation.x = -0.414 * end;
+        this.mesh.add(brace);
+      });
+    }
+
+    const axle = this.createPart(
+      new THREE.CylinderGeometry(0.2, 0.2, 2.8, 8),
+      materials.metal
+    );
+    axle.rotation.z = Math.PI / 2;
+    axle.position.y = PIVOT_HEIGHT;
+    this.mesh.add(axle);
+
+    this.arm = new THREE.Group();
+    const beam = this.createPart(
+      new THREE.BoxGeometry(0.35, 0.35, LONG_ARM + SHORT_ARM),
+      materials.wood
+    );
+    beam.position.z = (LONG_ARM - SHORT_ARM) / 2;
+    this.arm.add(beam);
+
+    // The counterweight hangs from a pin, so it stays upright as it falls
+    this.counterweight = new THREE.Group();
+    this.counterweight.position.z = -SHORT_ARM;
+    const box = this.createPart(
+      new THREE.BoxGeometry(1.6, 1.4, 1.6),
+      materials.stone
+    );
+    box.position.y = -1.2;
+    this.counterweight.add(box);
+    [-0.6, 0.6].forEach((x) => {
+      const hanger = this.createPart(
+        new THREE.CylinderGeometry(0.05, 0.05, 0.6, 6),
+        materials.metal
+      );
+      hanger.position.set(x, -0.3, 0);
+      this.counterweight.add(hanger);
+    });
+    this.arm.add(this.counterweight);
+
+    // The sling hangs off the long end, with the pouch at its end
+    this.sling = new THREE.Group();
+    this.sling.position.z = LONG_ARM;
+    const rope = this.createPart(
+      new THREE.CylinderGeometry(0.04, 0.04, SLING_LENGTH, 6),
+      materials.wood
+    );
+    rope.rotation.x = Math.PI / 2;
+    rope.position.z = SLING_LENGTH / 2;
+    this.sling.add(rope);
+
+    this.bucket = new THREE.Group();
+    this.bucket.position.z = SLING_LENGTH;
+    const pouch = this.createPart(
+      new THREE.BoxGeometry(0.8, 0.1, 0.8),
+      materials.wood
+    );
+    this.bucket.add(pouch);
+    this.sling.add(this.bucket);
+    this.arm.add(this.sling);
+
+    this.arm.position.y = PIVOT_HEIGHT;
+    this.mesh.add(this.arm);
+    this.swingTo(0);
+
+    this.createWheels(WHEEL_RADIUS);
+  }
+
+  // The arm speeds up as the weight falls and is caught at the top; the
+  // sling trails behind and only whips round late in the swing. Cocked,
+  // the pouch lies on the ground under the frame.
+  swingTo(progress) {
+    const armProgress = progress * progress * (3 - 2 * progress);
+    const armRotation = THREE.MathUtils.lerp(
+      COCKED_ROTATION,
+      SWUNG_ROTATION,
+      armProgress
+    );
+    this.setPose([
+      armRotation,
+      THREE.MathUtils.lerp(Math.PI - COCKED_ROTATION, 0, Math.pow(progress, 3)),
+    ]);
+  }
+
+  getPose() {
+    return [this.arm.rotation.x, this.sling.rotation.x];
+  }
+
+  setPose([arm, sling]) {
+    this.arm.rotation.x = arm;
+    this.counterweight.rotation.x = -arm;
+    this.sling.rotation.x = sling;
+  }
+
+  // Degrees; it lets go earlier in the swing the higher it aims
+  setReleaseAngle(degrees) {
+    this.releaseAngle = Utils.clamp(
+      degrees,
+      MIN_RELEASE_ANGLE,
+      MAX_RELEASE_ANGLE
+    );
+    this.releaseProgress = THREE.MathUtils.mapLinear(
+      this.releaseAngle,
+      MIN_RELEASE_ANGLE,
+      MAX_RELEASE_ANGLE,
+      0.85,
+      0.55
+    );
+  }
+
+  update(deltaTime, keys, selectedObject) {
+    super.update(deltaTime, keys, selectedObject);
+    if (selectedObject === this.mesh && !this.isAnimating) {
+      const step = RELEASE_ANGLE_SPEED * deltaTime;
+      if (keys["KeyN"]) this.setReleaseAngle(this.releaseAngle + step);
+      if (keys["KeyB"]) this.setReleaseAngle(this.releaseAngle - step);
+    }
+  }
+
+  // Kilograms loaded into the box for the slider's tension (10 to 100)
+  getCounterweightMass(tension) {
+    return THREE.MathUtils.mapLinear(
+      Utils.clamp(tension, 10, 100),
+      10,
+      100,
+      MIN_COUNTERWEIGHT,
+      MAX_COUNTERWEIGHT
+    );
+  }
+
+  getEfficiency() {
+    const offPeak = THREE.MathUtils.degToRad(this.releaseAngle - 45);
+    return PEAK_EFFICIENCY * Math.cos(2 * offPeak);
+  }
+
+  getLaunchVelocity(tension, mass = 1) {
+    const energy =
+      this.getEfficiency() *
+      this.getCounterweightMass(tension) *
+      GRAVITY *
+      COUNTERWEIGHT_DROP;
+    const speed = Math.sqrt((2 * energy) / (mass * MASS_UNIT));
+    return this.getLaunchDirection(
+      THREE.MathUtils.degToRad(this.releaseAngle)
+    ).multiplyScalar(speed);
+  }
+
+  getSettings() {
+    return { ...super.getSettings(), releaseAngle: this.releaseAngle };
+  }
+
+  setSettings(settings) {
+    super.setSettings(settings);
+    if (Number.isFinite(settings.releaseAngle)) {
+      this.setReleaseAngle(settings.releaseAngle);
+    }
+  }
+
+  // No arguments puts back the default start, beside the catapult's
+  setStartTransform(x = -15 + TREBUCHET_OFFSET, z = -15, rotation = 0) {
+    super.setStartTransform(x, z, rotation);
+  }
+}
@@ -1,9 +1,14 @@
 import * as THREE from "three";
+import { Utils } from "./utils.js";
 import { Validation } from "./validation.js";
 
 export class PhysicsEngine {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene;
+    // Per-frame projectile logging; batch simulations switch it off
+    this.verbose = options.verbose !== false;
+    this.wind = options.wind || null; // WindSystem, drifts projectiles
+    this.terrain = options.terrain || null; // Ground height; flat without it
     this.gravity = -9.81;
     this.physicsObjects = [];
     this.collisionBounds = {
@@ -17,6 +22,12 @@ export class PhysicsEngine {
     };
   }
 
+  getGroundHeight(x, z) {
+    return this.terrain
+      ? this.terrain.getHeight(x, z)
+      : this.collisionBounds.ground;
+  }
+
   // Add object to physics simulation
   addObject(object, properties = {}) {
     const physicsData = {
@@ -29,6 +40,11 @@ export class PhysicsEngine {
         properties.acceleration,
         new THREE.Vector3(0, 0, 0)
       ),
+      // Radians per second about each axis; lets debris tumble
+      angularVelocity: Validation.sanitizeVector3(
+        properties.angularVelocity,
+        new THREE.Vector3(0, 0, 0)
+      ),
       mass: Validation.sanitizeNumber(properties.mass, 1),
       restitution: Validation.sanitizeNumber(properties.restitution, 0.6),
       friction: Validation.sanitizeNumber(properties.friction, 0.8),
@@ -52,10 +68,39 @@ export class PhysicsEngine {
     }
   }
 
+  // One step of projectile flight: wind push, drag, then gravity, then move.
+  // body carries { gravity, drag, mass }; heavier bodies feel less wind.
+  // The trajectory preview steps with this too, so both follow one path.
+  static integrateProjectile(position, velocity, body, deltaTime, wind) {
+    const mass = body.mass > 0 ? body.mass : 1;
+    if (wind && wind.strength > 0) {
+      const pushed = Utils.calculateWindEffect(
+        wind.strength,
+        wind.direction,
+        velocity
+      );
+      const influence = (wind.influence * deltaTime) / Math.sqrt(mass);
+      velocity.x += (pushed.x - velocity.x) * influence;
+      velocity.y += (pushed.y - velocity.y) * influence;
+      velocity.z += (pushed.z - velocity.z) * influence;
+    }
+
+    if (body.drag > 0) {
+      velocity.multiplyScalar(Math.max(0, 1 - body.drag * deltaTime));
+    }
+
+    velocity.y += body.gravity * deltaTime;
+
+    position.x += velocity.x * deltaTime;
+    position.y += velocity.y * deltaTime;
+    position.z += velocity.z * deltaTime;
+  }
+
   // Main physics update loop
   update(deltaTime) {
     // Clamp deltaTime to prevent instability
     deltaTime = Math.min(deltaTime, 1 / 30);
+    const wind = this.wind ? this.wind.getCurrentState() : null;
 
     this.scene.traverse((object) => {
       if (
@@ -66,40 +111,47 @@ export class PhysicsEngine {
         const velocity = object.userData.velocity;
         const lastY = object.position.y;
 
-        // Apply gravity
-        velocity.y += object.userData.gravity * deltaTime;
-
-        // Update position based on velocity
-        object.position.x += velocity.x * deltaTime;
-        object.position.y += velocity.y * deltaTime;
-        object.position.z += velocity.z * deltaTime;
+        // Apply wind, drag and gravity, then move
+        PhysicsEngine.integrateProjectile(
+          object.position,
+          velocity,
+          object.userData,
+          deltaTime,
+          wind
+        );
 
         // Ground collision check
-        const groundHeight = 0.3;
+        const groundHeight =
+          this.getGroundHeight(object.position.x, object.position.z) + 0.3;
         if (object.position.y <= groundHeight) {
           // Ensure we don't go below ground
           object.position.y = groundHeight;
 
           const speed = velocity.length();
           // Only bounce if moving fast enough and not too many bounces
-          const maxBounces = object.userData.maxBounces || 3;
-
-          if (
-            speed > 1.0 &&
-            (!object.userData.bounces || object.userData.bounces < maxBounces)
-          ) {
-            // Bounce with energy loss
-            velocity.y = Math.abs(velocity.y) * 0.5; // Increased energy loss
-            velocity.x *= 0.7; // More friction
-            velocity.z *= 0.7;
+          const maxBounces = object.userData.maxBounces ?? 3;
+
+          if (speed > 1.0 && (object.userData.bounces || 0) < maxBounces) {
+            // Bounce off the slope with energy loss: half the speed into
+            // the ground comes back out, the rest keeps 70% (friction)
+            const normal = this.terrain
+              ? this.terrain.getNormal(object.position.x, object.position.z)
+              : new THREE.Vector3(0, 1, 0);
+            const intoGround = velocity.dot(normal);
+            velocity
+              .addScaledVector(normal, -intoGround)
+              .multiplyScalar(0.7)
+              .addScaledVector(normal, Math.abs(intoGround) * 0.5);
             object.userData.bounces = (object.userData.bounces || 0) + 1;
 
             // Log bounce for debugging
-            console.log("Bounce:", {
-              bounceCount: object.userData.bounces,
-              speed: speed.toFixed(2),
-              newVelocity: velocity.toArray().map((v) => v.toFixed(2)),
-            });
+            if (this.verbose) {
+              console.log("Bounce:", {
+                bounceCount: object.userData.bounces,
+                speed: speed.toFixed(2),
+                newVelocity: velocity.toArray().map((v) => v.toFixed(2)),
+              });
+            }
 
             // Trigger collision effect on each significant bounce
             if (object.userData.onCollision) {
@@ -125,21 +177,25 @@ export class PhysicsEngine {
               });
             }
 
-            console.log("Projectile stopped:", {
-              reason: speed <= 1.0 ? "low speed" : "max bounces reached",
-              finalSpeed: speed.toFixed(2),
-              bounces: object.userData.bounces,
-            });
+            if (this.verbose) {
+              console.log("Projectile stopped:", {
+                reason: speed <= 1.0 ? "low speed" : "max bounces reached",
+                finalSpeed: speed.toFixed(2),
+                bounces: object.userData.bounces,
+              });
+            }
           }
         }
 
         // Debug output
-        console.log("Projectile physics:", {
-          position: object.position.toArray().map((v) => v.toFixed(2)),
-          velocity: velocity.toArray().map((v) => v.toFixed(2)),
-          active: object.userData.active,
-          bounces: object.userData.bounces || 0,
-        });
+        if (this.verbose) {
+          console.log("Projectile physics:", {
+            position: object.position.toArray().map((v) => v.toFixed(2)),
+            velocity: velocity.toArray().map((v) => v.toFixed(2)),
+            active: object.userData.active,
+            bounces: object.userData.bounces || 0,
+          });
+        }
       }
     });
 
@@ -193,6 +249,11 @@ export class PhysicsEngine {
     physicsData.object.position.copy(
       Validation.sanitizeVector3(physicsData.object.position)
     );
+
+    const spin = physicsData.angularVelocity;
+    physicsData.object.rotation.x += spin.x * deltaTime;
+    physicsData.object.rotation.y += spin.y * deltaTime;
+    physicsData.object.rotation.z += spin.z * deltaTime;
   }
 
   checkCollisions(physicsData) {
@@ -200,8 +261,9 @@ export class PhysicsEngine {
     const vel = physicsData.velocity;
 
     // Ground collision
-    if (pos.y - physicsData.radius <= this.collisionBounds.ground) {
-      pos.y = this.collisionBounds.ground + physicsData.radius;
+    const ground = this.getGroundHeight(pos.x, pos.z);
+    if (pos.y - physicsData.radius <= ground) {
+      pos.y = ground + physicsData.radius;
 
       if (vel.y < 0) {
         vel.y = -vel.y * physicsData.restitution;
@@ -209,6 +271,7 @@ export class PhysicsEngine {
         // Apply friction when bouncing on ground
         vel.x *= physicsData.friction;
         vel.z *= physicsData.friction;
+        physicsData.angularVelocity.multiplyScalar(physicsData.friction);
 
         // Stop very small bounces
         if (Math.abs(vel.y) < 0.5) {
@@ -309,19 +372,21 @@ export class PhysicsEngine {
   }
 
   applyConstraints(physicsData) {
+    const position = physicsData.object.position;
+    const ground = this.getGroundHeight(position.x, position.z);
+
     // Stop very slow moving objects
     if (
       physicsData.velocity.length() < 0.1 &&
-      physicsData.object.position.y <=
-        this.collisionBounds.ground + physicsData.radius + 0.1
+      position.y <= ground + physicsData.radius + 0.1
     ) {
       physicsData.velocity.set(0, 0, 0);
+      physicsData.angularVelocity.set(0, 0, 0);
     }
 
     // Prevent objects from going underground
-    if (physicsData.object.position.y < this.collisionBounds.ground) {
-      physicsData.object.position.y =
-        this.collisionBounds.ground + physicsData.radius;
+    if (position.y < ground) {
+      position.y = ground + physicsData.radius;
       physicsData.velocity.y = 0;
     }
   }
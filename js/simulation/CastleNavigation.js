@@ -0,0 +1,143 @@
+import * as THREE from "three";
+
+const WALL_TOP = 10; // Height of the wall walk (see SceneManager.createWall)
+const JOIN_DISTANCE = 10; // Wall ends this close meet through a tower
+
+// Walkable graph over the castle's wall tops, for soldiers who have come
+// across the siege tower's bridge. Every top-row block still standing is a
+// node, linked to the blocks either side of it; the ends of walls that
+// meet at a corner are linked through the tower there. A breach cuts the
+// walk in two. The graph is a snapshot: build() it again after damage.
+export class CastleNavigation {
+  constructor(scene) {
+    this.scene = scene;
+    this.nodes = new Map(); // id -> node
+  }
+
+  static nodeId(wall, column) {
+    return `${wall.uuid}:${column}`;
+  }
+
+  build() {
+    this.nodes.clear();
+    const ends = [];
+
+    this.scene.children
+      .filter(
+        (child) => child.userData?.type === "wall" && child.userData.segmented
+      )
+      .forEach((wall) => {
+        wall.updateWorldMatrix(true, false);
+        const { rows, columns } = wall.userData;
+        const topBlocks = wall.children
+          .filter(
+            (part) =>
+              part.userData?.part === "block" && part.userData.row === rows - 1
+          )
+          .sort((a, b) => a.userData.column - b.userData.column);
+
+        let previous = null;
+        topBlocks.forEach((block) => {
+          const column = block.userData.column;
+          const node = {
+            id: CastleNavigation.nodeId(wall, column),
+            wall: wall,
+            column: column,
+            position: wall.localToWorld(
+              new THREE.Vector3(block.position.x, WALL_TOP, 0)
+            ),
+            links: [],
+          };
+          this.nodes.set(node.id, node);
+
+          if (previous && previous.column === column - 1) {
+            this.link(previous, node);
+          }
+          if (column === 0 || column === columns - 1) ends.push(node);
+          previous = node;
+        });
+      });
+
+    ends.forEach((a, i) =>
+      ends.slice(i + 1).forEach((b) => {
+        if (
+          a.wall !== b.wall &&
+          a.position.distanceTo(b.position) < JOIN_DISTANCE
+        ) {
+          this.link(a, b);
+        }
+      })
+    );
+    return this;
+  }
+
+  link(a, b) {
+    a.links.push(b);
+    b.links.push(a);
+  }
+
+  getNode(id) {
+    return this.nodes.get(id) || null;
+  }
+
+  // Node closest to point, within maxDistance
+  nearestNode(point, maxDistance = Infinity) {
+    let nearest = null;
+    let nearestDistance = maxDistance;
+    this.nodes.forEach((node) => {
+      const distance = node.position.distanceTo(point);
+      if (distance < nearestDistance) {
+        nearest = node;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // Every node that can be walked to from start, nearest (along the walk)
+  // first, start included
+  nodesByDistance(start) {
+    const distances = this.search(start).distances;
+    return [...distances.keys()].sort(
+      (a, b) => distances.get(a) - distances.get(b)
+    );
+  }
+
+  // Shortest walk from start to goal as a list of nodes, both ends
+  // included, or null when a breach is in the way
+  findPath(start, goal) {
+    const { previous } = this.search(start, goal);
+    if (start !== goal && !previous.has(goal)) return null;
+
+    const path = [goal];
+    while (path[0] !== start) path.unshift(previous.get(path[0]));
+    return path;
+  }
+
+  // A* towards goal; without one it runs to exhaustion (Dijkstra)
+  search(start, goal = null) {
+    const distances = new Map([[start, 0]]);
+    const previous = new Map();
+    const open = [start];
+    const estimate = (node) =>
+      distances.get(node) +
+      (goal ? node.position.distanceTo(goal.position) : 0);
+
+    while (open.length > 0) {
+      open.sort((a, b) => estimate(a) - estimate(b));
+      const node = open.shift();
+      if (node === goal) break;
+
+      node.links.forEach((next) => {
+        const distance =
+          distances.get(node) + node.position.distanceTo(next.position);
+        if (distance < (distances.get(next) ?? Infinity)) {
+          distances.set(next, distance);
+          previous.set(next, node);
+          if (!open.includes(next)) open.push(next);
+        }
+      });
+    }
+    return { distances, previous };
+  }
+}
@@ -0,0 +1,278 @@
+// Structures whose damage is tracked, and the ones that score (the siege
+// tower is the player's own)
+const TRACKED_TYPES = ["wall", "tower", "gate", "barrel", "rock", "siegeTower"];
+const SCORED_TYPES = ["wall", "tower", "gate", "barrel"];
+
+const SETTLE_TIME = 3; // Seconds left for the last shot to play out
+const CHAIN_BARREL_POINTS = 150;
+const WIN_POINTS = 1000;
+const SPARE_SHOT_POINTS = 250;
+const GATE_BONUS = 600; // For a gate breached at once, less 5 a second
+const GATE_BONUS_DECAY = 5;
+const SOLDIER_ON_WALL_POINTS = 100;
+
+// Objectives and score for one round of a scenario. It listens to the
+// world's targetDestroyed, targetDamaged and barrelExploded events and runs
+// on the world's fixed step, so a replayed round scores the same.
+//
+// A round is won when all of the scenario's winConditions are met, and lost
+// when its shotLimit runs out first. Scenarios without either are free
+// play: the scoreboard counts, but the round doesn't end.
+export class GameMode {
+  constructor(world) {
+    this.world = world;
+
+    // Called with the summary (see getSummary) when a round ends
+    this.onRoundEnd = null;
+
+    world.eventTarget.addEventListener("targetDestroyed", (event) =>
+      this.handleDestroyed(event.detail)
+    );
+    world.eventTarget.addEventListener("targetDamaged", (event) =>
+      this.handleDamaged(event.detail)
+    );
+    world.eventTarget.addEventListener("barrelExploded", (event) =>
+      this.handleBarrelExploded(event.detail)
+    );
+
+    this.reset();
+  }
+
+  // Start a round on the world's current scenario
+  reset() {
+    const scenario = this.world.scenario;
+    this.scenarioId = scenario?.id ?? null;
+    this.shotLimit = scenario?.shotLimit ?? null;
+    this.conditions = (scenario?.winConditions || []).map((condition) => ({
+      ...condition,
+      count: condition.count || 1,
+      progress: 0,
+    }));
+
+    this.startTime = this.world.elapsedTime;
+    this.shotsFired = 0;
+    this.damageByType = {};
+    this.destroyedByType = {};
+    this.breachedWalls = new Set();
+    this.barrelsExploded = 0;
+    this.barrelsChained = 0;
+    this.gateBreachTime = null;
+    this.bridgeOnWall = false;
+    this.soldiersOnWall = 0; // Most the siege tower's crew held at once
+
+    this.settleTimer = null;
+    this.isOver = false;
+    this.won = false;
+    this.endTime = null;
+  }
+
+  // The round's tallies, for a save
+  getState() {
+    return {
+      time: this.getElapsedTime(),
+      shotsFired: this.shotsFired,
+      damageByType: { ...this.damageByType },
+      destroyedByType: { ...this.destroyedByType },
+      barrelsExploded: this.barrelsExploded,
+      barrelsChained: this.barrelsChained,
+      gateBreachTime: this.gateBreachTime,
+      bridgeOnWall: this.bridgeOnWall,
+      soldiersOnWall: this.soldiersOnWall,
+      isOver: this.isOver,
+      won: this.won,
+      endTime: this.endTime,
+    };
+  }
+
+  // Carry on a saved round. Call once the world's walls are back as they
+  // were: the breaches are counted from them.
+  setState(state) {
+    this.reset();
+    this.startTime = this.world.elapsedTime - (state.time || 0);
+    this.shotsFired = state.shotsFired || 0;
+    this.damageByType = { ...state.damageByType };
+    this.destroyedByType = { ...state.destroyedByType };
+    this.barrelsExploded = state.barrelsExploded || 0;
+    this.barrelsChained = state.barrelsChained || 0;
+    this.gateBreachTime = state.gateBreachTime ?? null;
+    this.bridgeOnWall = Boolean(state.bridgeOnWall);
+    this.soldiersOnWall = state.soldiersOnWall || 0;
+    this.isOver = Boolean(state.isOver);
+    this.won = Boolean(state.won);
+    this.endTime = state.endTime ?? null;
+
+    const structuralDamage = this.world.collisionManager.structuralDamage;
+    this.world.scene.children
+      .filter(
+        (child) =>
+          child.userData?.type === "wall" && structuralDamage.isBreached(child)
+      )
+      .forEach((wall) => this.breachedWalls.add(wall));
+    this.conditions.forEach((condition) => {
+      condition.progress = Math.min(
+        this.getProgress(condition),
+        condition.count
+      );
+    });
+  }
+
+  canFire() {
+    return (
+      !this.isOver &&
+      (this.shotLimit === null || this.shotsFired < this.shotLimit)
+    );
+  }
+
+  recordShot() {
+    this.shotsFired++;
+  }
+
+  getShotsLeft() {
+    return this.shotLimit === null
+      ? null
+      : Math.max(0, this.shotLimit - this.shotsFired);
+  }
+
+  getElapsedTime() {
+    return this.world.elapsedTime - this.startTime;
+  }
+
+  handleDamaged({ type, amount, mesh }) {
+    if (this.isOver || !TRACKED_TYPES.includes(type)) return;
+    this.damageByType[type] = (this.damageByType[type] || 0) + amount;
+
+    if (
+      type === "wall" &&
+      !this.breachedWalls.has(mesh) &&
+      this.world.collisionManager.structuralDamage.isBreached(mesh)
+    ) {
+      this.breachedWalls.add(mesh);
+    }
+  }
+
+  handleDestroyed({ type }) {
+    if (this.isOver) return;
+    this.destroyedByType[type] = (this.destroyedByType[type] || 0) + 1;
+    if (type === "gate" && this.gateBreachTime === null) {
+      this.gateBreachTime = this.getElapsedTime();
+    }
+  }
+
+  handleBarrelExploded({ chained }) {
+    if (this.isOver) return;
+    this.barrelsExploded++;
+    if (chained) this.barrelsChained++;
+  }
+
+  // How far along a condition is, in the units of its count
+  getProgress(condition) {
+    if (condition.type === "bridgeOnWall") {
+      return this.bridgeOnWall ? 1 : 0;
+    }
+    if (condition.type === "takeWall") {
+      return this.soldiersOnWall;
+    }
+    switch (condition.target) {
+      case "wall":
+        // A breached wall counts as taken
+        return this.breachedWalls.size;
+      case "barrel":
+        return this.barrelsExploded;
+      default:
+        return this.destroyedByType[condition.target] || 0;
+    }
+  }
+
+  update(deltaTime) {
+    if (this.isOver) return;
+
+    const siegeTower = this.world.siegeTower;
+    if (!this.bridgeOnWall && siegeTower?.findBridgeWall()) {
+      this.bridgeOnWall = true;
+    }
+    this.soldiersOnWall = Math.max(
+      this.soldiersOnWall,
+      siegeTower?.getSoldiersOnWall() || 0
+    );
+    this.conditions.forEach((condition) => {
+      condition.progress = Math.min(
+        this.getProgress(condition),
+        condition.count
+      );
+    });
+
+    if (
+      this.conditions.length > 0 &&
+      this.conditions.every(
+        (condition) => condition.progress >= condition.count
+      )
+    ) {
+      this.endRound(true);
+      return;
+    }
+
+    // Out of shots: the round is lost once the last one has played out
+    if (this.shotLimit !== null && this.shotsFired >= this.shotLimit) {
+      const busy =
+        this.world.isSwinging() || this.world.getActiveProjectiles().length > 0;
+      if (busy) {
+        this.settleTimer = null;
+      } else {
+        this.settleTimer = (this.settleTimer ?? SETTLE_TIME) - deltaTime;
+        if (this.settleTimer <= 0) this.endRound(false);
+      }
+    }
+  }
+
+  endRound(won) {
+    this.isOver = true;
+    this.won = won;
+    this.endTime = this.getElapsedTime();
+    this.onRoundEnd?.(this.getSummary());
+  }
+
+  getScore() {
+    const damage = SCORED_TYPES.reduce(
+      (sum, type) => sum + (this.damageByType[type] || 0),
+      0
+    );
+    let score =
+      damage +
+      this.barrelsChained * CHAIN_BARREL_POINTS +
+      this.soldiersOnWall * SOLDIER_ON_WALL_POINTS;
+    if (this.gateBreachTime !== null) {
+      score += Math.max(0, GATE_BONUS - this.gateBreachTime * GATE_BONUS_DECAY);
+    }
+    if (this.won) {
+      score += WIN_POINTS + (this.getShotsLeft() || 0) * SPARE_SHOT_POINTS;
+    }
+    return Math.round(score);
+  }
+
+  // Live state for the scoreboard
+  getStats() {
+    return {
+      scenarioId: this.scenarioId,
+      shotsFired: this.shotsFired,
+      shotLimit: this.shotLimit,
+      damageByType: { ...this.damageByType },
+      barrelsChained: this.barrelsChained,
+      gateBreachTime: this.gateBreachTime,
+      soldiersOnWall: this.soldiersOnWall,
+      objectives: this.conditions.map((condition) => ({ ...condition })),
+      time: this.isOver ? this.endTime : this.getElapsedTime(),
+      score: this.getScore(),
+      isOver: this.isOver,
+      won: this.won,
+    };
+  }
+
+  getSummary() {
+    return {
+      ...this.getStats(),
+      destroyedByType: { ...this.destroyedByType },
+      wallsBreached: this.breachedWalls.size,
+      barrelsExploded: this.barrelsExploded,
+    };
+  }
+}
@@ -0,0 +1,33 @@
+import { Validation } from "../validation.js";
+
+// Small, fast seeded PRNG (mulberry32). Same seed -> same sequence on every
+// platform, which is what headless batch runs and replays rely on.
+export class SeededRandom {
+  constructor(seed = 1) {
+    this.seed = Validation.sanitizeNumber(seed, 1) >>> 0;
+    this.state = this.seed;
+  }
+
+  // Returns a float in [0, 1), same contract as Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  // Bound function that can be handed to Utils.setRandomSource()
+  asFunction() {
+    return () => this.next();
+  }
+
+  reset(seed = this.seed) {
+    this.seed = Validation.sanitizeNumber(seed, 1) >>> 0;
+    this.state = this.seed;
+  }
+}
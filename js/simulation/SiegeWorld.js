@@ -0,0 +1,632 @@
+import * as THREE from "three";
+import { PhysicsEngine } from "../physics.js";
+import { CollisionManager } from "../managers/CollisionManager.js";
+import { SceneManager } from "../managers/SceneManager.js";
+import { FireManager } from "../managers/FireManager.js";
+import { FuseManager } from "../managers/FuseManager.js";
+import { DefenderManager } from "../managers/DefenderManager.js";
+import { Catapult } from "../objects/catapult.js";
+import { Trebuchet, TREBUCHET_OFFSET } from "../objects/trebuchet.js";
+import { Ammunition } from "../objects/ammunition.js";
+import { SiegeTower } from "../objects/siegeTower.js";
+import { Utils } from "../utils.js";
+import { Validation } from "../validation.js";
+import { SeededRandom } from "./SeededRandom.js";
+import { SimulationClock } from "./SimulationClock.js";
+import { WindSystem } from "./WindSystem.js";
+import { WeatherSystem } from "./WeatherSystem.js";
+import { GameMode } from "./GameMode.js";
+import { Terrain, DEFAULT_TERRAIN, FLAT_TERRAIN } from "./Terrain.js";
+
+// What rebuildCastle() puts back; a save matches these up by position
+const CASTLE_TYPES = ["wall", "tower", "gate", "rock"];
+
+// The stone throwers, by scenario engine type (see SCENARIO_ENGINES)
+const ENGINE_CLASSES = { catapult: Catapult, trebuchet: Trebuchet };
+const DEFAULT_CATAPULT = { position: [-15, -15], rotation: 0 };
+
+// Lets pending async work (damage, destruction) settle between steps
+const yieldToEventLoop =
+  typeof setImmediate === "function"
+    ? () => new Promise((resolve) => setImmediate(resolve))
+    : () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Owns the simulated part of a siege: scene graph, physics, collision and the
+// siege engines. It has no renderer, camera or DOM dependency, so the same
+// world runs inside the browser app and headless under Node for batch runs.
+export class SiegeWorld {
+  constructor(options = {}) {
+    this.scene = options.scene || new THREE.Scene();
+    this.effectsManager = options.effectsManager || null;
+    this.verbose = options.verbose !== false;
+
+    // Injectable time and randomness. Defaults are fully deterministic.
+    this.clock = options.clock || new SimulationClock();
+    this.customRandom =
+      typeof options.random === "function" ? options.random : null;
+    this.reseed(Validation.sanitizeNumber(options.seed, 1));
+
+    this.fixedTimeStep = Validation.sanitizeNumber(
+      options.fixedTimeStep,
+      1 / 60
+    );
+    this.maxSubSteps = Validation.sanitizeNumber(options.maxSubSteps, 5);
+    this.accumulator = 0;
+    this.frame = 0;
+    this.elapsedTime = 0;
+
+    // Called with the frame number before each fixed step (replay playback)
+    this.onBeforeStep = null;
+
+    this.eventTarget =
+      options.eventTarget ||
+      (typeof window !== "undefined" ? window : new EventTarget());
+
+    this.wind = new WindSystem({ random: () => this.random() });
+    this.wind.randomize();
+    this.weather = new WeatherSystem();
+
+    // Shaped once SceneManager has made the noise its hills come from
+    this.terrain = new Terrain();
+    this.terrainVersion = null; // The shape the ground mesh was last fitted to
+
+    this.physicsEngine = new PhysicsEngine(this.scene, {
+      verbose: this.verbose,
+      wind: this.wind,
+      terrain: this.terrain,
+    });
+    this.collisionManager = new CollisionManager(
+      this.scene,
+      this.effectsManager,
+      {
+        clock: this.clock,
+        eventTarget: this.eventTarget,
+        random: () => this.random(),
+        verbose: this.verbose,
+        physicsEngine: this.physicsEngine,
+        terrain: this.terrain,
+      }
+    );
+    this.scene.collisionManager = this.collisionManager;
+    this.fireManager = new FireManager(
+      this.scene,
+      this.collisionManager,
+      this.effectsManager,
+      { weather: this.weather }
+    );
+    this.collisionManager.fireManager = this.fireManager;
+    this.fuseManager = new FuseManager(
+      this.scene,
+      this.collisionManager,
+      this.effectsManager
+    );
+    this.fireManager.fuseManager = this.fuseManager;
+    this.defenderManager = new DefenderManager(
+      this.scene,
+      this.collisionManager,
+      { random: () => this.random(), terrain: this.terrain }
+    );
+    // Batch runs can leave the castle unmanned; scenarios decide otherwise
+    this.defendersByDefault = options.defenders !== false;
+    this.defenderManager.setEnabled(this.defendersByDefault);
+    this.sceneManager = new SceneManager(this.scene, { terrain: this.terrain });
+    this.terrain.configure(DEFAULT_TERRAIN);
+
+    // Layout the castle is rebuilt from; null is the built-in castle
+    this.scenario = null;
+
+    // Objectives and score of the round in play
+    this.gameMode = new GameMode(this);
+
+    // Siege engines, created by createSiegeEngines(). engines are the ones
+    // that throw, in the scenario's order; catapult is the first catapult.
+    this.engineLayout = SiegeWorld.getEngineLayout(null);
+    this.engines = [];
+    this.catapult = null;
+    this.ammunition = null;
+    this.siegeTower = null;
+  }
+
+  // Gameplay rolls use world.random(); layout and cosmetic rolls (barrel
+  // placement, debris, particles) go through Utils.random() on a second
+  // stream, so effects animating in the background can't shift gameplay.
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    if (this.customRandom) {
+      this.random = this.customRandom;
+      Utils.setRandomSource(this.customRandom);
+      return;
+    }
+    this.random = new SeededRandom(this.seed).asFunction();
+    Utils.setRandomSource(
+      new SeededRandom((this.seed ^ 0x9e3779b9) >>> 0).asFunction()
+    );
+  }
+
+  // Ground, castle and siege engines. Torches and other purely visual
+  // pieces are left to the browser app.
+  buildDefaultScene() {
+    this.sceneManager.createGround();
+    this.sceneManager.createMedievalSquare();
+    this.createSiegeEngines();
+    this.setupCollisionTargets();
+    this.defenderManager.populate();
+  }
+
+  createSiegeEngines() {
+    this.createEngines();
+    this.ammunition = new Ammunition(this.scene, { terrain: this.terrain });
+    this.siegeTower = new SiegeTower(this.scene, {
+      eventTarget: this.eventTarget,
+      terrain: this.terrain,
+      weather: this.weather,
+    });
+  }
+
+  // Throwers for this.engineLayout, in place of any there were
+  createEngines() {
+    this.engines.forEach((engine) => engine.dispose());
+    this.engines = this.engineLayout.map(({ type }) => {
+      const EngineClass = ENGINE_CLASSES[type];
+      return new EngineClass(this.scene, {
+        clock: this.clock,
+        terrain: this.terrain,
+        weather: this.weather,
+      });
+    });
+    this.catapult =
+      this.engines.find((engine) => engine.type === "catapult") || null;
+    this.applyEngineStarts();
+  }
+
+  applyEngineStarts() {
+    this.engines.forEach((engine, index) => {
+      const { position, rotation = 0 } = this.engineLayout[index];
+      engine.setStartTransform(
+        position[0],
+        position[1],
+        Utils.degToRad(rotation)
+      );
+    });
+  }
+
+  // The throwers a scenario lines up ({ type, position, rotation } each):
+  // its engines list, or else its catapult with a trebuchet to its right
+  static getEngineLayout(scenario) {
+    if (scenario?.engines) return scenario.engines;
+    const catapult = scenario?.catapult || DEFAULT_CATAPULT;
+    const rotation = catapult.rotation || 0;
+    const angle = Utils.degToRad(rotation);
+    return [
+      { type: "catapult", position: catapult.position, rotation: rotation },
+      {
+        type: "trebuchet",
+        position: [
+          catapult.position[0] + Math.cos(angle) * TREBUCHET_OFFSET,
+          catapult.position[1] - Math.sin(angle) * TREBUCHET_OFFSET,
+        ],
+        rotation: rotation,
+      },
+    ];
+  }
+
+  // The thrower whose mesh this is, if any
+  getEngine(object) {
+    return this.engines.find((engine) => engine.mesh === object) || null;
+  }
+
+  // Whether any thrower is mid-swing
+  isSwinging() {
+    return this.engines.some((engine) => engine.isAnimating);
+  }
+
+  setupCollisionTargets() {
+    this.scene.traverse((object) => {
+      if (object.name === "ground") {
+        object.userData.type = "ground";
+      }
+      if (
+        object.name &&
+        (object.name.includes("wall") || object.name.includes("tower")) &&
+        !object.userData.type
+      ) {
+        object.userData.type = object.name;
+      }
+    });
+  }
+
+  // Feed variable frame time in; runs as many fixed steps as fit.
+  // Returns the number of steps taken.
+  advance(deltaTime, keys = {}, selectedObject = null) {
+    this.accumulator += Math.max(0, Validation.sanitizeNumber(deltaTime, 0));
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+      this.step(this.fixedTimeStep, keys, selectedObject);
+      this.accumulator -= this.fixedTimeStep;
+      steps++;
+    }
+
+    // Drop time we could not catch up on instead of spiralling
+    if (steps === this.maxSubSteps) {
+      this.accumulator = 0;
+    }
+    return steps;
+  }
+
+  step(deltaTime = this.fixedTimeStep, keys = {}, selectedObject = null) {
+    if (this.onBeforeStep) this.onBeforeStep(this.frame);
+    this.clock.advance(deltaTime * 1000);
+    this.wind.update(deltaTime);
+    this.weather.update(deltaTime);
+
+    const activeProjectiles = this.getActiveProjectiles();
+    if (activeProjectiles.length > 0) {
+      const collisionTargets =
+        this.collisionManager.collisionDetector.getCollisionTargets(this.scene);
+      this.collisionManager.checkCollisions(
+        activeProjectiles,
+        collisionTargets
+      );
+    }
+
+    this.physicsEngine.update(deltaTime);
+    this.followTerrain();
+    this.fireManager.update(deltaTime);
+    this.fuseManager.update(deltaTime);
+    this.defenderManager.update(
+      deltaTime,
+      [...this.engines, this.siegeTower].filter(Boolean)
+    );
+
+    this.engines.forEach((engine) =>
+      engine.update(deltaTime, keys, selectedObject)
+    );
+    if (this.ammunition) this.ammunition.update(deltaTime);
+    if (this.siegeTower)
+      this.siegeTower.update(deltaTime, keys, selectedObject);
+
+    this.frame++;
+    this.elapsedTime += deltaTime;
+    this.gameMode.update(deltaTime);
+  }
+
+  // Fixed steps with a yield after each one, so damage and destruction
+  // handlers (which are async) finish before the next step.
+  async runSteps(count, keys = {}, selectedObject = null) {
+    for (let i = 0; i < count; i++) {
+      this.step(this.fixedTimeStep, keys, selectedObject);
+      await yieldToEventLoop();
+    }
+  }
+
+  async runFor(seconds, keys = {}, selectedObject = null) {
+    const steps = Math.ceil(
+      Math.max(0, Validation.sanitizeNumber(seconds, 0)) / this.fixedTimeStep
+    );
+    await this.runSteps(steps, keys, selectedObject);
+  }
+
+  getActiveProjectiles() {
+    const projectiles = [];
+    this.scene.traverse((object) => {
+      if (
+        object.userData?.isProjectile &&
+        object.userData.active &&
+        !object.userData.hasCollided
+      ) {
+        projectiles.push(object);
+      }
+    });
+    return projectiles;
+  }
+
+  // Counts against the round's shot limit; false if the engine isn't
+  // ready or the round has no shots left
+  fireEngine(engine, tension) {
+    if (!engine || !engine.isReadyToFire()) return false;
+    if (!this.gameMode.canFire()) return false;
+    engine.fire(Utils.clamp(Validation.sanitizeNumber(tension, 50), 10, 100));
+    this.gameMode.recordShot();
+    return true;
+  }
+
+  fireCatapult(tension) {
+    return this.fireEngine(this.catapult, tension);
+  }
+
+  // Fire one shot and run until the stone comes to rest (or maxSeconds).
+  // Resolves with where it landed and what it destroyed on the way.
+  async simulateShot(tension, options = {}) {
+    const maxSeconds = Validation.sanitizeNumber(options.maxSeconds, 15);
+    const projectile = this.catapult?.projectile;
+    if (!projectile || !this.fireCatapult(tension)) {
+      return null;
+    }
+
+    const destroyed = [];
+    const onDestroyed = (event) => {
+      destroyed.push({
+        type: event.detail.type,
+        position: event.detail.position.toArray(),
+      });
+    };
+    this.eventTarget.addEventListener("targetDestroyed", onDestroyed);
+
+    const startTime = this.elapsedTime;
+    let launched = false;
+    while (this.elapsedTime - startTime < maxSeconds) {
+      await this.runSteps(1);
+      if (projectile.userData.active) launched = true;
+      if (
+        launched &&
+        (projectile.userData.hasCollided || !projectile.userData.active)
+      ) {
+        break;
+      }
+    }
+
+    const flightTime = this.elapsedTime - startTime;
+    const landedAt = projectile.position.toArray();
+
+    // Let chain reactions triggered by the impact play out
+    await this.runFor(options.settleSeconds ?? 1);
+    this.eventTarget.removeEventListener("targetDestroyed", onDestroyed);
+
+    return {
+      tension: tension,
+      landedAt: landedAt,
+      flightTime: flightTime,
+      bounces: projectile.userData.bounces || 0,
+      destroyed: destroyed,
+    };
+  }
+
+  // Health of every damageable structure still in the scene
+  getTargetSummary() {
+    const summary = [];
+    this.scene.children.forEach((child) => {
+      const type = child.userData?.type;
+      if (!type || type === "ground") return;
+      summary.push({
+        type: type,
+        position: child.position.toArray(),
+        health: child.userData.health ?? null,
+        maxHealth: child.userData.maxHealth ?? null,
+      });
+    });
+    return summary;
+  }
+
+  // Use a scenario (see Validation.validateScenario) from the next
+  // reset({ rebuildCastle: true }) on: its terrain, castle, barrels, start
+  // positions and wind. Its weather sets in at once. null goes back to the
+  // built-in castle. Returns the errors that kept it from loading; nothing
+  // changes unless the list is empty.
+  loadScenario(scenario) {
+    if (scenario) {
+      const errors = Validation.validateScenario(scenario);
+      if (errors.length > 0) return errors;
+    }
+    this.scenario = scenario || null;
+
+    const startOf = (start) =>
+      start
+        ? [
+            start.position[0],
+            start.position[1],
+            Utils.degToRad(start.rotation || 0),
+          ]
+        : [];
+    this.ammunition?.setBarrelLayout(scenario ? scenario.barrels || [] : null);
+    this.setEngineLayout(SiegeWorld.getEngineLayout(scenario));
+    this.siegeTower?.setStartTransform(...startOf(scenario?.siegeTower));
+
+    this.defenderManager.setEnabled(
+      scenario?.defenders ?? this.defendersByDefault
+    );
+
+    // A scenario's wind holds for every round until another one is loaded
+    if (scenario?.wind) {
+      this.wind.setSettings(scenario.wind);
+      this.wind.setLocked(true);
+    } else {
+      this.wind.setLocked(false);
+    }
+    this.weather.setType(scenario?.weather || "clear", true);
+    return [];
+  }
+
+  // Engines that are already built are only moved to their new starts,
+  // unless the scenario wants different ones
+  setEngineLayout(layout) {
+    const types = (list) => list.map((entry) => entry.type).join();
+    const rebuild =
+      this.engines.length > 0 && types(layout) !== types(this.engineLayout);
+    this.engineLayout = layout;
+    if (rebuild) {
+      this.createEngines();
+    } else {
+      this.applyEngineStarts();
+    }
+  }
+
+  // Reshape the ground for the scenario in use: the built-in castle has
+  // its hills and moat, scenarios without a terrain are flat
+  applyTerrain() {
+    const scenario = this.scenario;
+    this.terrain.configure(
+      scenario ? scenario.terrain || FLAT_TERRAIN : DEFAULT_TERRAIN
+    );
+    this.sceneManager.createMoatWater();
+    this.followTerrain();
+  }
+
+  // Once craters (or a new scenario) have changed the terrain, the ground
+  // mesh is fitted to it again and the engines settle onto the new ground.
+  // A docked siege tower stays where it is.
+  followTerrain() {
+    if (this.terrain.version === this.terrainVersion) return;
+    this.terrainVersion = this.terrain.version;
+    this.sceneManager.updateGround();
+    this.engines.forEach((engine) => engine.settle());
+    if (this.siegeTower && !this.siegeTower.dock) this.siegeTower.settle();
+  }
+
+  // Clear away what is left of the walls, towers, gates and rocks and build
+  // the castle again at full health, with a fresh set of defenders
+  rebuildCastle() {
+    const castleParts = this.getCastleParts();
+    castleParts.forEach((child) => this.scene.remove(child));
+    this.collisionManager.structuralDamage.clearRubble();
+    if (this.scenario) {
+      this.sceneManager.createCastle(this.scenario);
+    } else {
+      this.sceneManager.createMedievalSquare();
+    }
+    this.setupCollisionTargets();
+    this.defenderManager.populate();
+  }
+
+  getCastleParts() {
+    return this.scene.children.filter((child) =>
+      CASTLE_TYPES.includes(child.userData?.type)
+    );
+  }
+
+  // The siege as it stands, as plain data for a save (see setState).
+  // Shots in flight, fires and the defenders' losses are not kept.
+  getState() {
+    const structuralDamage = this.collisionManager.structuralDamage;
+    return {
+      scenario: this.scenario,
+      wind: this.wind.getSettings(),
+      windLocked: this.wind.locked,
+      weather: this.weather.getSettings(),
+      craters: this.terrain.getCraters(),
+      castle: this.getCastleParts().map((child) => ({
+        type: child.userData.type,
+        position: [child.position.x, child.position.z],
+        health: child.userData.health ?? null,
+        maxHealth: child.userData.maxHealth ?? null,
+        ...(structuralDamage.isSegmented(child)
+          ? structuralDamage.getState(child)
+          : {}),
+      })),
+      barrels: this.ammunition?.getState() || [],
+      engines: this.engines.map((engine) => engine.getState()),
+      siegeTower: this.siegeTower?.getState() || null,
+      round: this.gameMode.getState(),
+    };
+  }
+
+  // Load the scenario a state from getState() was taken in, build it
+  // afresh and bring it to that state: castle pieces missing from the
+  // state were destroyed, the rest get their health back. Returns the
+  // scenario's errors; nothing changes unless the list is empty.
+  setState(state) {
+    const errors = this.loadScenario(state.scenario);
+    if (errors.length > 0) return errors;
+    this.reset({ rebuildCastle: true });
+
+    // Ground first: barrels and engines stand on it
+    this.terrain.setCraters(state.craters || []);
+    this.followTerrain();
+
+    const structuralDamage = this.collisionManager.structuralDamage;
+    const saved = [...state.castle];
+    this.getCastleParts().forEach((child) => {
+      const index = saved.findIndex(
+        (piece) =>
+          piece.type === child.userData.type &&
+          Math.abs(piece.position[0] - child.position.x) < 0.01 &&
+          Math.abs(piece.position[1] - child.position.z) < 0.01
+      );
+      if (index < 0) {
+        this.scene.remove(child);
+        return;
+      }
+      const piece = saved.splice(index, 1)[0];
+      if (structuralDamage.isSegmented(child)) {
+        structuralDamage.setState(child, piece);
+      } else if (piece.health !== null) {
+        child.userData.health = piece.health;
+        child.userData.maxHealth = piece.maxHealth;
+      }
+    });
+    // Nobody is left on the towers that fell
+    this.defenderManager.populate();
+
+    this.ammunition?.setState(state.barrels);
+    // Armed barrels burn on from where their fuses had got to; saves from
+    // before there were fuses light them afresh
+    this.ammunition?.barrels
+      .filter((barrel) => barrel.userData.explosive)
+      .forEach((barrel) =>
+        this.fuseManager.light(barrel, barrel.userData.fuse)
+      );
+    // Saves from before there were several engines only had the catapult
+    const engines = state.engines || (state.catapult ? [state.catapult] : []);
+    engines.forEach((saved, index) => {
+      const engine = this.engines[index];
+      if (engine && engine.type === (saved.type || "catapult")) {
+        engine.setState(saved);
+      }
+    });
+    if (state.siegeTower) this.siegeTower?.setState(state.siegeTower);
+
+    this.wind.setSettings(state.wind);
+    this.wind.setLocked(state.windLocked);
+    // Saves from before the weather have the scenario's
+    if (state.weather) this.weather.setSettings(state.weather);
+    this.gameMode.setState(state.round);
+    this.collisionManager.clearCache();
+    return [];
+  }
+
+  // Options:
+  //   seed          restart the clock and random streams (replays do this)
+  //   rebuildCastle reshape the terrain, restore destroyed walls and towers
+  //                 and their defenders, clear the rubble
+  // Either way a new round starts (see GameMode).
+  reset(options = {}) {
+    if (options.seed !== undefined) {
+      // Pending timers (chain reactions in flight) would leak into the
+      // fresh run, so a reseeded world also starts from a clean clock
+      this.clock.reset();
+      this.reseed(Validation.sanitizeNumber(options.seed, this.seed));
+    }
+    this.physicsEngine.reset();
+    this.collisionManager.structuralDamage.restoreRubble();
+    this.fireManager.clear();
+    this.fuseManager.clear();
+    this.defenderManager.clearArrows();
+    this.wind.newRound();
+
+    const projectiles = [];
+    this.scene.traverse((child) => {
+      if (child.userData && child.userData.isProjectile) {
+        projectiles.push(child);
+      }
+    });
+    projectiles.forEach((child) => {
+      if (child.material) child.material.dispose();
+      if (child.geometry) child.geometry.dispose();
+      if (child.parent) child.parent.remove(child);
+    });
+
+    // Before the engines go back to their start, so they settle on the
+    // new ground
+    if (options.rebuildCastle) this.applyTerrain();
+
+    this.engines.forEach((engine) => engine.reset());
+    if (this.ammunition) this.ammunition.reset();
+    if (this.siegeTower) this.siegeTower.reset();
+
+    if (options.rebuildCastle) this.rebuildCastle();
+
+    this.collisionManager.clearCache();
+    this.accumulator = 0;
+    this.gameMode.reset();
+  }
+}
@@ -0,0 +1,98 @@
+// Clocks used by the simulation for timestamps and delayed callbacks
+// (projectile cleanup, chain reactions, catapult reload).
+//
+// RealTimeClock forwards to the browser timers. SimulationClock keeps its own
+// virtual time that only moves when advance() is called, so a fixed-step run
+// fires every timer at the same simulated moment no matter how fast it runs.
+
+export class RealTimeClock {
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(callback, delay = 0) {
+    return setTimeout(callback, delay);
+  }
+
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+
+  advance() {
+    // Wall clock time advances on its own
+  }
+
+  reset() {}
+}
+
+export class SimulationClock {
+  constructor(startTime = 0) {
+    this.startTime = startTime;
+    this.time = startTime;
+    this.timers = [];
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay = 0) {
+    const id = this.nextTimerId++;
+    this.timers.push({
+      id: id,
+      dueTime: this.time + Math.max(0, delay || 0),
+      callback: callback,
+    });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers = this.timers.filter((timer) => timer.id !== id);
+  }
+
+  // Move virtual time forward by `milliseconds`, running due timers in order
+  advance(milliseconds) {
+    const targetTime = this.time + Math.max(0, milliseconds || 0);
+
+    let timer = this.takeNextDueTimer(targetTime);
+    while (timer) {
+      this.time = Math.max(this.time, timer.dueTime);
+      try {
+        timer.callback();
+      } catch (error) {
+        console.warn("Simulation timer callback failed:", error);
+      }
+      timer = this.takeNextDueTimer(targetTime);
+    }
+
+    this.time = targetTime;
+  }
+
+  takeNextDueTimer(targetTime) {
+    let nextIndex = -1;
+    for (let i = 0; i < this.timers.length; i++) {
+      const timer = this.timers[i];
+      if (timer.dueTime > targetTime) continue;
+      if (
+        nextIndex === -1 ||
+        timer.dueTime < this.timers[nextIndex].dueTime ||
+        (timer.dueTime === this.timers[nextIndex].dueTime &&
+          timer.id < this.timers[nextIndex].id)
+      ) {
+        nextIndex = i;
+      }
+    }
+    if (nextIndex === -1) return null;
+    return this.timers.splice(nextIndex, 1)[0];
+  }
+
+  getPendingTimerCount() {
+    return this.timers.length;
+  }
+
+  reset() {
+    this.time = this.startTime;
+    this.timers = [];
+  }
+}
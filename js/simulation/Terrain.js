@@ -0,0 +1,362 @@
+import * as THREE from "three";
+
+const SIZE = 200; // Metres a side, as the old flat ground plane
+const SEGMENTS = 200; // Grid cells a side, one metre each
+const SHORE_WIDTH = 10; // The island's edge slopes down into the sea over this
+const SHORE_DEPTH = 3;
+const PLATEAU_BLEND = 15; // Metres over which the hills rise from the plateau
+const CAUSEWAY_BLEND = 2;
+const SLOPE_STEP = 0.5; // Half the distance slopes and normals are measured over
+
+// Wheeled engines, see getTraction()
+const SLOPE_DRAG = 0.8; // Speed lost per unit of grade, up or down
+const MIN_TRACTION = 0.3;
+const BOGGED_DEPTH = 0.5; // Water this deep and the wheels are stuck
+
+const CRATER_FLOOR = -SHORE_DEPTH; // Craters dig no deeper than the sea floor
+
+export const SEA_LEVEL = -2;
+
+// Flat ground: scenarios that don't describe their terrain
+export const FLAT_TERRAIN = {
+  hills: 0,
+  plateau: 0,
+  heightmap: null,
+  moat: null,
+  ditches: [],
+};
+
+// The built-in castle's surroundings: rolling hills beyond a flat square
+// for the castle, a moat with a causeway up to the gate, and a dry ditch
+// across the western field
+export const DEFAULT_TERRAIN = {
+  hills: 4,
+  plateau: 36,
+  heightmap: null,
+  moat: { size: 44, width: 7, depth: 3, waterLevel: -1, causeways: [90] },
+  ditches: [{ from: [-80, -20], to: [-60, 45], width: 5, depth: 1.5 }],
+};
+
+const MOAT_DEFAULTS = { waterLevel: -1, causeways: [], causewayWidth: 8 };
+
+const smoothstep = (edge0, edge1, x) =>
+  THREE.MathUtils.smoothstep(x, edge0, edge1);
+
+// Ground heights over the island, sampled on a grid and interpolated in
+// between. Physics, collisions and the wheeled engines ask it for the
+// height, slope and water under a point.
+//
+// The shape is rebuilt from settings (see FLAT_TERRAIN): hills from a height
+// source scaled to settings.hills, flattened to 0 inside a square plateau
+// around the middle of the map, then the moat (a square ring of water with
+// causeways across it, directions in degrees as for wall rotations) and
+// ditches dug into that. The height source is SceneManager's noise texture,
+// or a heightmap image registered under the name settings.heightmap uses.
+// Craters (addCrater) are dug into the built shape and last until the next
+// build.
+export class Terrain {
+  constructor() {
+    this.size = SIZE;
+    this.segments = SEGMENTS;
+    this.cellSize = SIZE / SEGMENTS;
+    this.heights = new Float32Array((SEGMENTS + 1) * (SEGMENTS + 1));
+    this.settings = FLAT_TERRAIN;
+    this.noiseSource = null;
+    this.heightmaps = new Map(); // name -> height source
+    this.craters = []; // { x, z, radius, depth } dug since the last build
+    this.version = 0; // Goes up whenever the heights change
+  }
+
+  // A height source is { width, height, data, channels }: rows of pixels,
+  // the first channel of each read as 0 (low) to 255 (high)
+  static sourceFromTexture(texture) {
+    const { width, height, data } = texture.image;
+    return { width, height, data, channels: 4 };
+  }
+
+  // Browser only: reads the pixels back through a canvas
+  static sourceFromImage(image) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext("2d");
+    context.drawImage(image, 0, 0);
+    const { data } = context.getImageData(0, 0, image.width, image.height);
+    return { width: image.width, height: image.height, data, channels: 4 };
+  }
+
+  setNoiseSource(source) {
+    this.noiseSource = source;
+  }
+
+  addHeightmap(name, source) {
+    this.heightmaps.set(name, source);
+  }
+
+  // Rebuild the heights from settings; missing keys are flat
+  configure(settings) {
+    this.settings = { ...FLAT_TERRAIN, ...(settings || {}) };
+    if (this.settings.moat) {
+      this.settings.moat = { ...MOAT_DEFAULTS, ...this.settings.moat };
+    }
+    this.build();
+  }
+
+  build() {
+    const { heightmap } = this.settings;
+    let source = this.noiseSource;
+    if (heightmap) {
+      source = this.heightmaps.get(heightmap) || source;
+      if (!this.heightmaps.has(heightmap)) {
+        console.warn(`⚠️ Heightmap ${heightmap} not loaded, using noise`);
+      }
+    }
+
+    const half = this.size / 2;
+    for (let row = 0; row <= this.segments; row++) {
+      for (let column = 0; column <= this.segments; column++) {
+        const x = column * this.cellSize - half;
+        const z = row * this.cellSize - half;
+        this.heights[row * (this.segments + 1) + column] = this.shapeAt(
+          x,
+          z,
+          source
+        );
+      }
+    }
+    this.craters = [];
+    this.version++;
+  }
+
+  // A bowl radius metres across and depth metres deep at its middle,
+  // sunk into the ground around (x, z)
+  addCrater(x, z, radius, depth) {
+    const crater = { x, z, radius, depth };
+    this.craters.push(crater);
+    this.digCrater(crater);
+    this.version++;
+    return crater;
+  }
+
+  digCrater({ x, z, radius, depth }) {
+    const half = this.size / 2;
+    const toGrid = (value) => (value + half) / this.cellSize;
+    const first = (value) =>
+      THREE.MathUtils.clamp(
+        Math.ceil(toGrid(value - radius)),
+        0,
+        this.segments
+      );
+    const last = (value) =>
+      THREE.MathUtils.clamp(
+        Math.floor(toGrid(value + radius)),
+        0,
+        this.segments
+      );
+
+    for (let row = first(z); row <= last(z); row++) {
+      for (let column = first(x); column <= last(x); column++) {
+        const distance = Math.hypot(
+          column * this.cellSize - half - x,
+          row * this.cellSize - half - z
+        );
+        if (distance >= radius) continue;
+        const index = row * (this.segments + 1) + column;
+        const dip = depth * Math.cos((Math.PI * distance) / (2 * radius)) ** 2;
+        this.heights[index] = Math.max(this.heights[index] - dip, CRATER_FLOOR);
+      }
+    }
+  }
+
+  // Craters as plain data, for saving; setCraters() digs them again
+  getCraters() {
+    return this.craters.map((crater) => ({ ...crater }));
+  }
+
+  // Back to the built shape, then dig craters (from getCraters()) into it
+  setCraters(craters) {
+    this.build();
+    craters.forEach(({ x, z, radius, depth }) =>
+      this.addCrater(x, z, radius, depth)
+    );
+  }
+
+  shapeAt(x, z, source) {
+    const { hills, plateau, moat, ditches } = this.settings;
+    const half = this.size / 2;
+    const fromMiddle = Math.max(Math.abs(x), Math.abs(z));
+
+    let height = 0;
+    if (hills > 0 && source) {
+      const rise =
+        plateau > 0
+          ? smoothstep(plateau, plateau + PLATEAU_BLEND, fromMiddle)
+          : 1;
+      height =
+        hills *
+        rise *
+        this.sampleSource(
+          source,
+          (x + half) / this.size,
+          (z + half) / this.size
+        );
+    }
+
+    if (moat) {
+      const depth = this.getMoatDepth(x, z, fromMiddle);
+      height += (-moat.depth - height) * depth;
+    }
+
+    ditches.forEach(({ from, to, width, depth }) => {
+      const distance = this.distanceToSegment(x, z, from, to);
+      if (distance >= width / 2) return;
+      height -=
+        depth * (0.5 + 0.5 * Math.cos((Math.PI * distance) / (width / 2)));
+    });
+
+    // The island's edge
+    const shore = smoothstep(half - SHORE_WIDTH, half, fromMiddle);
+    return height + (-SHORE_DEPTH - height) * shore;
+  }
+
+  // 0 outside the moat, 1 on its bed, in between on the banks
+  getMoatDepth(x, z, fromMiddle = Math.max(Math.abs(x), Math.abs(z))) {
+    const { size, width, causeways, causewayWidth } = this.settings.moat;
+    const bank = width / 4;
+    let depth =
+      smoothstep(0, bank, fromMiddle - size) *
+      smoothstep(0, bank, size + width - fromMiddle);
+    if (depth === 0) return 0;
+
+    causeways.forEach((degrees) => {
+      const angle = THREE.MathUtils.degToRad(degrees);
+      const dx = Math.sin(angle);
+      const dz = Math.cos(angle);
+      if (x * dx + z * dz <= 0) return; // The other side of the castle
+      const across = Math.abs(x * dz - z * dx);
+      depth *= smoothstep(
+        causewayWidth / 2,
+        causewayWidth / 2 + CAUSEWAY_BLEND,
+        across
+      );
+    });
+    return depth;
+  }
+
+  distanceToSegment(x, z, from, to) {
+    const dx = to[0] - from[0];
+    const dz = to[1] - from[1];
+    const lengthSquared = dx * dx + dz * dz;
+    const t =
+      lengthSquared > 0
+        ? THREE.MathUtils.clamp(
+            ((x - from[0]) * dx + (z - from[1]) * dz) / lengthSquared,
+            0,
+            1
+          )
+        : 0;
+    return Math.hypot(x - (from[0] + t * dx), z - (from[1] + t * dz));
+  }
+
+  // Bilinear read of the source's first channel, 0 to 1; u and v run
+  // across the map from -x and -z
+  sampleSource(source, u, v) {
+    const { width, height, data, channels } = source;
+    const fx = THREE.MathUtils.clamp(u, 0, 1) * (width - 1);
+    const fy = THREE.MathUtils.clamp(v, 0, 1) * (height - 1);
+    const x0 = Math.floor(fx);
+    const y0 = Math.floor(fy);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const at = (px, py) => data[(py * width + px) * channels] / 255;
+    const top = THREE.MathUtils.lerp(at(x0, y0), at(x1, y0), fx - x0);
+    const bottom = THREE.MathUtils.lerp(at(x0, y1), at(x1, y1), fx - x0);
+    return THREE.MathUtils.lerp(top, bottom, fy - y0);
+  }
+
+  // Ground height under (x, z); the sea floor off the island
+  getHeight(x, z) {
+    const half = this.size / 2;
+    const gx = (x + half) / this.cellSize;
+    const gz = (z + half) / this.cellSize;
+    if (gx < 0 || gz < 0 || gx > this.segments || gz > this.segments) {
+      return -SHORE_DEPTH;
+    }
+
+    const column = Math.min(Math.floor(gx), this.segments - 1);
+    const row = Math.min(Math.floor(gz), this.segments - 1);
+    const tx = gx - column;
+    const tz = gz - row;
+    const stride = this.segments + 1;
+    const index = row * stride + column;
+    const top = THREE.MathUtils.lerp(
+      this.heights[index],
+      this.heights[index + 1],
+      tx
+    );
+    const bottom = THREE.MathUtils.lerp(
+      this.heights[index + stride],
+      this.heights[index + stride + 1],
+      tx
+    );
+    return THREE.MathUtils.lerp(top, bottom, tz);
+  }
+
+  // Up-facing unit normal of the ground at (x, z)
+  getNormal(x, z, target = new THREE.Vector3()) {
+    const dx =
+      this.getHeight(x + SLOPE_STEP, z) - this.getHeight(x - SLOPE_STEP, z);
+    const dz =
+      this.getHeight(x, z + SLOPE_STEP) - this.getHeight(x, z - SLOPE_STEP);
+    return target.set(-dx, 2 * SLOPE_STEP, -dz).normalize();
+  }
+
+  // Rise over run heading along direction (horizontal, unit length) from
+  // (x, z): positive uphill, negative downhill
+  getGrade(x, z, direction) {
+    const ahead = this.getHeight(
+      x + direction.x * SLOPE_STEP,
+      z + direction.z * SLOPE_STEP
+    );
+    const behind = this.getHeight(
+      x - direction.x * SLOPE_STEP,
+      z - direction.z * SLOPE_STEP
+    );
+    return (ahead - behind) / (2 * SLOPE_STEP);
+  }
+
+  // Surface of the water over (x, z), if the ground there is under it: the
+  // moat's inside its ring, the sea's anywhere else
+  getWaterLevel(x, z) {
+    const moat = this.settings.moat;
+    if (moat && this.getMoatDepth(x, z) > 0) return moat.waterLevel;
+    return SEA_LEVEL;
+  }
+
+  // How deep the water over (x, z) is, 0 on dry ground
+  getWaterDepth(x, z) {
+    return Math.max(this.getWaterLevel(x, z) - this.getHeight(x, z), 0);
+  }
+
+  // Average ground height under points ([x, z] pairs, e.g. an engine's
+  // wheels) placed around (x, z) and turned by rotation about the y axis
+  getHeightUnder(x, z, rotation, points) {
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const total = points.reduce(
+      (sum, [px, pz]) =>
+        sum + this.getHeight(x + px * cos + pz * sin, z - px * sin + pz * cos),
+      0
+    );
+    return total / points.length;
+  }
+
+  // Share of its speed on flat ground a wheeled engine keeps heading along
+  // direction from (x, z). Slopes slow it either way (it has to be held
+  // back going down), and it is stuck once the water is over its axles.
+  getTraction(x, z, direction) {
+    if (this.getWaterDepth(x, z) > BOGGED_DEPTH) return 0;
+    const grade = Math.abs(this.getGrade(x, z, direction));
+    return Math.max(1 - SLOPE_DRAG * grade, MIN_TRACTION);
+  }
+}
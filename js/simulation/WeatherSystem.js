@@ -0,0 +1,131 @@
+import * as THREE from "three";
+import { Utils } from "../utils.js";
+import { Validation, SCENARIO_WEATHER } from "../validation.js";
+
+// What each weather brings in full: how hard rain and snow fall and how
+// thick the fog is (0-1), and how wet it leaves the ground in the end
+const CONDITIONS = {
+  clear: { rain: 0, snow: 0, fog: 0, wetness: 0 },
+  rain: { rain: 1, snow: 0, fog: 0.25, wetness: 1 },
+  fog: { rain: 0, snow: 0, fog: 1, wetness: 0.3 },
+  snow: { rain: 0, snow: 1, fog: 0.35, wetness: 0.5 },
+};
+
+const TRANSITION_TIME = 30; // Seconds one weather takes to give way to the next
+const SOAK_TIME = 40; // Seconds for the ground to get wet through, or dry out
+const SNOW_TIME = 90; // Seconds for snow to lie in full, or melt away
+
+// Rain and wet wood hold fires back: at most this share of the heat that
+// spreads them and sets things alight is lost
+const FIRE_DAMPING = 0.6;
+
+// Traction kept on soaked ground, and under a full cover of snow
+const WET_GRIP = 0.7;
+const SNOW_GRIP = 0.75;
+
+const approach = (value, target, step) =>
+  value < target
+    ? Math.min(value + step, target)
+    : Math.max(value - step, target);
+
+// Rain, fog banks and snow. A change of weather blends in over
+// TRANSITION_TIME; the ground soaks and dries, and snow settles and melts,
+// more slowly still. Everything is a function of the world's fixed steps,
+// so a seeded world has the same weather on every run.
+//
+// Rain and wet ground damp fires (getFireFactor) and wet or snowy ground
+// makes wheels slip (getGroundGrip). The rest, particles, fog and the
+// ground's colour, is for the browser (see WeatherEffects).
+export class WeatherSystem {
+  constructor() {
+    this.type = "clear";
+    this.from = { ...CONDITIONS.clear }; // What fell when the change began
+    this.transition = 1; // 0 at a change, 1 once the new weather is in
+    this.wetness = 0; // Of the ground, 0-1
+    this.snowCover = 0; // 0-1
+  }
+
+  // One of SCENARIO_WEATHER. Changes blend in from what falls now, unless
+  // immediate: then it is as if it had been that way for hours.
+  setType(type, immediate = false) {
+    if (!SCENARIO_WEATHER.includes(type)) type = "clear";
+    if (immediate) {
+      this.type = type;
+      this.from = { ...CONDITIONS[type] };
+      this.transition = 1;
+      this.wetness = CONDITIONS[type].wetness;
+      this.snowCover = CONDITIONS[type].snow;
+      return;
+    }
+    if (type === this.type) return;
+    this.from = this.getConditions();
+    this.type = type;
+    this.transition = 0;
+  }
+
+  update(deltaTime) {
+    this.transition = Math.min(
+      this.transition + deltaTime / TRANSITION_TIME,
+      1
+    );
+    const conditions = this.getConditions();
+    this.wetness = approach(
+      this.wetness,
+      conditions.wetness,
+      deltaTime / SOAK_TIME
+    );
+    this.snowCover = approach(
+      this.snowCover,
+      conditions.snow,
+      deltaTime / SNOW_TIME
+    );
+  }
+
+  // { rain, snow, fog, wetness } falling right now, the last the wetness
+  // the ground is heading for
+  getConditions() {
+    const t = THREE.MathUtils.smoothstep(this.transition, 0, 1);
+    const to = CONDITIONS[this.type];
+    const conditions = {};
+    Object.keys(to).forEach((key) => {
+      conditions[key] = THREE.MathUtils.lerp(this.from[key], to[key], t);
+    });
+    return conditions;
+  }
+
+  // Multiplier for the heat that spreads fires and lights them, 1 when dry
+  getFireFactor() {
+    const damp = Math.max(this.getConditions().rain, this.wetness);
+    return 1 - FIRE_DAMPING * damp;
+  }
+
+  // Multiplier for wheeled engines' traction, 1 on dry ground
+  getGroundGrip() {
+    return (
+      (1 - (1 - WET_GRIP) * this.wetness) *
+      (1 - (1 - SNOW_GRIP) * this.snowCover)
+    );
+  }
+
+  getSettings() {
+    return {
+      type: this.type,
+      from: { ...this.from },
+      transition: this.transition,
+      wetness: this.wetness,
+      snowCover: this.snowCover,
+    };
+  }
+
+  setSettings(settings = {}) {
+    this.setType(settings.type, true);
+    const fraction = (value, fallback) =>
+      Utils.clamp(Validation.sanitizeNumber(value, fallback), 0, 1);
+    Object.keys(this.from).forEach((key) => {
+      this.from[key] = fraction(settings.from?.[key], this.from[key]);
+    });
+    this.transition = fraction(settings.transition, 1);
+    this.wetness = fraction(settings.wetness, this.wetness);
+    this.snowCover = fraction(settings.snowCover, this.snowCover);
+  }
+}
@@ -0,0 +1,124 @@
+import * as THREE from "three";
+import { Utils } from "../utils.js";
+import { Validation } from "../validation.js";
+
+// Global wind: a steady direction and strength per round, plus gusts that
+// swell and veer over time. Direction is where the wind blows towards, in
+// radians on the ground plane (x = cos, z = sin), the same convention as
+// Utils.calculateWindEffect. Gusts are smooth functions of world time, so a
+// seeded world blows the same way on every run.
+export class WindSystem {
+  constructor(options = {}) {
+    this.random = options.random || (() => Utils.random());
+    this.maxStrength = Validation.sanitizeNumber(options.maxStrength, 10); // m/s
+    this.projectileInfluence = 0.08; // Scales Utils.calculateWindEffect into an acceleration
+
+    // Steady wind for the round
+    this.direction = 0;
+    this.strength = 0;
+    this.gustiness = 0; // 0 = steady, 1 = strength swings by ±100%
+    this.gustPhases = [0, 0, 0];
+    this.locked = false;
+
+    // Wind right now, gusts included
+    this.time = 0;
+    this.currentDirection = 0;
+    this.currentStrength = 0;
+  }
+
+  randomize() {
+    this.direction = this.random() * Math.PI * 2;
+    this.strength = this.random() * this.maxStrength;
+    this.gustiness = 0.2 + this.random() * 0.5;
+    this.gustPhases = [0, 1, 2].map(() => this.random() * Math.PI * 2);
+    this.restart();
+  }
+
+  // Start of a round: fresh wind unless the player locked it
+  newRound() {
+    if (this.locked) {
+      this.restart();
+    } else {
+      this.randomize();
+    }
+  }
+
+  setLocked(locked) {
+    this.locked = Boolean(locked);
+  }
+
+  restart() {
+    this.time = 0;
+    this.update(0);
+  }
+
+  update(deltaTime) {
+    this.time += deltaTime;
+    const t = this.time;
+    const [strengthPhase, flutterPhase, veerPhase] = this.gustPhases;
+
+    const gust =
+      0.6 * Math.sin(t * 0.86 + strengthPhase) +
+      0.4 * Math.sin(t * 2.17 + flutterPhase);
+    this.currentStrength = Math.max(
+      0,
+      this.strength * (1 + this.gustiness * gust)
+    );
+    this.currentDirection =
+      this.direction + 0.25 * this.gustiness * Math.sin(t * 0.57 + veerPhase);
+  }
+
+  // Wind as PhysicsEngine.integrateProjectile() expects it
+  getCurrentState() {
+    return {
+      strength: this.currentStrength,
+      direction: this.currentDirection,
+      influence: this.projectileInfluence,
+    };
+  }
+
+  // Steady part only, for predictions that can't know future gusts
+  getSteadyState() {
+    return {
+      strength: this.strength,
+      direction: this.direction,
+      influence: this.projectileInfluence,
+    };
+  }
+
+  // Current wind velocity in m/s, for particles
+  getVector(target = new THREE.Vector3()) {
+    return target.set(
+      Math.cos(this.currentDirection) * this.currentStrength,
+      0,
+      Math.sin(this.currentDirection) * this.currentStrength
+    );
+  }
+
+  getSettings() {
+    return {
+      direction: this.direction,
+      strength: this.strength,
+      gustiness: this.gustiness,
+      gustPhases: [...this.gustPhases],
+    };
+  }
+
+  setSettings(settings = {}) {
+    this.direction = Validation.sanitizeNumber(settings.direction, 0);
+    this.strength = Utils.clamp(
+      Validation.sanitizeNumber(settings.strength, 0),
+      0,
+      this.maxStrength
+    );
+    this.gustiness = Utils.clamp(
+      Validation.sanitizeNumber(settings.gustiness, 0),
+      0,
+      1
+    );
+    this.gustPhases = [0, 1, 2].map((i) =>
+      Validation.sanitizeNumber(settings.gustPhases?.[i], 0)
+    );
+    this.restart();
+  }
+}
@@ -0,0 +1,75 @@
+import * as THREE from "three";
+import { Utils } from "./utils.js";
+
+const DAY_LENGTH = 24 * 60; // Real seconds a whole day takes at 1x
+const MAX_SPEED = 60;
+
+// The sun rises in the east (+x) at 6, is highest in the south (+z) at noon
+// and sets in the west at 18; SUN_TILT is how high it gets
+const SUN_TILT = THREE.MathUtils.degToRad(60);
+
+// The time of day, in hours from midnight: a clock that can be set, paused
+// and run faster. LightingSystem lights the scene by it.
+export class TimeOfDay {
+  constructor(options = {}) {
+    this.hour = 0;
+    this.speed = 1;
+    this.paused = false;
+    this.setState(options);
+  }
+
+  update(deltaTime) {
+    if (this.paused) return;
+    this.setHour(this.hour + (deltaTime * this.speed * 24) / DAY_LENGTH);
+  }
+
+  setHour(hour) {
+    this.hour = ((hour % 24) + 24) % 24;
+  }
+
+  setSpeed(speed) {
+    this.speed = Utils.clamp(speed, 0, MAX_SPEED);
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+  }
+
+  // Unit vector towards the sun; below the horizon at night
+  getSunDirection(target = new THREE.Vector3()) {
+    const angle = ((this.hour - 6) / 12) * Math.PI;
+    return target.set(
+      Math.cos(angle),
+      Math.sin(angle) * Math.sin(SUN_TILT),
+      Math.sin(angle) * Math.cos(SUN_TILT)
+    );
+  }
+
+  // The moon stands opposite the sun
+  getMoonDirection(target = new THREE.Vector3()) {
+    return this.getSunDirection(target).negate();
+  }
+
+  // Degrees above the horizon, negative at night
+  getSunElevation() {
+    return THREE.MathUtils.radToDeg(Math.asin(this.getSunDirection().y));
+  }
+
+  // "HH:MM"
+  format() {
+    const minutes = Math.floor(this.hour * 60);
+    return `${Math.floor(minutes / 60)
+      .toString()
+      .padStart(2, "0")}:${(minutes % 60).toString().padStart(2, "0")}`;
+  }
+
+  getState() {
+    return { hour: this.hour, speed: this.speed, paused: this.paused };
+  }
+
+  setState(state) {
+    if (Number.isFinite(state.hour)) this.setHour(state.hour);
+    if (Number.isFinite(state.speed)) this.setSpeed(state.speed);
+    if (typeof state.paused === "boolean") this.setPaused(state.paused);
+  }
+}
@@ -28,13 +28,25 @@ export class Utils {
     return (radians * 180) / Math.PI;
   }
 
+  // Random source used by every gameplay/effect roll. Swap it out with
+  // setRandomSource() to make a simulation reproducible from a seed.
+  static randomSource = Math.random;
+
+  static setRandomSource(source) {
+    this.randomSource = typeof source === "function" ? source : Math.random;
+  }
+
+  static random() {
+    return this.randomSource();
+  }
+
   static randomRange(min, max) {
-    const val = Math.random() * (max - min) + min;
+    const val = this.random() * (max - min) + min;
     return Validation.sanitizeNumber(val, (max + min) / 2);
   }
 
   static randomInt(min, max) {
-    const val = Math.floor(Math.random() * (max - min + 1)) + min;
+    const val = Math.floor(this.random() * (max - min + 1)) + min;
     return Validation.sanitizeNumber(val, Math.floor((max + min) / 2));
   }
 
@@ -291,7 +303,7 @@ export class Utils {
       "Nightfall",
       "Dawnbringer",
     ];
-    return names[Math.floor(Math.random() * names.length)];
+    return names[Math.floor(this.random() * names.length)];
   }
 
   // Performance utilities
@@ -354,6 +366,30 @@ export class Utils {
     return this._memoryStorage[key] || defaultValue;
   }
 
+  // File utilities (JSON export/import through the browser)
+  static downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  static readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
   // Sound System
   static audioContext = null;
   static soundBuffers = new Map();
@@ -404,6 +440,14 @@ export class Utils {
     }
   }
 
+  static isAudioSupported() {
+    // Headless simulation runs (Node, CI) have no window or Web Audio API
+    return (
+      typeof window !== "undefined" &&
+      !!(window.AudioContext || window.webkitAudioContext)
+    );
+  }
+
   static initializeSoundSystem() {
     if (!this.audioContext) {
       this.audioContext = new (window.AudioContext ||
@@ -415,6 +459,10 @@ export class Utils {
     }
   }
   static async initAudio() {
+    if (!this.isAudioSupported()) {
+      return false;
+    }
+
     if (!this.audioContext) {
       this.initializeSoundSystem();
     }
@@ -454,6 +502,10 @@ export class Utils {
   }
 
   static async playSound(soundName, volume = 1.0, loop = false) {
+    if (!this.isAudioSupported()) {
+      return null;
+    }
+
     try {
       await this.initAudio();
 
@@ -544,23 +596,23 @@ export class Utils {
       const i3 = i * 3;
 
       // Generate positions in a more controlled way
-      const theta = Math.random() * Math.PI * 2;
-      const r = Math.random() * spread;
+      const theta = this.random() * Math.PI * 2;
+      const r = this.random() * spread;
       positions[i3] = Validation.sanitizeNumber(Math.cos(theta) * r, 0);
       positions[i3 + 1] = Validation.sanitizeNumber(
-        (Math.random() - 0.5) * spread,
+        (this.random() - 0.5) * spread,
         0
       );
       positions[i3 + 2] = Validation.sanitizeNumber(Math.sin(theta) * r, 0);
 
       // Set safe default colors
-      colors[i3] = Validation.sanitizeNumber(Math.random(), 0.5);
-      colors[i3 + 1] = Validation.sanitizeNumber(Math.random(), 0.5);
-      colors[i3 + 2] = Validation.sanitizeNumber(Math.random(), 0.5);
+      colors[i3] = Validation.sanitizeNumber(this.random(), 0.5);
+      colors[i3 + 1] = Validation.sanitizeNumber(this.random(), 0.5);
+      colors[i3 + 2] = Validation.sanitizeNumber(this.random(), 0.5);
 
       // Set safe size
       sizes[i] = Validation.sanitizeNumber(
-        size * (0.5 + Math.random() * 0.5),
+        size * (0.5 + this.random() * 0.5),
         size * 0.5
       );
     }
@@ -671,9 +723,9 @@ export class Utils {
 
     // Add noise
     for (let i = 0; i < size * size * 0.1; i++) {
-      const x = Math.random() * size;
-      const y = Math.random() * size;
-      const brightness = Math.random() * 60 - 30;
+      const x = this.random() * size;
+      const y = this.random() * size;
+      const brightness = this.random() * 60 - 30;
       ctx.fillStyle = `rgba(${brightness > 0 ? 255 : 0}, ${
         brightness > 0 ? 255 : 0
       }, ${brightness > 0 ? 255 : 0}, ${Math.abs(brightness) / 255})`;
@@ -1,6 +1,22 @@
-// Helper functions for validating geometry data
+// Helper functions for validating geometry data and scenario files
 import * as THREE from "three";
 
+export const SCENARIO_FORMAT_VERSION = 1;
+const SCENARIO_LIGHTING = ["default", "day", "night", "dramatic", "mystical"];
+export const SCENARIO_WEATHER = ["clear", "rain", "fog", "snow"];
+const SCENARIO_TARGETS = [
+  "wall",
+  "tower",
+  "gate",
+  "barrel",
+  "rock",
+  "siegeTower",
+];
+// Stone throwers a scenario can line up, see SiegeWorld.getEngineLayout()
+export const SCENARIO_ENGINES = ["catapult", "trebuchet"];
+const MAX_ENGINES = 4;
+const WORLD_LIMIT = 100; // Matches CollisionManager's world bounds
+
 export class Validation {
   static isValidNumber(value) {
     return typeof value === "number" && !isNaN(value) && isFinite(value);
@@ -103,4 +119,247 @@ export class Validation {
       }
     }
   }
+
+  // Scenario files (see scenarios/). Returns a list of readable errors,
+  // empty when the scenario can be loaded.
+  static validateScenario(data) {
+    const errors = [];
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return ["Scenario is not a JSON object"];
+    }
+    if (data.version !== SCENARIO_FORMAT_VERSION) {
+      errors.push(`Unsupported scenario version: ${data.version}`);
+    }
+    if (typeof data.id !== "string" || data.id === "") {
+      errors.push("Missing scenario id");
+    }
+    if (typeof data.name !== "string" || data.name === "") {
+      errors.push("Missing scenario name");
+    }
+
+    const isPoint = (value) =>
+      Array.isArray(value) &&
+      value.length === 2 &&
+      value.every((v) => this.isValidNumber(v) && Math.abs(v) <= WORLD_LIMIT);
+    const checkOptionalNumber = (value, label, min, max) => {
+      if (
+        value !== undefined &&
+        (!this.isValidNumber(value) || value < min || value > max)
+      ) {
+        errors.push(`${label}: must be a number from ${min} to ${max}`);
+      }
+    };
+    const checkList = (key, required, checkItem) => {
+      const list = data[key];
+      if (list === undefined && !required) return;
+      if (!Array.isArray(list)) {
+        errors.push(`Missing ${key} list`);
+        return;
+      }
+      list.forEach((item, index) => {
+        const label = `${key}[${index}]`;
+        if (!item || typeof item !== "object") {
+          errors.push(`${label}: not an object`);
+          return;
+        }
+        if (!isPoint(item.position ?? item.center)) {
+          errors.push(`${label}: position must be [x, z] within the world`);
+        }
+        checkOptionalNumber(item.rotation, `${label}.rotation`, -360, 360);
+        checkItem?.(item, label);
+      });
+    };
+
+    checkList("walls", true, (wall, label) =>
+      checkOptionalNumber(wall.length, `${label}.length`, 4, 120)
+    );
+    const checkScale = (item, label) =>
+      checkOptionalNumber(item.scale, `${label}.scale`, 0.25, 4);
+    checkList("towers", true, checkScale);
+    checkList("gates", false, checkScale);
+    checkList("rocks", false, checkScale);
+    checkList("barrels", false, (cluster, label) => {
+      if (
+        !Number.isInteger(cluster.count) ||
+        cluster.count < 0 ||
+        cluster.count > 50
+      ) {
+        errors.push(`${label}.count: must be a whole number from 0 to 50`);
+      }
+      checkOptionalNumber(cluster.spread, `${label}.spread`, 0, 50);
+    });
+
+    checkList("engines", false, (engine, label) => {
+      if (!SCENARIO_ENGINES.includes(engine.type)) {
+        errors.push(`${label}: unknown engine type ${engine.type}`);
+      }
+    });
+    if (
+      Array.isArray(data.engines) &&
+      (data.engines.length === 0 || data.engines.length > MAX_ENGINES)
+    ) {
+      errors.push(`engines: must list 1 to ${MAX_ENGINES} engines`);
+    }
+
+    ["catapult", "siegeTower"].forEach((key) => {
+      const start = data[key];
+      if (start === undefined) return;
+      if (!start || !isPoint(start.position)) {
+        errors.push(`${key}: position must be [x, z] within the world`);
+        return;
+      }
+      checkOptionalNumber(start.rotation, `${key}.rotation`, -360, 360);
+    });
+
+    if (
+      data.lighting !== undefined &&
+      !SCENARIO_LIGHTING.includes(data.lighting)
+    ) {
+      errors.push(`Unknown lighting preset: ${data.lighting}`);
+    }
+
+    if (
+      data.weather !== undefined &&
+      !SCENARIO_WEATHER.includes(data.weather)
+    ) {
+      errors.push(`Unknown weather: ${data.weather}`);
+    }
+
+    if (data.wind !== undefined && data.wind !== null) {
+      if (typeof data.wind !== "object") {
+        errors.push("wind: must be an object or null");
+      } else {
+        checkOptionalNumber(data.wind.strength, "wind.strength", 0, 10);
+        checkOptionalNumber(data.wind.gustiness, "wind.gustiness", 0, 1);
+        checkOptionalNumber(
+          data.wind.direction,
+          "wind.direction",
+          -2 * Math.PI,
+          2 * Math.PI
+        );
+      }
+    }
+
+    if (data.terrain !== undefined && data.terrain !== null) {
+      const terrain = data.terrain;
+      if (typeof terrain !== "object") {
+        errors.push("terrain: must be an object or null");
+      } else {
+        checkOptionalNumber(terrain.hills, "terrain.hills", 0, 20);
+        checkOptionalNumber(terrain.plateau, "terrain.plateau", 0, 100);
+        if (
+          terrain.heightmap !== undefined &&
+          terrain.heightmap !== null &&
+          typeof terrain.heightmap !== "string"
+        ) {
+          errors.push("terrain.heightmap: must be an image path");
+        }
+
+        const moat = terrain.moat;
+        if (moat !== undefined && moat !== null) {
+          if (typeof moat !== "object") {
+            errors.push("terrain.moat: must be an object or null");
+          } else {
+            [
+              ["size", 1, 95],
+              ["width", 1, 30],
+              ["depth", 0, 10],
+            ].forEach(([key, min, max]) => {
+              if (moat[key] === undefined) {
+                errors.push(`terrain.moat.${key}: missing`);
+              }
+              checkOptionalNumber(moat[key], `terrain.moat.${key}`, min, max);
+            });
+            checkOptionalNumber(
+              moat.waterLevel,
+              "terrain.moat.waterLevel",
+              -10,
+              10
+            );
+            checkOptionalNumber(
+              moat.causewayWidth,
+              "terrain.moat.causewayWidth",
+              1,
+              30
+            );
+            if (
+              moat.causeways !== undefined &&
+              (!Array.isArray(moat.causeways) ||
+                !moat.causeways.every(
+                  (angle) => this.isValidNumber(angle) && Math.abs(angle) <= 360
+                ))
+            ) {
+              errors.push(
+                "terrain.moat.causeways: must be a list of directions in degrees"
+              );
+            }
+          }
+        }
+
+        if (terrain.ditches !== undefined) {
+          if (!Array.isArray(terrain.ditches)) {
+            errors.push("terrain.ditches: must be a list");
+          } else {
+            terrain.ditches.forEach((ditch, index) => {
+              const label = `terrain.ditches[${index}]`;
+              if (!ditch || typeof ditch !== "object") {
+                errors.push(`${label}: not an object`);
+                return;
+              }
+              if (!isPoint(ditch.from) || !isPoint(ditch.to)) {
+                errors.push(`${label}: from and to must be [x, z] points`);
+              }
+              if (ditch.width === undefined || ditch.depth === undefined) {
+                errors.push(`${label}: needs a width and a depth`);
+              }
+              checkOptionalNumber(ditch.width, `${label}.width`, 0.5, 30);
+              checkOptionalNumber(ditch.depth, `${label}.depth`, 0, 10);
+            });
+          }
+        }
+      }
+    }
+
+    if (data.defenders !== undefined && typeof data.defenders !== "boolean") {
+      errors.push("defenders: must be true or false");
+    }
+
+    if (
+      data.shotLimit !== undefined &&
+      data.shotLimit !== null &&
+      (!Number.isInteger(data.shotLimit) || data.shotLimit < 1)
+    ) {
+      errors.push("shotLimit: must be a whole number above 0");
+    }
+
+    if (data.winConditions !== undefined) {
+      if (!Array.isArray(data.winConditions)) {
+        errors.push("winConditions: must be a list");
+      } else {
+        data.winConditions.forEach((condition, index) => {
+          const label = `winConditions[${index}]`;
+          const checkCount = () => {
+            if (
+              condition.count !== undefined &&
+              (!Number.isInteger(condition.count) || condition.count < 1)
+            ) {
+              errors.push(`${label}.count: must be a whole number above 0`);
+            }
+          };
+          if (condition?.type === "destroy") {
+            if (!SCENARIO_TARGETS.includes(condition.target)) {
+              errors.push(`${label}: unknown target ${condition.target}`);
+            }
+            checkCount();
+          } else if (condition?.type === "takeWall") {
+            checkCount();
+          } else if (condition?.type !== "bridgeOnWall") {
+            errors.push(`${label}: unknown type ${condition?.type}`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
 }
@@ -0,0 +1,95 @@
+// Headless check that a carried torch sets a barrel off.
+//
+// Builds the default world, carries a lit torch up to a barrel that is
+// not armed, and steps the world at a fixed timestep until the barrel
+// explodes. Exits 1 if it hasn't within a few seconds past its fuse.
+//
+// Usage (needs `three` installed next to the repo, e.g. `npm i three@0.158.0`):
+//   node tools/check-torch-fuse.mjs [--seed 1] [--fuse 2]
+
+import * as THREE from "three";
+import { materials } from "../js/materials.js";
+import { SiegeWorld } from "../js/simulation/SiegeWorld.js";
+
+const GRACE = 3; // Seconds past the fuse before giving up
+
+function parseArgs(argv) {
+  const args = { seed: 1, fuse: 2 };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--seed":
+        args.seed = parseInt(argv[++i], 10);
+        break;
+      case "--fuse":
+        args.fuse = parseFloat(argv[++i]);
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  materials.initializeWithoutTextures();
+
+  const world = new SiegeWorld({
+    seed: args.seed,
+    defenders: false,
+    verbose: false,
+  });
+  world.buildDefaultScene();
+  world.fuseManager.setFuseTime(args.fuse);
+
+  const barrel = world.ammunition.barrels.find(
+    (mesh) => !mesh.userData.explosive
+  );
+  if (!barrel) throw new Error("The default scene has no unarmed barrel");
+
+  let armedAt = null;
+  let explodedAt = null;
+  world.eventTarget.addEventListener("barrelArmed", (event) => {
+    if (event.detail.mesh === barrel) armedAt = world.elapsedTime;
+  });
+  world.eventTarget.addEventListener("barrelExploded", () => {
+    if (!barrel.parent && explodedAt === null) {
+      explodedAt = world.elapsedTime;
+    }
+  });
+
+  // Torch's flames need a browser, so this stands in for its group: the
+  // userData is all FireManager looks at. Carried in, then put down again
+  // out of reach.
+  const torch = new THREE.Group();
+  torch.userData = { type: "torch", draggable: true, lit: true };
+  torch.position.copy(barrel.position).add(new THREE.Vector3(1, 0, 0));
+  world.scene.add(torch);
+  torch.userData.isDragging = true;
+  await world.runSteps(1);
+  torch.userData.isDragging = false;
+  torch.position.x += 10;
+
+  const steps = Math.ceil((args.fuse + GRACE) / world.fixedTimeStep);
+  for (let i = 0; i < steps && explodedAt === null; i++) {
+    await world.runSteps(1);
+  }
+
+  const result = {
+    seed: args.seed,
+    fuse: args.fuse,
+    armedAt: armedAt,
+    explodedAt: explodedAt,
+  };
+  process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  if (armedAt === null || explodedAt === null) {
+    console.error("❌ The torch did not set the barrel off");
+    process.exit(1);
+  }
+  console.error("✅ The torch set the barrel off");
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,279 @@
+// Local relay for networked matches, with no dependencies beyond Node.
+//
+// Serves the app from the repository root over HTTP and relays WebSocket
+// messages between the two browsers in a room. The relay doesn't look
+// inside the messages: the first browser to join a room hosts the match
+// (runs the simulation and sends snapshots), the second one joins it. The
+// room closes when its host leaves.
+//
+// Usage:
+//   node tools/relay-server.mjs [--port 8080] [--host 127.0.0.1]
+//
+// then open http://127.0.0.1:8080/ in two browsers. The WebSocket lives at
+// ws://<host>:<port>/relay?room=<name>.
+//
+// Messages to the browsers, besides the other side's messages:
+//   { type: "welcome", host: true|false }  on joining
+//   { type: "peerJoined" }, { type: "peerLeft" }
+//   { type: "error", message }             then the socket is closed
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = resolve(fileURLToPath(new URL("..", import.meta.url)));
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_PAYLOAD = 4 * 1024 * 1024; // A full sync of a big castle fits
+const ROOM_SIZE = 2;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".hdr": "application/octet-stream",
+  ".wav": "audio/wav",
+  ".mp3": "audio/mpeg",
+};
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+function parseArgs(argv) {
+  const args = { port: 8080, host: "127.0.0.1" };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--port":
+        args.port = parseInt(argv[++i], 10);
+        break;
+      case "--host":
+        args.host = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function serveFile(request, response) {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(request.url, "http://x").pathname);
+  } catch {
+    response.writeHead(400).end();
+    return;
+  }
+  const file = normalize(
+    join(ROOT, path.endsWith("/") ? `${path}index.html` : path)
+  );
+  if (file !== ROOT && !file.startsWith(ROOT + sep)) {
+    response.writeHead(403).end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    response.writeHead(200, {
+      "Content-Type": MIME_TYPES[extname(file)] || "application/octet-stream",
+    });
+    response.end(body);
+  } catch {
+    response.writeHead(404).end();
+  }
+}
+
+// A bad request must never take the relay, and every room on it, down
+async function handleRequest(request, response) {
+  try {
+    await serveFile(request, response);
+  } catch (error) {
+    console.error("Request failed:", error);
+    if (!response.headersSent) response.writeHead(400);
+    response.end();
+  }
+}
+
+// One frame, unmasked as servers send them
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// A browser's WebSocket: reassembles (masked, possibly fragmented) frames
+// into text messages
+class Client {
+  constructor(socket, room) {
+    this.socket = socket;
+    this.room = room;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.onMessage = null;
+    this.onClose = null;
+    this.closed = false;
+
+    socket.on("data", (data) => this.receive(data));
+    socket.on("close", () => this.handleClose());
+    socket.on("error", () => this.handleClose());
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    for (;;) {
+      if (this.buffer.length < 2) return;
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (length > MAX_PAYLOAD || !masked) {
+        this.close(1009);
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(
+        this.buffer.subarray(offset + 4, offset + 4 + length)
+      );
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.close:
+        this.close();
+        return;
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, payload));
+        return;
+      case OPCODES.pong:
+        return;
+    }
+    // Text, or the continuation of a fragmented message
+    this.fragments.push(payload);
+    if (!fin) return;
+    const message = Buffer.concat(this.fragments).toString("utf8");
+    this.fragments = [];
+    this.onMessage?.(message);
+  }
+
+  send(text) {
+    if (!this.closed) {
+      this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text, "utf8")));
+    }
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.socket.end(encodeFrame(OPCODES.close, payload));
+    this.handleClose();
+  }
+
+  handleClose() {
+    if (this.closed) return;
+    this.closed = true;
+    this.onClose?.();
+  }
+}
+
+const rooms = new Map(); // name -> Client[]
+
+function handleUpgrade(request, socket) {
+  let url;
+  try {
+    url = new URL(request.url, "http://x");
+  } catch {
+    socket.write("HTTP/1.1 400 Bad Request\r\n\r\n");
+    socket.destroy();
+    return;
+  }
+  const key = request.headers["sec-websocket-key"];
+  if (url.pathname !== "/relay" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  const name = url.searchParams.get("room") || "default";
+  const members = rooms.get(name) || [];
+  const client = new Client(socket, name);
+  if (members.length >= ROOM_SIZE) {
+    client.send(JSON.stringify({ type: "error", message: "Oda dolu" }));
+    client.close(1008);
+    return;
+  }
+
+  members.forEach((member) =>
+    member.send(JSON.stringify({ type: "peerJoined" }))
+  );
+  members.push(client);
+  rooms.set(name, members);
+  client.send(JSON.stringify({ type: "welcome", host: members.length === 1 }));
+  console.log(`🔌 Joined room "${name}" (${members.length}/${ROOM_SIZE})`);
+
+  client.onMessage = (message) =>
+    members
+      .filter((member) => member !== client)
+      .forEach((member) => member.send(message));
+  client.onClose = () => {
+    const index = members.indexOf(client);
+    if (index >= 0) members.splice(index, 1);
+    if (members.length === 0) rooms.delete(name);
+    members.forEach((member) =>
+      member.send(JSON.stringify({ type: "peerLeft" }))
+    );
+    console.log(`🔌 Left room "${name}" (${members.length}/${ROOM_SIZE})`);
+    // Without its host the match is over
+    if (index === 0) [...members].forEach((member) => member.close());
+  };
+}
+
+const args = parseArgs(process.argv.slice(2));
+const server = createServer((request, response) => {
+  handleRequest(request, response).catch((error) =>
+    console.error("Request handler failed:", error)
+  );
+});
+server.on("upgrade", handleUpgrade);
+server.listen(args.port, args.host, () =>
+  console.log(`🏰 Serving ${ROOT} at http://${args.host}:${args.port}/`)
+);
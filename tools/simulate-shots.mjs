@@ -0,0 +1,136 @@
+// Headless batch simulation of catapult shots.
+//
+// Runs the same PhysicsEngine / CollisionManager code as the browser app,
+// without a renderer, at a fixed timestep from a seed. Identical arguments
+// give identical output, so the JSON can be diffed between commits on CI.
+//
+// Usage (needs `three` installed next to the repo, e.g. `npm i three@0.158.0`):
+//   node tools/simulate-shots.mjs --shots 1000 --seed 42 > results.json
+//
+// Options:
+//   --shots <n>        number of shots (default 100)
+//   --seed <n>         base seed; shot i uses seed + i (default 1)
+//   --tension <n>      fixed tension 10-100; random per shot when omitted
+//   --step <seconds>   fixed timestep (default 1/60)
+//   --calm             no wind (by default each seed rolls its own wind)
+//   --ammo <type>      stone, firePot, chainShot, barrelBomb or cluster
+//                      (default stone)
+//   --scenario <file>  scenario JSON to shoot at (default: built-in castle)
+//   --no-defenders     leave the castle unmanned unless the scenario mans it
+//   --verbose          keep the per-frame physics/collision logging
+
+import { readFileSync } from "node:fs";
+import { materials } from "../js/materials.js";
+import { SiegeWorld } from "../js/simulation/SiegeWorld.js";
+
+function parseArgs(argv) {
+  const args = {
+    shots: 100,
+    seed: 1,
+    tension: null,
+    step: 1 / 60,
+    calm: false,
+    ammo: "stone",
+    scenario: null,
+    defenders: true,
+    verbose: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--shots":
+        args.shots = parseInt(argv[++i], 10);
+        break;
+      case "--seed":
+        args.seed = parseInt(argv[++i], 10);
+        break;
+      case "--tension":
+        args.tension = parseFloat(argv[++i]);
+        break;
+      case "--step":
+        args.step = parseFloat(argv[++i]);
+        break;
+      case "--calm":
+        args.calm = true;
+        break;
+      case "--ammo":
+        args.ammo = argv[++i];
+        break;
+      case "--scenario":
+        args.scenario = argv[++i];
+        break;
+      case "--no-defenders":
+        args.defenders = false;
+        break;
+      case "--verbose":
+        args.verbose = true;
+        break;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  materials.initializeWithoutTextures();
+
+  const scenario = args.scenario
+    ? JSON.parse(readFileSync(args.scenario, "utf8"))
+    : null;
+
+  const results = [];
+  for (let i = 0; i < args.shots; i++) {
+    const world = new SiegeWorld({
+      seed: args.seed + i,
+      fixedTimeStep: args.step,
+      verbose: args.verbose,
+      defenders: args.defenders,
+    });
+    world.buildDefaultScene();
+    if (scenario) {
+      const errors = world.loadScenario(scenario);
+      if (errors.length > 0) {
+        throw new Error(`Invalid scenario: ${errors.join("; ")}`);
+      }
+      world.reset({ rebuildCastle: true });
+    }
+    if (args.calm) world.wind.setSettings({ strength: 0 });
+    if (!world.catapult.setAmmoType(args.ammo)) {
+      throw new Error(`Unknown ammo type: ${args.ammo}`);
+    }
+
+    const tension = args.tension ?? Math.round(10 + world.random() * 90);
+    const shot = await world.simulateShot(tension);
+    results.push({
+      shot: i,
+      seed: args.seed + i,
+      ammo: args.ammo,
+      wind: world.wind.getSettings(),
+      ...shot,
+      score: world.gameMode.getScore(),
+    });
+  }
+
+  const destroyedCount = results.reduce(
+    (sum, result) => sum + (result?.destroyed?.length || 0),
+    0
+  );
+  process.stdout.write(
+    JSON.stringify(
+      {
+        shots: results.length,
+        seed: args.seed,
+        fixedTimeStep: args.step,
+        scenario: scenario?.id ?? null,
+        destroyedCount: destroyedCount,
+        results: results,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});